@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "referenceId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LedgerEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_userId_createdAt_idx" ON "LedgerEntry"("userId", "createdAt");
+
+-- Seed opening balances so existing users have a reconstructable history
+INSERT INTO "LedgerEntry" ("userId", "delta", "balanceAfter", "reason", "source")
+SELECT "id", "vp", "vp", 'opening_balance', 'system' FROM "User" WHERE "vp" <> 0;
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "BalanceCorrection" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "previousBalance" INTEGER NOT NULL,
+    "correctedBalance" INTEGER NOT NULL,
+    "appliedBy" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "BalanceCorrection_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
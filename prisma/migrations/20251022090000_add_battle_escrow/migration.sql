@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "BattleEscrow" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "battleId" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "settledAt" DATETIME,
+    CONSTRAINT "BattleEscrow_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "BattleEscrow_battleId_status_idx" ON "BattleEscrow"("battleId", "status");
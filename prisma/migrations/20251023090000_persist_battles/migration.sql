@@ -0,0 +1,26 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Battle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "challengerId" INTEGER NOT NULL,
+    "opponentId" INTEGER,
+    "game" TEXT,
+    "amount" INTEGER NOT NULL,
+    "winnerId" INTEGER,
+    "status" TEXT NOT NULL,
+    "state" TEXT,
+    "guildId" TEXT,
+    "channelId" TEXT,
+    "messageId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME,
+    CONSTRAINT "Battle_challengerId_fkey" FOREIGN KEY ("challengerId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Battle_opponentId_fkey" FOREIGN KEY ("opponentId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Battle" ("amount", "challengerId", "createdAt", "game", "id", "opponentId", "resolvedAt", "state", "status", "winnerId") SELECT "amount", "challengerId", "createdAt", "game", "id", "opponentId", "resolvedAt", "state", "status", "winnerId" FROM "Battle";
+DROP TABLE "Battle";
+ALTER TABLE "new_Battle" RENAME TO "Battle";
+CREATE INDEX "Battle_status_idx" ON "Battle"("status");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
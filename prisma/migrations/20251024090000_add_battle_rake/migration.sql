@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Battle" ADD COLUMN "rake" INTEGER NOT NULL DEFAULT 0;
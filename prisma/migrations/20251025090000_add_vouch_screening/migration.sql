@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Vouch" ADD COLUMN "imageHash" TEXT;
+ALTER TABLE "Vouch" ADD COLUMN "flagReason" TEXT;
+ALTER TABLE "Vouch" ADD COLUMN "duplicateOfId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Vouch_imageHash_idx" ON "Vouch"("imageHash");
+
+-- CreateIndex
+CREATE INDEX "Vouch_userId_createdAt_idx" ON "Vouch"("userId", "createdAt");
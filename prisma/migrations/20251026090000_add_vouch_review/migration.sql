@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Vouch" ADD COLUMN "reviewedByProviderId" TEXT;
+ALTER TABLE "Vouch" ADD COLUMN "reviewedAt" DATETIME;
+ALTER TABLE "Vouch" ADD COLUMN "rejectionReason" TEXT;
+ALTER TABLE "Vouch" ADD COLUMN "appealedAt" DATETIME;
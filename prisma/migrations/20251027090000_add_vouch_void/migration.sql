@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Vouch" ADD COLUMN "voidReason" TEXT;
+ALTER TABLE "Vouch" ADD COLUMN "voidedAt" DATETIME;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Vouch" ADD COLUMN "mentionedProviderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Vouch_mentionedProviderId_createdAt_idx" ON "Vouch"("mentionedProviderId", "createdAt");
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "RewardItem" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "key" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "cost" INTEGER NOT NULL,
+    "stockLimit" INTEGER,
+    "perUserLimit" INTEGER,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RewardItem_key_key" ON "RewardItem"("key");
+
+-- Seed the catalog with the two rewards that used to be hard-coded, keeping any configured cost
+INSERT INTO "RewardItem" ("key", "name", "description", "cost", "updatedAt")
+VALUES (
+    'five',
+    '$5 Order',
+    '$5 off an order',
+    COALESCE((SELECT CAST("value" AS INTEGER) FROM "Config" WHERE "key" = 'five_cost'), 25),
+    CURRENT_TIMESTAMP
+), (
+    'free',
+    'Free $20 Order',
+    'A free order up to $20',
+    COALESCE((SELECT CAST("value" AS INTEGER) FROM "Config" WHERE "key" = 'free_cost'), 60),
+    CURRENT_TIMESTAMP
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Redemption" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "rewardItemId" INTEGER,
+    "cost" INTEGER NOT NULL,
+    "ticketChannelId" TEXT,
+    "status" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Redemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "Redemption_rewardItemId_fkey" FOREIGN KEY ("rewardItemId") REFERENCES "RewardItem" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Redemption" ("cost", "createdAt", "id", "rewardItemId", "status", "ticketChannelId", "type", "userId")
+SELECT "cost", "createdAt", "id",
+    CASE "type"
+        WHEN '5USD' THEN (SELECT "id" FROM "RewardItem" WHERE "key" = 'five')
+        WHEN 'FREE_ORDER' THEN (SELECT "id" FROM "RewardItem" WHERE "key" = 'free')
+    END,
+    "status", "ticketChannelId", "type", "userId"
+FROM "Redemption";
+DROP TABLE "Redemption";
+ALTER TABLE "new_Redemption" RENAME TO "Redemption";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
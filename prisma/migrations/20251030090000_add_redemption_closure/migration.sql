@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Redemption" ADD COLUMN "closedAt" DATETIME;
+ALTER TABLE "Redemption" ADD COLUMN "closedById" TEXT;
+ALTER TABLE "Redemption" ADD COLUMN "cancelReason" TEXT;
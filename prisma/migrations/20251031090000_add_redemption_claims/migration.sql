@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Redemption" ADD COLUMN "claimedById" TEXT;
+ALTER TABLE "Redemption" ADD COLUMN "claimedAt" DATETIME;
+ALTER TABLE "Redemption" ADD COLUMN "slaRemindedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "Redemption_status_createdAt_idx" ON "Redemption"("status", "createdAt");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "dailyReminder" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "User" ADD COLUMN "dailyRemindedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "User_dailyReminder_dailyRemindedAt_lastDailyAt_idx" ON "User"("dailyReminder", "dailyRemindedAt", "lastDailyAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Battle" ADD COLUMN "bestOf" INTEGER NOT NULL DEFAULT 1;
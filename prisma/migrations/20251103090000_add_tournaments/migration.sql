@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "Battle" ADD COLUMN "tournamentId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Tournament" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "creatorId" INTEGER NOT NULL,
+    "game" TEXT NOT NULL,
+    "entryFee" INTEGER NOT NULL,
+    "size" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "bracket" TEXT,
+    "guildId" TEXT,
+    "channelId" TEXT,
+    "messageId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" DATETIME,
+    "completedAt" DATETIME,
+    CONSTRAINT "Tournament_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "TournamentEntry" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "tournamentId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "fee" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "placement" INTEGER,
+    "prize" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TournamentEntry_tournamentId_fkey" FOREIGN KEY ("tournamentId") REFERENCES "Tournament" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "TournamentEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Tournament_status_idx" ON "Tournament"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TournamentEntry_tournamentId_userId_key" ON "TournamentEntry"("tournamentId", "userId");
+
+-- CreateIndex
+CREATE INDEX "TournamentEntry_tournamentId_status_idx" ON "TournamentEntry"("tournamentId", "status");
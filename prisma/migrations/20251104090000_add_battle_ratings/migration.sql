@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "BattleRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "game" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL DEFAULT 1000,
+    "peak" INTEGER NOT NULL DEFAULT 1000,
+    "wins" INTEGER NOT NULL DEFAULT 0,
+    "losses" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "BattleRating_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BattleRating_userId_game_key" ON "BattleRating"("userId", "game");
+
+-- CreateIndex
+CREATE INDEX "BattleRating_game_rating_idx" ON "BattleRating"("game", "rating");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "BattleBet" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "battleId" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "side" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "payout" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "settledAt" DATETIME,
+    CONSTRAINT "BattleBet_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BattleBet_battleId_userId_key" ON "BattleBet"("battleId", "userId");
+
+-- CreateIndex
+CREATE INDEX "BattleBet_battleId_status_idx" ON "BattleBet"("battleId", "status");
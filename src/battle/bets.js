@@ -0,0 +1,218 @@
+import prisma from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES, upsertUser } from '../db/ledger.js';
+import { logger } from '../logger.js';
+import { ACTIVE_BATTLE_STATUSES } from './store.js';
+
+export const BET_SIDES = ['p1', 'p2'];
+
+const BET_REJECTED = 'BATTLE_BET_REJECTED';
+
+function rejectBet(reason) {
+  const error = new Error(`Battle bet rejected: ${reason}`);
+  error.code = BET_REJECTED;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Pari-mutuel split: the whole pool goes to the winning side in proportion to each
+ * stake. Rounding leftovers go to the largest winning bet (earliest on a tie) so the
+ * pool is always paid out in full. Returns a payout per bet id.
+ */
+export function calculatePayouts(bets, winnerSide) {
+  const pool = bets.reduce((sum, bet) => sum + bet.amount, 0);
+  const winners = bets.filter((bet) => bet.side === winnerSide);
+  const winningTotal = winners.reduce((sum, bet) => sum + bet.amount, 0);
+
+  const payouts = new Map(bets.map((bet) => [bet.id, 0]));
+  if (winningTotal === 0) {
+    return payouts;
+  }
+
+  let paid = 0;
+  for (const bet of winners) {
+    const payout = Math.floor((pool * bet.amount) / winningTotal);
+    payouts.set(bet.id, payout);
+    paid += payout;
+  }
+
+  const top = winners.reduce((best, bet) => (bet.amount > best.amount ? bet : best));
+  payouts.set(top.id, payouts.get(top.id) + (pool - paid));
+  return payouts;
+}
+
+export function summarizePool(bets) {
+  const pool = { p1: 0, p2: 0, bettors: 0, total: 0 };
+  for (const bet of bets) {
+    pool[bet.side] += bet.amount;
+    pool.total += bet.amount;
+    pool.bettors += 1;
+  }
+  return pool;
+}
+
+/**
+ * Back one side of a live battle. Repeat bets on the same side top up the stake, up
+ * to `max` in total when set. Resolves `{ ok: true, pool }` or `{ ok: false, reason }`
+ * with reason 'closed', 'other_side', 'over_max' or 'insufficient'. The battle row is
+ * checked in the same transaction so a bet cannot land after the pool was settled.
+ */
+export async function placeBet(battleId, discordId, side, amount, { max = null } = {}) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const battle = await tx.battle.findUnique({
+        where: { id: Number.parseInt(battleId, 10) },
+        select: { status: true },
+      });
+      if (!battle || !ACTIVE_BATTLE_STATUSES.includes(battle.status)) {
+        throw rejectBet('closed');
+      }
+
+      const user = await upsertUser(tx, discordId);
+      const existing = await tx.battleBet.findUnique({
+        where: { battleId_userId: { battleId, userId: user.id } },
+      });
+      if (existing && existing.side !== side) {
+        throw rejectBet('other_side');
+      }
+      if (max && (existing?.amount ?? 0) + amount > max) {
+        throw rejectBet('over_max');
+      }
+
+      const updated = await applyVPDelta(tx, {
+        userId: user.id,
+        delta: -amount,
+        reason: LEDGER_REASONS.BATTLE_BET,
+        source: LEDGER_SOURCES.BATTLE,
+        referenceId: battleId,
+      });
+      if (updated.vp < 0) {
+        throw rejectBet('insufficient');
+      }
+
+      if (existing) {
+        await tx.battleBet.update({ where: { id: existing.id }, data: { amount: { increment: amount } } });
+      } else {
+        await tx.battleBet.create({ data: { battleId, userId: user.id, side, amount, status: 'held' } });
+      }
+    });
+  } catch (error) {
+    if (error.code === BET_REJECTED) {
+      return { ok: false, reason: error.reason };
+    }
+    throw error;
+  }
+
+  return { ok: true, pool: await getBetPool(battleId) };
+}
+
+export async function getBetPool(battleId) {
+  const bets = await prisma.battleBet.findMany({ where: { battleId, status: 'held' } });
+  return summarizePool(bets);
+}
+
+/**
+ * Pay the held pool out to the backers of `winnerSide`. When nobody backed the winner,
+ * or nobody backed the loser, there is nothing to win and every bet is refunded.
+ * Resolves `{ pool, bettors, winners, refunded }`, or null if no bets were held.
+ */
+export async function settleBets(battleId, winnerSide) {
+  return prisma.$transaction(async (tx) => {
+    const held = await tx.battleBet.findMany({
+      where: { battleId, status: 'held' },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (held.length === 0) {
+      return null;
+    }
+
+    const pool = summarizePool(held);
+    if (pool.p1 === 0 || pool.p2 === 0) {
+      await refundHeldBets(tx, battleId, held);
+      return { pool: pool.total, bettors: held.length, winners: 0, refunded: true };
+    }
+
+    const payouts = calculatePayouts(held, winnerSide);
+    const settledAt = new Date();
+    for (const bet of held) {
+      const payout = payouts.get(bet.id);
+      const won = bet.side === winnerSide;
+      await tx.battleBet.update({
+        where: { id: bet.id },
+        data: { status: won ? 'won' : 'lost', payout, settledAt },
+      });
+
+      if (payout > 0) {
+        await applyVPDelta(tx, {
+          userId: bet.userId,
+          delta: payout,
+          reason: LEDGER_REASONS.BATTLE_BET_PAYOUT,
+          source: LEDGER_SOURCES.BATTLE,
+          referenceId: battleId,
+        });
+      }
+    }
+
+    return {
+      pool: pool.total,
+      bettors: held.length,
+      winners: held.filter((bet) => bet.side === winnerSide).length,
+      refunded: false,
+    };
+  });
+}
+
+async function refundHeldBets(tx, battleId, held) {
+  for (const bet of held) {
+    await tx.battleBet.update({
+      where: { id: bet.id },
+      data: { status: 'refunded', settledAt: new Date() },
+    });
+    await applyVPDelta(tx, {
+      userId: bet.userId,
+      delta: bet.amount,
+      reason: LEDGER_REASONS.BATTLE_BET_REFUND,
+      source: LEDGER_SOURCES.BATTLE,
+      referenceId: battleId,
+    });
+  }
+}
+
+/**
+ * Return every held bet on a battle to its backer. Returns the number of bets refunded.
+ */
+export async function refundBets(battleId) {
+  return prisma.$transaction(async (tx) => {
+    const held = await tx.battleBet.findMany({ where: { battleId, status: 'held' } });
+    await refundHeldBets(tx, battleId, held);
+    return held.length;
+  });
+}
+
+/**
+ * Refund bets left behind by battles that no longer exist in memory. Call once on startup.
+ */
+export async function recoverOrphanedBets(activeBattleIds = new Set()) {
+  const held = await prisma.battleBet.findMany({
+    where: { status: 'held' },
+    select: { battleId: true },
+    distinct: ['battleId'],
+  });
+
+  const orphaned = held.map((row) => row.battleId).filter((battleId) => !activeBattleIds.has(battleId));
+  let refunded = 0;
+
+  for (const battleId of orphaned) {
+    try {
+      refunded += await refundBets(battleId);
+    } catch (error) {
+      logger.error('failed to refund orphaned battle bets', { battleId, err: error });
+    }
+  }
+
+  if (orphaned.length > 0) {
+    logger.warn('refunded orphaned battle bets', { battles: orphaned.length, bets: refunded });
+  }
+
+  return { battles: orphaned.length, bets: refunded };
+}
@@ -0,0 +1,153 @@
+import prisma from '../db/index.js';
+import { applyVPDelta, HOUSE_ACCOUNT_ID, LEDGER_REASONS, LEDGER_SOURCES, upsertUser } from '../db/ledger.js';
+import { logger } from '../logger.js';
+
+const INSUFFICIENT_STAKE = 'INSUFFICIENT_STAKE';
+
+/**
+ * Move the stake from both players into escrow in a single transaction.
+ * Resolves `{ ok: true }`, or `{ ok: false, discordId }` naming the player who
+ * could not cover the stake (nothing is debited in that case).
+ */
+export async function escrowStakes(battle) {
+  const playerIds = [battle.challengerId, battle.opponentId];
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      for (const discordId of playerIds) {
+        const user = await upsertUser(tx, discordId);
+        const updated = await applyVPDelta(tx, {
+          userId: user.id,
+          delta: -battle.amount,
+          reason: LEDGER_REASONS.BATTLE_ESCROW,
+          source: LEDGER_SOURCES.BATTLE,
+          referenceId: battle.id,
+        });
+
+        if (updated.vp < 0) {
+          const error = new Error('Insufficient VP balance');
+          error.code = INSUFFICIENT_STAKE;
+          error.discordId = discordId;
+          throw error;
+        }
+
+        await tx.battleEscrow.create({
+          data: {
+            battleId: battle.id,
+            userId: user.id,
+            amount: battle.amount,
+            status: 'held',
+          },
+        });
+      }
+    });
+  } catch (error) {
+    if (error.code === INSUFFICIENT_STAKE) {
+      return { ok: false, discordId: error.discordId };
+    }
+    throw error;
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Pay every held stake for a battle to the winner, less the rake. With the 'house'
+ * destination the rake is credited to the house account in the same transaction;
+ * otherwise it leaves circulation and the caller routes it (e.g. to the jackpot).
+ * Returns `{ pot, payout, rake }`, or null if nothing was held (already settled or refunded).
+ */
+export async function releaseEscrow(battleId, winnerDiscordId, { rake = 0, destination = 'house' } = {}) {
+  return prisma.$transaction(async (tx) => {
+    const held = await tx.battleEscrow.findMany({ where: { battleId, status: 'held' } });
+    if (held.length === 0) {
+      return null;
+    }
+
+    const pot = held.reduce((sum, escrow) => sum + escrow.amount, 0);
+    const cut = Math.min(Math.max(rake, 0), pot);
+    const winner = await upsertUser(tx, winnerDiscordId);
+
+    await tx.battleEscrow.updateMany({
+      where: { id: { in: held.map((escrow) => escrow.id) } },
+      data: { status: 'released', settledAt: new Date() },
+    });
+
+    await applyVPDelta(tx, {
+      userId: winner.id,
+      delta: pot - cut,
+      reason: LEDGER_REASONS.BATTLE_WIN,
+      source: LEDGER_SOURCES.BATTLE,
+      referenceId: battleId,
+    });
+
+    if (cut > 0 && destination === 'house') {
+      const house = await upsertUser(tx, HOUSE_ACCOUNT_ID);
+      await applyVPDelta(tx, {
+        userId: house.id,
+        delta: cut,
+        reason: LEDGER_REASONS.BATTLE_RAKE,
+        source: LEDGER_SOURCES.BATTLE,
+        referenceId: battleId,
+      });
+    }
+
+    return { pot, payout: pot - cut, rake: cut };
+  });
+}
+
+/**
+ * Return every held stake for a battle to the player who posted it.
+ * Returns the number of stakes refunded.
+ */
+export async function refundEscrow(battleId) {
+  return prisma.$transaction(async (tx) => {
+    const held = await tx.battleEscrow.findMany({ where: { battleId, status: 'held' } });
+
+    for (const escrow of held) {
+      await tx.battleEscrow.update({
+        where: { id: escrow.id },
+        data: { status: 'refunded', settledAt: new Date() },
+      });
+
+      await applyVPDelta(tx, {
+        userId: escrow.userId,
+        delta: escrow.amount,
+        reason: LEDGER_REASONS.BATTLE_REFUND,
+        source: LEDGER_SOURCES.BATTLE,
+        referenceId: battleId,
+      });
+    }
+
+    return held.length;
+  });
+}
+
+/**
+ * Refund escrows left behind by battles that no longer exist in memory,
+ * e.g. after a crash or restart mid-game. Call once on startup.
+ */
+export async function recoverOrphanedEscrows(activeBattleIds = new Set()) {
+  const held = await prisma.battleEscrow.findMany({
+    where: { status: 'held' },
+    select: { battleId: true },
+    distinct: ['battleId'],
+  });
+
+  const orphaned = held.map((row) => row.battleId).filter((battleId) => !activeBattleIds.has(battleId));
+  let refunded = 0;
+
+  for (const battleId of orphaned) {
+    try {
+      refunded += await refundEscrow(battleId);
+    } catch (error) {
+      logger.error('failed to refund orphaned battle escrow', { battleId, err: error });
+    }
+  }
+
+  if (orphaned.length > 0) {
+    logger.warn('refunded orphaned battle escrows', { battles: orphaned.length, stakes: refunded });
+  }
+
+  return { battles: orphaned.length, stakes: refunded };
+}
@@ -0,0 +1,118 @@
+import { ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { createArcheryGame, resolveArchery } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, playerButtonRow, slotForResult, slotLabel } from './shared.js';
+
+const ROUND_TIMEOUT_MS = 45000;
+const TITLE = '🏹 Archery Shootout';
+
+function sum(values) {
+  return values.reduce((acc, value) => acc + value, 0);
+}
+
+/**
+ * Three arrows each; a tied score goes to sudden death, one arrow each until
+ * someone outscores the other.
+ */
+export const archeryGame = {
+  key: 'archery',
+  name: 'Archery Shootout',
+  async start(ctx) {
+    let round = 1;
+    let volley = null;
+    let fired = { p1: 0, p2: 0 };
+    let resolved = false;
+
+    const arrowsThisRound = () => volley.p1.length;
+    const suddenDeath = () => round > 1;
+
+    function describeQuiver(slot) {
+      const shots = volley[slot].slice(0, fired[slot]);
+      const remaining = arrowsThisRound() - fired[slot];
+      const marks = [...shots.map((value) => `🎯${value}`), ...Array(remaining).fill('➹')].join(' ');
+      return `${slotLabel(ctx, slot, { emphasize: true })}: ${marks} — **${sum(shots)}**`;
+    }
+
+    function buildRow(slot) {
+      const done = fired[slot] >= arrowsThisRound();
+      return playerButtonRow(ctx, slot, {
+        action: 'shoot',
+        label: done ? `Quiver empty — ${slotLabel(ctx, slot)}` : `🏹 Shoot — ${slotLabel(ctx, slot)}`,
+        style: ButtonStyle.Success,
+        disabled: done,
+        onPress: async (interaction) => {
+          if (fired[slot] >= arrowsThisRound()) {
+            await interaction.reply({ ephemeral: true, content: 'Your quiver is empty.' });
+            return;
+          }
+
+          const score = volley[slot][fired[slot]];
+          fired[slot] += 1;
+          await interaction.deferUpdate();
+
+          if (SLOTS.every((s) => fired[s] >= arrowsThisRound())) {
+            await resolveRound();
+          } else {
+            await render(`🎯 ${slotLabel(ctx, slot)} hits a **${score}**!`);
+          }
+        },
+      });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [
+          SLOTS.map(describeQuiver).join('\n'),
+          suddenDeath() ? `Sudden death ${round - 1} • One arrow each.` : 'Three arrows each, highest total wins.',
+        ],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: 'neutral',
+      });
+    }
+
+    async function startRound(message) {
+      const { challengerShots, opponentShots } = createArcheryGame();
+      const arrows = suddenDeath() ? 1 : challengerShots.length;
+      volley = { p1: challengerShots.slice(0, arrows), p2: opponentShots.slice(0, arrows) };
+      fired = { p1: 0, p2: 0 };
+      await render(message);
+
+      ctx.setTimeout(`archery-${round}`, ROUND_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        const finished = SLOTS.filter((slot) => fired[slot] >= arrowsThisRound());
+        await endByTimeout(ctx, TITLE, finished, { idle: 'finished shooting' });
+      });
+    }
+
+    async function resolveRound() {
+      if (resolved) return;
+      ctx.clearTimeout(`archery-${round}`);
+
+      const totals = { challengerTotal: sum(volley.p1), opponentTotal: sum(volley.p2) };
+      const winnerSlot = slotForResult(resolveArchery(totals));
+      if (!winnerSlot) {
+        round += 1;
+        await startRound(`🤝 Dead level at **${totals.challengerTotal}**! Sudden death — one arrow each.`);
+        return;
+      }
+
+      resolved = true;
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${slotLabel(ctx, winnerSlot, { emphasize: true })} outshoots the field!`,
+        extraLines: [SLOTS.map(describeQuiver).join('\n')],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, {
+        summary: `${totals.challengerTotal} vs ${totals.opponentTotal}${suddenDeath() ? ' in sudden death' : ''}.`,
+      });
+    }
+
+    await startRound('🏹 Three arrows each. Take aim!');
+  },
+};
@@ -221,7 +221,7 @@ export const blackjackBattleGame = {
       await finalize(winnerSlot, `${winnerSlot === 'p1' ? 'P1' : 'P2'} wins with ${Math.max(p1Total, p2Total)}.`);
     }
 
-    async function finalize(winnerSlot, summary) {
+    async function finalize(winnerSlot, summary, options = {}) {
       if (resolved) return;
       resolved = true;
       const winnerId = winnerSlot === 'p1' ? ctx.challengerId : ctx.opponentId;
@@ -234,7 +234,7 @@ export const blackjackBattleGame = {
         status: 'victory',
       });
 
-      await ctx.end(winnerId, loserId, { summary });
+      await ctx.end(winnerId, loserId, { summary, ...options });
     }
 
     async function render() {
@@ -259,7 +259,7 @@ export const blackjackBattleGame = {
           fields: buildFields(),
           status: 'defeat',
         });
-        await finalize(winnerSlot, 'Won by timeout.');
+        await finalize(winnerSlot, 'Won by timeout.', { timeout: true });
       });
     }
 
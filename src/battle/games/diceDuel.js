@@ -0,0 +1,108 @@
+import { presentGame } from '../../ui/presentGame.js';
+import { createDiceGame, resolveDice } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, playerButtonRow, slotForResult, slotLabel } from './shared.js';
+
+const DIE_FACES = ['⚀', '⚁', '⚂', '⚃', '⚄', '⚅'];
+const ROUND_TIMEOUT_MS = 30000;
+const TITLE = '🎲 Dice Duel';
+
+export const diceDuelGame = {
+  key: 'dice_duel',
+  name: 'Dice Duel',
+  async start(ctx) {
+    let round = 1;
+    let dice = null;
+    let rolled = { p1: false, p2: false };
+    let resolved = false;
+
+    function rollFor(slot) {
+      return slot === 'p1'
+        ? { rolls: dice.challengerRolls, total: dice.challengerTotal }
+        : { rolls: dice.opponentRolls, total: dice.opponentTotal };
+    }
+
+    function describeRoll(slot) {
+      const { rolls, total } = rollFor(slot);
+      return `${rolls.map((value) => DIE_FACES[value - 1]).join(' ')} = **${total}**`;
+    }
+
+    function describeTable() {
+      return SLOTS.map(
+        (slot) => `${slotLabel(ctx, slot, { emphasize: true })}: ${rolled[slot] ? describeRoll(slot) : '🫳 Shaking…'}`
+      ).join('\n');
+    }
+
+    function buildRow(slot) {
+      return playerButtonRow(ctx, slot, {
+        action: 'roll',
+        label: rolled[slot] ? `Rolled ${rollFor(slot).total} — ${slotLabel(ctx, slot)}` : `🎲 Roll — ${slotLabel(ctx, slot)}`,
+        disabled: rolled[slot],
+        onPress: async (interaction) => {
+          if (rolled[slot]) {
+            await interaction.reply({ ephemeral: true, content: 'Your dice have already landed.' });
+            return;
+          }
+
+          rolled[slot] = true;
+          await interaction.deferUpdate();
+
+          if (rolled.p1 && rolled.p2) {
+            await resolveRound();
+          } else {
+            await render(`🎲 ${slotLabel(ctx, slot)} rolls **${rollFor(slot).total}**. Your turn to answer!`);
+          }
+        },
+      });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [describeTable(), `Round ${round} • Two dice each, highest total wins.`],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: 'neutral',
+      });
+    }
+
+    async function startRound(message) {
+      dice = createDiceGame();
+      rolled = { p1: false, p2: false };
+      await render(message);
+
+      ctx.setTimeout(`dice-${round}`, ROUND_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, SLOTS.filter((slot) => rolled[slot]), { idle: 'rolled' });
+      });
+    }
+
+    async function resolveRound() {
+      if (resolved) return;
+      ctx.clearTimeout(`dice-${round}`);
+
+      const winnerSlot = slotForResult(resolveDice(dice));
+      if (!winnerSlot) {
+        const tiedTotal = dice.challengerTotal;
+        round += 1;
+        await startRound(`🤝 Both rolled **${tiedTotal}**! Pick the dice back up.`);
+        return;
+      }
+
+      resolved = true;
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${slotLabel(ctx, winnerSlot, { emphasize: true })} wins with **${rollFor(winnerSlot).total}**!`,
+        extraLines: [describeTable()],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, {
+        summary: `${dice.challengerTotal} vs ${dice.opponentTotal}.`,
+      });
+    }
+
+    await startRound('🎲 Two dice each — roll when ready!');
+  },
+};
@@ -156,7 +156,7 @@ export const guessNumberGame = {
           extraLines: [renderAttemptLog()],
           status: 'defeat',
         });
-        await ctx.end(winnerId, loserId, { summary: 'Opponent timed out.' });
+        await ctx.end(winnerId, loserId, { summary: 'Opponent timed out.', timeout: true });
       });
     }
 
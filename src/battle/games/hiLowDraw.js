@@ -71,10 +71,10 @@ export const hiLowDrawGame = {
       draws.p2 = null;
     }
 
-    async function conclude(winnerKey, summary) {
+    async function conclude(winnerKey, summary, options = {}) {
       const winnerId = winnerKey === 'p1' ? ctx.challengerId : ctx.opponentId;
       const loserId = winnerKey === 'p1' ? ctx.opponentId : ctx.challengerId;
-      await ctx.end(winnerId, loserId, { summary });
+      await ctx.end(winnerId, loserId, { summary, ...options });
     }
 
     function scheduleTimeout(slot) {
@@ -89,7 +89,7 @@ export const hiLowDrawGame = {
           )}.`
         );
         if (scores[winnerKey] >= ROUND_TARGET) {
-          await conclude(winnerKey, 'Victory by timeout.');
+          await conclude(winnerKey, 'Victory by timeout.', { timeout: true });
           return;
         }
         round += 1;
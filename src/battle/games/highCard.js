@@ -0,0 +1,98 @@
+import { presentGame } from '../../ui/presentGame.js';
+import { createHighCardGame, formatCard, resolveHighCard } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, playerButtonRow, slotForResult, slotLabel } from './shared.js';
+
+const ROUND_TIMEOUT_MS = 30000;
+const TITLE = '🃏 High Card';
+
+export const highCardGame = {
+  key: 'high_card',
+  name: 'High Card',
+  async start(ctx) {
+    let round = 1;
+    let deal = null;
+    let flipped = { p1: false, p2: false };
+    let resolved = false;
+
+    function cardFor(slot) {
+      return slot === 'p1' ? deal.challengerCard : deal.opponentCard;
+    }
+
+    function describeTable() {
+      return SLOTS.map(
+        (slot) => `${slotLabel(ctx, slot, { emphasize: true })}: ${flipped[slot] ? `**${formatCard(cardFor(slot))}**` : '🂠 Face down'}`
+      ).join('\n');
+    }
+
+    function buildRow(slot) {
+      return playerButtonRow(ctx, slot, {
+        action: 'flip',
+        label: flipped[slot] ? `${formatCard(cardFor(slot))} — ${slotLabel(ctx, slot)}` : `🂠 Flip — ${slotLabel(ctx, slot)}`,
+        disabled: flipped[slot],
+        onPress: async (interaction) => {
+          if (flipped[slot]) {
+            await interaction.reply({ ephemeral: true, content: 'Your card is already face up.' });
+            return;
+          }
+
+          flipped[slot] = true;
+          await interaction.deferUpdate();
+
+          if (flipped.p1 && flipped.p2) {
+            await resolveRound();
+          } else {
+            await render(`🂠 ${slotLabel(ctx, slot)} flips a **${formatCard(cardFor(slot))}**. Can it be beaten?`);
+          }
+        },
+      });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [describeTable(), `Round ${round} • Aces high, suits don't count.`],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: 'neutral',
+      });
+    }
+
+    async function startRound(message) {
+      deal = createHighCardGame();
+      flipped = { p1: false, p2: false };
+      await render(message);
+
+      ctx.setTimeout(`high-card-${round}`, ROUND_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, SLOTS.filter((slot) => flipped[slot]), { idle: 'flipped' });
+      });
+    }
+
+    async function resolveRound() {
+      if (resolved) return;
+      ctx.clearTimeout(`high-card-${round}`);
+
+      const winnerSlot = slotForResult(resolveHighCard(deal));
+      if (!winnerSlot) {
+        const tiedRank = deal.challengerCard.rank;
+        round += 1;
+        await startRound(`🤝 Two ${tiedRank}s! Fresh cards are dealt.`);
+        return;
+      }
+
+      resolved = true;
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${slotLabel(ctx, winnerSlot, { emphasize: true })} takes it with **${formatCard(cardFor(winnerSlot))}**!`,
+        extraLines: [describeTable()],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, { summary: `${formatCard(cardFor(winnerSlot))} is the high card.` });
+    }
+
+    await startRound('🎴 One card each, face down. Flip yours when ready!');
+  },
+};
@@ -0,0 +1,125 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { createOddEvenGame, resolveOddEven } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, playerButtonRow, slotLabel, slotUserId } from './shared.js';
+
+const SIDES = {
+  odd: { emoji: '1️⃣', label: 'Odd' },
+  even: { emoji: '2️⃣', label: 'Even' },
+};
+
+const TURN_TIMEOUT_MS = 30000;
+const TITLE = '🔢 Odd vs Even';
+
+/**
+ * The challenger calls odd or even, the opponent takes the other side and draws
+ * the number (1–10).
+ */
+export const oddEvenGame = {
+  key: 'odd_even',
+  name: 'Odd vs Even',
+  async start(ctx) {
+    const sides = { p1: null, p2: null };
+    let resolved = false;
+
+    function describeSides() {
+      return SLOTS.map((slot) => {
+        const side = sides[slot];
+        return `${slotLabel(ctx, slot, { emphasize: true })}: ${side ? `${SIDES[side].emoji} ${SIDES[side].label}` : '—'}`;
+      }).join('\n');
+    }
+
+    function pickRow() {
+      const row = new ActionRowBuilder();
+      for (const [side, data] of Object.entries(SIDES)) {
+        row.addComponents(
+          new ButtonBuilder()
+            .setCustomId(
+              ctx.registerAction({ player: 'p1', action: side }, async (interaction) => {
+                if (interaction.user.id !== slotUserId(ctx, 'p1')) {
+                  await interaction.reply({ ephemeral: true, content: 'The challenger makes the call.' });
+                  return;
+                }
+
+                sides.p1 = side;
+                sides.p2 = side === 'odd' ? 'even' : 'odd';
+                await interaction.deferUpdate();
+                await promptDraw();
+              })
+            )
+            .setLabel(`${data.emoji} ${data.label}`)
+            .setStyle(ButtonStyle.Primary)
+        );
+      }
+      return row;
+    }
+
+    async function promptCall() {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🎙️ ${slotLabel(ctx, 'p1', { emphasize: true })}, call it — odd or even?`,
+        extraLines: ['The other side goes to your rival, who draws a number from 1 to 10.'],
+        components: [pickRow()],
+        status: 'neutral',
+        turnUserId: ctx.challengerId,
+      });
+
+      ctx.setTimeout('odd-even-call', TURN_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, ['p2'], { idle: 'made the call' });
+      });
+    }
+
+    async function promptDraw() {
+      ctx.clearActions();
+      ctx.clearTimeout('odd-even-call');
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🎴 ${slotLabel(ctx, 'p2', { emphasize: true })}, draw the number!`,
+        extraLines: [describeSides()],
+        components: [
+          playerButtonRow(ctx, 'p2', {
+            action: 'draw',
+            label: `🎴 Draw — ${slotLabel(ctx, 'p2')}`,
+            onPress: async (interaction) => {
+              await interaction.deferUpdate();
+              await resolveDraw();
+            },
+          }),
+        ],
+        status: 'neutral',
+        turnUserId: ctx.opponentId,
+      });
+
+      ctx.setTimeout('odd-even-draw', TURN_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, ['p1'], { idle: 'drew' });
+      });
+    }
+
+    async function resolveDraw() {
+      if (resolved) return;
+      resolved = true;
+      ctx.clearActions();
+      ctx.clearTimeout('odd-even-draw');
+
+      const { number } = createOddEvenGame();
+      // resolveOddEven reports odd as a challenger win
+      const winningSide = resolveOddEven({ number }) === 'challenger' ? 'odd' : 'even';
+      const winnerSlot = sides.p1 === winningSide ? 'p1' : 'p2';
+
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🎉 The number is **${number}** — ${SIDES[winningSide].label.toLowerCase()}! ${slotLabel(ctx, winnerSlot, { emphasize: true })} wins.`,
+        extraLines: [describeSides()],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, { summary: `${number} is ${winningSide}.` });
+    }
+
+    await promptCall();
+  },
+};
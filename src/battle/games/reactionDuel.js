@@ -0,0 +1,144 @@
+import { ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { createReactionGame, resolveReaction } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, otherSlot, playerButtonRow, slotForResult, slotLabel } from './shared.js';
+
+const REACTION_WINDOW_MS = 10000;
+const TITLE = '⏱️ Reaction Duel';
+
+/**
+ * Both players wait for the signal, then each hits their button once. Clicking
+ * before the signal is a false start and hands the win to the rival; otherwise
+ * the faster reaction time wins.
+ */
+export const reactionDuelGame = {
+  key: 'reaction_duel',
+  name: 'Reaction Duel',
+  async start(ctx) {
+    let round = 1;
+    let game = null;
+    let signalAt = null;
+    let resolved = false;
+
+    const clickKey = (slot) => (slot === 'p1' ? 'challenger' : 'opponent');
+
+    function describeTimes() {
+      return SLOTS.map((slot) => {
+        const time = game.clickedAt[clickKey(slot)];
+        return `${slotLabel(ctx, slot, { emphasize: true })}: ${time ? `**${time} ms**` : '—'}`;
+      }).join('\n');
+    }
+
+    function buildRow(slot) {
+      const live = signalAt !== null;
+      const clicked = Boolean(game.clickedAt[clickKey(slot)]);
+      return playerButtonRow(ctx, slot, {
+        action: 'react',
+        label: live ? `⚡ React — ${slotLabel(ctx, slot)}` : `Wait for it… — ${slotLabel(ctx, slot)}`,
+        style: live ? ButtonStyle.Danger : ButtonStyle.Secondary,
+        disabled: clicked,
+        onPress: async (interaction) => {
+          if (resolved) {
+            await interaction.reply({ ephemeral: true, content: 'This duel is already settled.' });
+            return;
+          }
+
+          if (signalAt === null) {
+            await interaction.deferUpdate();
+            await falseStart(slot);
+            return;
+          }
+
+          if (game.clickedAt[clickKey(slot)]) {
+            await interaction.reply({ ephemeral: true, content: 'Your reaction is already on the board.' });
+            return;
+          }
+
+          // Never record 0 ms; resolveReaction treats a falsy time as a miss
+          game.clickedAt[clickKey(slot)] = Math.max(1, ctx.nowMs() - signalAt);
+          await interaction.deferUpdate();
+
+          if (game.clickedAt.challenger && game.clickedAt.opponent) {
+            await resolveRound();
+          } else {
+            await render('⚡ **GO!**');
+          }
+        },
+      });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [describeTimes(), `Round ${round} • Clicking before the signal loses.`],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: signalAt === null ? 'warning' : 'neutral',
+      });
+    }
+
+    async function falseStart(slot) {
+      resolved = true;
+      ctx.clearActions();
+      ctx.clearTimeout(`reaction-signal-${round}`);
+      const winnerSlot = otherSlot(slot);
+
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🚫 False start by ${slotLabel(ctx, slot, { emphasize: true })}! ${slotLabel(ctx, winnerSlot, { emphasize: true })} wins.`,
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, { summary: 'Won on a false start.' });
+    }
+
+    async function startRound(message) {
+      game = createReactionGame();
+      signalAt = null;
+      await render(message);
+
+      ctx.setTimeout(`reaction-signal-${round}`, game.delay, async () => {
+        if (resolved) return;
+        signalAt = ctx.nowMs();
+        await render('⚡ **GO!**');
+
+        ctx.setTimeout(`reaction-window-${round}`, REACTION_WINDOW_MS, async () => {
+          await resolveRound();
+        });
+      });
+    }
+
+    async function resolveRound() {
+      if (resolved) return;
+      ctx.clearTimeout(`reaction-window-${round}`);
+
+      const { challenger, opponent } = game.clickedAt;
+      const winnerSlot = slotForResult(resolveReaction(game));
+
+      if (!winnerSlot && challenger && opponent) {
+        round += 1;
+        await startRound(`🤝 A dead heat at **${challenger} ms**! Reset and wait for the signal again.`);
+        return;
+      }
+
+      resolved = true;
+      if (!winnerSlot) {
+        await endByTimeout(ctx, TITLE, [], { idle: 'reacted' });
+        return;
+      }
+
+      ctx.clearActions();
+
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${slotLabel(ctx, winnerSlot, { emphasize: true })} has the quicker hands!`,
+        extraLines: [describeTimes()],
+        status: 'victory',
+      });
+      const winnerTime = game.clickedAt[clickKey(winnerSlot)];
+      await endForSlot(ctx, winnerSlot, { summary: `Reacted in ${winnerTime} ms.` });
+    }
+
+    await startRound('👀 Hands off the buttons… wait for the signal!');
+  },
+};
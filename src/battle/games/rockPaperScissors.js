@@ -0,0 +1,117 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { resolveRPS } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, slotForResult, slotLabel, slotUserId } from './shared.js';
+
+const MOVES = {
+  rock: { emoji: '🪨', label: 'Rock' },
+  paper: { emoji: '📄', label: 'Paper' },
+  scissors: { emoji: '✂️', label: 'Scissors' },
+};
+
+const ROUND_TIMEOUT_MS = 30000;
+const TITLE = '✊ Rock Paper Scissors';
+
+export const rockPaperScissorsGame = {
+  key: 'rock_paper_scissors',
+  name: 'Rock Paper Scissors',
+  async start(ctx) {
+    let round = 1;
+    let choices = { p1: null, p2: null };
+    let resolved = false;
+
+    function describeMove(move) {
+      return `${MOVES[move].emoji} ${MOVES[move].label}`;
+    }
+
+    function statusLines() {
+      return SLOTS.map(
+        (slot) => `${slotLabel(ctx, slot, { emphasize: true })}: ${choices[slot] ? '🔒 Locked in' : '🤔 Choosing…'}`
+      ).join('\n');
+    }
+
+    function buildRow(slot) {
+      const row = new ActionRowBuilder();
+      for (const [move, data] of Object.entries(MOVES)) {
+        row.addComponents(
+          new ButtonBuilder()
+            .setCustomId(
+              ctx.registerAction({ player: slot, action: move }, async (interaction) => {
+                if (interaction.user.id !== slotUserId(ctx, slot)) {
+                  await interaction.reply({ ephemeral: true, content: 'Those are your opponent’s hands.' });
+                  return;
+                }
+                if (choices[slot]) {
+                  await interaction.reply({ ephemeral: true, content: 'Your throw is already locked in.' });
+                  return;
+                }
+
+                choices[slot] = move;
+                await interaction.reply({ ephemeral: true, content: `You threw ${describeMove(move)}.` });
+
+                if (choices.p1 && choices.p2) {
+                  await resolveRound();
+                } else {
+                  await render(`🔒 ${slotLabel(ctx, slot)} has thrown. Waiting on the rival…`);
+                }
+              })
+            )
+            .setLabel(`${data.emoji} ${data.label} — ${slotLabel(ctx, slot)}`.slice(0, 80))
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(Boolean(choices[slot]))
+        );
+      }
+      return row;
+    }
+
+    async function resolveRound() {
+      if (resolved) return;
+      ctx.clearTimeout(`rps-${round}`);
+
+      const reveal = SLOTS.map((slot) => `${slotLabel(ctx, slot, { emphasize: true })}: ${describeMove(choices[slot])}`).join(
+        '\n'
+      );
+      const winnerSlot = slotForResult(resolveRPS(choices.p1, choices.p2));
+
+      if (!winnerSlot) {
+        round += 1;
+        await startRound(`🤝 Both threw ${describeMove(choices.p1)}! Throw again.`);
+        return;
+      }
+
+      resolved = true;
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${describeMove(choices[winnerSlot])} wins it for ${slotLabel(ctx, winnerSlot, { emphasize: true })}!`,
+        extraLines: [reveal],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, { summary: `${MOVES[choices[winnerSlot]].label} wins.` });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [statusLines(), `Round ${round} • Throws stay hidden until both are in.`],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: 'neutral',
+      });
+    }
+
+    async function startRound(message) {
+      choices = { p1: null, p2: null };
+      await render(message);
+
+      ctx.setTimeout(`rps-${round}`, ROUND_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, SLOTS.filter((slot) => choices[slot]), { idle: 'threw' });
+      });
+    }
+
+    await startRound('🎬 Pick your throw — rock, paper or scissors!');
+  },
+};
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { labelForUser } from '../../ui/labelForUser.js';
+
+/**
+ * Helpers for the two-player games ported from the legacy `src/lib/games.js` resolvers,
+ * which report results as 'challenger' / 'opponent' / 'tie'.
+ */
+
+export const SLOTS = ['p1', 'p2'];
+
+export function otherSlot(slot) {
+  return slot === 'p1' ? 'p2' : 'p1';
+}
+
+export function slotUserId(ctx, slot) {
+  return slot === 'p1' ? ctx.challengerId : ctx.opponentId;
+}
+
+export function slotLabel(ctx, slot, options = {}) {
+  return labelForUser(slot === 'p1' ? ctx.p1 : ctx.p2, slotUserId(ctx, slot), {
+    fallback: slot === 'p1' ? 'Player 1' : 'Player 2',
+    ...options,
+  });
+}
+
+/** Map a legacy resolver result to the winning slot, or null for a tie. */
+export function slotForResult(result) {
+  if (result === 'challenger') return 'p1';
+  if (result === 'opponent') return 'p2';
+  return null;
+}
+
+/**
+ * Winner when a round times out: the only player who acted, or a random pick
+ * if neither did.
+ */
+export function timeoutWinnerSlot(actedSlots) {
+  if (actedSlots.length === 1) {
+    return actedSlots[0];
+  }
+  return SLOTS[crypto.randomInt(2)];
+}
+
+export async function endForSlot(ctx, winnerSlot, options = {}) {
+  await ctx.end(slotUserId(ctx, winnerSlot), slotUserId(ctx, otherSlot(winnerSlot)), options);
+}
+
+/**
+ * Settle a round nobody finished in time. `idle` completes "their rival never …".
+ */
+export async function endByTimeout(ctx, title, actedSlots, { idle = 'moved' } = {}) {
+  ctx.clearActions();
+  const winnerSlot = timeoutWinnerSlot(actedSlots);
+  const winner = slotLabel(ctx, winnerSlot, { emphasize: true });
+
+  await presentGame(ctx, {
+    title,
+    description:
+      actedSlots.length === 1
+        ? `⏳ Time! ${winner} wins because their rival never ${idle}.`
+        : `⏳ Nobody ${idle}! The crowd picks ${winner}.`,
+    status: 'defeat',
+  });
+  await endForSlot(ctx, winnerSlot, { summary: 'Win by timeout.', timeout: true, random: actedSlots.length !== 1 });
+}
+
+/**
+ * A single button only the player in `slot` may press.
+ */
+export function playerButtonRow(ctx, slot, { action, label, style = ButtonStyle.Primary, disabled = false, onPress }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(
+        ctx.registerAction({ player: slot, action }, async (interaction) => {
+          if (interaction.user.id !== slotUserId(ctx, slot)) {
+            await interaction.reply({ ephemeral: true, content: 'That button belongs to your opponent.' });
+            return;
+          }
+          await onPress(interaction);
+        })
+      )
+      .setLabel(label)
+      .setStyle(style)
+      .setDisabled(disabled)
+  );
+}
@@ -0,0 +1,123 @@
+import { ButtonStyle } from 'discord.js';
+import { presentGame } from '../../ui/presentGame.js';
+import { createSprintGame, resolveSprint } from '../../lib/games.js';
+import { SLOTS, endByTimeout, endForSlot, playerButtonRow, slotForResult, slotLabel } from './shared.js';
+
+const READY_TIMEOUT_MS = 30000;
+const TRACK_LENGTH = 10;
+const FRAME_COUNT = 4;
+const FRAME_DELAY_MS = 300;
+const TITLE = '🏃 Sprint Showdown';
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export const sprintGame = {
+  key: 'sprint',
+  name: 'Sprint Showdown',
+  async start(ctx) {
+    let heat = 1;
+    let ready = { p1: false, p2: false };
+    let resolved = false;
+
+    function describeLanes(progress = { p1: 0, p2: 0 }) {
+      return SLOTS.map((slot) => {
+        const steps = Math.min(TRACK_LENGTH, Math.round(progress[slot] * TRACK_LENGTH));
+        const lane = `${'▰'.repeat(steps)}${'▱'.repeat(TRACK_LENGTH - steps)}`;
+        return `${lane} 🏃 ${slotLabel(ctx, slot, { emphasize: true })}${ready[slot] ? '' : ' (stretching…)'}`;
+      }).join('\n');
+    }
+
+    function buildRow(slot) {
+      return playerButtonRow(ctx, slot, {
+        action: 'ready',
+        label: ready[slot] ? `On the blocks — ${slotLabel(ctx, slot)}` : `🟢 Ready — ${slotLabel(ctx, slot)}`,
+        style: ButtonStyle.Success,
+        disabled: ready[slot],
+        onPress: async (interaction) => {
+          if (ready[slot]) {
+            await interaction.reply({ ephemeral: true, content: 'You are already on the blocks.' });
+            return;
+          }
+
+          ready[slot] = true;
+          await interaction.deferUpdate();
+
+          if (ready.p1 && ready.p2) {
+            await runHeat();
+          } else {
+            await render(`🟢 ${slotLabel(ctx, slot)} is on the blocks. Waiting on the rival…`);
+          }
+        },
+      });
+    }
+
+    async function render(message) {
+      ctx.clearActions();
+      await presentGame(ctx, {
+        title: TITLE,
+        description: message,
+        extraLines: [describeLanes(), `Heat ${heat} • The race starts once both runners are ready.`],
+        components: [buildRow('p1'), buildRow('p2')],
+        status: 'neutral',
+      });
+    }
+
+    async function startHeat(message) {
+      ready = { p1: false, p2: false };
+      await render(message);
+
+      ctx.setTimeout(`sprint-${heat}`, READY_TIMEOUT_MS, async () => {
+        if (resolved) return;
+        resolved = true;
+        await endByTimeout(ctx, TITLE, SLOTS.filter((slot) => ready[slot]), { idle: 'got ready' });
+      });
+    }
+
+    async function runHeat() {
+      if (resolved) return;
+      resolved = true;
+      ctx.clearActions();
+      ctx.clearTimeout(`sprint-${heat}`);
+
+      const race = createSprintGame();
+      const times = { p1: race.challengerTime, p2: race.opponentTime };
+      const finish = Math.min(times.p1, times.p2);
+
+      for (let frame = 1; frame <= FRAME_COUNT; frame += 1) {
+        const elapsed = (finish * frame) / FRAME_COUNT;
+        await presentGame(ctx, {
+          title: TITLE,
+          description: frame === 1 ? '🔫 And they’re off!' : '💨 Neck and neck…',
+          extraLines: [describeLanes({ p1: elapsed / times.p1, p2: elapsed / times.p2 })],
+          status: 'neutral',
+        });
+        await delay(FRAME_DELAY_MS);
+      }
+
+      const winnerSlot = slotForResult(resolveSprint(race));
+      if (!winnerSlot) {
+        resolved = false;
+        heat += 1;
+        await startHeat(`📸 Photo finish at **${(finish / 100).toFixed(2)}s** — too close to call! Back to the blocks.`);
+        return;
+      }
+
+      await presentGame(ctx, {
+        title: TITLE,
+        description: `🏆 ${slotLabel(ctx, winnerSlot, { emphasize: true })} breaks the tape first!`,
+        extraLines: [
+          describeLanes({ p1: finish / times.p1, p2: finish / times.p2 }),
+          SLOTS.map((slot) => `${slotLabel(ctx, slot)}: **${(times[slot] / 100).toFixed(2)}s**`).join(' • '),
+        ],
+        status: 'victory',
+      });
+      await endForSlot(ctx, winnerSlot, {
+        summary: `Finished in ${(times[winnerSlot] / 100).toFixed(2)}s.`,
+      });
+    }
+
+    await startHeat('🏁 Runners to your marks! Hit ready when you are set.');
+  },
+};
@@ -167,7 +167,7 @@ export const ticTacToeGame = {
           extraLines: [renderBoardLines()],
           status: 'defeat',
         });
-        await ctx.end(winnerId, loserId, { summary: 'Win by timeout.' });
+        await ctx.end(winnerId, loserId, { summary: 'Win by timeout.', timeout: true });
       });
     }
 
@@ -7,10 +7,48 @@ import {
   StringSelectMenuBuilder,
   StringSelectMenuOptionBuilder,
 } from 'discord.js';
-import prisma, { getOrCreateUser } from '../db/index.js';
+import { getOrCreateUser } from '../db/index.js';
+import { escrowStakes, releaseEscrow, refundEscrow, recoverOrphanedEscrows } from './escrow.js';
+import { recoverOrphanedBets } from './bets.js';
+import {
+  createBattleRecord,
+  updateBattleRecord,
+  markBattleAccepted,
+  markBattleResolved,
+  markBattleClosed,
+  closeInterruptedBattles,
+  findResumableBattles,
+  parseBattleState,
+} from './store.js';
 import { battleGames, getGameByKey } from './registry.js';
 import { logger } from '../logger.js';
+import { logError, logTransaction } from '../lib/logger.js';
+import { contributeToGlobalJackpot, isGiveawayRuntimeAvailable } from '../giveaway/runtime.js';
+import { getBattleRake } from './rake.js';
+import { formatRatingChange, getOverallRating, getRankedRange, recordBattleRatings } from './rating.js';
+import {
+  SPECTATOR_PLAYER,
+  closeBetting,
+  handleSpectatorButton,
+  handleSpectatorModal,
+  openBetting,
+  refundSpectatorBets,
+  settleSpectatorBets,
+  spectatorPoolLine,
+  spectatorSettlementLine,
+} from './spectators.js';
 import { labelForUser } from '../ui/labelForUser.js';
+import {
+  ROTATION_GAME_KEY,
+  ROTATION_GAME_NAME,
+  createSeries,
+  currentRound,
+  describeSeriesRounds,
+  formatSeriesScore,
+  isSeries,
+  pickSeriesGame,
+  recordSeriesRound,
+} from './series.js';
 
 const nowMs = () => Date.now();
 
@@ -130,33 +168,53 @@ async function resolveBattlePlayers(battle, guild) {
 const ACTIVE_BATTLES = new Map();
 export const BATTLE_CUSTOM_ID_PREFIX = 'b';
 const DEFAULT_TIMEOUT_MS = 20_000;
-
-function randomId() {
-  return crypto.randomBytes(6).toString('hex');
-}
+const SELECT_TIMEOUT_MS = 60_000;
+const OPEN_TIMEOUT_MS = 60_000;
+const SERIES_INTERMISSION_MS = 5_000;
 
 class BattleState {
-  constructor({ interaction, opponent, opponentUser, opponentMember, amount, type }) {
-    this.id = randomId();
+  constructor({
+    id,
+    interaction = null,
+    challengerId = null,
+    client = null,
+    guild = null,
+    channelId = null,
+    opponent,
+    opponentUser,
+    opponentMember,
+    amount,
+    type,
+    bestOf = 1,
+  }) {
+    this.id = String(id);
     this.interaction = interaction;
-    this.channelId = interaction.channelId;
+    this.channelId = interaction?.channelId ?? channelId;
     this.message = null;
     this.turn = 0;
     this.amount = amount;
     this.type = type;
-    this.challengerId = interaction.user.id;
+    this.challengerId = interaction?.user.id ?? challengerId;
     this.opponentId = opponent ?? null;
     this.status = type === 'open' ? 'open' : 'pending';
     this.actionHandlers = new Map();
     this.timeouts = new Map();
     this.resolved = false;
     this.game = null;
+    this.seriesGame = null;
+    this.series = createSeries(bestOf);
     this.snapshot = null;
-    this.client = interaction.client;
-    this.guildId = interaction.guildId ?? null;
-    this.guild = interaction.guild ?? null;
-    this.challengerMember = interaction.member ?? null;
-    this.challengerUser = interaction.user;
+    // Set for tournament matches: { id, label, onResult, onError }
+    this.tournament = null;
+    // Set for ranked open invites: { rating, min, max }
+    this.ranked = null;
+    // Spectator side pool, see spectators.js
+    this.betting = null;
+    this.client = interaction?.client ?? client;
+    this.guildId = interaction?.guildId ?? guild?.id ?? null;
+    this.guild = interaction?.guild ?? guild;
+    this.challengerMember = interaction?.member ?? null;
+    this.challengerUser = interaction?.user ?? null;
     this.opponentMember = opponentMember ?? null;
     this.opponentUser = opponentUser ?? null;
     this.p1 = null;
@@ -230,7 +288,10 @@ function challengeEmbed(battle, { statusText = 'Waiting for a response…', stat
     .setDescription([
       playerLine(battle),
       '',
-      `Stake: ${battle.amount} points`,
+      battle.tournament ? `🏟️ ${battle.tournament.label}` : `Stake: ${battle.amount} points`,
+      ...(isSeries(battle.series)
+        ? [`Format: Best of ${battle.series.bestOf} — the stake is settled once the series is decided`]
+        : []),
       statusText,
     ].join('\n'))
     .setFooter({ text: `💰 Total Wager: ${battle.amount} points` });
@@ -244,12 +305,53 @@ function openInviteEmbed(battle) {
       playerLine(battle),
       '',
       `Stake: ${battle.amount} points`,
+      ...(battle.ranked
+        ? [`🏅 Ranked: host rated ${battle.ranked.rating}, open to players rated ${battle.ranked.min}–${battle.ranked.max}`]
+        : []),
       'Press **Join** to accept this duel.',
     ].join('\n'))
     .setFooter({ text: `💰 Total Wager: ${battle.amount} points` });
 }
 
-function resultsEmbed(battle, { winnerId, loserId, gameName, amount, summary }) {
+function battleGameName(battle) {
+  const name = battle.series.rotation ? ROTATION_GAME_NAME : battle.seriesGame?.name ?? battle.game?.name ?? 'Battle';
+  return isSeries(battle.series) ? `${name} (Best of ${battle.series.bestOf})` : name;
+}
+
+function seriesLabels(battle) {
+  return {
+    p1Label: labelForUser(battle.p1 ?? { id: battle.challengerId, displayName: `<@${battle.challengerId}>` }, null),
+    p2Label: labelForUser(battle.p2 ?? { id: battle.opponentId, displayName: `<@${battle.opponentId}>` }, null),
+  };
+}
+
+function seriesRoundLines(battle) {
+  return describeSeriesRounds(battle.series, {
+    ...seriesLabels(battle),
+    gameName: (key) => getGameByKey(key)?.name ?? key,
+  });
+}
+
+function seriesEmbed(battle, { lastSummary, nextGame }) {
+  const { p1Label, p2Label } = seriesLabels(battle);
+  const lastRound = battle.series.rounds[battle.series.rounds.length - 1];
+  const lastWinner = lastRound.winner === 'p1' ? p1Label : p2Label;
+
+  return new EmbedBuilder()
+    .setTitle(`🏆 Best of ${battle.series.bestOf} — Scoreboard`)
+    .setColor(EMBED_COLORS.neutral)
+    .setDescription(
+      [
+        formatSeriesScore(battle.series, p1Label, p2Label),
+        `Round ${battle.series.rounds.length} goes to **${lastWinner}**.${lastSummary ? ` ${lastSummary}` : ''}`,
+        seriesRoundLines(battle).join('\n'),
+        `⏭️ Round ${currentRound(battle.series)}: **${nextGame.name}** starts in ${SERIES_INTERMISSION_MS / 1000} seconds…`,
+      ].join('\n\n')
+    )
+    .setFooter({ text: `💰 Total Wager: ${battle.amount} points` });
+}
+
+function resultsEmbed(battle, { winnerId, loserId, gameName, amount, summary, settlement, footer, ratings, bets }) {
   const winner = winnerId === battle.challengerId ? battle.p1 : battle.p2;
   const loser = loserId === battle.challengerId ? battle.p1 : battle.p2;
   const winnerLabel = labelForUser(winner ?? { id: winnerId, displayName: `<@${winnerId}>` }, winnerId);
@@ -263,51 +365,174 @@ function resultsEmbed(battle, { winnerId, loserId, gameName, amount, summary })
         `🏆 ${winnerLabel}`,
         `💀 ${loserLabel}`,
         `🎮 Game: ${gameName}`,
+        ...(ratings
+          ? [
+              `📈 Rating: ${winnerLabel} ${ratings.overall.winner.rating} (${formatRatingChange(ratings.overall.winner.delta)}) • ${loserLabel} ${ratings.overall.loser.rating} (${formatRatingChange(ratings.overall.loser.delta)})`,
+            ]
+          : []),
+        ...(bets ? [spectatorSettlementLine(bets)] : []),
         summary ?? 'GGs!',
       ].join('\n\n')
     )
-    .setFooter({ text: `💰 Total Wager: ${amount} points` })
+    .setFooter({ text: footer ?? resultsFooter(amount, settlement) })
     .setTimestamp();
 }
 
-async function settleBattle(battle, winnerId, loserId) {
+function resultsFooter(amount, settlement) {
+  if (!settlement?.payout) {
+    return `💰 Total Wager: ${amount} points`;
+  }
+
+  if (settlement.rake > 0) {
+    const target = settlement.destination === 'jackpot' ? 'jackpot' : 'house';
+    return `💰 Pot: ${settlement.pot} points • 🏦 Rake (${settlement.percent}% to ${target}): ${settlement.rake} points • Winner receives ${settlement.payout} points`;
+  }
+
+  return `💰 Pot: ${settlement.pot} points • Winner receives ${settlement.payout} points`;
+}
+
+/**
+ * Best-effort rating update for a decided battle; a failure is logged and never blocks
+ * the payout or the results message. Battles with a round won by a random pick (nobody
+ * acted before the timer ran out) are not rated, so idle invites cannot farm rating.
+ */
+async function updateRatings(battle, winnerId, loserId) {
+  if (battle.decidedAtRandom) {
+    return null;
+  }
+
   try {
-    await prisma.$transaction(async (tx) => {
-      const winner = await getOrCreateUser(winnerId);
-      const loser = await getOrCreateUser(loserId);
+    const gameKey = battle.series.rotation ? null : battle.game?.key ?? null;
+    return await recordBattleRatings({ winnerId, loserId, gameKey });
+  } catch (error) {
+    logger.error('failed to update battle ratings', { err: error, battleId: battle.id });
+    return null;
+  }
+}
 
-      await tx.user.update({
-        where: { id: winner.id },
-        data: { vp: { increment: battle.amount } },
-      });
+/**
+ * Pay the escrowed pot to the winner. If the payout cannot be written the stakes are
+ * refunded instead; anything still held after that is returned by startup recovery.
+ */
+async function settleBattle(battle, winnerId) {
+  try {
+    // A rotation series mixes games, so only the global rake applies
+    const gameKey = battle.series.rotation ? null : battle.game?.key;
+    const { percent, rake, destination: configured } = await getBattleRake(battle.amount, gameKey);
+    // Without the giveaway system the jackpot cannot be credited, so keep the rake in the house
+    const destination = configured === 'jackpot' && isGiveawayRuntimeAvailable() ? 'jackpot' : 'house';
+
+    const released = await releaseEscrow(battle.id, winnerId, { rake, destination });
+    if (released?.rake > 0 && destination === 'jackpot') {
+      contributeToGlobalJackpot(released.rake);
+    }
 
-      await tx.user.update({
-        where: { id: loser.id },
-        data: { vp: { decrement: battle.amount } },
-      });
-    });
+    return { settled: true, percent, destination, ...released };
   } catch (error) {
     logger.error('battle settlement error', { err: error, battleId: battle.id });
+    await logError(error, `Battle ${battle.id} settlement failed`);
+  }
+
+  try {
+    await refundEscrow(battle.id);
+    return { settled: false, refunded: true };
+  } catch (error) {
+    logger.error('battle refund after failed settlement error', { err: error, battleId: battle.id });
+    return { settled: false, refunded: false };
   }
 }
 
-async function finalizeBattle(battle, winnerId, loserId, { summary } = {}) {
+async function refundBattle(battle) {
+  try {
+    await refundEscrow(battle.id);
+    return true;
+  } catch (error) {
+    logger.error('battle escrow refund error', { err: error, battleId: battle.id });
+    await logError(error, `Battle ${battle.id} refund failed`);
+    return false;
+  }
+}
+
+async function cancelBattle(battle, statusText) {
   if (battle.resolved) return;
   battle.resolved = true;
+  battle.status = 'canceled';
   battle.clearActions();
   battle.clearAllTimeouts();
-  battle.snapshot = null;
 
-  await settleBattle(battle, winnerId, loserId);
+  const refunded = await refundBattle(battle);
+  await markBattleClosed(battle, 'canceled');
+  await refundSpectatorBets(battle);
+
+  if (battle.message) {
+    await resolveBattlePlayers(battle, battle.guild ?? null);
+    await battle.message.edit({
+      embeds: [
+        challengeEmbed(battle, {
+          statusText: refunded ? `${statusText} Stakes refunded.` : statusText,
+          status: 'defeat',
+        }),
+      ],
+      components: [],
+    });
+  }
+
+  ACTIVE_BATTLES.delete(battle.id);
+}
+
+async function finalizeBattle(battle, winnerId, loserId, { summary, timeout = false } = {}) {
+  if (battle.resolved) return;
+  battle.resolved = true;
+  battle.clearActions();
+  battle.clearAllTimeouts();
+
+  if (battle.tournament) {
+    await finalizeTournamentMatch(battle, winnerId, loserId, { summary, timeout });
+    return;
+  }
+
+  const settlement = await settleBattle(battle, winnerId);
+  let ratings = null;
+  let bets = null;
+  if (settlement.settled) {
+    await markBattleResolved(battle, winnerId, {
+      summary,
+      rake: settlement.rake ?? 0,
+      series: isSeries(battle.series) ? battle.series : null,
+    });
+    bets = await settleSpectatorBets(battle, winnerId, { timeout });
+    await logTransaction('battle', {
+      game: battleGameName(battle),
+      challengerId: battle.challengerId,
+      opponentId: battle.opponentId,
+      amount: battle.amount,
+      winnerId,
+      payout: settlement.payout,
+      rake: settlement.rake,
+      rakeDestination: settlement.destination,
+      betPool: bets,
+    });
+    ratings = await updateRatings(battle, winnerId, loserId);
+  } else {
+    await markBattleClosed(battle, 'canceled');
+    await refundSpectatorBets(battle);
+    summary = settlement.refunded
+      ? '⚠️ The payout could not be processed, so both stakes were refunded.'
+      : '⚠️ The payout could not be processed. Stakes are held and will be refunded automatically.';
+  }
+  battle.snapshot = null;
 
   if (battle.message) {
     await resolveBattlePlayers(battle, battle.guild ?? null);
     const embed = resultsEmbed(battle, {
       winnerId,
       loserId,
-      gameName: battle.game?.name ?? 'Battle',
+      gameName: battleGameName(battle),
       amount: battle.amount,
       summary,
+      settlement,
+      ratings,
+      bets,
     });
 
     await battle.message.edit({ embeds: [embed], components: [] });
@@ -316,6 +541,91 @@ async function finalizeBattle(battle, winnerId, loserId, { summary } = {}) {
   ACTIVE_BATTLES.delete(battle.id);
 }
 
+/**
+ * Tournament matches carry no stake; the result is recorded and handed back to the
+ * tournament, which advances the winner and pays prizes at the end.
+ */
+async function finalizeTournamentMatch(battle, winnerId, loserId, { summary, timeout = false } = {}) {
+  await markBattleResolved(battle, winnerId, { summary, rake: 0 });
+  const bets = await settleSpectatorBets(battle, winnerId, { timeout });
+  const ratings = await updateRatings(battle, winnerId, loserId);
+  battle.snapshot = null;
+
+  if (battle.message) {
+    await resolveBattlePlayers(battle, battle.guild ?? null);
+    await battle.message.edit({
+      embeds: [
+        resultsEmbed(battle, {
+          winnerId,
+          loserId,
+          gameName: battleGameName(battle),
+          amount: 0,
+          summary,
+          footer: `🏟️ ${battle.tournament.label}`,
+          ratings,
+          bets,
+        }),
+      ],
+      components: [],
+    });
+  }
+
+  ACTIVE_BATTLES.delete(battle.id);
+
+  try {
+    await battle.tournament.onResult(winnerId, loserId);
+  } catch (error) {
+    logger.error('tournament match result handler failed', { err: error, battleId: battle.id });
+  }
+}
+
+/**
+ * A game reported its winner. Single games settle straight away; a series records the
+ * round and either settles once someone has clinched it or moves on to the next round.
+ */
+async function completeRound(battle, round, winnerId, loserId, { summary, timeout = false, random = false } = {}) {
+  if (battle.resolved || round !== currentRound(battle.series)) return;
+  if (random) {
+    battle.decidedAtRandom = true;
+  }
+
+  if (!isSeries(battle.series)) {
+    await finalizeBattle(battle, winnerId, loserId, { summary, timeout });
+    return;
+  }
+
+  const winnerSlot = winnerId === battle.challengerId ? 'p1' : 'p2';
+  const clinched = recordSeriesRound(battle.series, { winnerSlot, gameKey: battle.game?.key, summary: summary ?? null });
+  battle.clearActions();
+  battle.clearAllTimeouts();
+  closeBetting(battle);
+
+  await resolveBattlePlayers(battle, battle.guild ?? null);
+  const { p1Label, p2Label } = seriesLabels(battle);
+
+  if (clinched) {
+    await finalizeBattle(battle, winnerId, loserId, {
+      summary: [`📊 ${formatSeriesScore(battle.series, p1Label, p2Label)}`, seriesRoundLines(battle).join('\n')].join(
+        '\n\n'
+      ),
+      timeout,
+    });
+    return;
+  }
+
+  const nextGame = pickSeriesGame(battle.series, battleGames, battle.seriesGame);
+  await updateBattleRecord(battle.id, { state: JSON.stringify({ series: battle.series }) });
+
+  if (battle.message) {
+    await battle.message.edit({ embeds: [seriesEmbed(battle, { lastSummary: summary, nextGame })], components: [] });
+  }
+
+  battle.setTimeout('next-round', SERIES_INTERMISSION_MS, async () => {
+    if (battle.resolved) return;
+    await startBattleGame(battle, nextGame, null);
+  });
+}
+
 function ensureParticipant(interaction, battle) {
   const userId = interaction.user?.id;
   if (![battle.challengerId, battle.opponentId].includes(userId)) {
@@ -364,10 +674,40 @@ function gameSelectRow(battle) {
 
   select.addOptions(new StringSelectMenuOptionBuilder().setLabel('Random Game').setValue('random'));
 
+  if (isSeries(battle.series)) {
+    select.addOptions(
+      new StringSelectMenuOptionBuilder()
+        .setLabel(ROTATION_GAME_NAME)
+        .setDescription('A different random game every round')
+        .setValue(ROTATION_GAME_KEY)
+    );
+  }
+
   return [new ActionRowBuilder().addComponents(select)];
 }
 
-export async function createDirectBattle(interaction, opponent, amount) {
+async function createBattleRecordSafe(interaction, { opponentId = null, amount, status, bestOf = 1 }) {
+  try {
+    return await createBattleRecord({
+      challengerId: interaction.user.id,
+      opponentId,
+      amount,
+      bestOf,
+      status,
+      guildId: interaction.guildId,
+      channelId: interaction.channelId,
+    });
+  } catch (error) {
+    logger.error('failed to create battle record', { err: error, challengerId: interaction.user.id });
+    await interaction.reply({
+      ephemeral: true,
+      content: '❌ Could not start the battle right now. Please try again.',
+    });
+    return null;
+  }
+}
+
+export async function createDirectBattle(interaction, opponent, amount, { bestOf = 1 } = {}) {
   // Check challenger has enough points
   const challenger = await getOrCreateUser(interaction.user.id);
   if (challenger.vp < amount) {
@@ -378,14 +718,26 @@ export async function createDirectBattle(interaction, opponent, amount) {
     return null;
   }
 
+  const record = await createBattleRecordSafe(interaction, {
+    opponentId: opponent.id,
+    amount,
+    bestOf,
+    status: 'pending',
+  });
+  if (!record) {
+    return null;
+  }
+
   const opponentMember = interaction.guild?.members?.cache?.get(opponent.id) ?? null;
   const battle = new BattleState({
+    id: record.id,
     interaction,
     opponent: opponent.id,
     opponentUser: opponent,
     opponentMember,
     amount,
     type: 'direct',
+    bestOf,
   });
   ACTIVE_BATTLES.set(battle.id, battle);
 
@@ -395,13 +747,20 @@ export async function createDirectBattle(interaction, opponent, amount) {
     embeds: [challengeEmbed(battle)],
     components: acceptButtons(battle),
   });
+  await updateBattleRecord(battle.id, { messageId: battle.message?.id ?? null });
+  startAcceptTimeout(battle);
+
+  return battle;
+}
 
+function startAcceptTimeout(battle) {
   battle.setTimeout('accept', DEFAULT_TIMEOUT_MS, async () => {
     if (battle.status !== 'pending' || battle.resolved) return;
     battle.status = 'expired';
     battle.clearActions();
+    await markBattleClosed(battle, 'expired');
     if (battle.message) {
-      await resolveBattlePlayers(battle, interaction.guild);
+      await resolveBattlePlayers(battle, battle.guild ?? null);
       await battle.message.edit({
         embeds: [challengeEmbed(battle, { statusText: 'Challenge expired — no response.', status: 'defeat' })],
         components: [],
@@ -409,11 +768,9 @@ export async function createDirectBattle(interaction, opponent, amount) {
     }
     ACTIVE_BATTLES.delete(battle.id);
   });
-
-  return battle;
 }
 
-export async function createOpenBattle(interaction, amount) {
+export async function createOpenBattle(interaction, amount, { ranked = false } = {}) {
   // Check challenger has enough points
   const challenger = await getOrCreateUser(interaction.user.id);
   if (challenger.vp < amount) {
@@ -424,7 +781,13 @@ export async function createOpenBattle(interaction, amount) {
     return null;
   }
 
+  const record = await createBattleRecordSafe(interaction, { amount, status: 'open' });
+  if (!record) {
+    return null;
+  }
+
   const battle = new BattleState({
+    id: record.id,
     interaction,
     opponent: null,
     opponentUser: null,
@@ -432,6 +795,11 @@ export async function createOpenBattle(interaction, amount) {
     amount,
     type: 'open',
   });
+  if (ranked) {
+    const rating = await getOverallRating(interaction.user.id);
+    const range = await getRankedRange();
+    battle.ranked = { rating, min: rating - range, max: rating + range };
+  }
   ACTIVE_BATTLES.set(battle.id, battle);
 
   await interaction.deferReply();
@@ -440,13 +808,24 @@ export async function createOpenBattle(interaction, amount) {
     embeds: [openInviteEmbed(battle)],
     components: joinButton(battle),
   });
+  await updateBattleRecord(battle.id, {
+    messageId: battle.message?.id ?? null,
+    // Kept so a ranked invite is still ranked if it is resumed after a restart
+    ...(battle.ranked ? { state: JSON.stringify({ ranked: battle.ranked }) } : {}),
+  });
+  startOpenTimeout(battle);
+
+  return battle;
+}
 
-  battle.setTimeout('open', 60_000, async () => {
+function startOpenTimeout(battle) {
+  battle.setTimeout('open', OPEN_TIMEOUT_MS, async () => {
     if (battle.status !== 'open' || battle.resolved) return;
     battle.status = 'expired';
     battle.clearActions();
+    await markBattleClosed(battle, 'expired');
     if (battle.message) {
-      await resolveBattlePlayers(battle, interaction.guild);
+      await resolveBattlePlayers(battle, battle.guild ?? null);
       await battle.message.edit({
         embeds: [challengeEmbed(battle, { statusText: 'Invite expired after 60 seconds.', status: 'defeat' })],
         components: [],
@@ -454,8 +833,6 @@ export async function createOpenBattle(interaction, amount) {
     }
     ACTIVE_BATTLES.delete(battle.id);
   });
-
-  return battle;
 }
 
 async function handleAccept(interaction, battle) {
@@ -479,21 +856,55 @@ async function handleAccept(interaction, battle) {
     return;
   }
 
+  battle.status = 'escrowing';
+  let escrow;
+  try {
+    escrow = await escrowStakes(battle);
+  } catch (error) {
+    battle.status = 'pending';
+    logger.error('failed to escrow battle stakes', { battleId: battle.id, err: error });
+    await interaction.reply({
+      ephemeral: true,
+      content: '❌ Could not lock in the stakes. No points were taken; please try again.',
+    });
+    return;
+  }
+  if (!escrow.ok) {
+    battle.status = 'pending';
+    await interaction.reply({
+      ephemeral: true,
+      content:
+        escrow.discordId === battle.opponentId
+          ? `❌ You don't have enough points to accept this battle. You need ${battle.amount} points.`
+          : `❌ <@${battle.challengerId}> no longer has enough points to cover the ${battle.amount} point stake.`,
+    });
+    return;
+  }
+
   await interaction.deferUpdate();
 
   battle.status = 'selecting';
   battle.clearActions();
   battle.clearTimeout('accept');
+  startSelectTimeout(battle);
+  await markBattleAccepted(battle);
 
   if (battle.message) {
     await resolveBattlePlayers(battle, interaction.guild);
     await battle.message.edit({
-      embeds: [challengeEmbed(battle, { statusText: 'Challenge accepted! Choose a game.' })],
+      embeds: [challengeEmbed(battle, { statusText: 'Challenge accepted! Stakes are locked in. Choose a game.' })],
       components: gameSelectRow(battle),
     });
   }
 }
 
+function startSelectTimeout(battle) {
+  battle.setTimeout('select', SELECT_TIMEOUT_MS, async () => {
+    if (battle.status !== 'selecting' || battle.resolved) return;
+    await cancelBattle(battle, 'No game was selected in time.');
+  });
+}
+
 async function handleDecline(interaction, battle) {
   if (battle.status !== 'pending') {
     await interaction.reply({ ephemeral: true, content: 'This challenge is no longer active.' });
@@ -510,6 +921,7 @@ async function handleDecline(interaction, battle) {
   battle.status = 'declined';
   battle.clearActions();
   battle.clearTimeout('accept');
+  await markBattleClosed(battle, 'declined');
 
   if (battle.message) {
     await resolveBattlePlayers(battle, interaction.guild);
@@ -538,6 +950,17 @@ async function handleJoin(interaction, battle) {
     return;
   }
 
+  if (battle.ranked) {
+    const rating = await getOverallRating(interaction.user.id);
+    if (rating < battle.ranked.min || rating > battle.ranked.max) {
+      await interaction.reply({
+        ephemeral: true,
+        content: `🏅 This ranked invite is for players rated ${battle.ranked.min}–${battle.ranked.max}. Your rating is ${rating}.`,
+      });
+      return;
+    }
+  }
+
   // Check user has enough points
   const user = await getOrCreateUser(interaction.user.id);
   if (user.vp < battle.amount) {
@@ -570,12 +993,41 @@ async function handleJoin(interaction, battle) {
       return;
     }
 
+    b.opponentId = interaction.user.id;
+    b.status = 'escrowing';
+    let escrow;
+    try {
+      escrow = await escrowStakes(b);
+    } catch (error) {
+      b.opponentId = null;
+      b.status = 'open';
+      logger.error('failed to escrow battle stakes', { battleId: b.id, err: error });
+      await i.reply({
+        ephemeral: true,
+        content: '❌ Could not lock in the stakes. No points were taken; please try again.',
+      });
+      return;
+    }
+    if (!escrow.ok) {
+      b.opponentId = null;
+      b.status = 'open';
+      await i.reply({
+        ephemeral: true,
+        content:
+          escrow.discordId === interaction.user.id
+            ? `❌ You don't have enough points to join this battle. You need ${b.amount} points.`
+            : `❌ <@${b.challengerId}> no longer has enough points to cover the ${b.amount} point stake.`,
+      });
+      return;
+    }
+
     b.opponentMember = interaction.member ?? i.member ?? b.opponentMember ?? null;
     b.opponentUser = interaction.user;
-    b.opponentId = interaction.user.id;
     b.status = 'selecting';
     b.clearActions();
     b.clearAllTimeouts();
+    startSelectTimeout(b);
+    await markBattleAccepted(b);
 
     await i.deferUpdate();
     await i.editReply({
@@ -663,12 +1115,23 @@ export async function handleBattleComponent(interaction) {
     return false;
   }
 
+  const [, , player, action] = interaction.customId.split(':');
+  if (player === SPECTATOR_PLAYER) {
+    await handleSpectatorButton(interaction, battle, action === 'bet-p2' ? 'p2' : 'p1');
+    return true;
+  }
+
   const handler = battle.actionHandlers.get(interaction.customId);
   if (!handler) {
     await interaction.reply({ ephemeral: true, content: 'This action is no longer available.' });
     return true;
   }
 
+  // The first move by either player ends the spectator betting window
+  if ([battle.challengerId, battle.opponentId].includes(interaction.user.id)) {
+    closeBetting(battle);
+  }
+
   try {
     const result = await handler(interaction, battle);
     return result ?? true;
@@ -681,6 +1144,32 @@ export async function handleBattleComponent(interaction) {
   }
 }
 
+/**
+ * Modal submits for a battle; currently only spectator bet amounts.
+ */
+export async function handleBattleModal(interaction) {
+  const battle = getBattleFromInteraction(interaction);
+  const [, , player, action] = (interaction.customId ?? '').split(':');
+  if (player !== SPECTATOR_PLAYER) {
+    return false;
+  }
+
+  if (!battle) {
+    await interaction.reply({ ephemeral: true, content: 'This battle is no longer running.' });
+    return true;
+  }
+
+  try {
+    await handleSpectatorModal(interaction, battle, action === 'amount-p2' ? 'p2' : 'p1');
+  } catch (error) {
+    logger.error('spectator bet failed', { err: error, battleId: battle.id });
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ ephemeral: true, content: 'Something went wrong placing that bet.' });
+    }
+  }
+  return true;
+}
+
 export async function handleBattleSelect(interaction) {
   const battle = getBattleFromInteraction(interaction);
   if (!battle) {
@@ -712,7 +1201,8 @@ export async function handleBattleSelect(interaction) {
   }
 
   const choice = interaction.values?.[0];
-  const game = choice === 'random'
+  const rotation = choice === ROTATION_GAME_KEY && isSeries(battle.series);
+  const game = choice === 'random' || rotation
     ? battleGames[crypto.randomInt(battleGames.length)]
     : getGameByKey(choice);
 
@@ -721,13 +1211,28 @@ export async function handleBattleSelect(interaction) {
     return true;
   }
 
-  battle.game = game;
+  battle.series.rotation = rotation;
+  battle.seriesGame = game;
   battle.status = 'playing';
   battle.clearActions();
+  battle.clearTimeout('select');
+  await updateBattleRecord(battle.id, { game: rotation ? ROTATION_GAME_KEY : game.key, status: 'playing' });
 
   await interaction.deferUpdate();
+  await startBattleGame(battle, game, interaction);
 
-  const { p1, p2 } = await resolveBattlePlayers(battle, interaction.guild);
+  return true;
+}
+
+/**
+ * Start `game` for the current round. In a series this runs once per round, with a
+ * fresh context whose `end` only counts for that round.
+ */
+async function startBattleGame(battle, game, interaction) {
+  battle.game = game;
+  const round = currentRound(battle.series);
+
+  const { p1, p2 } = await resolveBattlePlayers(battle, interaction?.guild ?? battle.guild ?? null);
 
   const context = {
     battleId: battle.id,
@@ -738,6 +1243,11 @@ export async function handleBattleSelect(interaction) {
     opponentId: battle.opponentId,
     amount: battle.amount,
     interaction,
+    series: isSeries(battle.series)
+      ? { bestOf: battle.series.bestOf, round, wins: { ...battle.series.wins } }
+      : null,
+    tournament: battle.tournament?.label ?? null,
+    spectatorPool: () => spectatorPoolLine(battle),
     makeId: (details) => battle.makeId(details ?? { player: 'sys', action: 'noop' }),
     render: async (payload = {}) => {
       if (battle.message) {
@@ -751,38 +1261,242 @@ export async function handleBattleSelect(interaction) {
     onTimeoutWin: async (winnerId) => {
       if (!winnerId) return;
       const loserId = winnerId === battle.challengerId ? battle.opponentId : battle.challengerId;
-      await finalizeBattle(battle, winnerId, loserId, { summary: 'Win by timeout.' });
+      await completeRound(battle, round, winnerId, loserId, { summary: 'Win by timeout.', timeout: true });
     },
-    end: async (winnerId, loserId, options = {}) => finalizeBattle(battle, winnerId, loserId, options),
+    end: async (winnerId, loserId, options = {}) => completeRound(battle, round, winnerId, loserId, options),
     ensureParticipant: (i) => ensureParticipant(i, battle),
     saveSnapshot: (snapshot) => {
       battle.snapshot = {
         gameKey: battle.game?.key,
         updatedAt: Date.now(),
         state: snapshot,
+        series: battle.series,
       };
+      void updateBattleRecord(battle.id, { state: JSON.stringify(battle.snapshot) });
     },
     battle,
   };
 
   try {
     await game.start(context);
+    if (round === 1 && !battle.resolved) {
+      await openBetting(battle);
+    }
   } catch (error) {
     logger.error('battle game start failure', { err: error, battleId: battle.id, game: game.key });
     battle.status = 'errored';
+    battle.resolved = true;
     battle.clearActions();
+    battle.clearAllTimeouts();
+    const refunded = await refundBattle(battle);
+    await markBattleClosed(battle, 'canceled');
     await battle.message?.edit({
-      content: 'Failed to start the selected game. Battle canceled.',
+      content: refunded
+        ? 'Failed to start the selected game. Battle canceled and stakes refunded.'
+        : 'Failed to start the selected game. Battle canceled.',
       embeds: [],
       components: [],
     });
+    await refundSpectatorBets(battle);
     ACTIVE_BATTLES.delete(battle.id);
+    await battle.tournament?.onError?.(error);
   }
+}
 
-  return true;
+/**
+ * Start a stake-free battle between two tournament players in `channel`. The game
+ * begins straight away; `onResult(winnerId, loserId)` runs once it is decided and
+ * `onError(error)` if the game fails to start.
+ */
+export async function createTournamentMatch({
+  tournamentId,
+  channel,
+  client,
+  guild = null,
+  challengerId,
+  opponentId,
+  game,
+  label,
+  onResult,
+  onError,
+}) {
+  const record = await createBattleRecord({
+    challengerId,
+    opponentId,
+    amount: 0,
+    status: 'playing',
+    guildId: guild?.id ?? null,
+    channelId: channel.id,
+    tournamentId,
+  });
+
+  const battle = new BattleState({
+    id: record.id,
+    challengerId,
+    client,
+    guild,
+    channelId: channel.id,
+    opponent: opponentId,
+    amount: 0,
+    type: 'tournament',
+  });
+  battle.tournament = { id: tournamentId, label, onResult, onError };
+  battle.status = 'playing';
+  battle.seriesGame = game;
+  ACTIVE_BATTLES.set(battle.id, battle);
+
+  await resolveBattlePlayers(battle, guild);
+  battle.message = await channel.send({
+    content: `<@${challengerId}> 🆚 <@${opponentId}> — your ${label} match is starting!`,
+    embeds: [challengeEmbed(battle, { statusText: `🎮 ${game.name}` })],
+    allowedMentions: { users: [challengerId, opponentId] },
+  });
+  await updateBattleRecord(battle.id, { messageId: battle.message?.id ?? null, game: game.key });
+
+  await startBattleGame(battle, game, null);
+  return battle;
 }
 
 export function isBattleInteraction(customId) {
   return customId?.startsWith(`${BATTLE_CUSTOM_ID_PREFIX}:`);
 }
 
+async function fetchBattleMessage(client, row) {
+  if (!client || !row.channelId || !row.messageId) {
+    return null;
+  }
+
+  try {
+    const channel = await client.channels.fetch(row.channelId);
+    return channel?.isTextBased() ? await channel.messages.fetch(row.messageId) : null;
+  } catch (error) {
+    logger.warn('could not re-attach battle message', { err: error, battleId: row.id });
+    return null;
+  }
+}
+
+/**
+ * Rebuild a battle that was active when the bot stopped from its Battle row and
+ * re-attach its message. Invites and game selection carry on with fresh timers. Games
+ * keep their turn state in memory, so a battle that was mid-game replays its current
+ * round from the start, keeping the series score and the escrowed stakes. Returns the
+ * battle, or null if it cannot be resumed.
+ */
+async function resumeBattle(client, row) {
+  const message = await fetchBattleMessage(client, row);
+  if (!message) {
+    return null;
+  }
+
+  const { series, ranked } = parseBattleState(row.state);
+  const rotation = row.game === ROTATION_GAME_KEY;
+  const game = rotation ? battleGames[crypto.randomInt(battleGames.length)] : getGameByKey(row.game);
+  if (row.status === 'playing' && !game) {
+    return null;
+  }
+
+  const battle = new BattleState({
+    id: row.id,
+    challengerId: row.challenger.discordId,
+    client,
+    guild: message.guild ?? null,
+    channelId: row.channelId,
+    opponent: row.opponent?.discordId ?? null,
+    amount: row.amount,
+    type: row.opponent && row.status === 'pending' ? 'direct' : 'open',
+    bestOf: row.bestOf,
+  });
+  battle.message = message;
+  battle.ranked = ranked;
+  if (series) {
+    battle.series = series;
+  }
+  battle.series.rotation = rotation;
+  ACTIVE_BATTLES.set(battle.id, battle);
+  await resolveBattlePlayers(battle, battle.guild);
+
+  const statusNote = '♻️ The bot restarted — this battle has been restored.';
+  switch (row.status) {
+    case 'open':
+      await message.edit({ embeds: [openInviteEmbed(battle)], components: joinButton(battle) });
+      startOpenTimeout(battle);
+      break;
+    case 'pending':
+      await message.edit({
+        embeds: [challengeEmbed(battle, { statusText: `${statusNote} Waiting for a response…` })],
+        components: acceptButtons(battle),
+      });
+      startAcceptTimeout(battle);
+      break;
+    case 'accepted':
+      battle.status = 'selecting';
+      await message.edit({
+        embeds: [challengeEmbed(battle, { statusText: `${statusNote} Stakes are still locked in. Choose a game.` })],
+        components: gameSelectRow(battle),
+      });
+      startSelectTimeout(battle);
+      break;
+    default:
+      battle.status = 'playing';
+      battle.seriesGame = game;
+      await message.reply({
+        content: `♻️ <@${battle.challengerId}> <@${battle.opponentId}> The bot restarted mid-game, so ${
+          isSeries(battle.series) ? `round ${currentRound(battle.series)}` : 'the game'
+        } starts over. Your stakes are still locked in.`,
+        allowedMentions: { users: [battle.challengerId, battle.opponentId] },
+      });
+      await startBattleGame(battle, game, null);
+  }
+
+  return battle;
+}
+
+/**
+ * Pick up battles interrupted by a restart where their message still exists. Side bets
+ * on them are refunded (the pool message cannot be rebuilt); battles that cannot be
+ * resumed are closed and any stakes they still hold are refunded.
+ */
+export async function recoverInterruptedBattles(client = null) {
+  try {
+    await recoverOrphanedBets(new Set(ACTIVE_BATTLES.keys()));
+  } catch (error) {
+    logger.error('battle bet recovery failed', { err: error });
+  }
+
+  let resumed = 0;
+  try {
+    for (const row of await findResumableBattles()) {
+      if (ACTIVE_BATTLES.has(String(row.id))) continue;
+      try {
+        if (await resumeBattle(client, row)) {
+          resumed += 1;
+        }
+      } catch (error) {
+        logger.error('failed to resume battle', { err: error, battleId: row.id });
+        ACTIVE_BATTLES.get(String(row.id))?.clearAllTimeouts();
+        ACTIVE_BATTLES.delete(String(row.id));
+      }
+    }
+  } catch (error) {
+    logger.error('failed to load interrupted battles', { err: error });
+  }
+
+  if (resumed > 0) {
+    logger.info('resumed battles interrupted by restart', { battles: resumed });
+  }
+
+  const activeIds = new Set(ACTIVE_BATTLES.keys());
+
+  try {
+    await closeInterruptedBattles(activeIds);
+  } catch (error) {
+    logger.error('failed to close interrupted battles', { err: error });
+  }
+
+  try {
+    return await recoverOrphanedEscrows(activeIds);
+  } catch (error) {
+    logger.error('battle escrow recovery failed', { err: error });
+    return null;
+  }
+}
@@ -0,0 +1,30 @@
+import { getConfig } from '../db/index.js';
+import { calculateBattleRake } from '../lib/utils.js';
+
+export const RAKE_DESTINATIONS = ['house', 'jackpot'];
+const MAX_RAKE_PERCENT = 50;
+
+function parsePercent(value) {
+  const parsed = Number.parseFloat(value);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return Math.min(Math.max(parsed, 0), MAX_RAKE_PERCENT);
+}
+
+/**
+ * Resolve the rake for a battle. `battle_rake_percent_<gameKey>` overrides the global
+ * `battle_rake_percent`; `battle_rake_destination` picks where the cut goes.
+ */
+export async function getBattleRake(amount, gameKey) {
+  const gameOverride = gameKey ? parsePercent(await getConfig(`battle_rake_percent_${gameKey}`, null)) : null;
+  const percent = gameOverride ?? parsePercent(await getConfig('battle_rake_percent', '0')) ?? 0;
+
+  const destination = await getConfig('battle_rake_destination', 'house');
+
+  return {
+    percent,
+    rake: calculateBattleRake(amount, percent),
+    destination: RAKE_DESTINATIONS.includes(destination) ? destination : 'house',
+  };
+}
@@ -0,0 +1,162 @@
+import prisma, { getConfig, getOrCreateUser } from '../db/index.js';
+
+/**
+ * Elo ratings for battles. Every settled battle moves the players' overall rating and
+ * their rating for the game that was played; a rotation series only counts overall.
+ */
+
+export const OVERALL_RATING = 'overall';
+export const DEFAULT_RATING = 1000;
+
+const K_FACTOR = 32;
+// New players move faster until they have settled near their real strength
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_GAMES = 10;
+const DEFAULT_RANKED_RANGE = 200;
+
+const TIERS = [
+  { min: 1500, name: 'Diamond', emoji: '💎' },
+  { min: 1300, name: 'Platinum', emoji: '🔷' },
+  { min: 1100, name: 'Gold', emoji: '🟡' },
+  { min: 900, name: 'Silver', emoji: '⚪' },
+  { min: -Infinity, name: 'Bronze', emoji: '🟤' },
+];
+
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+export function kFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+}
+
+/**
+ * Rating changes for one result. Each side uses its own K factor, so a provisional
+ * player can gain more than an established opponent loses. A win is always worth at
+ * least one point.
+ */
+export function calculateEloChange(winner, loser) {
+  const winnerExpected = expectedScore(winner.rating, loser.rating);
+  return {
+    winner: Math.max(1, Math.round(kFactor(winner.games) * (1 - winnerExpected))),
+    loser: -Math.max(1, Math.round(kFactor(loser.games) * (1 - winnerExpected))),
+  };
+}
+
+export function ratingTier(rating) {
+  return TIERS.find((tier) => rating >= tier.min);
+}
+
+export function formatRatingChange(delta) {
+  return delta >= 0 ? `+${delta}` : `${delta}`;
+}
+
+function defaultRow(userId, game) {
+  return { userId, game, rating: DEFAULT_RATING, peak: DEFAULT_RATING, wins: 0, losses: 0 };
+}
+
+async function findRating(tx, userId, game) {
+  const row = await tx.battleRating.findUnique({ where: { userId_game: { userId, game } } });
+  return row ?? defaultRow(userId, game);
+}
+
+function saveRating(tx, row, { rating, won }) {
+  const peak = Math.max(row.peak, rating);
+  return tx.battleRating.upsert({
+    where: { userId_game: { userId: row.userId, game: row.game } },
+    update: { rating, peak, ...(won ? { wins: { increment: 1 } } : { losses: { increment: 1 } }) },
+    create: { userId: row.userId, game: row.game, rating, peak, wins: won ? 1 : 0, losses: won ? 0 : 1 },
+  });
+}
+
+async function applyResult(tx, winnerUserId, loserUserId, game) {
+  const winner = await findRating(tx, winnerUserId, game);
+  const loser = await findRating(tx, loserUserId, game);
+  const change = calculateEloChange(
+    { rating: winner.rating, games: winner.wins + winner.losses },
+    { rating: loser.rating, games: loser.wins + loser.losses }
+  );
+
+  const winnerRating = winner.rating + change.winner;
+  const loserRating = loser.rating + change.loser;
+  await saveRating(tx, winner, { rating: winnerRating, won: true });
+  await saveRating(tx, loser, { rating: loserRating, won: false });
+
+  return {
+    winner: { rating: winnerRating, delta: change.winner },
+    loser: { rating: loserRating, delta: change.loser },
+  };
+}
+
+/**
+ * Update both players' ratings for a settled battle. Resolves
+ * `{ overall, game }`, each `{ winner: { rating, delta }, loser: { rating, delta } }`;
+ * `game` is null when no single game was played.
+ */
+export async function recordBattleRatings({ winnerId, loserId, gameKey = null }) {
+  const winner = await getOrCreateUser(winnerId);
+  const loser = await getOrCreateUser(loserId);
+
+  return prisma.$transaction(async (tx) => ({
+    overall: await applyResult(tx, winner.id, loser.id, OVERALL_RATING),
+    game: gameKey ? await applyResult(tx, winner.id, loser.id, gameKey) : null,
+  }));
+}
+
+export async function getOverallRating(discordId) {
+  const user = await getOrCreateUser(discordId);
+  const row = await prisma.battleRating.findUnique({
+    where: { userId_game: { userId: user.id, game: OVERALL_RATING } },
+  });
+  return row?.rating ?? DEFAULT_RATING;
+}
+
+/**
+ * Overall and per-game ratings for the rank card. `rank` is the position on the overall
+ * ladder, or null before the first rated battle.
+ */
+export async function getUserRatings(discordId) {
+  const user = await getOrCreateUser(discordId);
+  const rows = await prisma.battleRating.findMany({
+    where: { userId: user.id },
+    orderBy: { rating: 'desc' },
+  });
+
+  const overall = rows.find((row) => row.game === OVERALL_RATING) ?? null;
+  const rank = overall
+    ? (await prisma.battleRating.count({ where: { game: OVERALL_RATING, rating: { gt: overall.rating } } })) + 1
+    : null;
+
+  return {
+    user,
+    overall: overall ?? defaultRow(user.id, OVERALL_RATING),
+    games: rows.filter((row) => row.game !== OVERALL_RATING),
+    rank,
+    rankedPlayers: await prisma.battleRating.count({ where: { game: OVERALL_RATING } }),
+  };
+}
+
+/**
+ * A page of the ranked ladder for one game, or overall. Ties keep the longest-standing
+ * rating first.
+ */
+export async function getRatingLadder(game = OVERALL_RATING, { page = 1, perPage = 10 } = {}) {
+  const [ratings, total] = await Promise.all([
+    prisma.battleRating.findMany({
+      where: { game },
+      include: { user: true },
+      orderBy: [{ rating: 'desc' }, { updatedAt: 'asc' }],
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+    prisma.battleRating.count({ where: { game } }),
+  ]);
+
+  return { ratings, page, perPage, total, totalPages: Math.max(1, Math.ceil(total / perPage)) };
+}
+
+/** How far either side of the host's rating a ranked open invite accepts (`battle_ranked_range`). */
+export async function getRankedRange() {
+  const range = Number.parseInt(await getConfig('battle_ranked_range', String(DEFAULT_RANKED_RANGE)), 10);
+  return Number.isInteger(range) && range > 0 ? range : DEFAULT_RANKED_RANGE;
+}
@@ -4,6 +4,13 @@ import { clickDuelGame } from './games/clickDuel.js';
 import { coinFlipGame } from './games/coinFlip.js';
 import { guessNumberGame } from './games/guessNumber.js';
 import { blackjackBattleGame } from './games/blackjackBattle.js';
+import { rockPaperScissorsGame } from './games/rockPaperScissors.js';
+import { highCardGame } from './games/highCard.js';
+import { diceDuelGame } from './games/diceDuel.js';
+import { reactionDuelGame } from './games/reactionDuel.js';
+import { oddEvenGame } from './games/oddEven.js';
+import { archeryGame } from './games/archery.js';
+import { sprintGame } from './games/sprint.js';
 
 export const battleGames = [
   hiLowDrawGame,
@@ -12,6 +19,13 @@ export const battleGames = [
   coinFlipGame,
   guessNumberGame,
   blackjackBattleGame,
+  rockPaperScissorsGame,
+  highCardGame,
+  diceDuelGame,
+  reactionDuelGame,
+  oddEvenGame,
+  archeryGame,
+  sprintGame,
 ];
 
 export function getGameByKey(key) {
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+/** Series lengths offered by `/battle challenge`; 1 is a single game. */
+export const SERIES_LENGTHS = [1, 3, 5];
+
+/** Select menu value that plays a random game each round of a series. */
+export const ROTATION_GAME_KEY = 'rotation';
+export const ROTATION_GAME_NAME = 'Random Rotation';
+
+export function winsNeeded(bestOf) {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+export function createSeries(bestOf = 1) {
+  return {
+    bestOf: SERIES_LENGTHS.includes(bestOf) ? bestOf : 1,
+    rotation: false,
+    wins: { p1: 0, p2: 0 },
+    rounds: [],
+  };
+}
+
+export function isSeries(series) {
+  return Boolean(series && series.bestOf > 1);
+}
+
+export function currentRound(series) {
+  return series.rounds.length + 1;
+}
+
+/**
+ * Record a finished round. Returns the slot that has clinched the series, or null
+ * while it is still undecided.
+ */
+export function recordSeriesRound(series, { winnerSlot, gameKey, summary = null }) {
+  series.wins[winnerSlot] += 1;
+  series.rounds.push({ winner: winnerSlot, game: gameKey, summary });
+
+  if (series.wins[winnerSlot] >= winsNeeded(series.bestOf)) {
+    return winnerSlot;
+  }
+  return null;
+}
+
+/**
+ * Game for the next round: the chosen game throughout, or a random registry game
+ * each round in rotation mode.
+ */
+export function pickSeriesGame(series, games, chosenGame) {
+  if (!series.rotation) {
+    return chosenGame;
+  }
+  return games[crypto.randomInt(games.length)];
+}
+
+export function formatSeriesScore(series, p1Label, p2Label) {
+  return `${p1Label} **${series.wins.p1}** – **${series.wins.p2}** ${p2Label}`;
+}
+
+/** One line per finished round, e.g. "Round 2 • Dice Duel • 🏆 Alice". */
+export function describeSeriesRounds(series, { p1Label, p2Label, gameName = (key) => key }) {
+  return series.rounds.map(
+    (round, index) => `Round ${index + 1} • ${gameName(round.game)} • 🏆 ${round.winner === 'p1' ? p1Label : p2Label}`
+  );
+}
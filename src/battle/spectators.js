@@ -0,0 +1,290 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  MessageFlags,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+import { labelForUser } from '../ui/labelForUser.js';
+import { BET_SIDES, placeBet, refundBets, settleBets, summarizePool } from './bets.js';
+
+/**
+ * Spectator side pools. While a battle is on its first turn, anyone who is not playing
+ * can back player 1 or player 2 from a message posted under the battle. Betting closes
+ * on the first player move; the pool is split pari-mutuel when the battle settles and
+ * refunded if it is canceled or decided by a timeout.
+ *
+ * State lives on `battle.betting`: `{ open, settled, maxBet, pool, message }`.
+ */
+
+export const SPECTATOR_PLAYER = 'spectator';
+
+const DEFAULT_MAX_BET = 100;
+
+const BET_REJECTIONS = {
+  closed: 'Betting on this battle is closed.',
+  other_side: 'You already backed the other player in this battle.',
+  insufficient: "You don't have enough VP for that bet.",
+};
+
+async function getMaxBet() {
+  const max = Number.parseInt(await getConfig('battle_bet_max', String(DEFAULT_MAX_BET)), 10);
+  return Number.isInteger(max) && max >= 0 ? max : DEFAULT_MAX_BET;
+}
+
+function sideUserId(battle, side) {
+  return side === 'p1' ? battle.challengerId : battle.opponentId;
+}
+
+function sideLabel(battle, side) {
+  const player = side === 'p1' ? battle.p1 : battle.p2;
+  const userId = sideUserId(battle, side);
+  return labelForUser(player ?? { id: userId, displayName: `<@${userId}>` }, null);
+}
+
+function poolEmbed(battle, statusText) {
+  const { pool } = battle.betting;
+  return new EmbedBuilder()
+    .setTitle('👀 Spectator Pool')
+    .setColor(battle.betting.open ? 0x5865f2 : 0x2b2d31)
+    .setDescription(
+      [
+        `${sideLabel(battle, 'p1')}: **${pool.p1} VP**`,
+        `${sideLabel(battle, 'p2')}: **${pool.p2} VP**`,
+        statusText,
+      ].join('\n')
+    )
+    .setFooter({
+      text: `${pool.bettors} backer${pool.bettors === 1 ? '' : 's'} • Max ${battle.betting.maxBet} VP per spectator • Winners split the whole pool`,
+    });
+}
+
+function betButtons(battle) {
+  return [
+    new ActionRowBuilder().addComponents(
+      ...BET_SIDES.map((side) =>
+        new ButtonBuilder()
+          .setCustomId(battle.makeId({ player: SPECTATOR_PLAYER, action: `bet-${side}` }))
+          .setLabel(`Back ${side === 'p1' ? 'Player 1' : 'Player 2'}`)
+          .setStyle(side === 'p1' ? ButtonStyle.Primary : ButtonStyle.Danger)
+      )
+    ),
+  ];
+}
+
+async function editPoolMessage(battle, statusText, components = []) {
+  if (!battle.betting?.message) return;
+  try {
+    await battle.betting.message.edit({ embeds: [poolEmbed(battle, statusText)], components });
+  } catch (error) {
+    logger.warn('failed to update spectator pool message', { err: error, battleId: battle.id });
+  }
+}
+
+/** One line for the battle embed, or null while nobody has bet. */
+export function spectatorPoolLine(battle) {
+  const pool = battle.betting?.pool;
+  if (!pool?.total) {
+    return null;
+  }
+  return `👀 Spectator pool: **${pool.total} VP** (${sideLabel(battle, 'p1')} ${pool.p1} • ${sideLabel(battle, 'p2')} ${pool.p2})`;
+}
+
+/**
+ * Post the betting message under the battle. Does nothing when `battle_bet_max` is 0.
+ */
+export async function openBetting(battle) {
+  if (battle.betting || !battle.message?.reply) return;
+
+  const maxBet = await getMaxBet();
+  if (maxBet === 0) return;
+
+  battle.betting = { open: true, settled: false, maxBet, pool: summarizePool([]), message: null };
+  try {
+    battle.betting.message = await battle.message.reply({
+      embeds: [poolEmbed(battle, '🟢 Betting is open until the first move.')],
+      components: betButtons(battle),
+      allowedMentions: { parse: [] },
+    });
+  } catch (error) {
+    logger.warn('failed to open spectator betting', { err: error, battleId: battle.id });
+    battle.betting.open = false;
+  }
+}
+
+/**
+ * Stop taking bets. The message edit is not awaited so the player move that closed
+ * betting is not held up.
+ */
+export function closeBetting(battle) {
+  if (!battle.betting?.open) return;
+  battle.betting.open = false;
+  void editPoolMessage(battle, '🔒 Betting closed — the battle is underway.');
+}
+
+function describeSettlement(result) {
+  if (!result) return null;
+  if (result.refunded) {
+    return `↩️ ${result.pool} VP refunded to ${result.bettors} backer${result.bettors === 1 ? '' : 's'}.`;
+  }
+  return `💸 ${result.pool} VP split between ${result.winners} winning backer${result.winners === 1 ? '' : 's'}.`;
+}
+
+/**
+ * Settle the pool for the battle winner, or refund it when the battle was decided by a
+ * timeout. Resolves the settlement (see `settleBets`) or null when nobody bet; failures
+ * are logged and leave bets held for startup recovery.
+ */
+export async function settleSpectatorBets(battle, winnerId, { timeout = false } = {}) {
+  if (!battle.betting) return null;
+  battle.betting.open = false;
+  battle.betting.settled = true;
+
+  let result = null;
+  try {
+    if (timeout) {
+      const bettors = await refundBets(battle.id);
+      result = bettors > 0 ? { pool: battle.betting.pool.total, bettors, winners: 0, refunded: true } : null;
+    } else {
+      result = await settleBets(battle.id, winnerId === battle.challengerId ? 'p1' : 'p2');
+    }
+  } catch (error) {
+    logger.error('failed to settle spectator bets', { err: error, battleId: battle.id });
+    await editPoolMessage(battle, '⚠️ The pool could not be settled. Bets will be refunded automatically.');
+    return null;
+  }
+
+  if (!result) {
+    await editPoolMessage(battle, '🔒 Betting closed — nobody placed a bet.');
+    return null;
+  }
+
+  const outcome = result.refunded
+    ? timeout
+      ? 'The battle was decided by a timeout, so every bet was refunded.'
+      : 'Only one player was backed, so every bet was refunded.'
+    : `🏆 ${sideLabel(battle, winnerId === battle.challengerId ? 'p1' : 'p2')} won!`;
+  await editPoolMessage(battle, [outcome, describeSettlement(result)].join('\n'));
+  return result;
+}
+
+/** Refund the pool of a canceled battle. */
+export async function refundSpectatorBets(battle) {
+  if (!battle.betting) return 0;
+  battle.betting.open = false;
+  battle.betting.settled = true;
+
+  try {
+    const refunded = await refundBets(battle.id);
+    await editPoolMessage(
+      battle,
+      refunded > 0 ? '↩️ The battle was canceled and every bet was refunded.' : '🔒 The battle was canceled.'
+    );
+    return refunded;
+  } catch (error) {
+    logger.error('failed to refund spectator bets', { err: error, battleId: battle.id });
+    return 0;
+  }
+}
+
+export function spectatorSettlementLine(result) {
+  return result ? `👀 Spectator pool: ${describeSettlement(result)}` : null;
+}
+
+function rejectSpectator(interaction, battle) {
+  if (!battle.betting?.open) {
+    return 'Betting on this battle is closed.';
+  }
+  if ([battle.challengerId, battle.opponentId].includes(interaction.user.id)) {
+    return "You can't bet on your own battle.";
+  }
+  if (interaction.user.bot) {
+    return 'Bots cannot bet.';
+  }
+  return null;
+}
+
+/**
+ * Back button: ask for the amount in a modal whose id carries the battle and side.
+ */
+export async function handleSpectatorButton(interaction, battle, side) {
+  const rejection = rejectSpectator(interaction, battle);
+  if (rejection) {
+    await interaction.reply({ content: rejection, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const modal = new ModalBuilder()
+    .setCustomId(battle.makeId({ player: SPECTATOR_PLAYER, action: `amount-${side}` }))
+    .setTitle(`Back ${side === 'p1' ? 'Player 1' : 'Player 2'}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('amount')
+          .setLabel(`VP to bet (max ${battle.betting.maxBet} in total)`)
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(6)
+          .setRequired(true)
+      )
+    );
+
+  await interaction.showModal(modal);
+}
+
+export async function handleSpectatorModal(interaction, battle, side) {
+  const rejection = rejectSpectator(interaction, battle);
+  if (rejection) {
+    await interaction.reply({ content: rejection, flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  const raw = interaction.fields.getTextInputValue('amount').trim();
+  const amount = /^\d+$/.test(raw) ? Number.parseInt(raw, 10) : NaN;
+  if (!Number.isInteger(amount) || amount < 1 || amount > battle.betting.maxBet) {
+    await interaction.reply({
+      content: `❌ Enter a whole number of VP between 1 and ${battle.betting.maxBet}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const result = await placeBet(battle.id, interaction.user.id, side, amount, { max: battle.betting.maxBet });
+  if (!result.ok) {
+    await interaction.reply({
+      content: `❌ ${
+        result.reason === 'over_max'
+          ? `That would take your bet over the ${battle.betting.maxBet} VP limit.`
+          : BET_REJECTIONS[result.reason]
+      }`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (battle.betting.settled) {
+    // The battle finished while the bet was being written; the pool is already paid
+    // out, so only this late bet is still held.
+    await refundBets(battle.id).catch((error) =>
+      logger.error('failed to refund late spectator bet', { err: error, battleId: battle.id })
+    );
+    await interaction.reply({
+      content: `❌ ${BET_REJECTIONS.closed} Your ${amount} VP was returned.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  battle.betting.pool = result.pool;
+  await interaction.reply({
+    content: `✅ You put **${amount} VP** on ${sideLabel(battle, side)}. Winners split the whole pool.`,
+    flags: MessageFlags.Ephemeral,
+  });
+  if (battle.betting.open) {
+    await editPoolMessage(battle, '🟢 Betting is open until the first move.', betButtons(battle));
+  }
+}
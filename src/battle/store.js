@@ -0,0 +1,171 @@
+import prisma, { getOrCreateUser } from '../db/index.js';
+import { logger } from '../logger.js';
+
+export const ACTIVE_BATTLE_STATUSES = ['open', 'pending', 'accepted', 'playing'];
+
+function toRowId(battleId) {
+  return Number.parseInt(battleId, 10);
+}
+
+/**
+ * Insert the Battle row for a new challenge or open invite. The row id doubles as the
+ * in-memory battle id, so this must succeed before the battle is shown to anyone.
+ */
+export async function createBattleRecord({
+  challengerId,
+  opponentId = null,
+  amount,
+  bestOf = 1,
+  status,
+  guildId,
+  channelId,
+  tournamentId = null,
+}) {
+  const challenger = await getOrCreateUser(challengerId);
+  const opponent = opponentId ? await getOrCreateUser(opponentId) : null;
+
+  return prisma.battle.create({
+    data: {
+      challengerId: challenger.id,
+      opponentId: opponent?.id ?? null,
+      amount,
+      bestOf,
+      status,
+      guildId: guildId ?? null,
+      channelId: channelId ?? null,
+      ...(tournamentId ? { tournamentId } : {}),
+    },
+  });
+}
+
+/**
+ * Best-effort update of a battle row. Failures are logged rather than thrown so a
+ * database hiccup never strands players mid-game; VP safety is handled by escrow.
+ */
+export async function updateBattleRecord(battleId, data) {
+  try {
+    await prisma.battle.update({ where: { id: toRowId(battleId) }, data });
+  } catch (error) {
+    logger.error('failed to persist battle update', { battleId, err: error });
+  }
+}
+
+/** Best-effort like `updateBattleRecord`, including the player lookup. */
+export async function markBattleAccepted(battle) {
+  try {
+    const opponent = await getOrCreateUser(battle.opponentId);
+    await updateBattleRecord(battle.id, { opponentId: opponent.id, status: 'accepted' });
+  } catch (error) {
+    logger.error('failed to persist battle acceptance', { battleId: battle.id, err: error });
+  }
+}
+
+/** Best-effort like `updateBattleRecord`, including the winner lookup. */
+export async function markBattleResolved(battle, winnerId, { summary, rake = 0, series = null } = {}) {
+  try {
+    const winner = await getOrCreateUser(winnerId);
+    await updateBattleRecord(battle.id, {
+      status: 'resolved',
+      winnerId: winner.id,
+      rake,
+      resolvedAt: new Date(),
+      state: JSON.stringify({ ...battle.snapshot, summary: summary ?? null, ...(series ? { series } : {}) }),
+    });
+  } catch (error) {
+    logger.error('failed to persist battle result', { battleId: battle.id, err: error });
+  }
+}
+
+export async function markBattleClosed(battle, status) {
+  await updateBattleRecord(battle.id, { status, resolvedAt: new Date() });
+}
+
+/**
+ * Battles that were still active when the bot stopped and can be picked up again on
+ * startup, with both players' Discord IDs. Tournament matches are left out: their
+ * tournament is canceled and refunded as a whole.
+ */
+export async function findResumableBattles() {
+  return prisma.battle.findMany({
+    where: { status: { in: ACTIVE_BATTLE_STATUSES }, tournamentId: null },
+    include: { challenger: true, opponent: true },
+    orderBy: { id: 'asc' },
+  });
+}
+
+/**
+ * Read the `state` column back: `{ series, ranked, snapshot }`, each null when it was
+ * never stored. Unreadable JSON counts as empty.
+ */
+export function parseBattleState(state) {
+  let parsed = null;
+  try {
+    parsed = state ? JSON.parse(state) : null;
+  } catch {
+    parsed = null;
+  }
+
+  return {
+    series: parsed?.series ?? null,
+    ranked: parsed?.ranked ?? null,
+    snapshot: parsed?.state !== undefined ? { gameKey: parsed.gameKey ?? null, state: parsed.state } : null,
+  };
+}
+
+/**
+ * Close out battles that were active when the bot stopped but could not be resumed
+ * (their message is gone or their game no longer exists) as canceled; escrow recovery
+ * refunds their stakes.
+ */
+export async function closeInterruptedBattles(activeBattleIds = new Set()) {
+  const exclude = [...activeBattleIds].map(toRowId).filter(Number.isInteger);
+
+  const result = await prisma.battle.updateMany({
+    where: {
+      status: { in: ACTIVE_BATTLE_STATUSES },
+      id: { notIn: exclude },
+    },
+    data: { status: 'canceled', resolvedAt: new Date() },
+  });
+
+  if (result.count > 0) {
+    logger.warn('closed battles interrupted by restart', { battles: result.count });
+  }
+
+  return result.count;
+}
+
+/**
+ * Get a page of finished battles for a user, newest first.
+ */
+export async function getBattleHistory(discordId, { page = 1, perPage = 10 } = {}) {
+  const user = await getOrCreateUser(discordId);
+  const where = {
+    OR: [{ challengerId: user.id }, { opponentId: user.id }],
+    status: { notIn: ACTIVE_BATTLE_STATUSES },
+  };
+
+  const [battles, totalBattles, wins, losses] = await Promise.all([
+    prisma.battle.findMany({
+      where,
+      include: { challenger: true, opponent: true },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: (page - 1) * perPage,
+      take: perPage,
+    }),
+    prisma.battle.count({ where }),
+    prisma.battle.count({ where: { ...where, status: 'resolved', winnerId: user.id } }),
+    prisma.battle.count({ where: { ...where, status: 'resolved', NOT: { winnerId: user.id } } }),
+  ]);
+
+  return {
+    user,
+    battles,
+    page,
+    perPage,
+    totalBattles,
+    totalPages: Math.max(1, Math.ceil(totalBattles / perPage)),
+    wins,
+    losses,
+  };
+}
@@ -1,7 +1,20 @@
 import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, MessageFlags } from 'discord.js';
 import prisma, { getOrCreateUser, setConfig, getConfig } from '../db/index.js';
+import { applyVPDelta, setVPBalance, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { formatVP, exportToCSV, memberHasProviderRole } from '../lib/utils.js';
 import { logTransaction } from '../lib/logger.js';
+import { findBalanceDrift, applyBalanceCorrections } from '../lib/reconciliation.js';
+import {
+  searchRewardChoices,
+  findRewardItem,
+  createRewardItem,
+  updateRewardItem,
+  removeRewardItem,
+  slugifyRewardKey,
+} from '../lib/reward-catalog.js';
+import { isKnownConfigKey, searchConfigKeyChoices } from '../lib/config-keys.js';
+
+const MAX_RECONCILE_ROWS = 15;
 
 export const data = new SlashCommandBuilder()
   .setName('admin')
@@ -98,15 +111,7 @@ export const data = new SlashCommandBuilder()
           .setName('key')
           .setDescription('Configuration key')
           .setRequired(false)
-          .addChoices(
-            { name: 'Daily RNG Chance', value: 'daily_rng_chance' },
-            { name: 'Transfer Fee %', value: 'transfer_fee_percent' },
-            { name: 'Battle Rake %', value: 'battle_rake_percent' },
-            { name: 'Blackjack Min', value: 'bj_min' },
-            { name: '$5 Order Cost', value: 'five_cost' },
-            { name: 'Free Order Cost', value: 'free_cost' },
-            { name: 'Daily Amount', value: 'daily_amount' }
-          )
+          .setAutocomplete(true)
       )
       .addStringOption((option) =>
         option.setName('value').setDescription('New value for the configuration').setRequired(false)
@@ -114,8 +119,101 @@ export const data = new SlashCommandBuilder()
   )
   .addSubcommand((subcommand) =>
     subcommand.setName('export').setDescription('Export all user balances as CSV')
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('reconcile')
+      .setDescription('Compare balances against the VP ledger and optionally correct drift')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Only check this user').setRequired(false)
+      )
+      .addBooleanOption((option) =>
+        option
+          .setName('apply')
+          .setDescription('Reset drifted balances to the ledger total')
+          .setRequired(false)
+      )
+  )
+  .addSubcommandGroup((group) =>
+    group
+      .setName('reward')
+      .setDescription('Manage the /redeem reward catalog')
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('add')
+          .setDescription('Add a reward to the catalog')
+          .addStringOption((option) =>
+            option.setName('name').setDescription('Display name').setRequired(true).setMaxLength(80)
+          )
+          .addIntegerOption((option) =>
+            option.setName('cost').setDescription('VP cost').setRequired(true).setMinValue(1)
+          )
+          .addStringOption((option) =>
+            option.setName('description').setDescription('Shown in /redeem list').setRequired(false).setMaxLength(200)
+          )
+          .addIntegerOption((option) =>
+            option.setName('stock').setDescription('Total claims allowed (0 = unlimited)').setRequired(false).setMinValue(0)
+          )
+          .addIntegerOption((option) =>
+            option.setName('per_user').setDescription('Claims allowed per user (0 = unlimited)').setRequired(false).setMinValue(0)
+          )
+          .addBooleanOption((option) =>
+            option.setName('enabled').setDescription('Whether users can claim it (default: yes)').setRequired(false)
+          )
+          .addStringOption((option) =>
+            option.setName('key').setDescription('Short ID used by /redeem claim (default: from name)').setRequired(false).setMaxLength(32)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('edit')
+          .setDescription('Edit a reward in the catalog')
+          .addStringOption((option) =>
+            option.setName('item').setDescription('Reward to edit').setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((option) =>
+            option.setName('name').setDescription('New display name').setRequired(false).setMaxLength(80)
+          )
+          .addIntegerOption((option) =>
+            option.setName('cost').setDescription('New VP cost').setRequired(false).setMinValue(1)
+          )
+          .addStringOption((option) =>
+            option.setName('description').setDescription('New description').setRequired(false).setMaxLength(200)
+          )
+          .addIntegerOption((option) =>
+            option.setName('stock').setDescription('Total claims allowed (0 = unlimited)').setRequired(false).setMinValue(0)
+          )
+          .addIntegerOption((option) =>
+            option.setName('per_user').setDescription('Claims allowed per user (0 = unlimited)').setRequired(false).setMinValue(0)
+          )
+          .addBooleanOption((option) =>
+            option.setName('enabled').setDescription('Whether users can claim it').setRequired(false)
+          )
+      )
+      .addSubcommand((subcommand) =>
+        subcommand
+          .setName('remove')
+          .setDescription('Remove a reward (disabled instead if it has been redeemed)')
+          .addStringOption((option) =>
+            option.setName('item').setDescription('Reward to remove').setRequired(true).setAutocomplete(true)
+          )
+      )
   );
 
+export async function autocomplete(interaction) {
+  try {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'key' && interaction.options.getSubcommand() === 'config') {
+      await interaction.respond(searchConfigKeyChoices(focused.value));
+      return;
+    }
+
+    await interaction.respond(await searchRewardChoices(focused.value, { includeDisabled: true }));
+  } catch (error) {
+    console.error('Error in admin autocomplete:', error);
+  }
+}
+
 export async function execute(interaction) {
   const adminRoleId = process.env.ADMIN_ROLE_ID;
 
@@ -131,6 +229,10 @@ export async function execute(interaction) {
     });
   }
 
+  if (interaction.options.getSubcommandGroup(false) === 'reward') {
+    return handleReward(interaction);
+  }
+
   const subcommand = interaction.options.getSubcommand();
 
   switch (subcommand) {
@@ -158,6 +260,9 @@ export async function execute(interaction) {
     case 'export':
       await handleExport(interaction);
       break;
+    case 'reconcile':
+      await handleReconcile(interaction);
+      break;
   }
 }
 
@@ -170,10 +275,15 @@ async function handleAdd(interaction) {
 
     const user = await getOrCreateUser(targetUser.id);
 
-    const updated = await prisma.user.update({
-      where: { id: user.id },
-      data: { vp: { increment: amount } },
-    });
+    const updated = await prisma.$transaction((tx) =>
+      applyVPDelta(tx, {
+        userId: user.id,
+        delta: amount,
+        reason: LEDGER_REASONS.ADMIN_ADD,
+        source: LEDGER_SOURCES.ADMIN,
+        referenceId: interaction.user.id,
+      })
+    );
 
     const embed = new EmbedBuilder()
       .setColor(0x00ff00)
@@ -235,10 +345,15 @@ async function handleRemove(interaction) {
       });
     }
 
-    const updated = await prisma.user.update({
-      where: { id: user.id },
-      data: { vp: { decrement: amount } },
-    });
+    const updated = await prisma.$transaction((tx) =>
+      applyVPDelta(tx, {
+        userId: user.id,
+        delta: -amount,
+        reason: LEDGER_REASONS.ADMIN_REMOVE,
+        source: LEDGER_SOURCES.ADMIN,
+        referenceId: interaction.user.id,
+      })
+    );
 
     const embed = new EmbedBuilder()
       .setColor(0xff9900)
@@ -294,10 +409,15 @@ async function handleSet(interaction) {
 
     const user = await getOrCreateUser(targetUser.id);
 
-    await prisma.user.update({
-      where: { id: user.id },
-      data: { vp: amount },
-    });
+    await prisma.$transaction((tx) =>
+      setVPBalance(tx, {
+        userId: user.id,
+        amount,
+        reason: LEDGER_REASONS.ADMIN_SET,
+        source: LEDGER_SOURCES.ADMIN,
+        referenceId: interaction.user.id,
+      })
+    );
 
     const embed = new EmbedBuilder()
       .setColor(0x00ff00)
@@ -588,6 +708,13 @@ async function handleConfig(interaction) {
   const key = interaction.options.getString('key');
   const value = interaction.options.getString('value');
 
+  if (key && !isKnownConfigKey(key)) {
+    return interaction.reply({
+      content: `❌ Unknown config key \`${key}\`. Pick one of the suggested keys.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
   try {
     // View all config
     if (!key) {
@@ -668,3 +795,156 @@ async function handleExport(interaction) {
     });
   }
 }
+
+async function handleReconcile(interaction) {
+  const targetUser = interaction.options.getUser('user');
+  const apply = interaction.options.getBoolean('apply') ?? false;
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const mismatches = await findBalanceDrift({ discordId: targetUser?.id ?? null });
+
+    if (mismatches.length === 0) {
+      return interaction.editReply({
+        content: targetUser
+          ? `✅ <@${targetUser.id}>'s balance matches the ledger.`
+          : '✅ All balances match the ledger.',
+      });
+    }
+
+    const corrected = apply
+      ? await applyBalanceCorrections(mismatches, { actorId: interaction.user.id })
+      : [];
+    const rows = apply ? corrected : mismatches;
+
+    const lines = rows.slice(0, MAX_RECONCILE_ROWS).map((row) => {
+      const sign = row.drift > 0 ? '+' : '';
+      return `<@${row.discordId}> — balance ${formatVP(row.balance)}, ledger ${formatVP(row.expected)} (${sign}${row.drift})`;
+    });
+
+    if (rows.length > MAX_RECONCILE_ROWS) {
+      lines.push(`…and ${rows.length - MAX_RECONCILE_ROWS} more`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(apply ? 0x00ff00 : 0xff9900)
+      .setTitle(apply ? '🧾 Balances Corrected' : '🧾 Balance Drift Report')
+      .setDescription(lines.join('\n') || 'No corrections were needed.')
+      .addFields(
+        { name: 'Mismatched Users', value: `${mismatches.length}`, inline: true },
+        { name: 'Corrected', value: apply ? `${corrected.length}` : 'Dry run', inline: true }
+      )
+      .setFooter({ text: `Admin: ${interaction.user.username}` })
+      .setTimestamp();
+
+    if (!apply) {
+      embed.addFields({
+        name: 'Next Step',
+        value: 'Re-run with `apply: True` to reset these balances to their ledger totals.',
+        inline: false,
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+    for (const row of corrected) {
+      await logTransaction('admin', {
+        adminId: interaction.user.id,
+        action: `Reconcile (${row.balance} → ${row.expected})`,
+        targetUserId: row.discordId,
+        amount: row.expected - row.balance,
+      });
+    }
+  } catch (error) {
+    console.error('Error in admin reconcile:', error);
+    await interaction.editReply({
+      content: '❌ Failed to reconcile balances. Please try again.',
+    });
+  }
+}
+
+function describeRewardItem(item) {
+  return [
+    { name: 'Key', value: `\`${item.key}\``, inline: true },
+    { name: 'Cost', value: formatVP(item.cost), inline: true },
+    { name: 'Enabled', value: item.enabled ? 'Yes' : 'No', inline: true },
+    { name: 'Stock Limit', value: item.stockLimit !== null ? `${item.stockLimit}` : 'Unlimited', inline: true },
+    { name: 'Per-User Limit', value: item.perUserLimit !== null ? `${item.perUserLimit}` : 'Unlimited', inline: true },
+    { name: 'Description', value: item.description || 'N/A', inline: false },
+  ];
+}
+
+async function handleReward(interaction) {
+  const action = interaction.options.getSubcommand();
+
+  await interaction.deferReply();
+
+  try {
+    let item;
+    let title;
+
+    if (action === 'add') {
+      const name = interaction.options.getString('name');
+      const key = slugifyRewardKey(interaction.options.getString('key') || name);
+
+      if (!key) {
+        return interaction.editReply({ content: '❌ Please give the reward a name or key with letters or numbers.' });
+      }
+
+      if (await findRewardItem(key)) {
+        return interaction.editReply({ content: `❌ A reward with key \`${key}\` already exists. Use \`/admin reward edit\` instead.` });
+      }
+
+      item = await createRewardItem({
+        key,
+        name,
+        description: interaction.options.getString('description'),
+        cost: interaction.options.getInteger('cost'),
+        stockLimit: interaction.options.getInteger('stock'),
+        perUserLimit: interaction.options.getInteger('per_user'),
+        enabled: interaction.options.getBoolean('enabled'),
+      });
+      title = '✅ Reward Added';
+    } else {
+      const existing = await findRewardItem(interaction.options.getString('item'));
+      if (!existing) {
+        return interaction.editReply({ content: '❌ That reward does not exist.' });
+      }
+
+      if (action === 'remove') {
+        const outcome = await removeRewardItem(existing);
+        item = { ...existing, enabled: false };
+        title = outcome === 'deleted' ? '🗑️ Reward Removed' : '🚫 Reward Disabled (has redemption history)';
+      } else {
+        item = await updateRewardItem(existing.key, {
+          name: interaction.options.getString('name'),
+          description: interaction.options.getString('description'),
+          cost: interaction.options.getInteger('cost'),
+          stockLimit: interaction.options.getInteger('stock'),
+          perUserLimit: interaction.options.getInteger('per_user'),
+          enabled: interaction.options.getBoolean('enabled'),
+        });
+        title = '✏️ Reward Updated';
+      }
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(action === 'remove' ? 0xff0000 : 0x00ff00)
+      .setTitle(`${title}: ${item.name}`)
+      .addFields(describeRewardItem(item))
+      .setFooter({ text: `Admin: ${interaction.user.username}` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+
+    await logTransaction('reward_catalog', {
+      adminId: interaction.user.id,
+      action: title,
+      item,
+    });
+  } catch (error) {
+    console.error('Error in admin reward:', error);
+    await interaction.editReply({ content: '❌ Failed to update the reward catalog. Please try again.' });
+  }
+}
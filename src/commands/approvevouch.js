@@ -3,30 +3,76 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  ChannelType,
   MessageFlags,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  StringSelectMenuOptionBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from 'discord.js';
 import prisma from '../db/index.js';
 import { formatVP, formatTimestamp, buildMessageLink, memberHasProviderRole } from '../lib/utils.js';
 import { logTransaction } from '../lib/logger.js';
+import { describeVouchFlag } from '../lib/vouch-screening.js';
+import { describeVouchReward } from '../lib/vouch-rewards.js';
+import {
+  approvePendingVouch,
+  rejectPendingVouch,
+  appealVouch,
+  buildAppealRow,
+  notifyVouchOwner,
+  reactToVouchMessage,
+  VOUCH_APPEAL_PREFIX,
+} from '../lib/vouch-approval.js';
+import {
+  encodeQueueCustomId,
+  decodeQueueCustomId,
+  readQueueStateFromMessage,
+  fetchPendingVouchPage,
+  VOUCH_QUEUE_PAGE_SIZE,
+} from '../lib/vouch-queue.js';
+
+export const REJECT_VOUCH_MODAL_PREFIX = 'rejectvouch_modal:';
+
+function formatAge(date) {
+  const minutes = Math.max(0, Math.floor((Date.now() - date.getTime()) / 60_000));
+  if (minutes < 60) return `${minutes}m old`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h old`;
+  return `${Math.floor(hours / 24)}d old`;
+}
 
-const MAX_VOUCHES_PER_VIEW = 10;
+function describeFilters({ userId, olderThanHours, channelId }) {
+  const filters = [];
+  if (userId) filters.push(`user <@${userId}>`);
+  if (olderThanHours) filters.push(`older than ${olderThanHours}h`);
+  if (channelId) filters.push(`channel <#${channelId}>`);
+  return filters.length ? `Filters: ${filters.join(', ')}` : null;
+}
 
-function buildPendingVouchResponse(vouches, total) {
+function buildPendingVouchResponse({ vouches, total, page, pageCount, state }) {
   if (!vouches.length) {
+    const filters = describeFilters(state);
     return {
-      content: '🎉 All caught up! There are no pending vouches.',
+      content: filters
+        ? `🎉 No pending vouches match these filters. (${filters})`
+        : '🎉 All caught up! There are no pending vouches.',
       embeds: [],
       components: [],
     };
   }
 
+  const first = (page - 1) * VOUCH_QUEUE_PAGE_SIZE + 1;
   const embed = {
     title: 'Pending Vouches',
     color: 0xffc107,
-    description:
-      total > vouches.length
-        ? `Showing the oldest ${vouches.length} of ${total} pending vouches.`
-        : 'All pending vouches are listed below.',
+    description: [
+      `Showing ${first}–${first + vouches.length - 1} of ${total} pending vouches (oldest first).`,
+      describeFilters(state),
+    ]
+      .filter(Boolean)
+      .join('\n'),
     fields: vouches.map((vouch) => {
       const messageLink = buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId);
       const details = [
@@ -44,61 +90,244 @@ function buildPendingVouchResponse(vouches, total) {
         details.push(`[Image Preview](${vouch.imageUrl})`);
       }
 
+      const flag = describeVouchFlag(vouch.flagReason, { duplicateOfId: vouch.duplicateOfId });
+      if (flag) {
+        details.push(`⚠️ ${flag}`);
+      }
+
+      if (vouch.appealedAt) {
+        details.push(`📨 Appealed ${formatTimestamp(vouch.appealedAt, 'R')} (was: ${vouch.rejectionReason ?? 'no reason given'})`);
+      }
+
       return {
         name: `#${vouch.id}`,
         value: details.join('\n'),
       };
     }),
-    footer: { text: 'Use the buttons below to approve vouches.' },
+    footer: { text: `Page ${page}/${pageCount} • Pick vouches from the menus below to approve or reject them.` },
     timestamp: new Date().toISOString(),
   };
 
-  const buttons = vouches.map((vouch) =>
+  const options = vouches.map((vouch) => {
+    const flag = describeVouchFlag(vouch.flagReason, { duplicateOfId: vouch.duplicateOfId });
+    return new StringSelectMenuOptionBuilder()
+      .setLabel(`#${vouch.id} • ${formatAge(vouch.createdAt)}`)
+      .setDescription(`User ID ${vouch.user.discordId}${flag ? ` • ⚠️ ${flag}` : ''}`.slice(0, 100))
+      .setValue(String(vouch.id));
+  });
+
+  const approveSelect = new StringSelectMenuBuilder()
+    .setCustomId(encodeQueueCustomId('approve', state))
+    .setPlaceholder('✅ Approve selected vouches…')
+    .setMinValues(1)
+    .setMaxValues(options.length)
+    .addOptions(options);
+  const rejectSelect = new StringSelectMenuBuilder()
+    .setCustomId(encodeQueueCustomId('reject', state))
+    .setPlaceholder('❌ Reject selected vouches…')
+    .setMinValues(1)
+    .setMaxValues(options.length)
+    .addOptions(options);
+
+  const controls = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId(`approvevouch:${vouch.id}`)
-      .setLabel(`Approve #${vouch.id}`)
-      .setStyle(ButtonStyle.Success)
+      .setCustomId(encodeQueueCustomId('prev', { ...state, page: page - 1 }))
+      .setLabel('◀ Prev')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 1),
+    new ButtonBuilder()
+      .setCustomId(encodeQueueCustomId('next', { ...state, page: page + 1 }))
+      .setLabel('Next ▶')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page >= pageCount),
+    new ButtonBuilder()
+      .setCustomId(encodeQueueCustomId('approveall', state))
+      .setLabel(`Approve all ${vouches.length} shown`)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(encodeQueueCustomId('refresh', state))
+      .setLabel('🔄 Refresh')
+      .setStyle(ButtonStyle.Secondary)
   );
 
-  const rows = [];
-  for (let i = 0; i < buttons.length; i += 5) {
-    rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
-  }
-
   return {
-    content: 'Select a pending vouch to approve:',
+    content: 'Select pending vouches to approve or reject:',
     embeds: [embed],
-    components: rows,
+    components: [
+      new ActionRowBuilder().addComponents(approveSelect),
+      new ActionRowBuilder().addComponents(rejectSelect),
+      controls,
+    ],
   };
 }
 
-async function fetchPendingVouches(limit = MAX_VOUCHES_PER_VIEW) {
-  const [vouches, total] = await Promise.all([
-    prisma.vouch.findMany({
-      where: { status: 'pending' },
-      include: { user: true },
-      orderBy: { createdAt: 'asc' },
-      take: limit,
-    }),
-    prisma.vouch.count({ where: { status: 'pending' } }),
-  ]);
+async function loadQueueView(state) {
+  return buildPendingVouchResponse(await fetchPendingVouchPage(state));
+}
+
+/**
+ * Vouch IDs offered by the approve menu of the queue message, i.e. exactly what the provider saw.
+ */
+function getShownVouchIds(message) {
+  for (const row of message?.components ?? []) {
+    for (const component of row.components ?? []) {
+      if (decodeQueueCustomId(component.customId)?.action === 'approve') {
+        return (component.options ?? []).map((option) => Number.parseInt(option.value, 10));
+      }
+    }
+  }
 
-  return { vouches, total };
+  return [];
 }
 
-async function refreshPendingVouchMessage(interaction) {
-  try {
-    const { vouches, total } = await fetchPendingVouches();
-    const response = buildPendingVouchResponse(vouches, total);
-    await interaction.message.edit(response);
-  } catch (error) {
-    console.error('Failed to refresh pending vouch list:', error);
+function parseVouchIds(values) {
+  return values.map((value) => Number.parseInt(value, 10)).filter(Number.isInteger);
+}
+
+async function requireProvider(interaction, verb = 'review') {
+  if (!interaction.guild) {
+    await interaction.reply({ content: '❌ Vouches can only be reviewed inside the server.', flags: MessageFlags.Ephemeral });
+    return false;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  if (!memberHasProviderRole(member)) {
+    await interaction.reply({ content: `❌ Only providers can ${verb} vouches.`, flags: MessageFlags.Ephemeral });
+    return false;
   }
+
+  return true;
+}
+
+/**
+ * Approve each vouch that is still pending and whose owner is not blacklisted.
+ * Returns the IDs that were approved and the ones that were skipped.
+ */
+async function approveVouches(interaction, vouchIds) {
+  const approved = [];
+  const skipped = [];
+  let credited = 0;
+
+  for (const vouchId of vouchIds) {
+    const vouch = await prisma.vouch.findUnique({ where: { id: vouchId }, include: { user: true } });
+
+    if (!vouch || vouch.status !== 'pending' || vouch.user.blacklisted) {
+      skipped.push(vouchId);
+      continue;
+    }
+
+    const result = await approvePendingVouch(vouch, interaction.user.id);
+    if (!result) {
+      skipped.push(vouchId);
+      continue;
+    }
+
+    approved.push(vouchId);
+    credited += result.reward.amount;
+
+    await reactToVouchMessage(interaction.client, vouch, '✅');
+
+    await notifyVouchOwner(interaction.client, vouch.user.discordId, {
+      content: `✅ Your vouch #${vouch.id} was approved by <@${interaction.user.id}>. ${describeVouchReward(result.reward)} has been added to your balance.`,
+    });
+
+    await logTransaction('vouch', {
+      userId: vouch.user.discordId,
+      amount: result.reward.amount,
+      status: 'approved',
+      messageLink: buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId),
+    });
+  }
+
+  return { approved, skipped, credited };
+}
+
+/**
+ * Reject each vouch that is still pending, DMing the owner the reason (and an
+ * appeal button if they have not appealed before).
+ */
+async function rejectVouches(interaction, vouchIds, reason) {
+  const rejected = [];
+  const skipped = [];
+  let undelivered = 0;
+
+  for (const vouchId of vouchIds) {
+    const vouch = await prisma.vouch.findUnique({ where: { id: vouchId }, include: { user: true } });
+
+    if (!vouch || !(await rejectPendingVouch(vouch, interaction.user.id, reason))) {
+      skipped.push(vouchId);
+      continue;
+    }
+
+    rejected.push(vouchId);
+
+    await reactToVouchMessage(interaction.client, vouch, '❌');
+
+    const canAppeal = !vouch.appealedAt;
+    const notified = await notifyVouchOwner(interaction.client, vouch.user.discordId, {
+      content: [
+        `❌ Your vouch #${vouch.id} was rejected by <@${interaction.user.id}>.`,
+        `**Reason:** ${reason}`,
+        canAppeal ? 'If you think this is a mistake, you can appeal once using the button below.' : '',
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      components: canAppeal ? [buildAppealRow(vouch.id)] : [],
+    });
+    if (!notified) undelivered += 1;
+
+    await logTransaction('vouch_review', {
+      action: 'Rejected',
+      vouchId: vouch.id,
+      userId: vouch.user.discordId,
+      providerId: interaction.user.id,
+      reason,
+      messageLink: buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId),
+    });
+  }
+
+  return { rejected, skipped, undelivered };
+}
+
+function formatIds(ids) {
+  return ids.map((id) => `#${id}`).join(', ');
+}
+
+function summarizeApproval({ approved, skipped, credited }) {
+  const lines = [];
+  if (approved.length) lines.push(`✅ Approved ${approved.length} vouch(es): ${formatIds(approved)}. ${formatVP(credited)} credited in total.`);
+  if (skipped.length) lines.push(`⚠️ Skipped ${formatIds(skipped)} (already processed or user blacklisted).`);
+  return lines.join('\n') || '❌ Nothing was approved.';
+}
+
+function summarizeRejection({ rejected, skipped, undelivered }) {
+  const lines = [];
+  if (rejected.length) lines.push(`❌ Rejected ${rejected.length} vouch(es): ${formatIds(rejected)}.`);
+  if (undelivered) lines.push(`📭 Could not DM ${undelivered} user(s).`);
+  if (skipped.length) lines.push(`⚠️ Skipped ${formatIds(skipped)} (already processed).`);
+  return lines.join('\n') || '❌ Nothing was rejected.';
 }
 
 export const data = new SlashCommandBuilder()
   .setName('approvevouch')
-  .setDescription('Review and approve pending vouches (Provider only)');
+  .setDescription('Review and approve pending vouches (Provider only)')
+  .addUserOption((option) =>
+    option.setName('user').setDescription('Only show vouches from this user').setRequired(false)
+  )
+  .addIntegerOption((option) =>
+    option
+      .setName('older_than')
+      .setDescription('Only show vouches older than this many hours')
+      .setRequired(false)
+      .setMinValue(1)
+  )
+  .addChannelOption((option) =>
+    option
+      .setName('channel')
+      .setDescription('Only show vouches posted in this channel')
+      .setRequired(false)
+      .addChannelTypes(ChannelType.GuildText)
+  );
 
 export async function execute(interaction) {
   const member = await interaction.guild.members.fetch(interaction.user.id);
@@ -112,8 +341,12 @@ export async function execute(interaction) {
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
   try {
-    const { vouches, total } = await fetchPendingVouches();
-    const response = buildPendingVouchResponse(vouches, total);
+    const response = await loadQueueView({
+      page: 1,
+      userId: interaction.options.getUser('user')?.id ?? null,
+      olderThanHours: interaction.options.getInteger('older_than'),
+      channelId: interaction.options.getChannel('channel')?.id ?? null,
+    });
     await interaction.editReply(response);
   } catch (error) {
     console.error('Error fetching pending vouches:', error);
@@ -125,96 +358,139 @@ export async function execute(interaction) {
   }
 }
 
-export async function handleApproveVouchButton(interaction) {
-  const member = await interaction.guild.members.fetch(interaction.user.id);
-  if (!memberHasProviderRole(member)) {
-    return interaction.reply({
-      content: '❌ Only providers can approve vouches.',
-      flags: MessageFlags.Ephemeral,
-    });
+/**
+ * Paging, refresh and "approve all shown" buttons on the queue message.
+ */
+export async function handleVouchQueueButton(interaction) {
+  const decoded = decodeQueueCustomId(interaction.customId);
+  if (!decoded || !(await requireProvider(interaction, decoded.action === 'approveall' ? 'approve' : 'review'))) {
+    return;
   }
 
-  const [, idPart] = interaction.customId.split(':');
-  const vouchId = Number.parseInt(idPart, 10);
+  await interaction.deferUpdate();
 
-  if (!Number.isInteger(vouchId)) {
-    return interaction.reply({
-      content: '❌ Invalid vouch identifier.',
-      flags: MessageFlags.Ephemeral,
-    });
+  try {
+    if (decoded.action === 'approveall') {
+      const result = await approveVouches(interaction, getShownVouchIds(interaction.message));
+      await interaction.editReply(await loadQueueView(decoded.state));
+      await interaction.followUp({ content: summarizeApproval(result), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.editReply(await loadQueueView(decoded.state));
+  } catch (error) {
+    console.error('Error updating pending vouch list:', error);
+    await interaction.followUp({ content: '❌ Failed to update pending vouches. Please try again.', flags: MessageFlags.Ephemeral });
   }
+}
 
-  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+/**
+ * Approve/reject select menus on the queue message. Rejecting asks for a reason first.
+ */
+export async function handleVouchQueueSelect(interaction) {
+  const decoded = decodeQueueCustomId(interaction.customId);
+  if (!decoded || !(await requireProvider(interaction, decoded.action))) {
+    return;
+  }
+
+  const vouchIds = parseVouchIds(interaction.values);
+
+  if (decoded.action === 'reject') {
+    const modal = new ModalBuilder()
+      .setCustomId(`${REJECT_VOUCH_MODAL_PREFIX}${vouchIds.join(',')}`)
+      .setTitle(vouchIds.length === 1 ? `Reject Vouch #${vouchIds[0]}` : `Reject ${vouchIds.length} Vouches`)
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason (sent to the user)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(500)
+            .setRequired(true)
+        )
+      );
+
+    await interaction.showModal(modal);
+    return;
+  }
+
+  await interaction.deferUpdate();
 
   try {
-    const vouch = await prisma.vouch.findUnique({
-      where: { id: vouchId },
-      include: { user: true },
-    });
+    const result = await approveVouches(interaction, vouchIds);
+    await interaction.editReply(await loadQueueView(decoded.state));
+    await interaction.followUp({ content: summarizeApproval(result), flags: MessageFlags.Ephemeral });
+  } catch (error) {
+    console.error('Error approving selected vouches:', error);
+    await interaction.followUp({ content: '❌ Failed to approve vouches. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+}
 
-    if (!vouch || vouch.status !== 'pending') {
-      await interaction.editReply({
-        content: '❌ This vouch could not be approved. It may have already been processed.',
-      });
-      await refreshPendingVouchMessage(interaction);
-      return;
-    }
+export async function handleRejectVouchModal(interaction) {
+  if (!(await requireProvider(interaction, 'reject'))) {
+    return;
+  }
 
-    if (vouch.user.blacklisted) {
-      await interaction.editReply({
-        content: '❌ This user is blacklisted and cannot earn VP.',
-      });
-      await refreshPendingVouchMessage(interaction);
-      return;
-    }
+  const vouchIds = parseVouchIds(interaction.customId.slice(REJECT_VOUCH_MODAL_PREFIX.length).split(','));
+  const reason = interaction.fields.getTextInputValue('reason').trim();
+  const fromQueue = interaction.isFromMessage();
 
-    const updatedUser = await prisma.$transaction(async (tx) => {
-      const incrementedUser = await tx.user.update({
-        where: { id: vouch.userId },
-        data: { vp: { increment: 1 } },
-      });
-
-      await tx.vouch.update({
-        where: { id: vouch.id },
-        data: {
-          status: 'approved',
-          approvedByProviderId: interaction.user.id,
-        },
-      });
-
-      return incrementedUser;
-    });
+  if (fromQueue) {
+    await interaction.deferUpdate();
+  } else {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  }
 
-    if (vouch.channelId) {
-      try {
-        const channel = await interaction.client.channels.fetch(vouch.channelId);
-        if (channel?.isTextBased()) {
-          const message = await channel.messages.fetch(vouch.messageId);
-          await message.react('✅');
-        }
-      } catch (error) {
-        console.warn('Could not react to approved vouch message:', error.message);
-      }
+  try {
+    const result = await rejectVouches(interaction, vouchIds, reason);
+
+    if (fromQueue) {
+      await interaction.editReply(await loadQueueView(readQueueStateFromMessage(interaction.message)));
+      await interaction.followUp({ content: summarizeRejection(result), flags: MessageFlags.Ephemeral });
+    } else {
+      await interaction.editReply({ content: summarizeRejection(result) });
     }
+  } catch (error) {
+    console.error('Error rejecting vouches:', error);
+    await interaction.followUp({ content: '❌ Failed to reject vouches. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+}
 
-    const messageLink = buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId);
+function parseVouchId(customId, prefix) {
+  const vouchId = Number.parseInt(customId.slice(prefix.length), 10);
+  return Number.isInteger(vouchId) ? vouchId : null;
+}
 
-    await interaction.editReply({
-      content: `✅ Vouch #${vouch.id} approved! <@${vouch.user.discordId}> has been credited +1 VP. New balance: ${formatVP(updatedUser.vp)}`,
-    });
+/**
+ * Re-queue a rejected or revoked vouch from the appeal button in the user's DMs.
+ */
+export async function handleVouchAppealButton(interaction) {
+  const vouchId = parseVouchId(interaction.customId, VOUCH_APPEAL_PREFIX);
+  const vouch = vouchId
+    ? await prisma.vouch.findUnique({ where: { id: vouchId }, include: { user: true } })
+    : null;
 
-    await logTransaction('vouch', {
-      userId: vouch.user.discordId,
-      amount: 1,
-      status: 'approved',
-      messageLink,
-    });
+  if (!vouch || vouch.user.discordId !== interaction.user.id) {
+    return interaction.reply({ content: '❌ You can only appeal your own vouches.', flags: MessageFlags.Ephemeral });
+  }
 
-    await refreshPendingVouchMessage(interaction);
-  } catch (error) {
-    console.error('Error approving vouch from button interaction:', error);
-    await interaction.editReply({
-      content: '❌ Failed to approve vouch. Please try again.',
+  if (!(await appealVouch(vouch))) {
+    return interaction.reply({
+      content: '❌ This vouch has already been appealed or is no longer rejected.',
+      flags: MessageFlags.Ephemeral,
     });
   }
+
+  await interaction.update({ components: [] });
+  await interaction.followUp({
+    content: `📨 Appeal submitted. Vouch #${vouch.id} is back in the review queue for a provider to look at again.`,
+  });
+
+  await logTransaction('vouch_review', {
+    action: 'Appealed',
+    vouchId: vouch.id,
+    userId: vouch.user.discordId,
+    reason: vouch.rejectionReason,
+    messageLink: buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId),
+  });
 }
@@ -1,6 +1,8 @@
 import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
-import { getOrCreateUser } from '../db/index.js';
-import { formatVP } from '../lib/utils.js';
+import prisma, { getOrCreateUser, getLedgerHistory } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
+import { formatVP, formatTimestamp } from '../lib/utils.js';
+import { getActiveStreak, getDailyStreakConfig, getStreakDeadline } from '../lib/daily-streak.js';
 
 export const data = new SlashCommandBuilder()
   .setName('balance')
@@ -23,12 +25,21 @@ export async function execute(interaction) {
       .setTitle('💰 VP Balance')
       .setDescription(`**${targetUser.username}** has **${formatVP(user.vp)}**`)
       .setThumbnail(targetUser.displayAvatarURL())
+      .setFooter({ text: 'Use /history to see how this balance changed' })
       .setTimestamp();
 
-    if (user.streakDays > 0) {
+    const { graceHours } = await getDailyStreakConfig();
+    const streakDays = getActiveStreak(user, graceHours);
+    if (streakDays > 0) {
       embed.addFields({
         name: '🔥 Daily Streak',
-        value: `${user.streakDays} day${user.streakDays !== 1 ? 's' : ''}`,
+        value: `${streakDays} day${streakDays !== 1 ? 's' : ''} • keep it by ${formatTimestamp(getStreakDeadline(user.lastDailyAt, graceHours), 'f')}`,
+        inline: true,
+      });
+    } else if (user.streakDays > 0) {
+      embed.addFields({
+        name: '💤 Daily Streak',
+        value: `Ended (was ${user.streakDays} day${user.streakDays !== 1 ? 's' : ''}) • \`/daily\` to start a new one`,
         inline: true,
       });
     }
@@ -42,3 +53,179 @@ export async function execute(interaction) {
     });
   }
 }
+
+// /history lives here next to /balance; src/commands/history.js registers it.
+const ENTRIES_PER_PAGE = 10;
+
+const REASON_LABELS = {
+  [LEDGER_REASONS.OPENING_BALANCE]: '📂 Opening balance',
+  [LEDGER_REASONS.VOUCH_AUTO]: '📸 Vouch credit',
+  [LEDGER_REASONS.VOUCH_APPROVED]: '📸 Vouch approved',
+  [LEDGER_REASONS.VOUCH_REVOKED]: '📸 Vouch revoked',
+  [LEDGER_REASONS.VOUCH_VOIDED]: '📸 Vouch voided',
+  [LEDGER_REASONS.DAILY]: '📅 Daily win',
+  [LEDGER_REASONS.BATTLE_WIN]: '⚔️ Battle win',
+  [LEDGER_REASONS.BATTLE_LOSS]: '⚔️ Battle loss',
+  [LEDGER_REASONS.BATTLE_ESCROW]: '⚔️ Battle stake',
+  [LEDGER_REASONS.BATTLE_REFUND]: '⚔️ Battle stake refund',
+  [LEDGER_REASONS.BATTLE_RAKE]: '🏦 Battle rake',
+  [LEDGER_REASONS.BATTLE_BET]: '👀 Battle side bet',
+  [LEDGER_REASONS.BATTLE_BET_PAYOUT]: '👀 Battle side bet payout',
+  [LEDGER_REASONS.BATTLE_BET_REFUND]: '👀 Battle side bet refund',
+  [LEDGER_REASONS.BLACKJACK_BET]: '🃏 Blackjack bet',
+  [LEDGER_REASONS.BLACKJACK_DOUBLE]: '🃏 Blackjack double down',
+  [LEDGER_REASONS.BLACKJACK_PEEK]: '🃏 Blackjack peek',
+  [LEDGER_REASONS.BLACKJACK_PAYOUT]: '🃏 Blackjack payout',
+  [LEDGER_REASONS.BLACKJACK_REFUND]: '🃏 Blackjack refund',
+  [LEDGER_REASONS.ROULETTE_BET]: '🎰 Roulette bet',
+  [LEDGER_REASONS.ROULETTE_PAYOUT]: '🎰 Roulette payout',
+  [LEDGER_REASONS.ROULETTE_REFUND]: '🎰 Roulette refund',
+  [LEDGER_REASONS.REDEMPTION]: '🎟️ Redemption',
+  [LEDGER_REASONS.REDEMPTION_REFUND]: '🎟️ Redemption refund',
+  [LEDGER_REASONS.GIVEAWAY_ENTRY]: '🎁 Giveaway entry',
+  [LEDGER_REASONS.GIVEAWAY_REFUND]: '🎁 Giveaway refund',
+  [LEDGER_REASONS.GIVEAWAY_WIN]: '🎁 Giveaway win',
+  [LEDGER_REASONS.GIVEAWAY_HOST]: '🎁 Giveaway host cut',
+  [LEDGER_REASONS.TRANSFER_OUT]: '📤 Transfer out',
+  [LEDGER_REASONS.TRANSFER_IN]: '📥 Transfer in',
+  [LEDGER_REASONS.TOURNAMENT_ENTRY]: '🏟️ Tournament entry',
+  [LEDGER_REASONS.TOURNAMENT_REFUND]: '🏟️ Tournament refund',
+  [LEDGER_REASONS.TOURNAMENT_PRIZE]: '🏟️ Tournament prize',
+  [LEDGER_REASONS.ADMIN_ADD]: '🛠️ Admin credit',
+  [LEDGER_REASONS.ADMIN_REMOVE]: '🛠️ Admin debit',
+  [LEDGER_REASONS.ADMIN_SET]: '🛠️ Admin balance set',
+};
+
+export const historyData = new SlashCommandBuilder()
+  .setName('history')
+  .setDescription('View a VP statement of recent balance changes')
+  .addUserOption((option) =>
+    option
+      .setName('user')
+      .setDescription('User to view history for (admins only, leave empty for yourself)')
+      .setRequired(false)
+  )
+  .addStringOption((option) =>
+    option
+      .setName('type')
+      .setDescription('Only show one kind of transaction')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Vouches', value: LEDGER_SOURCES.VOUCH },
+        { name: 'Daily', value: LEDGER_SOURCES.DAILY },
+        { name: 'Battles', value: LEDGER_SOURCES.BATTLE },
+        { name: 'Blackjack', value: LEDGER_SOURCES.BLACKJACK },
+        { name: 'Roulette', value: LEDGER_SOURCES.ROULETTE },
+        { name: 'Giveaways', value: LEDGER_SOURCES.GIVEAWAY },
+        { name: 'Transfers', value: LEDGER_SOURCES.TRANSFER },
+        { name: 'Redemptions', value: LEDGER_SOURCES.REDEMPTION },
+        { name: 'Tournaments', value: LEDGER_SOURCES.TOURNAMENT },
+        { name: 'Admin', value: LEDGER_SOURCES.ADMIN }
+      )
+  )
+  .addIntegerOption((option) =>
+    option.setName('page').setDescription('Page number to view').setRequired(false).setMinValue(1)
+  );
+
+// Statements show every balance change, so only admins may read someone else's
+function canViewOthers(interaction) {
+  const adminRoleId = process.env.ADMIN_ROLE_ID;
+  if (!interaction.inGuild() || !adminRoleId) {
+    return false;
+  }
+
+  const roles = interaction.member?.roles;
+  // Uncached guilds deliver the member's role ids as a plain array
+  return Array.isArray(roles) ? roles.includes(adminRoleId) : Boolean(roles?.cache?.has(adminRoleId));
+}
+
+function formatDelta(delta) {
+  return delta >= 0 ? `+${delta} VP` : `${delta} VP`;
+}
+
+async function loadTransfers(entries) {
+  const transferIds = entries
+    .filter((entry) => entry.source === LEDGER_SOURCES.TRANSFER && entry.referenceId)
+    .map((entry) => Number.parseInt(entry.referenceId, 10))
+    .filter(Number.isInteger);
+
+  if (transferIds.length === 0) {
+    return new Map();
+  }
+
+  const transfers = await prisma.transfer.findMany({
+    where: { id: { in: transferIds } },
+    include: { fromUser: true, toUser: true },
+  });
+
+  return new Map(transfers.map((transfer) => [String(transfer.id), transfer]));
+}
+
+function describeEntry(entry, transfers) {
+  const label = REASON_LABELS[entry.reason] ?? `🔹 ${entry.reason}`;
+  const details = [];
+
+  const transfer = entry.referenceId ? transfers.get(entry.referenceId) : null;
+  if (transfer && entry.reason === LEDGER_REASONS.TRANSFER_OUT) {
+    details.push(`to <@${transfer.toUser.discordId}>`);
+    if (transfer.fee > 0) {
+      details.push(`incl. ${transfer.fee} VP fee`);
+    }
+  } else if (transfer && entry.reason === LEDGER_REASONS.TRANSFER_IN) {
+    details.push(`from <@${transfer.fromUser.discordId}>`);
+  } else if (entry.referenceId && entry.source !== LEDGER_SOURCES.ADMIN) {
+    details.push(`#${entry.referenceId}`);
+  }
+
+  const suffix = details.length > 0 ? ` (${details.join(', ')})` : '';
+  return `${formatTimestamp(entry.createdAt, 'd')} ${label}${suffix}\n**${formatDelta(entry.delta)}** → ${entry.balanceAfter} VP`;
+}
+
+export async function executeHistory(interaction) {
+  const requestedUser = interaction.options.getUser('user');
+  const source = interaction.options.getString('type');
+  const page = interaction.options.getInteger('page') || 1;
+  const targetUser = requestedUser ?? interaction.user;
+
+  if (targetUser.id !== interaction.user.id && !canViewOthers(interaction)) {
+    return interaction.reply({
+      content: "❌ Only admins can view another user's history.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = await getOrCreateUser(targetUser.id);
+    const history = await getLedgerHistory(user.id, { source, page, perPage: ENTRIES_PER_PAGE });
+
+    if (history.entries.length === 0) {
+      return interaction.editReply({
+        content:
+          history.totalEntries > 0
+            ? `📜 No entries on page ${page}. There are only ${history.totalPages} page(s).`
+            : '📜 No VP transactions recorded yet.',
+      });
+    }
+
+    const transfers = await loadTransfers(history.entries);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099ff)
+      .setTitle(`📜 VP Statement — ${targetUser.username}`)
+      .setDescription(history.entries.map((entry) => describeEntry(entry, transfers)).join('\n\n'))
+      .addFields({ name: 'Current Balance', value: formatVP(user.vp), inline: true })
+      .setFooter({
+        text: `Page ${page}/${history.totalPages} • ${history.totalEntries} entries${source ? ` • ${source}` : ''}`,
+      })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in history command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to load VP history. Please try again.',
+    });
+  }
+}
@@ -1,7 +1,29 @@
-import { SlashCommandBuilder, MessageFlags } from 'discord.js';
-import { createDirectBattle, createOpenBattle, handleBattleComponent, handleBattleSelect, isBattleInteraction } from '../battle/manager.js';
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import {
+  createDirectBattle,
+  createOpenBattle,
+  handleBattleComponent,
+  handleBattleModal,
+  handleBattleSelect,
+  isBattleInteraction,
+} from '../battle/manager.js';
+import { getBattleHistory } from '../battle/store.js';
+import { battleGames, getGameByKey } from '../battle/registry.js';
+import { OVERALL_RATING, getRatingLadder, getUserRatings, ratingTier } from '../battle/rating.js';
+import { ROTATION_GAME_KEY, ROTATION_GAME_NAME } from '../battle/series.js';
+import { hasActiveBattle } from '../db/index.js';
+import { formatTimestamp, getMedalEmoji } from '../lib/utils.js';
 import { safeReply } from '../utils/interaction.js';
 
+const HISTORY_PER_PAGE = 10;
+const LADDER_PER_PAGE = 10;
+
+const CLOSED_STATUS_LABELS = {
+  declined: '🚫 Declined',
+  expired: '⌛ Expired',
+  canceled: '↩️ Canceled (refunded)',
+};
+
 export const data = new SlashCommandBuilder()
   .setName('battle')
   .setDescription('Challenge another user or open a vouch battle invite.')
@@ -19,6 +41,13 @@ export const data = new SlashCommandBuilder()
           .setRequired(true)
           .setMinValue(1)
       )
+      .addIntegerOption((option) =>
+        option
+          .setName('series')
+          .setDescription('Play a best-of series for the stake (default: a single game)')
+          .setRequired(false)
+          .addChoices({ name: 'Best of 3', value: 3 }, { name: 'Best of 5', value: 5 })
+      )
   )
   .addSubcommand((subcommand) =>
     subcommand
@@ -31,11 +60,52 @@ export const data = new SlashCommandBuilder()
           .setRequired(true)
           .setMinValue(1)
       )
+      .addBooleanOption((option) =>
+        option
+          .setName('ranked')
+          .setDescription('Only let players with a similar battle rating join')
+          .setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('history')
+      .setDescription('View past battles and their results.')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Whose battles to view (defaults to you)').setRequired(false)
+      )
+      .addIntegerOption((option) =>
+        option.setName('page').setDescription('Page number to view').setRequired(false).setMinValue(1)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('rank')
+      .setDescription('View a battle rating card.')
+      .addUserOption((option) =>
+        option.setName('user').setDescription('Whose rating to view (defaults to you)').setRequired(false)
+      )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('ladder')
+      .setDescription('View the ranked battle ladder.')
+      .addStringOption((option) =>
+        option
+          .setName('game')
+          .setDescription('Ladder for one game (defaults to overall)')
+          .setRequired(false)
+          .addChoices(...battleGames.map((game) => ({ name: game.name, value: game.key })))
+      )
+      .addIntegerOption((option) =>
+        option.setName('page').setDescription('Page number to view').setRequired(false).setMinValue(1)
+      )
   );
 
 async function handleChallenge(interaction) {
   const opponent = interaction.options.getUser('opponent', true);
   const amount = interaction.options.getInteger('amount', true);
+  const bestOf = interaction.options.getInteger('series') ?? 1;
 
   if (opponent.bot) {
     await safeReply(interaction, {
@@ -53,12 +123,190 @@ async function handleChallenge(interaction) {
     return;
   }
 
-  await createDirectBattle(interaction, opponent, amount);
+  if (await hasActiveBattle(interaction.user.id)) {
+    await safeReply(interaction, {
+      content: '⚔️ You already have a battle in progress. Finish it before starting another.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (await hasActiveBattle(opponent.id)) {
+    await safeReply(interaction, {
+      content: `⚔️ <@${opponent.id}> is already in a battle. Try again once it finishes.`,
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await createDirectBattle(interaction, opponent, amount, { bestOf });
 }
 
 async function handleOpen(interaction) {
   const amount = interaction.options.getInteger('amount', true);
-  await createOpenBattle(interaction, amount);
+  const ranked = interaction.options.getBoolean('ranked') ?? false;
+
+  if (await hasActiveBattle(interaction.user.id)) {
+    await safeReply(interaction, {
+      content: '⚔️ You already have a battle in progress. Finish it before starting another.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await createOpenBattle(interaction, amount, { ranked });
+}
+
+function describeBattle(battle, userId) {
+  const isChallenger = battle.challengerId === userId;
+  const rival = isChallenger ? battle.opponent : battle.challenger;
+  const rivalLabel = rival ? `<@${rival.discordId}>` : 'nobody';
+  const baseName =
+    battle.game === ROTATION_GAME_KEY
+      ? ROTATION_GAME_NAME
+      : battle.game
+      ? getGameByKey(battle.game)?.name ?? battle.game
+      : 'No game';
+  const gameName = battle.tournamentId
+    ? `${baseName} (🏟️ Tournament #${battle.tournamentId})`
+    : battle.bestOf > 1
+    ? `${baseName} (Best of ${battle.bestOf})`
+    : baseName;
+
+  let outcome;
+  if (battle.tournamentId && battle.status === 'resolved') {
+    outcome = battle.winnerId === userId ? '🏆 Advanced' : '💀 Eliminated';
+  } else if (battle.status === 'resolved') {
+    outcome =
+      battle.winnerId === userId
+        ? `🏆 Won **+${battle.amount - battle.rake} VP**${battle.rake > 0 ? ` (after ${battle.rake} VP rake)` : ''}`
+        : `💀 Lost **-${battle.amount} VP**`;
+  } else {
+    outcome = CLOSED_STATUS_LABELS[battle.status] ?? battle.status;
+  }
+
+  return `${formatTimestamp(battle.createdAt, 'd')} vs ${rivalLabel} • ${gameName}\n${outcome}`;
+}
+
+async function handleHistory(interaction) {
+  const targetUser = interaction.options.getUser('user') ?? interaction.user;
+  const page = interaction.options.getInteger('page') || 1;
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const history = await getBattleHistory(targetUser.id, { page, perPage: HISTORY_PER_PAGE });
+
+    if (history.battles.length === 0) {
+      await interaction.editReply({
+        content:
+          history.totalBattles > 0
+            ? `⚔️ No battles on page ${page}. There are only ${history.totalPages} page(s).`
+            : '⚔️ No finished battles yet.',
+      });
+      return;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(`⚔️ Battle History — ${targetUser.username}`)
+      .setDescription(history.battles.map((battle) => describeBattle(battle, history.user.id)).join('\n\n'))
+      .addFields(
+        { name: 'Wins', value: `${history.wins}`, inline: true },
+        { name: 'Losses', value: `${history.losses}`, inline: true }
+      )
+      .setFooter({ text: `Page ${page}/${history.totalPages} • ${history.totalBattles} battles` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in battle history:', error);
+    await interaction.editReply({ content: '❌ Failed to load battle history. Please try again.' });
+  }
+}
+
+function formatRecord(row) {
+  return `${row.wins}W – ${row.losses}L`;
+}
+
+async function handleRank(interaction) {
+  const targetUser = interaction.options.getUser('user') ?? interaction.user;
+
+  try {
+    await interaction.deferReply();
+
+    const { overall, games, rank, rankedPlayers } = await getUserRatings(targetUser.id);
+    const tier = ratingTier(overall.rating);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle(`🏅 Battle Rating — ${targetUser.username}`)
+      .setThumbnail(targetUser.displayAvatarURL?.() ?? null)
+      .setDescription(`${tier.emoji} **${overall.rating}** • ${tier.name}`)
+      .addFields(
+        { name: 'Ladder Rank', value: rank ? `#${rank} of ${rankedPlayers}` : 'Unranked', inline: true },
+        { name: 'Record', value: formatRecord(overall), inline: true },
+        { name: 'Peak', value: `${overall.peak}`, inline: true }
+      )
+      .setTimestamp();
+
+    if (games.length > 0) {
+      embed.addFields({
+        name: 'By Game',
+        value: games
+          .map((row) => `${getGameByKey(row.game)?.name ?? row.game} — **${row.rating}** (${formatRecord(row)})`)
+          .join('\n'),
+      });
+    } else {
+      embed.setFooter({ text: 'No rated battles yet — every settled battle counts.' });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in battle rank:', error);
+    await interaction.editReply({ content: '❌ Failed to load the battle rating. Please try again.' });
+  }
+}
+
+async function handleLadder(interaction) {
+  const gameKey = interaction.options.getString('game') ?? OVERALL_RATING;
+  const page = interaction.options.getInteger('page') || 1;
+  const ladderName = gameKey === OVERALL_RATING ? 'Overall' : getGameByKey(gameKey)?.name ?? gameKey;
+
+  try {
+    await interaction.deferReply();
+
+    const ladder = await getRatingLadder(gameKey, { page, perPage: LADDER_PER_PAGE });
+
+    if (ladder.ratings.length === 0) {
+      await interaction.editReply({
+        content:
+          ladder.total > 0
+            ? `🏅 No players on page ${page}. There are only ${ladder.totalPages} page(s).`
+            : `🏅 Nobody is rated on the ${ladderName} ladder yet.`,
+      });
+      return;
+    }
+
+    const startRank = (page - 1) * LADDER_PER_PAGE;
+    const lines = ladder.ratings.map((row, index) => {
+      const rank = startRank + index + 1;
+      const tier = ratingTier(row.rating);
+      return `${getMedalEmoji(rank)} **${rank}.** <@${row.user.discordId}> — ${tier.emoji} **${row.rating}** (${formatRecord(row)})`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setColor(0xffd700)
+      .setTitle(`🏅 Ranked Ladder — ${ladderName}`)
+      .setDescription(lines.join('\n'))
+      .setFooter({ text: `Page ${page}/${ladder.totalPages} • ${ladder.total} rated players` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed], allowedMentions: { parse: [] } });
+  } catch (error) {
+    console.error('Error in battle ladder:', error);
+    await interaction.editReply({ content: '❌ Failed to load the ranked ladder. Please try again.' });
+  }
 }
 
 export async function execute(interaction) {
@@ -69,7 +317,22 @@ export async function execute(interaction) {
     return;
   }
 
+  if (subcommand === 'history') {
+    await handleHistory(interaction);
+    return;
+  }
+
+  if (subcommand === 'rank') {
+    await handleRank(interaction);
+    return;
+  }
+
+  if (subcommand === 'ladder') {
+    await handleLadder(interaction);
+    return;
+  }
+
   await handleChallenge(interaction);
 }
 
-export { handleBattleComponent, handleBattleSelect, isBattleInteraction };
+export { handleBattleComponent, handleBattleModal, handleBattleSelect, isBattleInteraction };
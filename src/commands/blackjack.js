@@ -8,6 +8,7 @@ import {
 } from 'discord.js';
 
 import prisma, { getOrCreateUser, hasActiveBlackjack, getConfig } from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { logTransaction } from '../lib/logger.js';
 import { ensureCasinoButtonContext, ensureCasinoChannel } from '../lib/casino-guard.js';
 import { logBlackjackEvent } from '../lib/blackjack-telemetry.js';
@@ -167,18 +168,23 @@ export async function execute(interaction, _client) {
     const gameState = createBlackjackGame(bet);
 
     const round = await prisma.$transaction(async (tx) => {
-      await tx.user.update({
-        where: { id: user.id },
-        data: { vp: { decrement: bet } },
-      });
-
-      return tx.blackjackRound.create({
+      const created = await tx.blackjackRound.create({
         data: {
           userId: user.id,
           amount: bet,
           state: JSON.stringify(gameState),
         },
       });
+
+      await applyVPDelta(tx, {
+        userId: user.id,
+        delta: -bet,
+        reason: LEDGER_REASONS.BLACKJACK_BET,
+        source: LEDGER_SOURCES.BLACKJACK,
+        referenceId: created.id,
+      });
+
+      return created;
     });
 
     registerActiveGame(userId, {
@@ -334,9 +340,12 @@ async function cancelBlackjack(interaction) {
 
       // Refund half the bet (player loses half)
       if (refundAmount > 0) {
-        await tx.user.update({
-          where: { id: activeRound.userId },
-          data: { vp: { increment: refundAmount } },
+        await applyVPDelta(tx, {
+          userId: activeRound.userId,
+          delta: refundAmount,
+          reason: LEDGER_REASONS.BLACKJACK_REFUND,
+          source: LEDGER_SOURCES.BLACKJACK,
+          referenceId: activeRound.id,
         });
       }
     });
@@ -523,10 +532,15 @@ export async function handleBlackjackInteraction(interaction) {
         }
 
         // Deduct additional bet
-        await prisma.user.update({
-          where: { id: round.user.id },
-          data: { vp: { decrement: gameState.bet / 2 } },
-        });
+        await prisma.$transaction((tx) =>
+          applyVPDelta(tx, {
+            userId: round.user.id,
+            delta: -(gameState.bet / 2),
+            reason: LEDGER_REASONS.BLACKJACK_DOUBLE,
+            source: LEDGER_SOURCES.BLACKJACK,
+            referenceId: round.id,
+          })
+        );
 
         await resolveGame(interaction, round, gameState, round.user, { origin: 'player_double' });
         break;
@@ -553,10 +567,15 @@ export async function handleBlackjackInteraction(interaction) {
         }
 
         // Deduct peek cost
-        await prisma.user.update({
-          where: { id: round.user.id },
-          data: { vp: { decrement: peekCost } },
-        });
+        await prisma.$transaction((tx) =>
+          applyVPDelta(tx, {
+            userId: round.user.id,
+            delta: -peekCost,
+            reason: LEDGER_REASONS.BLACKJACK_PEEK,
+            source: LEDGER_SOURCES.BLACKJACK,
+            referenceId: round.id,
+          })
+        );
 
         // Mark as peeked
         gameState.hasPeeked = true;
@@ -625,15 +644,21 @@ async function resolveGame(interaction, round, gameState, user, options = {}) {
     // Handle push: return the full bet (no profit, no loss)
     if (result === 'push') {
       // Return the full bet amount (handles both regular and double-down cases)
-      await tx.user.update({
-        where: { id: user.id },
-        data: { vp: { increment: gameState.bet } },
+      await applyVPDelta(tx, {
+        userId: user.id,
+        delta: gameState.bet,
+        reason: LEDGER_REASONS.BLACKJACK_REFUND,
+        source: LEDGER_SOURCES.BLACKJACK,
+        referenceId: round.id,
       });
     } else if (payout > 0) {
       // Win or blackjack: add payout
-      await tx.user.update({
-        where: { id: user.id },
-        data: { vp: { increment: payout } },
+      await applyVPDelta(tx, {
+        userId: user.id,
+        delta: payout,
+        reason: LEDGER_REASONS.BLACKJACK_PAYOUT,
+        source: LEDGER_SOURCES.BLACKJACK,
+        referenceId: round.id,
       });
     }
     // Lose: payout is 0, no balance change needed (bet already deducted)
@@ -1,13 +1,53 @@
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
 import prisma, { getOrCreateUser, getConfig } from '../db/index.js';
-import { formatVP } from '../lib/utils.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
+import { formatVP, formatTimestamp } from '../lib/utils.js';
 import { logTransaction } from '../lib/logger.js';
+import { DAILY_COOLDOWN_MS, getDailyStreakConfig, getStreakDeadline, resolveDailyStreak } from '../lib/daily-streak.js';
+import { setDailyReminder } from '../lib/daily-reminders.js';
 
 export const data = new SlashCommandBuilder()
   .setName('daily')
-  .setDescription('Claim your random daily VP (24h cooldown)');
+  .setDescription('Claim your random daily VP (24h cooldown)')
+  .addStringOption((option) =>
+    option
+      .setName('remind')
+      .setDescription('Turn reminders for when your next claim is ready on or off (does not claim)')
+      .setRequired(false)
+      .addChoices({ name: 'on', value: 'on' }, { name: 'off', value: 'off' })
+  );
+
+async function handleRemind(interaction, setting) {
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = await getOrCreateUser(interaction.user.id);
+    const enabled = setting === 'on';
+    await setDailyReminder(user.id, enabled);
+
+    if (!enabled) {
+      return interaction.editReply({ content: '🔕 Daily reminders are off.' });
+    }
+
+    const readyAt = user.lastDailyAt ? new Date(user.lastDailyAt.getTime() + DAILY_COOLDOWN_MS) : null;
+    await interaction.editReply({
+      content:
+        readyAt && readyAt > new Date()
+          ? `🔔 Daily reminders are on. I'll DM you when your next claim is ready (${formatTimestamp(readyAt, 'R')}).`
+          : "🔔 Daily reminders are on. Your daily is ready now — claim it with `/daily` and I'll remind you about the next one.",
+    });
+  } catch (error) {
+    console.error('Error updating daily reminder:', error);
+    await interaction.editReply({ content: '❌ Failed to update your reminder setting. Please try again.' });
+  }
+}
 
 export async function execute(interaction) {
+  const remind = interaction.options.getString('remind');
+  if (remind) {
+    return handleRemind(interaction, remind);
+  }
+
   try {
     await interaction.deferReply();
 
@@ -20,12 +60,13 @@ export async function execute(interaction) {
       });
     }
 
+    const now = new Date();
+
     // Check cooldown
     if (user.lastDailyAt) {
-      const now = new Date();
       const lastDaily = new Date(user.lastDailyAt);
       const timeSinceLastDaily = now - lastDaily;
-      const cooldownMs = 24 * 60 * 60 * 1000; // 24 hours
+      const cooldownMs = DAILY_COOLDOWN_MS;
 
       if (timeSinceLastDaily < cooldownMs) {
         const timeRemaining = cooldownMs - timeSinceLastDaily;
@@ -38,12 +79,16 @@ export async function execute(interaction) {
       }
     }
 
+    // Consecutive claims within the grace window build a streak that boosts the reward
+    const streakConfig = await getDailyStreakConfig();
+    const streak = resolveDailyStreak(user, streakConfig, now);
+
     // Get RNG chance from config
     const chanceStr = await getConfig('daily_rng_chance', '0.10');
     const parsedBaseChance = parseFloat(chanceStr);
     const baseChance = Number.isFinite(parsedBaseChance) ? parsedBaseChance : 0.1;
     const modifier = Number.isFinite(user.dailyChanceModifier) ? user.dailyChanceModifier : 0;
-    const totalChance = Math.max(baseChance + modifier, 0);
+    const totalChance = Math.max(baseChance + modifier + streak.chanceBonus, 0);
 
     // Calculate guaranteed VP and leftover probability
     // e.g., 2.35 = 2 guaranteed VP + 35% chance for 3rd VP
@@ -61,17 +106,49 @@ export async function execute(interaction) {
     // Get daily amount from config
     const amountStr = await getConfig('daily_amount', '1');
     const baseAmount = parseInt(amountStr);
-    const totalAmount = baseAmount * vpMultiplier;
-
-    // Update user
-    const updatedUser = await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        lastDailyAt: new Date(),
-        ...(success && { vp: { increment: totalAmount } }),
-      },
+    const streakAmount = success ? streak.amountBonus : 0;
+    const totalAmount = baseAmount * vpMultiplier + streakAmount;
+
+    // Update user; the lastDailyAt guard stops a double claim from two quick /daily calls
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.user.updateMany({
+        where: { id: user.id, lastDailyAt: user.lastDailyAt },
+        data: { lastDailyAt: now, streakDays: streak.streakDays, dailyRemindedAt: null },
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      if (!success) {
+        return tx.user.findUnique({ where: { id: user.id } });
+      }
+
+      return applyVPDelta(tx, {
+        userId: user.id,
+        delta: totalAmount,
+        reason: LEDGER_REASONS.DAILY,
+        source: LEDGER_SOURCES.DAILY,
+      });
     });
 
+    if (!updatedUser) {
+      return interaction.editReply({ content: '⏰ You have already claimed your daily VP.' });
+    }
+
+    const nextClaimAt = formatTimestamp(new Date(now.getTime() + DAILY_COOLDOWN_MS), 'R');
+    const streakDeadline = formatTimestamp(getStreakDeadline(now, streakConfig.graceHours), 'f');
+    const streakLines = [
+      `🔥 Streak: **${streak.streakDays} day${streak.streakDays !== 1 ? 's' : ''}**` +
+        (streak.bonusDays > 0
+          ? ` (+${(streak.chanceBonus * 100).toFixed(1)}% chance${streakAmount > 0 ? `, +${streakAmount} VP` : ''})`
+          : ''),
+      streak.broken ? `💔 Your ${streak.previousStreak}-day streak ended — it has restarted at 1.` : null,
+      `Claim again ${nextClaimAt} (before ${streakDeadline}) to keep it going.`,
+    ]
+      .filter(Boolean)
+      .join('\n');
+
     // Create embed
     const embed = new EmbedBuilder()
       .setColor(success ? 0x00ff00 : 0xff0000)
@@ -87,8 +164,9 @@ export async function execute(interaction) {
               : leftoverChance > 0 && !bonusSuccess
               ? `🎲 Bonus roll: **Failed** (${(leftoverChance * 100).toFixed(1)}% chance)\n`
               : '') +
-            `💰 New balance: **${updatedUser.vp} VP**`
-          : `Better luck tomorrow! Your daily chance is ${(totalChance * 100).toFixed(1)}%.`
+            (streakAmount > 0 ? `🔥 Streak bonus: **+${streakAmount} VP**\n` : '') +
+            `💰 New balance: **${updatedUser.vp} VP**\n\n${streakLines}`
+          : `Better luck tomorrow! Your daily chance is ${(totalChance * 100).toFixed(1)}%.\n\n${streakLines}`
       )
       .addFields(
         {
@@ -107,6 +185,11 @@ export async function execute(interaction) {
           inline: true,
         } : { name: '\u200b', value: '\u200b', inline: true }
       )
+      .setFooter({
+        text: user.dailyReminder
+          ? '🔔 You will be reminded when your next claim is ready'
+          : 'Tip: /daily remind:on reminds you when your next claim is ready',
+      })
       .setTimestamp();
 
     await interaction.editReply({ embeds: [embed] });
@@ -117,6 +200,7 @@ export async function execute(interaction) {
         userId: interaction.user.id,
         amount: totalAmount,
         success: true,
+        streakDays: streak.streakDays,
       });
     }
   } catch (error) {
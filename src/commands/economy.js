@@ -0,0 +1,100 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { formatVP } from '../lib/utils.js';
+import { ECONOMY_STATS_PERIODS, getEconomyPeriodStart, getEconomyStats } from '../lib/economy-stats.js';
+
+// Cache per period (60 second TTL); the stats scan every balance and the ledger
+const cache = {
+  entries: new Map(),
+  ttl: 60000,
+};
+
+const MAX_FLOW_LINES = 5;
+
+export const data = new SlashCommandBuilder()
+  .setName('economy')
+  .setDescription('VP economy information')
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('stats')
+      .setDescription('Circulation, VP sources and sinks, and how concentrated balances are')
+      .addStringOption((option) =>
+        option
+          .setName('period')
+          .setDescription('Time window for sources and sinks (default: last 30 days)')
+          .setRequired(false)
+          .addChoices(...Object.entries(ECONOMY_STATS_PERIODS).map(([value, { label }]) => ({ name: label, value })))
+      )
+  );
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function formatFlows(flows, sign) {
+  if (flows.length === 0) {
+    return 'None in this period';
+  }
+
+  return flows
+    .slice(0, MAX_FLOW_LINES)
+    .map((flow, index) => `**${index + 1}.** ${flow.label} — ${sign}${formatVP(flow.amount)}`)
+    .join('\n');
+}
+
+function describeConcentration(gini) {
+  if (gini < 0.3) return 'evenly spread';
+  if (gini < 0.5) return 'moderately concentrated';
+  if (gini < 0.7) return 'concentrated';
+  return 'highly concentrated';
+}
+
+async function loadStats(period) {
+  const now = Date.now();
+  const cached = cache.entries.get(period);
+  if (cached && now - cached.timestamp < cache.ttl) {
+    return cached.stats;
+  }
+
+  const stats = await getEconomyStats(getEconomyPeriodStart(period));
+  cache.entries.set(period, { stats, timestamp: now });
+  return stats;
+}
+
+export async function execute(interaction) {
+  const period = interaction.options.getString('period') || '30d';
+
+  try {
+    await interaction.deferReply();
+
+    const stats = await loadStats(period);
+    const { flows } = stats;
+
+    const embed = new EmbedBuilder()
+      .setColor(0xffd700)
+      .setTitle('📈 VP Economy')
+      .addFields(
+        { name: '💰 In Circulation', value: formatVP(stats.circulation), inline: true },
+        { name: '👥 Holders', value: `${stats.holders}`, inline: true },
+        { name: '🏦 House Account', value: formatVP(stats.houseBalance), inline: true },
+        {
+          name: '⚖️ Concentration',
+          value: `Gini **${stats.gini.toFixed(2)}** (${describeConcentration(stats.gini)}) • Top 10% hold **${formatPercent(stats.topShare)}**`,
+          inline: false,
+        },
+        { name: '🟢 Minted', value: `+${formatVP(flows.minted)}`, inline: true },
+        { name: '🔴 Burned', value: `-${formatVP(flows.burned)}`, inline: true },
+        { name: '📊 Net', value: `${flows.net >= 0 ? '+' : ''}${formatVP(flows.net)}`, inline: true },
+        { name: 'Top Sources', value: formatFlows(flows.sources, '+'), inline: true },
+        { name: 'Top Sinks', value: formatFlows(flows.sinks, '-'), inline: true }
+      )
+      .setFooter({ text: `${ECONOMY_STATS_PERIODS[period].label} • Balances as of now` })
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error in economy command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to load economy statistics. Please try again.',
+    });
+  }
+}
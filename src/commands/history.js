@@ -0,0 +1,2 @@
+// The command loader registers one command per file; /history is implemented in balance.js
+export { historyData as data, executeHistory as execute } from './balance.js';
@@ -1,22 +1,62 @@
 import {
   SlashCommandBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
   EmbedBuilder,
   MessageFlags,
-  PermissionFlagsBits,
-  ChannelType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from 'discord.js';
-import prisma, { getOrCreateUser, getConfig } from '../db/index.js';
-import { formatVP, getProviderRoleIds, memberHasProviderRole } from '../lib/utils.js';
+import prisma, { getOrCreateUser } from '../db/index.js';
+import { formatVP, formatTimestamp, getProviderRoleIds, memberHasProviderRole } from '../lib/utils.js';
 import { logTransaction } from '../lib/logger.js';
+import {
+  listRewardItems,
+  findRewardItem,
+  searchRewardChoices,
+  checkRewardAvailability,
+  getRemainingStock,
+  describeUnavailableReward,
+} from '../lib/reward-catalog.js';
+import {
+  cancelRedemption,
+  claimRedemption,
+  commitRedemption,
+  fulfillRedemption,
+  getCancelWindowMinutes,
+  isWithinCancelWindow,
+  releaseRedemption,
+  reserveRedemption,
+} from '../lib/redemptions.js';
+import { closeTicketChannel, createTicketChannel } from '../lib/redemption-tickets.js';
+import {
+  encodeRedemptionQueueCustomId,
+  decodeRedemptionQueueCustomId,
+  fetchOpenRedemptionPage,
+  getRedemptionSlaMinutes,
+  isPastSla,
+  REDEMPTION_QUEUE_PAGE_SIZE,
+} from '../lib/redemption-queue.js';
 
 export const data = new SlashCommandBuilder()
   .setName('redeem')
   .setDescription('Redeem VP for rewards')
   .addSubcommand((subcommand) =>
-    subcommand.setName('five').setDescription('Redeem for $5 order (costs 25 VP)')
+    subcommand.setName('list').setDescription('Browse the rewards you can redeem VP for')
   )
   .addSubcommand((subcommand) =>
-    subcommand.setName('free').setDescription('Redeem for free $20 order (costs 60 VP)')
+    subcommand
+      .setName('claim')
+      .setDescription('Redeem VP for a reward')
+      .addStringOption((option) =>
+        option
+          .setName('item')
+          .setDescription('Reward to claim')
+          .setRequired(true)
+          .setAutocomplete(true)
+      )
   )
   .addSubcommand((subcommand) =>
     subcommand
@@ -28,6 +68,23 @@ export const data = new SlashCommandBuilder()
           .setDescription('The redemption ID to fulfill')
           .setRequired(true)
       )
+  )
+  .addSubcommand((subcommand) =>
+    subcommand.setName('queue').setDescription('View open redemptions and claim, fulfill or cancel them (Provider only)')
+  )
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('cancel')
+      .setDescription('Cancel a redemption and refund its VP')
+      .addIntegerOption((option) =>
+        option
+          .setName('redemption_id')
+          .setDescription('The redemption ID to cancel')
+          .setRequired(true)
+      )
+      .addStringOption((option) =>
+        option.setName('reason').setDescription('Why it is being canceled').setRequired(false).setMaxLength(300)
+      )
   );
 
 export async function execute(interaction) {
@@ -37,8 +94,65 @@ export async function execute(interaction) {
     return handleFulfill(interaction);
   }
 
-  // Handle redemptions
-  const type = subcommand === 'five' ? '5USD' : 'FREE_ORDER';
+  if (subcommand === 'cancel') {
+    return handleCancel(interaction);
+  }
+
+  if (subcommand === 'queue') {
+    return handleQueue(interaction);
+  }
+
+  if (subcommand === 'list') {
+    return handleList(interaction);
+  }
+
+  return handleClaim(interaction);
+}
+
+export async function autocomplete(interaction) {
+  try {
+    await interaction.respond(await searchRewardChoices(interaction.options.getFocused()));
+  } catch (error) {
+    console.error('Error in redeem autocomplete:', error);
+  }
+}
+
+async function handleList(interaction) {
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const items = await listRewardItems();
+    if (items.length === 0) {
+      return interaction.editReply({ content: '🛒 There are no rewards available right now.' });
+    }
+
+    const remainingStock = await getRemainingStock(items);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff00)
+      .setTitle('🛒 Reward Catalog')
+      .setDescription('Use `/redeem claim <item>` to redeem a reward.')
+      .addFields(
+        items.slice(0, 25).map((item) => {
+          const details = [`**Cost:** ${formatVP(item.cost)}`];
+          if (item.description) details.unshift(item.description);
+          if (remainingStock.has(item.id)) details.push(`**Stock:** ${remainingStock.get(item.id)} left`);
+          if (item.perUserLimit !== null) details.push(`**Limit:** ${item.perUserLimit} per user`);
+
+          return { name: `${item.name} (\`${item.key}\`)`, value: details.join('\n'), inline: false };
+        })
+      )
+      .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error listing rewards:', error);
+    await interaction.editReply({ content: '❌ Failed to load the reward catalog. Please try again.' });
+  }
+}
+
+async function handleClaim(interaction) {
+  const itemKey = interaction.options.getString('item');
 
   try {
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
@@ -52,124 +166,134 @@ export async function execute(interaction) {
       });
     }
 
-    // Get cost from config
-    const costKey = subcommand === 'five' ? 'five_cost' : 'free_cost';
-    const costStr = await getConfig(costKey, subcommand === 'five' ? '25' : '60');
-    const cost = parseInt(costStr);
+    const item = await findRewardItem(itemKey);
+    if (!item) {
+      return interaction.editReply({
+        content: `❌ No reward called \`${itemKey}\`. Use \`/redeem list\` to see what is available.`,
+      });
+    }
+
+    const availability = await checkRewardAvailability(item, user.id);
+    if (!availability.ok) {
+      return interaction.editReply({ content: `❌ ${describeUnavailableReward(item, availability.reason)}` });
+    }
+
+    const cost = item.cost;
+    const rewardText = item.name;
 
-    // Check balance
+    // Quick check for a friendly message; the reservation below is what enforces it
     if (user.vp < cost) {
       return interaction.editReply({
         content: `❌ Insufficient balance. This redemption costs ${formatVP(cost)}, but you only have ${formatVP(user.vp)}.`,
       });
     }
 
-    // Create private ticket channel
-    const providerRoleIds = getProviderRoleIds();
-    const providerPermissionOverwrites = providerRoleIds.map((roleId) => ({
-      id: roleId,
-      allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
-    }));
-
-    const ticketChannel = await interaction.guild.channels.create({
-      name: `redemption-${interaction.user.username}-${Date.now()}`,
-      type: ChannelType.GuildText,
-      permissionOverwrites: [
-        {
-          id: interaction.guild.id,
-          deny: [PermissionFlagsBits.ViewChannel],
-        },
-        {
-          id: interaction.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
-        },
-        ...providerPermissionOverwrites,
-        {
-          id: interaction.client.user.id,
-          allow: [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages],
-        },
-      ],
-    });
+    // Hold the VP first so concurrent claims cannot spend it twice
+    const reservation = await reserveRedemption(user, item);
+    if (!reservation.ok) {
+      if (reservation.reason === 'insufficient_funds') {
+        const current = await getOrCreateUser(interaction.user.id);
+        return interaction.editReply({
+          content: `❌ Insufficient balance. This redemption costs ${formatVP(cost)}, but you only have ${formatVP(current.vp)}.`,
+        });
+      }
+      return interaction.editReply({ content: `❌ ${describeUnavailableReward(item, reservation.reason)}` });
+    }
+
+    const { redemption } = reservation;
+    const remainingBalance = reservation.user.vp;
 
-    // Deduct VP and create redemption record
-    const redemption = await prisma.$transaction(async (tx) => {
-      await tx.user.update({
-        where: { id: user.id },
-        data: { vp: { decrement: cost } },
+    // Open the ticket, then commit the reservation; undo both if either step fails
+    let ticketChannel = null;
+    try {
+      ticketChannel = await createTicketChannel(interaction.guild, redemption, {
+        userDiscordId: interaction.user.id,
+        username: interaction.user.username,
       });
 
-      return await tx.redemption.create({
-        data: {
-          userId: user.id,
-          type,
-          cost,
-          ticketChannelId: ticketChannel.id,
-          status: 'opened',
-        },
+      if (!(await commitRedemption(redemption, ticketChannel.id))) {
+        throw new Error(`Reservation for redemption #${redemption.id} was released before the ticket opened`);
+      }
+    } catch (error) {
+      console.error('Error opening redemption ticket:', error);
+      await ticketChannel?.delete('Redemption could not be opened').catch((deleteError) => {
+        console.log('Could not delete ticket channel:', deleteError.message);
       });
-    });
+      await releaseRedemption(redemption, 'Ticket could not be created');
 
-    // Send initial message in ticket
-    const rewardText = type === '5USD' ? '$5 Order' : 'Free $20 Order';
-    const ticketEmbed = new EmbedBuilder()
-      .setColor(0x00ff00)
-      .setTitle('🎟️ Redemption Ticket')
-      .setDescription(`**${interaction.user.username}** has redeemed **${rewardText}**!`)
-      .addFields(
-        { name: 'Redemption ID', value: `#${redemption.id}`, inline: true },
-        { name: 'Cost', value: formatVP(cost), inline: true },
-        { name: 'Remaining Balance', value: formatVP(user.vp - cost), inline: true },
-        { name: 'Status', value: '⏳ Pending', inline: false }
-      )
-      .setFooter({ text: 'A provider will assist you shortly!' })
-      .setTimestamp();
+      return interaction.editReply({
+        content: '❌ Could not open a ticket for your redemption, so your VP was not spent. Please try again.',
+      });
+    }
 
-    const providerMentions = providerRoleIds.map((roleId) => `<@&${roleId}>`).join(' ');
+    // The VP is spent and the ticket exists from here on, so later failures are only
+    // logged; telling the user to try again would have them pay twice.
+    await sendClaimConfirmation(interaction, redemption, ticketChannel);
 
-    await ticketChannel.send({
-      content: providerMentions
-        ? `<@${interaction.user.id}> ${providerMentions}`
-        : `<@${interaction.user.id}>`,
-      embeds: [ticketEmbed],
-    });
+    try {
+      // Send initial message in ticket
+      const ticketEmbed = new EmbedBuilder()
+        .setColor(0x00ff00)
+        .setTitle('🎟️ Redemption Ticket')
+        .setDescription(
+          [`**${interaction.user.username}** has redeemed **${rewardText}**!`, item.description]
+            .filter(Boolean)
+            .join('\n')
+        )
+        .addFields(
+          { name: 'Redemption ID', value: `#${redemption.id}`, inline: true },
+          { name: 'Cost', value: formatVP(cost), inline: true },
+          { name: 'Remaining Balance', value: formatVP(remainingBalance), inline: true },
+          { name: 'Status', value: '⏳ Pending', inline: false }
+        )
+        .setFooter({ text: 'A provider will assist you shortly!' })
+        .setTimestamp();
+
+      const providerMentions = getProviderRoleIds().map((roleId) => `<@&${roleId}>`).join(' ');
+
+      await ticketChannel.send({
+        content: providerMentions
+          ? `<@${interaction.user.id}> ${providerMentions}`
+          : `<@${interaction.user.id}>`,
+        embeds: [ticketEmbed],
+      });
 
-    await ticketChannel.send({
-      content: `**Instructions for Provider:**\nOnce fulfilled, use \`/redeem fulfill ${redemption.id}\` to mark this redemption as complete.`,
-    });
+      await ticketChannel.send({
+        content: `**Instructions for Provider:**\nOnce fulfilled, use \`/redeem fulfill ${redemption.id}\` to mark this redemption as complete, or \`/redeem cancel ${redemption.id}\` to cancel it and refund the VP.`,
+      });
 
-    // Confirm to user
-    await interaction.editReply({
-      content: `✅ Redemption successful! Your ticket has been created: <#${ticketChannel.id}>\n\nA provider will assist you shortly.`,
-    });
+      // DM user
+      try {
+        await interaction.user.send({
+          embeds: [
+            {
+              color: 0x00ff00,
+              title: '✅ Redemption Created',
+              description: `Your ${rewardText} redemption ticket has been opened!`,
+              fields: [
+                { name: 'Redemption ID', value: `#${redemption.id}`, inline: true },
+                { name: 'Ticket Channel', value: `<#${ticketChannel.id}>`, inline: true },
+                { name: 'New Balance', value: formatVP(remainingBalance), inline: true },
+              ],
+              timestamp: new Date().toISOString(),
+            },
+          ],
+        });
+      } catch (error) {
+        console.log('Could not DM user:', error.message);
+      }
 
-    // DM user
-    try {
-      await interaction.user.send({
-        embeds: [
-          {
-            color: 0x00ff00,
-            title: '✅ Redemption Created',
-            description: `Your ${rewardText} redemption ticket has been opened!`,
-            fields: [
-              { name: 'Redemption ID', value: `#${redemption.id}`, inline: true },
-              { name: 'Ticket Channel', value: `<#${ticketChannel.id}>`, inline: true },
-              { name: 'New Balance', value: formatVP(user.vp - cost), inline: true },
-            ],
-            timestamp: new Date().toISOString(),
-          },
-        ],
+      // Log transaction
+      await logTransaction('redemption', {
+        userId: interaction.user.id,
+        redemptionId: redemption.id,
+        type: rewardText,
+        cost,
+        status: 'opened',
       });
     } catch (error) {
-      console.log('Could not DM user:', error.message);
+      console.error(`Error finishing redemption #${redemption.id} after it was opened:`, error);
     }
-
-    // Log transaction
-    await logTransaction('redemption', {
-      userId: interaction.user.id,
-      type: rewardText,
-      cost,
-      status: 'opened',
-    });
   } catch (error) {
     console.error('Error in redeem command:', error);
     await interaction.editReply({
@@ -178,10 +302,199 @@ export async function execute(interaction) {
   }
 }
 
+async function sendClaimConfirmation(interaction, redemption, ticketChannel) {
+  try {
+    const cancelWindow = await getCancelWindowMinutes();
+    await interaction.editReply({
+      content: [
+        `✅ Redemption successful! Your ticket has been created: <#${ticketChannel.id}>`,
+        'A provider will assist you shortly.',
+        cancelWindow
+          ? `Changed your mind? Use \`/redeem cancel ${redemption.id}\` within ${cancelWindow} minute(s) for a full refund.`
+          : null,
+      ]
+        .filter(Boolean)
+        .join('\n\n'),
+    });
+  } catch (error) {
+    console.error(`Error confirming redemption #${redemption.id}:`, error);
+  }
+}
+
+async function loadRedemption(redemptionId) {
+  return prisma.redemption.findUnique({
+    where: { id: redemptionId },
+    include: { user: true },
+  });
+}
+
+/**
+ * Archive or delete the ticket channel and post the outcome, with its transcript, to the audit log.
+ */
+async function closeTicketAndLog(interaction, redemption, { status, reason = null }) {
+  let transcript = null;
+  try {
+    transcript = await closeTicketChannel(interaction.guild, redemption, {
+      outcome: status,
+      userDiscordId: redemption.user.discordId,
+    });
+  } catch (error) {
+    console.log('Could not close ticket channel:', error.message);
+  }
+
+  await logTransaction('redemption', {
+    userId: redemption.user.discordId,
+    redemptionId: redemption.id,
+    type: redemption.type,
+    cost: redemption.cost,
+    status,
+    closedById: interaction.user.id,
+    reason,
+    transcript,
+  });
+}
+
+async function notifyTicket(interaction, redemption, embed) {
+  if (!redemption.ticketChannelId) {
+    return;
+  }
+
+  try {
+    const ticketChannel = await interaction.guild.channels.fetch(redemption.ticketChannelId);
+    await ticketChannel.send({ embeds: [embed] });
+  } catch (error) {
+    console.log('Could not update ticket channel:', error.message);
+  }
+}
+
+async function dmRedemptionOwner(interaction, redemption, embed) {
+  try {
+    const discordUser = await interaction.client.users.fetch(redemption.user.discordId);
+    await discordUser.send({ embeds: [embed] });
+  } catch (error) {
+    console.log('Could not DM user:', error.message);
+  }
+}
+
+function describeClosedRedemption(redemption) {
+  return `❌ Redemption #${redemption.id} is already ${redemption.status === 'opened' ? 'closed' : redemption.status}.`;
+}
+
+/**
+ * Mark a redemption fulfilled, tell the ticket and the user, then close the ticket.
+ * Returns the message for the provider.
+ */
+async function completeFulfillment(interaction, redemption) {
+  if (!(await fulfillRedemption(redemption, interaction.user.id))) {
+    return describeClosedRedemption(redemption);
+  }
+
+  await notifyTicket(
+    interaction,
+    redemption,
+    new EmbedBuilder()
+      .setColor(0x00ff00)
+      .setTitle('✅ Redemption Fulfilled')
+      .setDescription(`This redemption has been marked as fulfilled by <@${interaction.user.id}>.`)
+      .setTimestamp()
+  );
+
+  await dmRedemptionOwner(interaction, redemption, {
+    color: 0x00ff00,
+    title: '✅ Redemption Fulfilled',
+    description: `Your redemption #${redemption.id} has been fulfilled!`,
+    fields: [{ name: 'Fulfilled By', value: `${interaction.user.username}`, inline: true }],
+    timestamp: new Date().toISOString(),
+  });
+
+  await closeTicketAndLog(interaction, redemption, { status: 'fulfilled' });
+
+  return `✅ Successfully marked redemption #${redemption.id} as fulfilled.`;
+}
+
+/**
+ * Cancel and refund a redemption, tell the ticket and the user, then close the ticket.
+ * Returns the message for whoever canceled it.
+ */
+async function completeCancellation(interaction, redemption, reason) {
+  const updatedUser = await cancelRedemption(redemption, { closedById: interaction.user.id, reason });
+  if (!updatedUser) {
+    return describeClosedRedemption(redemption);
+  }
+
+  const description = [
+    `This redemption was canceled by <@${interaction.user.id}> and ${formatVP(redemption.cost)} was refunded.`,
+    reason ? `**Reason:** ${reason}` : null,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+  await notifyTicket(
+    interaction,
+    redemption,
+    new EmbedBuilder().setColor(0xff0000).setTitle('❌ Redemption Canceled').setDescription(description).setTimestamp()
+  );
+
+  if (redemption.user.discordId !== interaction.user.id) {
+    await dmRedemptionOwner(interaction, redemption, {
+      color: 0xff0000,
+      title: '❌ Redemption Canceled',
+      description: `Your redemption #${redemption.id} was canceled and ${formatVP(redemption.cost)} was refunded.${reason ? `\n**Reason:** ${reason}` : ''}`,
+      fields: [{ name: 'New Balance', value: formatVP(updatedUser.vp), inline: true }],
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  await closeTicketAndLog(interaction, redemption, { status: 'canceled', reason });
+
+  return `✅ Redemption #${redemption.id} canceled. Refunded ${formatVP(redemption.cost)} to <@${redemption.user.discordId}> (balance: ${formatVP(updatedUser.vp)}).`;
+}
+
+/**
+ * Assign a redemption to the provider and announce it in the ticket.
+ */
+async function completeClaim(interaction, redemption) {
+  if (!(await claimRedemption(redemption, interaction.user.id))) {
+    if (redemption.status !== 'opened') {
+      return describeClosedRedemption(redemption);
+    }
+    return `❌ Redemption #${redemption.id} has already been claimed by <@${redemption.claimedById}>.`;
+  }
+
+  await notifyTicket(
+    interaction,
+    redemption,
+    new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setTitle('🙋 Redemption Claimed')
+      .setDescription(`<@${interaction.user.id}> is handling this redemption.`)
+      .setTimestamp()
+  );
+
+  await logTransaction('redemption', {
+    userId: redemption.user.discordId,
+    redemptionId: redemption.id,
+    type: redemption.type,
+    cost: redemption.cost,
+    status: 'claimed',
+    claimedById: interaction.user.id,
+  });
+
+  return `🙋 You claimed redemption #${redemption.id}.`;
+}
+
+async function isProvider(interaction) {
+  if (!interaction.guild) {
+    return false;
+  }
+
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  return memberHasProviderRole(member);
+}
+
 async function handleFulfill(interaction) {
   // Check if user has provider role
-  const member = await interaction.guild.members.fetch(interaction.user.id);
-  if (!memberHasProviderRole(member)) {
+  if (!(await isProvider(interaction))) {
     return interaction.reply({
       content: '❌ Only providers can fulfill redemptions.',
       flags: MessageFlags.Ephemeral,
@@ -193,11 +506,7 @@ async function handleFulfill(interaction) {
   try {
     await interaction.deferReply();
 
-    // Get redemption
-    const redemption = await prisma.redemption.findUnique({
-      where: { id: redemptionId },
-      include: { user: true },
-    });
+    const redemption = await loadRedemption(redemptionId);
 
     if (!redemption) {
       return interaction.editReply({
@@ -205,76 +514,243 @@ async function handleFulfill(interaction) {
       });
     }
 
-    if (redemption.status === 'fulfilled') {
-      return interaction.editReply({
-        content: `❌ Redemption #${redemptionId} has already been fulfilled.`,
-      });
+    await interaction.editReply({ content: await completeFulfillment(interaction, redemption) });
+  } catch (error) {
+    console.error('Error in fulfill command:', error);
+    await interaction.editReply({
+      content: '❌ Failed to fulfill redemption. Please try again.',
+    });
+  }
+}
+
+async function handleCancel(interaction) {
+  const redemptionId = interaction.options.getInteger('redemption_id');
+  const reason = interaction.options.getString('reason');
+
+  try {
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const redemption = await loadRedemption(redemptionId);
+
+    if (!redemption) {
+      return interaction.editReply({ content: `❌ Redemption #${redemptionId} not found.` });
     }
 
-    if (redemption.status === 'canceled') {
-      return interaction.editReply({
-        content: `❌ Redemption #${redemptionId} was canceled.`,
-      });
+    // Providers can cancel any open redemption; users only their own, within the cancel window
+    if (!(await isProvider(interaction))) {
+      if (redemption.user.discordId !== interaction.user.id) {
+        return interaction.editReply({ content: '❌ You can only cancel your own redemptions.' });
+      }
+
+      const windowMinutes = await getCancelWindowMinutes();
+      if (!isWithinCancelWindow(redemption, windowMinutes)) {
+        return interaction.editReply({
+          content: windowMinutes
+            ? `❌ Redemptions can only be canceled within ${windowMinutes} minute(s) of opening. Ask a provider in your ticket instead.`
+            : '❌ Only providers can cancel redemptions. Ask a provider in your ticket instead.',
+        });
+      }
     }
 
-    // Update status
-    await prisma.redemption.update({
-      where: { id: redemptionId },
-      data: { status: 'fulfilled' },
+    await interaction.editReply({ content: await completeCancellation(interaction, redemption, reason) });
+  } catch (error) {
+    console.error('Error in cancel command:', error);
+    await interaction.editReply({ content: '❌ Failed to cancel redemption. Please try again.' });
+  }
+}
+
+function formatAge(date, now = Date.now()) {
+  const minutes = Math.max(0, Math.floor((now - date.getTime()) / 60_000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function buildRedemptionQueueResponse({ redemptions, total, page, pageCount }, slaMinutes) {
+  if (!redemptions.length) {
+    return { content: '🎉 All caught up! There are no open redemptions.', embeds: [], components: [] };
+  }
+
+  const first = (page - 1) * REDEMPTION_QUEUE_PAGE_SIZE + 1;
+  const embed = new EmbedBuilder()
+    .setColor(0xffc107)
+    .setTitle('🎟️ Open Redemptions')
+    .setDescription(
+      [
+        `Showing ${first}–${first + redemptions.length - 1} of ${total} open redemptions (oldest first).`,
+        slaMinutes ? `⏰ marks tickets open longer than ${slaMinutes} minute(s).` : null,
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .addFields(
+      redemptions.map((redemption) => ({
+        name: `${isPastSla(redemption, slaMinutes) ? '⏰ ' : ''}#${redemption.id} • ${redemption.type}`,
+        value: [
+          `User: <@${redemption.user.discordId}>`,
+          `Cost: ${formatVP(redemption.cost)}`,
+          `Opened: ${formatTimestamp(redemption.createdAt, 'R')} (${formatAge(redemption.createdAt)})`,
+          `Claimed by: ${redemption.claimedById ? `<@${redemption.claimedById}>` : 'Nobody yet'}`,
+          redemption.ticketChannelId ? `Ticket: <#${redemption.ticketChannelId}>` : null,
+        ]
+          .filter(Boolean)
+          .join('\n'),
+      }))
+    )
+    .setFooter({ text: `Page ${page}/${pageCount}` })
+    .setTimestamp();
+
+  const rows = redemptions.map((redemption) =>
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('claim', { page, redemptionId: redemption.id }))
+        .setLabel(`Claim #${redemption.id}`)
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(Boolean(redemption.claimedById)),
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('fulfill', { page, redemptionId: redemption.id }))
+        .setLabel(`Fulfill #${redemption.id}`)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('cancel', { page, redemptionId: redemption.id }))
+        .setLabel(`Cancel #${redemption.id}`)
+        .setStyle(ButtonStyle.Danger)
+    )
+  );
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('prev', { page: page - 1 }))
+        .setLabel('◀ Prev')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page <= 1),
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('next', { page: page + 1 }))
+        .setLabel('Next ▶')
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(page >= pageCount),
+      new ButtonBuilder()
+        .setCustomId(encodeRedemptionQueueCustomId('refresh', { page }))
+        .setLabel('🔄 Refresh')
+        .setStyle(ButtonStyle.Secondary)
+    )
+  );
+
+  return { content: '', embeds: [embed], components: rows };
+}
+
+async function loadRedemptionQueueView(page) {
+  const [view, slaMinutes] = await Promise.all([fetchOpenRedemptionPage(page), getRedemptionSlaMinutes()]);
+  return buildRedemptionQueueResponse(view, slaMinutes);
+}
+
+async function handleQueue(interaction) {
+  if (!(await isProvider(interaction))) {
+    return interaction.reply({
+      content: '❌ Only providers can view the redemption queue.',
+      flags: MessageFlags.Ephemeral,
     });
+  }
 
-    // Update ticket channel
-    if (redemption.ticketChannelId) {
-      try {
-        const ticketChannel = await interaction.guild.channels.fetch(redemption.ticketChannelId);
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-        const fulfillEmbed = new EmbedBuilder()
-          .setColor(0x00ff00)
-          .setTitle('✅ Redemption Fulfilled')
-          .setDescription(
-            `This redemption has been marked as fulfilled by <@${interaction.user.id}>.`
-          )
-          .setTimestamp();
+  try {
+    await interaction.editReply(await loadRedemptionQueueView(1));
+  } catch (error) {
+    console.error('Error loading redemption queue:', error);
+    await interaction.editReply({
+      content: '❌ Failed to load open redemptions. Please try again later.',
+      embeds: [],
+      components: [],
+    });
+  }
+}
 
-        await ticketChannel.send({ embeds: [fulfillEmbed] });
-      } catch (error) {
-        console.log('Could not update ticket channel:', error.message);
+/**
+ * Claim/fulfill/cancel and paging buttons on the /redeem queue message.
+ * Canceling asks for a reason first.
+ */
+export async function handleRedemptionQueueButton(interaction) {
+  const decoded = decodeRedemptionQueueCustomId(interaction.customId);
+  if (!decoded) {
+    return;
+  }
+
+  if (!(await isProvider(interaction))) {
+    return interaction.reply({ content: '❌ Only providers can manage redemptions.', flags: MessageFlags.Ephemeral });
+  }
+
+  if (decoded.action === 'cancel') {
+    const modal = new ModalBuilder()
+      .setCustomId(encodeRedemptionQueueCustomId('cancelmodal', decoded))
+      .setTitle(`Cancel Redemption #${decoded.redemptionId}`)
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('Reason (sent to the user)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(300)
+            .setRequired(false)
+        )
+      );
+
+    await interaction.showModal(modal);
+    return;
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    let result = null;
+
+    if (decoded.action === 'claim' || decoded.action === 'fulfill') {
+      const redemption = await loadRedemption(decoded.redemptionId);
+      if (!redemption) {
+        result = `❌ Redemption #${decoded.redemptionId} not found.`;
+      } else if (decoded.action === 'claim') {
+        result = await completeClaim(interaction, redemption);
+      } else {
+        result = await completeFulfillment(interaction, redemption);
       }
     }
 
-    // DM user
-    try {
-      const discordUser = await interaction.client.users.fetch(redemption.user.discordId);
-      await discordUser.send({
-        embeds: [
-          {
-            color: 0x00ff00,
-            title: '✅ Redemption Fulfilled',
-            description: `Your redemption #${redemptionId} has been fulfilled!`,
-            fields: [{ name: 'Fulfilled By', value: `${interaction.user.username}`, inline: true }],
-            timestamp: new Date().toISOString(),
-          },
-        ],
-      });
-    } catch (error) {
-      console.log('Could not DM user:', error.message);
+    await interaction.editReply(await loadRedemptionQueueView(decoded.page));
+    if (result) {
+      await interaction.followUp({ content: result, flags: MessageFlags.Ephemeral });
     }
+  } catch (error) {
+    console.error('Error updating redemption queue:', error);
+    await interaction.followUp({ content: '❌ Failed to update the redemption. Please try again.', flags: MessageFlags.Ephemeral });
+  }
+}
 
-    await interaction.editReply({
-      content: `✅ Successfully marked redemption #${redemptionId} as fulfilled.`,
-    });
+export async function handleRedemptionQueueModal(interaction) {
+  const decoded = decodeRedemptionQueueCustomId(interaction.customId);
+  if (!decoded || decoded.action !== 'cancelmodal') {
+    return;
+  }
 
-    // Log transaction
-    await logTransaction('redemption', {
-      userId: redemption.user.discordId,
-      type: redemption.type,
-      cost: redemption.cost,
-      status: 'fulfilled',
-    });
+  if (!(await isProvider(interaction))) {
+    return interaction.reply({ content: '❌ Only providers can manage redemptions.', flags: MessageFlags.Ephemeral });
+  }
+
+  const reason = interaction.fields.getTextInputValue('reason').trim() || null;
+
+  await interaction.deferUpdate();
+
+  try {
+    const redemption = await loadRedemption(decoded.redemptionId);
+    const result = redemption
+      ? await completeCancellation(interaction, redemption, reason)
+      : `❌ Redemption #${decoded.redemptionId} not found.`;
+
+    await interaction.editReply(await loadRedemptionQueueView(decoded.page));
+    await interaction.followUp({ content: result, flags: MessageFlags.Ephemeral });
   } catch (error) {
-    console.error('Error in fulfill command:', error);
-    await interaction.editReply({
-      content: '❌ Failed to fulfill redemption. Please try again.',
-    });
+    console.error('Error canceling redemption from queue:', error);
+    await interaction.followUp({ content: '❌ Failed to cancel redemption. Please try again.', flags: MessageFlags.Ephemeral });
   }
 }
@@ -0,0 +1,90 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import prisma from '../db/index.js';
+import { formatVP, buildMessageLink, memberHasProviderRole } from '../lib/utils.js';
+import { logTransaction } from '../lib/logger.js';
+import {
+  revokeCreditedVouch,
+  buildAppealRow,
+  notifyVouchOwner,
+  reactToVouchMessage,
+} from '../lib/vouch-approval.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('revokevouch')
+  .setDescription('Revoke an approved vouch and claw back its VP (Provider only)')
+  .addIntegerOption((option) =>
+    option.setName('vouch_id').setDescription('ID of the vouch to revoke').setRequired(true).setMinValue(1)
+  )
+  .addStringOption((option) =>
+    option
+      .setName('reason')
+      .setDescription('Why the vouch is being revoked (sent to the user)')
+      .setRequired(true)
+      .setMaxLength(500)
+  );
+
+export async function execute(interaction) {
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  if (!memberHasProviderRole(member)) {
+    return interaction.reply({
+      content: '❌ Only providers can revoke vouches.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const vouchId = interaction.options.getInteger('vouch_id');
+  const reason = interaction.options.getString('reason').trim();
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const vouch = await prisma.vouch.findUnique({
+      where: { id: vouchId },
+      include: { user: true },
+    });
+
+    if (!vouch) {
+      return interaction.editReply({ content: `❌ Vouch #${vouchId} does not exist.` });
+    }
+
+    const result = await revokeCreditedVouch(vouch, interaction.user.id, reason);
+    if (!result) {
+      return interaction.editReply({
+        content: `❌ Vouch #${vouchId} is \`${vouch.status}\` and has no credited VP to revoke.`,
+      });
+    }
+
+    const { updatedUser, clawback } = result;
+
+    await reactToVouchMessage(interaction.client, vouch, '🚫');
+
+    const canAppeal = !vouch.appealedAt;
+    const notified = await notifyVouchOwner(interaction.client, vouch.user.discordId, {
+      content: [
+        `🚫 Your vouch #${vouch.id} was revoked by <@${interaction.user.id}>${clawback > 0 ? ` and ${formatVP(clawback)} was removed from your balance` : ''}.`,
+        `**Reason:** ${reason}`,
+        canAppeal ? 'If you think this is a mistake, you can appeal once using the button below.' : '',
+      ]
+        .filter(Boolean)
+        .join('\n'),
+      components: canAppeal ? [buildAppealRow(vouch.id)] : [],
+    });
+
+    await interaction.editReply({
+      content: `🚫 Vouch #${vouch.id} revoked. Clawed back ${formatVP(clawback)} from <@${vouch.user.discordId}> (balance: ${formatVP(updatedUser?.vp ?? 0)}).${notified ? '' : ' (Could not DM the user.)'}`,
+    });
+
+    await logTransaction('vouch_review', {
+      action: 'Revoked',
+      vouchId: vouch.id,
+      userId: vouch.user.discordId,
+      providerId: interaction.user.id,
+      reason,
+      clawback,
+      messageLink: buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId),
+    });
+  } catch (error) {
+    console.error('Error revoking vouch:', error);
+    await interaction.editReply({ content: '❌ Failed to revoke vouch. Please try again.' });
+  }
+}
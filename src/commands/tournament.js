@@ -0,0 +1,61 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { battleGames, getGameByKey } from '../battle/registry.js';
+import { TOURNAMENT_SIZES } from '../tournament/bracket.js';
+import { createTournamentLobby, handleTournamentButton, TOURNAMENT_PREFIX } from '../tournament/manager.js';
+import { safeReply } from '../utils/interaction.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('tournament')
+  .setDescription('Run single-elimination battle tournaments.')
+  .addSubcommand((subcommand) =>
+    subcommand
+      .setName('create')
+      .setDescription('Open a tournament lobby; the bracket starts once it fills.')
+      .addStringOption((option) =>
+        option
+          .setName('game')
+          .setDescription('Game played in every match')
+          .setRequired(true)
+          .addChoices(...battleGames.map((game) => ({ name: game.name, value: game.key })))
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('entry')
+          .setDescription('Entry fee in vouch points; all fees form the prize pool')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addIntegerOption((option) =>
+        option
+          .setName('size')
+          .setDescription('Number of players')
+          .setRequired(true)
+          .addChoices(...TOURNAMENT_SIZES.map((size) => ({ name: `${size} players`, value: size })))
+      )
+  );
+
+async function handleCreate(interaction) {
+  const game = getGameByKey(interaction.options.getString('game', true));
+  const entryFee = interaction.options.getInteger('entry', true);
+  const size = interaction.options.getInteger('size', true);
+
+  if (!game || !TOURNAMENT_SIZES.includes(size)) {
+    await safeReply(interaction, {
+      content: '❌ Pick one of the listed games and sizes.',
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await createTournamentLobby(interaction, { game, entryFee, size });
+}
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (subcommand === 'create') {
+    await handleCreate(interaction);
+  }
+}
+
+export { handleTournamentButton, TOURNAMENT_PREFIX };
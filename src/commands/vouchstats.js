@@ -0,0 +1,121 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { memberHasProviderRole } from '../lib/utils.js';
+import {
+  VOUCH_STATS_PERIODS,
+  getPeriodStart,
+  getProviderVouchStats,
+  getVouchStatsOverview,
+} from '../lib/vouch-stats.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('vouchstats')
+  .setDescription('Vouch statistics per provider (Provider only)')
+  .addUserOption((option) =>
+    option.setName('provider').setDescription('Provider to show stats for (leave empty for all)').setRequired(false)
+  )
+  .addStringOption((option) =>
+    option
+      .setName('period')
+      .setDescription('Time window (default: last 30 days)')
+      .setRequired(false)
+      .addChoices(...Object.entries(VOUCH_STATS_PERIODS).map(([value, { label }]) => ({ name: label, value })))
+  );
+
+function formatLatency(ms) {
+  if (ms === null) {
+    return 'N/A';
+  }
+
+  const totalMinutes = Math.round(ms / 60_000);
+  if (totalMinutes < 60) {
+    return `${totalMinutes}m`;
+  }
+
+  const hours = Math.floor(totalMinutes / 60);
+  if (hours < 48) {
+    return `${hours}h ${totalMinutes % 60}m`;
+  }
+
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatRate(rate) {
+  return rate === null ? 'N/A' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatTally(tally) {
+  return [
+    `**${tally.total}** total`,
+    `✅ ${tally.credited} credited`,
+    `❌ ${tally.rejected} rejected`,
+    `⏳ ${tally.pending} pending`,
+    tally.voided ? `🗑️ ${tally.voided} voided` : null,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+}
+
+function formatLatencySummary(latency) {
+  return latency.count
+    ? `Avg **${formatLatency(latency.averageMs)}** • Median **${formatLatency(latency.medianMs)}** (${latency.count} approvals)`
+    : 'No manual approvals in this period';
+}
+
+export async function execute(interaction) {
+  const member = await interaction.guild.members.fetch(interaction.user.id);
+  if (!memberHasProviderRole(member)) {
+    return interaction.reply({
+      content: '❌ Only providers can view vouch statistics.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const provider = interaction.options.getUser('provider');
+  const period = interaction.options.getString('period') || '30d';
+  const since = getPeriodStart(period);
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  try {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865f2)
+      .setFooter({ text: VOUCH_STATS_PERIODS[period].label })
+      .setTimestamp();
+
+    if (provider) {
+      const stats = await getProviderVouchStats(provider.id, since);
+
+      embed.setTitle(`📊 Vouch Stats — ${provider.username}`).addFields(
+        { name: 'Vouches mentioning them', value: formatTally(stats.mentions), inline: false },
+        { name: 'Rejection rate', value: formatRate(stats.mentions.rejectionRate), inline: true },
+        {
+          name: 'Reviews performed',
+          value: `✅ ${stats.reviews.credited} approved • ❌ ${stats.reviews.rejected} rejected/revoked`,
+          inline: false,
+        },
+        { name: 'Approval latency', value: formatLatencySummary(stats.latency), inline: false }
+      );
+    } else {
+      const overview = await getVouchStatsOverview(since);
+
+      const lines = overview.providers.map(
+        (row, index) =>
+          `**${index + 1}.** <@${row.providerId}> — ${row.total} vouches (${row.credited} credited, ${formatRate(row.rejectionRate)} rejected)`
+      );
+
+      embed
+        .setTitle('📊 Vouch Stats — Providers')
+        .setDescription(lines.length ? lines.join('\n') : 'No vouches mentioned a provider in this period.')
+        .addFields(
+          { name: 'All provider vouches', value: formatTally(overview.totals), inline: false },
+          { name: 'Overall rejection rate', value: formatRate(overview.totals.rejectionRate), inline: true },
+          { name: 'Approval latency', value: formatLatencySummary(overview.latency), inline: false }
+        );
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (error) {
+    console.error('Error loading vouch stats:', error);
+    await interaction.editReply({ content: '❌ Failed to load vouch statistics. Please try again later.' });
+  }
+}
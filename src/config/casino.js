@@ -29,7 +29,6 @@ export const rewardConfig = {
   ],
   jackpot: { points: { min: 30, max: 60 } },
   dailyLogin: 5,
-  streakBonus: { perWin: 2, maxBonus: 10 },
 };
 
 export const vipConfig = {
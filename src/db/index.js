@@ -184,6 +184,7 @@ const validatedDbUrl = validateAndSetDatabaseUrl();
 
 // Now import logger after DATABASE_URL is set
 import { logger } from '../logger.js';
+import { applyVPDelta, HOUSE_ACCOUNT_ID, LEDGER_REASONS, LEDGER_SOURCES } from './ledger.js';
 
 let PrismaClientConstructor = null;
 let prismaInitializationError = null;
@@ -328,12 +329,35 @@ export async function initializeDatabase() {
     cooldown_hours: '0',
     require_provider_approval: 'true',
     daily_rng_chance: '0.10',
-    five_cost: '25',
-    free_cost: '60',
     transfer_fee_percent: '5',
     battle_rake_percent: '2',
+    battle_rake_destination: 'house',
+    battle_ranked_range: '200',
+    battle_bet_max: '100',
     bj_min: '1',
     daily_amount: '1',
+    vouch_hash_threshold: '6',
+    vouch_hash_window_days: '90',
+    vouch_hourly_cap: '5',
+    vouch_daily_cap: '20',
+    vouch_approval_mode: 'provider_mention',
+    vouch_allow_role_mention: 'true',
+    vouch_confirm_minutes: '10',
+    vouch_void_reverse_vp: 'true',
+    vouch_reward_base: '1',
+    vouch_first_daily_bonus: '0',
+    vouch_streak_bonus: '0',
+    vouch_streak_max_days: '7',
+    vouch_event_multiplier: '1',
+    redemption_cancel_window_minutes: '15',
+    redemption_ticket_close: 'archive',
+    redemption_sla_minutes: '60',
+    daily_streak_grace_hours: '24',
+    daily_streak_chance_bonus: '0.05',
+    daily_streak_amount_bonus: '0',
+    daily_streak_max_days: '7',
+    tournament_lobby_minutes: '30',
+    tournament_prize_split: '70,30',
   };
 
   try {
@@ -465,7 +489,7 @@ export async function setConfig(key, value) {
 /**
  * Add VP to user with transaction safety
  */
-export async function addVP(discordId, amount, _reason = 'Unknown') {
+export async function addVP(discordId, amount, reason = 'unknown', { source = LEDGER_SOURCES.SYSTEM, referenceId = null } = {}) {
   try {
     const user = await getOrCreateUser(discordId);
 
@@ -473,45 +497,38 @@ export async function addVP(discordId, amount, _reason = 'Unknown') {
       throw new Error('User is blacklisted');
     }
 
-    const updated = await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        vp: {
-          increment: amount,
-        },
-      },
-    });
+    const updated = await prisma.$transaction((tx) =>
+      applyVPDelta(tx, { userId: user.id, delta: amount, reason, source, referenceId })
+    );
 
     return updated;
   } catch (error) {
-    logger.error('Failed to add VP', { discordId, amount, err: error });
+    logger.error('Failed to add VP', { discordId, amount, reason, err: error });
     throw error;
   }
 }
 
 /**
  * Remove VP from user with validation
+ * The balance check runs inside the transaction so concurrent removals cannot overdraw.
  */
-export async function removeVP(discordId, amount) {
+export async function removeVP(discordId, amount, reason = 'unknown', { source = LEDGER_SOURCES.SYSTEM, referenceId = null } = {}) {
   try {
     const user = await getOrCreateUser(discordId);
 
-    if (user.vp < amount) {
-      throw new Error('Insufficient VP balance');
-    }
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await applyVPDelta(tx, { userId: user.id, delta: -amount, reason, source, referenceId });
 
-    const updated = await prisma.user.update({
-      where: { id: user.id },
-      data: {
-        vp: {
-          decrement: amount,
-        },
-      },
+      if (result.vp < 0) {
+        throw new Error('Insufficient VP balance');
+      }
+
+      return result;
     });
 
     return updated;
   } catch (error) {
-    logger.error('Failed to remove VP', { discordId, amount, err: error });
+    logger.error('Failed to remove VP', { discordId, amount, reason, err: error });
     throw error;
   }
 }
@@ -535,18 +552,6 @@ export async function transferVP(fromDiscordId, toDiscordId, amount, fee) {
 
     // Use transaction to ensure atomicity
     const result = await prisma.$transaction(async (tx) => {
-      // Deduct from sender
-      const updatedFrom = await tx.user.update({
-        where: { id: fromUser.id },
-        data: { vp: { decrement: totalCost } },
-      });
-
-      // Add to recipient
-      const updatedTo = await tx.user.update({
-        where: { id: toUser.id },
-        data: { vp: { increment: amount } },
-      });
-
       // Create transfer record
       const transfer = await tx.transfer.create({
         data: {
@@ -557,6 +562,28 @@ export async function transferVP(fromDiscordId, toDiscordId, amount, fee) {
         },
       });
 
+      // Deduct from sender (amount + fee)
+      const updatedFrom = await applyVPDelta(tx, {
+        userId: fromUser.id,
+        delta: -totalCost,
+        reason: LEDGER_REASONS.TRANSFER_OUT,
+        source: LEDGER_SOURCES.TRANSFER,
+        referenceId: transfer.id,
+      });
+
+      if (updatedFrom.vp < 0) {
+        throw new Error('Insufficient VP balance');
+      }
+
+      // Add to recipient
+      const updatedTo = await applyVPDelta(tx, {
+        userId: toUser.id,
+        delta: amount,
+        reason: LEDGER_REASONS.TRANSFER_IN,
+        source: LEDGER_SOURCES.TRANSFER,
+        referenceId: transfer.id,
+      });
+
       return { updatedFrom, updatedTo, transfer };
     });
 
@@ -578,7 +605,7 @@ export async function hasActiveBattle(discordId) {
       where: {
         OR: [{ challengerId: user.id }, { opponentId: user.id }],
         status: {
-          in: ['open', 'accepted'],
+          in: ['open', 'pending', 'accepted', 'playing'],
         },
       },
     });
@@ -628,6 +655,7 @@ export async function getLeaderboard(page = 1, perPage = 10) {
         vp: {
           gt: 0,
         },
+        discordId: { not: HOUSE_ACCOUNT_ID },
       },
     });
 
@@ -636,6 +664,7 @@ export async function getLeaderboard(page = 1, perPage = 10) {
         vp: {
           gt: 0,
         },
+        discordId: { not: HOUSE_ACCOUNT_ID },
       },
     });
 
@@ -657,3 +686,39 @@ export async function getLeaderboard(page = 1, perPage = 10) {
     };
   }
 }
+
+/**
+ * Get a page of a user's ledger entries (newest first), optionally filtered by source module
+ */
+export async function getLedgerHistory(userId, { source = null, page = 1, perPage = 10 } = {}) {
+  const where = source ? { userId, source } : { userId };
+
+  try {
+    const [entries, totalEntries] = await Promise.all([
+      prisma.ledgerEntry.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * perPage,
+        take: perPage,
+      }),
+      prisma.ledgerEntry.count({ where }),
+    ]);
+
+    return {
+      entries,
+      page,
+      perPage,
+      totalPages: Math.ceil(totalEntries / perPage),
+      totalEntries,
+    };
+  } catch (error) {
+    logger.error('Failed to get ledger history', { userId, source, page, err: error });
+    return {
+      entries: [],
+      page,
+      perPage,
+      totalPages: 0,
+      totalEntries: 0,
+    };
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * VP ledger helpers.
+ *
+ * Every change to `User.vp` goes through `applyVPDelta` (or `setVPBalance`) with the
+ * transaction client of the surrounding `prisma.$transaction`, so the balance update
+ * and its `LedgerEntry` row commit or roll back together.
+ */
+
+/** Discord ID of the pseudo-user that collects house revenue such as battle rake. */
+export const HOUSE_ACCOUNT_ID = 'house';
+
+export const LEDGER_SOURCES = {
+  SYSTEM: 'system',
+  VOUCH: 'vouch',
+  DAILY: 'daily',
+  BATTLE: 'battle',
+  BLACKJACK: 'blackjack',
+  ROULETTE: 'roulette',
+  REDEMPTION: 'redemption',
+  GIVEAWAY: 'giveaway',
+  TRANSFER: 'transfer',
+  TOURNAMENT: 'tournament',
+  ADMIN: 'admin',
+};
+
+export const LEDGER_REASONS = {
+  OPENING_BALANCE: 'opening_balance',
+  VOUCH_AUTO: 'vouch_auto',
+  VOUCH_APPROVED: 'vouch_approved',
+  VOUCH_REVOKED: 'vouch_revoked',
+  VOUCH_VOIDED: 'vouch_voided',
+  DAILY: 'daily',
+  BATTLE_WIN: 'battle_win',
+  BATTLE_LOSS: 'battle_loss',
+  BATTLE_ESCROW: 'battle_escrow',
+  BATTLE_REFUND: 'battle_refund',
+  BATTLE_RAKE: 'battle_rake',
+  BATTLE_BET: 'battle_bet',
+  BATTLE_BET_PAYOUT: 'battle_bet_payout',
+  BATTLE_BET_REFUND: 'battle_bet_refund',
+  BLACKJACK_BET: 'blackjack_bet',
+  BLACKJACK_DOUBLE: 'blackjack_double',
+  BLACKJACK_PEEK: 'blackjack_peek',
+  BLACKJACK_PAYOUT: 'blackjack_payout',
+  BLACKJACK_REFUND: 'blackjack_refund',
+  ROULETTE_BET: 'roulette_bet',
+  ROULETTE_PAYOUT: 'roulette_payout',
+  ROULETTE_REFUND: 'roulette_refund',
+  REDEMPTION: 'redemption',
+  REDEMPTION_REFUND: 'redemption_refund',
+  GIVEAWAY_ENTRY: 'giveaway_entry',
+  GIVEAWAY_REFUND: 'giveaway_refund',
+  GIVEAWAY_WIN: 'giveaway_win',
+  GIVEAWAY_HOST: 'giveaway_host',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  TOURNAMENT_ENTRY: 'tournament_entry',
+  TOURNAMENT_REFUND: 'tournament_refund',
+  TOURNAMENT_PRIZE: 'tournament_prize',
+  ADMIN_ADD: 'admin_add',
+  ADMIN_REMOVE: 'admin_remove',
+  ADMIN_SET: 'admin_set',
+};
+
+/**
+ * Find or create a user by Discord ID with the transaction client, so the row is
+ * part of the surrounding transaction.
+ */
+export function upsertUser(tx, discordId) {
+  return tx.user.upsert({
+    where: { discordId },
+    update: {},
+    create: { discordId },
+  });
+}
+
+function normalizeReferenceId(referenceId) {
+  if (referenceId === null || referenceId === undefined) {
+    return null;
+  }
+  return String(referenceId);
+}
+
+/**
+ * Apply a signed VP delta to a user and record it in the ledger.
+ * Must be called with a transaction client; returns the updated user row.
+ */
+export async function applyVPDelta(tx, { userId, delta, reason, source, referenceId = null }) {
+  if (!Number.isInteger(delta)) {
+    throw new Error(`VP delta must be an integer (received ${delta})`);
+  }
+
+  const updated = await tx.user.update({
+    where: { id: userId },
+    data: { vp: delta >= 0 ? { increment: delta } : { decrement: -delta } },
+  });
+
+  await tx.ledgerEntry.create({
+    data: {
+      userId,
+      delta,
+      balanceAfter: updated.vp,
+      reason,
+      source,
+      referenceId: normalizeReferenceId(referenceId),
+    },
+  });
+
+  return updated;
+}
+
+/**
+ * Overwrite a user's balance, recording the difference as a single ledger entry.
+ * Must be called with a transaction client; returns `{ previous, updated }`.
+ */
+export async function setVPBalance(tx, { userId, amount, reason, source, referenceId = null }) {
+  const previous = await tx.user.findUnique({ where: { id: userId } });
+  if (!previous) {
+    throw new Error(`User ${userId} not found`);
+  }
+
+  const updated = await applyVPDelta(tx, {
+    userId,
+    delta: amount - previous.vp,
+    reason,
+    source,
+    referenceId,
+  });
+
+  return { previous, updated };
+}
@@ -1,21 +1,122 @@
-import { hasImageAttachment, getFirstImageUrl, getProviderRoleIds, formatVP } from '../lib/utils.js';
+import {
+  hasImageAttachment,
+  getFirstImageUrl,
+  getProviderRoleIds,
+  formatVP,
+  memberHasProviderRole,
+  isVouchChannel,
+} from '../lib/utils.js';
 import prisma, { getOrCreateUser } from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { logTransaction } from '../lib/logger.js';
+import { screenVouch, describeVouchFlag } from '../lib/vouch-screening.js';
+import { getVouchApprovalPolicy, approvePendingVouch } from '../lib/vouch-approval.js';
+import { calculateVouchReward, describeVouchReward } from '../lib/vouch-rewards.js';
 
 export const name = 'messageCreate';
 export const once = false;
 
+const CONFIRM_EMOJI = '✅';
+
+async function sendVouchAcknowledgement(message, updatedUser, headline) {
+  const acknowledgementLines = [headline];
+
+  if (typeof updatedUser?.vp === 'number') {
+    acknowledgementLines.push(`Current balance: ${formatVP(updatedUser.vp)}.`);
+  }
+
+  const sendAcknowledgement = message.channel?.send;
+
+  if (typeof sendAcknowledgement === 'function') {
+    try {
+      await sendAcknowledgement.call(message.channel, {
+        content: acknowledgementLines.join('\n'),
+        allowedMentions: { users: [message.author.id] },
+      });
+    } catch (sendError) {
+      console.warn('Failed to send vouch acknowledgement message', sendError);
+    }
+  } else {
+    console.warn('Failed to send vouch acknowledgement message: channel.send is not available');
+  }
+}
+
+/**
+ * Wait for a mentioned provider (or any provider, if the provider role was mentioned) to
+ * react ✅ on the vouch. Approves the vouch on confirmation; otherwise it stays pending.
+ */
+function awaitProviderConfirmation(message, vouch, { minutes, mentionedUserIds, roleMentioned }) {
+  if (typeof message.createReactionCollector !== 'function') {
+    return;
+  }
+
+  const collector = message.createReactionCollector({
+    time: minutes * 60 * 1000,
+    max: 1,
+    filter: async (reaction, reactor) => {
+      if (reaction.emoji.name !== CONFIRM_EMOJI || reactor.bot || reactor.id === message.author.id) {
+        return false;
+      }
+
+      if (!roleMentioned && !mentionedUserIds.includes(reactor.id)) {
+        return false;
+      }
+
+      try {
+        const member = await message.guild.members.fetch(reactor.id);
+        return memberHasProviderRole(member);
+      } catch {
+        return false;
+      }
+    },
+  });
+
+  collector.on('collect', async (reaction, provider) => {
+    try {
+      const result = await approvePendingVouch(vouch, provider.id);
+      if (!result) {
+        return; // Already approved or rejected through /approvevouch
+      }
+
+      await sendVouchAcknowledgement(
+        message,
+        result.updatedUser,
+        `✅ Vouch confirmed by <@${provider.id}>! Added ${describeVouchReward(result.reward)} to <@${message.author.id}>'s balance.`
+      );
+
+      await logTransaction('vouch', {
+        userId: message.author.id,
+        amount: result.reward.amount,
+        status: 'confirmed',
+        messageLink: message.url,
+      });
+    } catch (error) {
+      console.error('Error approving confirmed vouch:', error);
+    }
+  });
+
+  collector.on('end', async (collected) => {
+    if (collected.size > 0) {
+      return;
+    }
+
+    try {
+      await message.reply({
+        content: `⏳ No provider confirmed this vouch within ${minutes} minute(s), so it has been queued for manual approval.`,
+        allowedMentions: { repliedUser: false },
+      });
+    } catch (error) {
+      console.log('Could not announce vouch confirmation timeout:', error.message);
+    }
+  });
+}
+
 export async function execute(message) {
   // Ignore bots
   if (message.author.bot) return;
 
   // Check if message is in the configured vouch channel (fallback to channel name)
-  const vouchChannelId = process.env.VOUCH_CHANNEL_ID;
-  const isVouchChannel = vouchChannelId
-    ? message.channel.id === vouchChannelId
-    : message.channel.name?.toLowerCase().includes('vouch');
-
-  if (!isVouchChannel) return;
+  if (!isVouchChannel(message.channel)) return;
 
   // Validate message has image attachment
   if (!hasImageAttachment(message)) {
@@ -44,100 +145,145 @@ export async function execute(message) {
     }
 
     const providerRoleIds = getProviderRoleIds();
+    const policy = await getVouchApprovalPolicy();
 
     const mentions = message.mentions ?? {};
 
-    const hasAnyMention =
-      (mentions.users?.size ?? 0) > 0 ||
-      (mentions.roles?.size ?? 0) > 0 ||
-      Boolean(mentions.everyone);
+    // Only mentions of actual providers count: either a member holding a provider role,
+    // or (when allowed) the provider role itself. Mentioning anyone else earns nothing.
+    const isProviderMember = (member) =>
+      providerRoleIds.some((roleId) => member?.roles?.cache?.has?.(roleId));
 
+    let providerMemberMentioned = false;
     let providerRoleMentioned = false;
+    let mentionedProviderId = null;
     if (providerRoleIds.length > 0) {
-      const memberHasRole =
-        typeof mentions.members?.some === 'function'
-          ? mentions.members.some((member) =>
-              providerRoleIds.some((roleId) => member?.roles?.cache?.has?.(roleId))
-            )
-          : false;
-      const roleCollectionHasRole =
-        typeof mentions.roles?.has === 'function'
+      providerMemberMentioned =
+        typeof mentions.members?.some === 'function' ? mentions.members.some(isProviderMember) : false;
+      // The first provider mentioned gets credit for the order in /vouchstats;
+      // a bare role mention credits nobody.
+      if (providerMemberMentioned && typeof mentions.members.find === 'function') {
+        mentionedProviderId = mentions.members.find(isProviderMember)?.id ?? null;
+      }
+      providerRoleMentioned =
+        policy.allowRoleMention && typeof mentions.roles?.has === 'function'
           ? providerRoleIds.some((roleId) => mentions.roles.has(roleId))
           : false;
-
-      providerRoleMentioned = memberHasRole || roleCollectionHasRole;
     }
 
-    const providerMentioned = hasAnyMention || providerRoleMentioned;
+    const providerMentioned = providerMemberMentioned || providerRoleMentioned;
     const imageUrl = getFirstImageUrl(message);
 
-    if (providerMentioned) {
+    // Duplicate images and users over their vouch caps go to provider review
+    const { imageHash, flag } = await screenVouch({ userId: user.id, imageUrl });
+
+    if (flag) {
+      const vouch = await prisma.vouch.create({
+        data: {
+          messageId: message.id,
+          userId: user.id,
+          imageUrl,
+          providerMentioned,
+          mentionedProviderId,
+          status: 'pending',
+          channelId: message.channel.id,
+          guildId: message.guildId,
+          imageHash,
+          flagReason: flag.reason,
+          duplicateOfId: flag.duplicateOf?.id ?? null,
+        },
+      });
+
+      const reason = describeVouchFlag(flag.reason, {
+        duplicateOfId: flag.duplicateOf?.id,
+        limit: flag.limit,
+      });
+
+      try {
+        await message.react('🔍');
+      } catch (error) {
+        console.log('Could not react to flagged vouch:', error.message);
+      }
+
+      await message.reply({
+        content:
+          flag.reason === 'duplicate'
+            ? '🔍 This image looks like one that was already vouched, so a provider will review it before any VP is added.'
+            : `🔍 You've reached the vouch limit (${reason.toLowerCase()}). A provider will review this one before any VP is added.`,
+        allowedMentions: { repliedUser: true },
+      });
+
+      await logTransaction('vouch_flag', {
+        userId: message.author.id,
+        vouchId: vouch.id,
+        reason,
+        messageLink: message.url,
+      });
+      return;
+    }
+
+    if (providerMentioned && policy.mode === 'provider_mention') {
       // Auto-approve and credit VP
-      const updatedUser = await prisma.$transaction(async (tx) => {
-        const incrementedUser = await tx.user.update({
-          where: { id: user.id },
-          data: { vp: { increment: 1 } },
+      const { updatedUser, reward } = await prisma.$transaction(async (tx) => {
+        const reward = await calculateVouchReward(tx, {
+          userId: user.id,
+          postedAt: message.createdAt ?? new Date(),
         });
 
-        await tx.vouch.create({
+        const vouch = await tx.vouch.create({
           data: {
             messageId: message.id,
             userId: user.id,
             imageUrl,
             providerMentioned: true,
+            mentionedProviderId,
             status: 'auto',
             channelId: message.channel.id,
             guildId: message.guildId,
+            imageHash,
           },
         });
 
-        return incrementedUser;
+        const updatedUser = await applyVPDelta(tx, {
+          userId: user.id,
+          delta: reward.amount,
+          reason: LEDGER_REASONS.VOUCH_AUTO,
+          source: LEDGER_SOURCES.VOUCH,
+          referenceId: vouch?.id,
+        });
+
+        return { updatedUser, reward };
       });
 
       // Send confirmation in channel
       await message.react('✅');
 
-      const acknowledgementLines = [
-        `✅ Vouch verified! Added +1 point to <@${message.author.id}>'s balance.`,
-      ];
-
-      if (typeof updatedUser?.vp === 'number') {
-        acknowledgementLines.push(`Current balance: ${formatVP(updatedUser.vp)}.`);
-      }
-
-      const sendAcknowledgement = message.channel?.send;
-
-      if (typeof sendAcknowledgement === 'function') {
-        try {
-          await sendAcknowledgement.call(message.channel, {
-            content: acknowledgementLines.join('\n'),
-            allowedMentions: { users: [message.author.id] },
-          });
-        } catch (sendError) {
-          console.warn('Failed to send vouch acknowledgement message', sendError);
-        }
-      } else {
-        console.warn('Failed to send vouch acknowledgement message: channel.send is not available');
-      }
+      await sendVouchAcknowledgement(
+        message,
+        updatedUser,
+        `✅ Vouch verified! Added ${describeVouchReward(reward)} to <@${message.author.id}>'s balance.`
+      );
 
       // Log transaction
       await logTransaction('vouch', {
         userId: message.author.id,
-        amount: 1,
+        amount: reward.amount,
         status: 'auto',
         messageLink: message.url,
       });
     } else {
       // Create pending vouch
-      await prisma.vouch.create({
+      const vouch = await prisma.vouch.create({
         data: {
           messageId: message.id,
           userId: user.id,
           imageUrl,
-          providerMentioned: false,
+          providerMentioned,
+          mentionedProviderId,
           status: 'pending',
           channelId: message.channel.id,
           guildId: message.guildId,
+          imageHash,
         },
       });
 
@@ -147,10 +293,26 @@ export async function execute(message) {
         console.log('Could not react to pending vouch:', error.message);
       }
 
+      if (providerMentioned && policy.mode === 'provider_confirm') {
+        await message.reply({
+          content: `⏳ Waiting for the mentioned provider to confirm this vouch by reacting ${CONFIRM_EMOJI} within ${policy.confirmMinutes} minute(s).`,
+          allowedMentions: { repliedUser: true },
+        });
+
+        awaitProviderConfirmation(message, vouch, {
+          minutes: policy.confirmMinutes,
+          mentionedUserIds: [...(mentions.users?.keys?.() ?? [])],
+          roleMentioned: providerRoleMentioned,
+        });
+        return;
+      }
+
       // Reply with instruction
       await message.reply({
         content:
-          '⏳ Please @ a provider you ordered from, or wait for manual approval with `/approvevouch`.',
+          policy.mode === 'manual'
+            ? '⏳ Thanks! A provider will review your vouch with `/approvevouch`.'
+            : '⏳ Please @ a provider you ordered from, or wait for manual approval with `/approvevouch`.',
         allowedMentions: { repliedUser: true },
       });
     }
@@ -0,0 +1,16 @@
+import { isVouchChannel } from '../lib/utils.js';
+import { voidVouchForMessage } from '../lib/vouch-void.js';
+
+export const name = 'messageDelete';
+export const once = false;
+
+export async function execute(message) {
+  // Partial messages still carry their id, which is all the vouch lookup needs
+  if (message.author?.bot || !isVouchChannel(message.channel)) return;
+
+  try {
+    await voidVouchForMessage(message.id, 'deleted');
+  } catch (error) {
+    console.error('Error voiding deleted vouch:', error);
+  }
+}
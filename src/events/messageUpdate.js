@@ -0,0 +1,23 @@
+import { hasImageAttachment, isVouchChannel } from '../lib/utils.js';
+import { voidVouchForMessage } from '../lib/vouch-void.js';
+
+export const name = 'messageUpdate';
+export const once = false;
+
+export async function execute(oldMessage, newMessage) {
+  if (!isVouchChannel(newMessage.channel)) return;
+
+  try {
+    // Uncached messages arrive as partials without attachments; fetch the current state
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+
+    if (message.author?.bot) return;
+
+    // Only edits that leave the message without an image invalidate a vouch
+    if (hasImageAttachment(message)) return;
+
+    await voidVouchForMessage(message.id, 'image_removed');
+  } catch (error) {
+    console.error('Error checking edited vouch:', error);
+  }
+}
@@ -1,4 +1,5 @@
 import { addVP, getOrCreateUser, removeVP } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { queueJackpotUpdate } from './db.js';
 import { shouldCountForJackpot } from './provider-filter.js';
 
@@ -17,11 +18,14 @@ export async function checkBalance(userId: string): Promise<number> {
 export async function chargeEntry(
   userId: string,
   cost: number,
-  reason: string,
+  giveawayId: string,
   guildId?: string
 ): Promise<void> {
   try {
-    await removeVP(userId, cost);
+    await removeVP(userId, cost, LEDGER_REASONS.GIVEAWAY_ENTRY, {
+      source: LEDGER_SOURCES.GIVEAWAY,
+      referenceId: giveawayId,
+    });
     
     // Track for global jackpot if not a provider
     if (await shouldCountForJackpot(userId, guildId)) {
@@ -39,10 +43,13 @@ export async function chargeEntry(
 export async function payoutWinner(
   userId: string,
   amount: number,
-  reason: string
+  giveawayId: string
 ): Promise<void> {
   if (amount <= 0) return;
-  await addVP(userId, amount, reason);
+  await addVP(userId, amount, LEDGER_REASONS.GIVEAWAY_WIN, {
+    source: LEDGER_SOURCES.GIVEAWAY,
+    referenceId: giveawayId,
+  });
 }
 
 /**
@@ -51,10 +58,13 @@ export async function payoutWinner(
 export async function refundEntry(
   userId: string,
   amount: number,
-  reason: string
+  giveawayId: string
 ): Promise<void> {
   if (amount <= 0) return;
-  await addVP(userId, amount, reason);
+  await addVP(userId, amount, LEDGER_REASONS.GIVEAWAY_REFUND, {
+    source: LEDGER_SOURCES.GIVEAWAY,
+    referenceId: giveawayId,
+  });
 }
 
 /**
@@ -63,9 +73,11 @@ export async function refundEntry(
 export async function payoutHost(
   userId: string,
   amount: number,
-  reason: string
+  giveawayId: string
 ): Promise<void> {
   if (amount <= 0) return;
-  await addVP(userId, amount, reason);
+  await addVP(userId, amount, LEDGER_REASONS.GIVEAWAY_HOST, {
+    source: LEDGER_SOURCES.GIVEAWAY,
+    referenceId: giveawayId,
+  });
 }
-
@@ -2,7 +2,7 @@ import { Client, ButtonInteraction } from 'discord.js';
 import { GiveawayService } from './service.js';
 import { GiveawayScheduler } from './scheduler.js';
 import { DailyGiveawayScheduler } from './daily-scheduler.js';
-import { ensureGiveawayDb, closeGiveawayDb, flushJackpotUpdates } from './db.js';
+import { ensureGiveawayDb, closeGiveawayDb, flushJackpotUpdates, queueJackpotUpdate } from './db.js';
 import { logger } from '../logger.js';
 
 interface GiveawayContext {
@@ -107,6 +107,15 @@ export function getDailyScheduler(): DailyGiveawayScheduler {
   return context.dailyScheduler;
 }
 
+/**
+ * Add VP collected elsewhere (e.g. battle rake) to the global jackpot total
+ */
+export function addToGlobalJackpot(amount: number): void {
+  if (amount > 0) {
+    queueJackpotUpdate(amount);
+  }
+}
+
 /**
  * Check if a button interaction is for the giveaway system
  */
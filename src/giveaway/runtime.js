@@ -152,6 +152,19 @@ export function getGiveawayRuntimeState() {
   return runtimeState;
 }
 
+/**
+ * Add VP to the giveaway global jackpot. Returns false when the giveaway system
+ * is unavailable so callers can fall back to another destination.
+ */
+export function contributeToGlobalJackpot(amount) {
+  if (!runtimeState.available || typeof runtimeModule.addToGlobalJackpot !== 'function') {
+    return false;
+  }
+
+  runtimeModule.addToGlobalJackpot(amount);
+  return true;
+}
+
 export function getGiveawayUnavailableMessage() {
   if (runtimeState.available) {
     return null;
@@ -178,13 +178,13 @@ export class GiveawayService {
 
     // ATOMIC TRANSACTION: Charge VP and add entry with automatic rollback on failure
     try {
-      await chargeEntry(userId, giveaway.buyInCost, `Giveaway ${giveawayId} entry`, giveaway.guildId);
+      await chargeEntry(userId, giveaway.buyInCost, giveawayId, giveaway.guildId);
       
       try {
         addEntry(giveawayId, userId);
       } catch (entryError) {
         // Rollback: refund the VP
-        await refundEntry(userId, giveaway.buyInCost, `Giveaway ${giveawayId} entry rollback`);
+        await refundEntry(userId, giveaway.buyInCost, giveawayId);
         throw entryError;
       }
     } catch (error) {
@@ -249,10 +249,10 @@ export class GiveawayService {
 
     // Payout
     if (payoutAmount > 0) {
-      await payoutWinner(winner.userId, payoutAmount, `Giveaway ${giveawayId} win`);
+      await payoutWinner(winner.userId, payoutAmount, giveawayId);
     }
     if (hostAmount > 0) {
-      await payoutHost(giveaway.hostId, hostAmount, `Giveaway ${giveawayId} host cut`);
+      await payoutHost(giveaway.hostId, hostAmount, giveawayId);
     }
 
     // Update giveaway
@@ -306,7 +306,7 @@ export class GiveawayService {
     // Refund all
     for (const entry of entries) {
       try {
-        await refundEntry(entry.userId, giveaway.buyInCost, `Giveaway ${giveawayId} cancelled`);
+        await refundEntry(entry.userId, giveaway.buyInCost, giveawayId);
       } catch (error) {
         logger.error('Failed to refund entry', { err: error, giveawayId, userId: entry.userId });
       }
@@ -1,14 +1,36 @@
-import { Client, Collection, Events, GatewayIntentBits, MessageFlags, REST, Routes } from 'discord.js';
+import { Client, Collection, Events, GatewayIntentBits, MessageFlags, Partials, REST, Routes } from 'discord.js';
 import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
 import { readdirSync, existsSync } from 'fs';
 import prisma, { initializeDatabase } from './db/index.js';
 import { initLogger } from './lib/logger.js';
-import { handleBattleComponent, handleBattleSelect, isBattleInteraction } from './commands/battle.js';
+import {
+  handleBattleComponent,
+  handleBattleModal,
+  handleBattleSelect,
+  isBattleInteraction,
+} from './commands/battle.js';
+import { recoverInterruptedBattles } from './battle/manager.js';
+import { handleTournamentButton, TOURNAMENT_PREFIX } from './commands/tournament.js';
+import { recoverInterruptedTournaments } from './tournament/manager.js';
 import { handleBlackjackInteraction } from './commands/blackjack.js';
 import { handleRouletteButton } from './commands/roulette.js';
 import { GSTART_MODAL_ID, handleGstartModalSubmit } from './commands/gstart.js';
-import { handleApproveVouchButton } from './commands/approvevouch.js';
+import {
+  handleVouchQueueButton,
+  handleVouchQueueSelect,
+  handleRejectVouchModal,
+  handleVouchAppealButton,
+  REJECT_VOUCH_MODAL_PREFIX,
+} from './commands/approvevouch.js';
+import { VOUCH_APPEAL_PREFIX } from './lib/vouch-approval.js';
+import { VOUCH_QUEUE_PREFIX } from './lib/vouch-queue.js';
+import { handleRedemptionQueueButton, handleRedemptionQueueModal } from './commands/redeem.js';
+import {
+  REDEMPTION_QUEUE_PREFIX,
+  startRedemptionSlaCheck,
+  stopRedemptionSlaCheck,
+} from './lib/redemption-queue.js';
 import { config as botConfig, assertConfig } from './config.js';
 import { logger } from './logger.js';
 import { startNetworkServer } from './server.js';
@@ -16,6 +38,9 @@ import { runStartupValidation } from './utils/startup-validator.js';
 import { validateCinematicAnimation, getAnimationStatus } from './roulette/safe-animation.js';
 import { ensureTypescriptBuild, distSrcDir } from './utils/typescript-runtime.js';
 import { getGiveawayRuntimeState } from './giveaway/runtime.js';
+import { startDriftCheck, stopDriftCheck } from './lib/reconciliation.js';
+import { releaseStaleReservations } from './lib/redemption-tickets.js';
+import { startDailyReminders, stopDailyReminders } from './lib/daily-reminders.js';
 
 // ES modules dirname fix
 const __filename = fileURLToPath(import.meta.url);
@@ -164,9 +189,13 @@ const client = new Client({
   intents: [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.GuildMessageReactions,
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildMembers,
   ],
+  // Vouch messages posted before a restart are not cached; partials let
+  // messageDelete/messageUpdate still fire for them.
+  partials: [Partials.Message],
 });
 
 // Store commands in collection
@@ -368,12 +397,35 @@ client.once(Events.ClientReady, async () => {
     }
   }
 
+  // Resume battles interrupted by the last shutdown; close the rest (and tournaments) and return their stakes
+  await recoverInterruptedBattles(client);
+  await recoverInterruptedTournaments();
+
+  // Refund redemptions whose claim was cut off before the ticket opened
+  try {
+    await releaseStaleReservations(client);
+  } catch (error) {
+    logger.error('failed to release stale redemption reservations', { err: error });
+  }
+
+  startDriftCheck();
+  startRedemptionSlaCheck(client);
+  startDailyReminders(client);
+
   console.log('✅ GUHD EATS bot is ready!');
 });
 
 // Handle interaction events (slash commands and buttons)
 client.on('interactionCreate', async (interaction) => {
   try {
+    if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      if (typeof command?.autocomplete === 'function') {
+        await command.autocomplete(interaction);
+      }
+      return;
+    }
+
     if (interaction.isChatInputCommand()) {
       const command = client.commands.get(interaction.commandName);
 
@@ -435,6 +487,23 @@ client.on('interactionCreate', async (interaction) => {
         await handleGstartModalSubmit(interaction);
         return;
       }
+
+      if (interaction.customId.startsWith(REJECT_VOUCH_MODAL_PREFIX)) {
+        await handleRejectVouchModal(interaction);
+        return;
+      }
+
+      if (interaction.customId.startsWith(REDEMPTION_QUEUE_PREFIX)) {
+        await handleRedemptionQueueModal(interaction);
+        return;
+      }
+
+      if (isBattleInteraction(interaction.customId)) {
+        const handled = await handleBattleModal(interaction);
+        if (handled) {
+          return;
+        }
+      }
     }
 
     if (interaction.isButton()) {
@@ -454,8 +523,23 @@ client.on('interactionCreate', async (interaction) => {
         return;
       }
 
-      if (customId.startsWith('approvevouch:')) {
-        await handleApproveVouchButton(interaction);
+      if (customId.startsWith(VOUCH_QUEUE_PREFIX)) {
+        await handleVouchQueueButton(interaction);
+        return;
+      }
+
+      if (customId.startsWith(VOUCH_APPEAL_PREFIX)) {
+        await handleVouchAppealButton(interaction);
+        return;
+      }
+
+      if (customId.startsWith(REDEMPTION_QUEUE_PREFIX)) {
+        await handleRedemptionQueueButton(interaction);
+        return;
+      }
+
+      if (customId.startsWith(TOURNAMENT_PREFIX)) {
+        await handleTournamentButton(interaction);
         return;
       }
 
@@ -479,6 +563,11 @@ client.on('interactionCreate', async (interaction) => {
           return;
         }
       }
+
+      if (interaction.customId.startsWith(VOUCH_QUEUE_PREFIX)) {
+        await handleVouchQueueSelect(interaction);
+        return;
+      }
     }
   } catch (err) {
     // [FIX]: Print full error details for top-level interaction errors
@@ -516,6 +605,9 @@ client.on('interactionCreate', async (interaction) => {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down bot...');
+  stopDriftCheck();
+  stopRedemptionSlaCheck();
+  stopDailyReminders();
   await prisma.$disconnect();
   client.destroy();
   process.exit(0);
@@ -523,6 +615,9 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down bot...');
+  stopDriftCheck();
+  stopRedemptionSlaCheck();
+  stopDailyReminders();
   await prisma.$disconnect();
   client.destroy();
   process.exit(0);
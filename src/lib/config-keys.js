@@ -0,0 +1,72 @@
+import { battleGames } from '../battle/registry.js';
+
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+/**
+ * Keys admins may change with /admin config. Discord caps a static choice list at 25,
+ * so the key option autocompletes from this list instead and unknown keys are rejected.
+ */
+export const CONFIG_KEYS = [
+  { key: 'cooldown_hours', label: 'Cooldown (hours)' },
+  { key: 'require_provider_approval', label: 'Require Provider Approval (true/false)' },
+  { key: 'daily_rng_chance', label: 'Daily RNG Chance' },
+  { key: 'transfer_fee_percent', label: 'Transfer Fee %' },
+  { key: 'battle_rake_percent', label: 'Battle Rake %' },
+  { key: 'battle_rake_destination', label: 'Battle Rake Destination (house/jackpot)' },
+  { key: 'battle_ranked_range', label: 'Ranked Battle Rating Range (±)' },
+  { key: 'battle_bet_max', label: 'Spectator Bet Max (VP, 0 = off)' },
+  { key: 'bj_min', label: 'Blackjack Min' },
+  { key: 'daily_amount', label: 'Daily Amount' },
+  { key: 'daily_streak_grace_hours', label: 'Daily Streak Grace (hours)' },
+  { key: 'daily_streak_chance_bonus', label: 'Daily Streak Chance Bonus (per day)' },
+  { key: 'daily_streak_amount_bonus', label: 'Daily Streak VP Bonus (per day)' },
+  { key: 'daily_streak_max_days', label: 'Daily Streak Max Days' },
+  { key: 'daily_reminder_channel_id', label: 'Daily Reminder Fallback Channel ID' },
+  { key: 'vouch_hash_threshold', label: 'Vouch Duplicate Image Threshold (bits of 64)' },
+  { key: 'vouch_hash_window_days', label: 'Vouch Duplicate Lookback (days, 0 = all time)' },
+  { key: 'vouch_hourly_cap', label: 'Vouch Hourly Cap (0 = off)' },
+  { key: 'vouch_daily_cap', label: 'Vouch Daily Cap (0 = off)' },
+  { key: 'vouch_approval_mode', label: 'Vouch Approval Mode (provider_mention/provider_confirm/manual)' },
+  { key: 'vouch_allow_role_mention', label: 'Vouch Allow Provider Role Mention (true/false)' },
+  { key: 'vouch_confirm_minutes', label: 'Vouch Confirm Window (minutes)' },
+  { key: 'vouch_void_reverse_vp', label: 'Vouch Void Reverses VP (true/false)' },
+  { key: 'vouch_reward_base', label: 'Vouch Reward (base VP)' },
+  { key: 'vouch_first_daily_bonus', label: 'Vouch First-of-Day Bonus' },
+  { key: 'vouch_streak_bonus', label: 'Vouch Streak Bonus (per day)' },
+  { key: 'vouch_streak_max_days', label: 'Vouch Streak Max Days' },
+  { key: 'vouch_event_multiplier', label: 'Vouch Event Multiplier' },
+  { key: 'vouch_event_ends_at', label: 'Vouch Event Ends At (ISO time)' },
+  { key: 'redemption_cancel_window_minutes', label: 'Redemption Cancel Window (minutes)' },
+  { key: 'redemption_ticket_close', label: 'Redemption Ticket Close (archive/delete)' },
+  { key: 'redemption_archive_category_id', label: 'Redemption Archive Category ID' },
+  { key: 'redemption_sla_minutes', label: 'Redemption SLA (minutes before providers are pinged)' },
+  { key: 'tournament_lobby_minutes', label: 'Tournament Lobby Timeout (minutes)' },
+  { key: 'tournament_prize_split', label: 'Tournament Prize Split (e.g. 70,30 or 60,25,15)' },
+];
+
+/** Every settable key, with a per-game rake override for each registered battle game. */
+export function listConfigKeys() {
+  return [
+    ...CONFIG_KEYS,
+    ...battleGames.map((game) => ({
+      key: `battle_rake_percent_${game.key}`,
+      label: `Battle Rake % — ${game.name}`,
+    })),
+  ];
+}
+
+export function isKnownConfigKey(key) {
+  return listConfigKeys().some((entry) => entry.key === key);
+}
+
+/**
+ * Autocomplete choices matching the typed text by key or label.
+ */
+export function searchConfigKeyChoices(query) {
+  const needle = (query ?? '').toLowerCase();
+
+  return listConfigKeys()
+    .filter((entry) => !needle || entry.key.includes(needle) || entry.label.toLowerCase().includes(needle))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+    .map((entry) => ({ name: entry.label.slice(0, 100), value: entry.key }));
+}
@@ -0,0 +1,131 @@
+import prisma, { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+import { formatTimestamp } from './utils.js';
+import { DAILY_COOLDOWN_MS, getActiveStreak, getDailyStreakConfig, getStreakDeadline } from './daily-streak.js';
+
+const REMINDER_CHECK_INTERVAL_MS = 60 * 1000;
+const REMINDER_BATCH_SIZE = 50;
+
+let reminderTimer = null;
+
+/**
+ * Opt a user in or out. Opting in clears any earlier reminder so the current
+ * cooldown still gets one.
+ */
+export async function setDailyReminder(userId, enabled) {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { dailyReminder: enabled, dailyRemindedAt: null },
+  });
+}
+
+/**
+ * Users who opted in, are off cooldown and have not been reminded since their last claim.
+ * Everything lives in the database, so reminders due during downtime go out on the next check.
+ */
+export async function findDueDailyReminders(now = new Date(), take = REMINDER_BATCH_SIZE) {
+  return prisma.user.findMany({
+    where: {
+      dailyReminder: true,
+      dailyRemindedAt: null,
+      blacklisted: false,
+      lastDailyAt: { lte: new Date(now.getTime() - DAILY_COOLDOWN_MS) },
+    },
+    orderBy: { lastDailyAt: 'asc' },
+    take,
+  });
+}
+
+export function buildDailyReminderMessage(user, graceHours, now = new Date()) {
+  const streakDays = getActiveStreak(user, graceHours, now);
+  const lines = ['⏰ Your `/daily` VP is ready to claim!'];
+
+  if (streakDays > 0) {
+    lines.push(
+      `🔥 Claim before ${formatTimestamp(getStreakDeadline(user.lastDailyAt, graceHours), 'f')} to keep your ${streakDays}-day streak.`
+    );
+  }
+
+  lines.push('-# Turn these off with `/daily remind:off`.');
+  return lines.join('\n');
+}
+
+/**
+ * DM the user, falling back to a ping in `daily_reminder_channel_id` when their DMs are closed.
+ */
+async function deliverReminder(client, user, content, fallbackChannelId) {
+  try {
+    const discordUser = await client.users.fetch(user.discordId);
+    await discordUser.send({ content });
+    return true;
+  } catch (error) {
+    if (!fallbackChannelId) {
+      logger.warn('Could not DM daily reminder', { discordId: user.discordId, err: error });
+      return false;
+    }
+  }
+
+  try {
+    const channel = await client.channels.fetch(fallbackChannelId);
+    await channel.send({ content: `<@${user.discordId}> ${content}`, allowedMentions: { users: [user.discordId] } });
+    return true;
+  } catch (error) {
+    logger.warn('Could not post daily reminder', { discordId: user.discordId, err: error });
+    return false;
+  }
+}
+
+/**
+ * Send every due reminder once. Returns the number delivered.
+ */
+export async function sendDueDailyReminders(client, now = new Date()) {
+  const due = await findDueDailyReminders(now);
+  if (due.length === 0) {
+    return 0;
+  }
+
+  const [{ graceHours }, fallbackChannelId] = await Promise.all([
+    getDailyStreakConfig(),
+    getConfig('daily_reminder_channel_id', ''),
+  ]);
+  let sent = 0;
+
+  for (const user of due) {
+    // Mark first so a restart mid-send or a second process never reminds twice
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, dailyReminder: true, dailyRemindedAt: null },
+      data: { dailyRemindedAt: now },
+    });
+    if (count === 0) {
+      continue;
+    }
+
+    if (await deliverReminder(client, user, buildDailyReminderMessage(user, graceHours, now), fallbackChannelId)) {
+      sent += 1;
+    }
+  }
+
+  return sent;
+}
+
+export function startDailyReminders(client, intervalMs = REMINDER_CHECK_INTERVAL_MS) {
+  if (reminderTimer) {
+    return;
+  }
+
+  reminderTimer = setInterval(async () => {
+    try {
+      await sendDueDailyReminders(client);
+    } catch (error) {
+      logger.error('Daily reminder check failed', { err: error });
+    }
+  }, intervalMs);
+  reminderTimer.unref?.();
+}
+
+export function stopDailyReminders() {
+  if (reminderTimer) {
+    clearInterval(reminderTimer);
+    reminderTimer = null;
+  }
+}
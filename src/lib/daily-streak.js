@@ -0,0 +1,70 @@
+import { getConfig } from '../db/index.js';
+
+export const DAILY_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function parseNonNegative(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Read the daily streak settings. The grace window is how long after the cooldown
+ * ends a claim still continues the streak. These keys are the only source of the
+ * streak bonuses, so admins can tune them with /admin config.
+ */
+export async function getDailyStreakConfig() {
+  const [graceHours, chanceBonus, amountBonus, maxDays] = await Promise.all([
+    getConfig('daily_streak_grace_hours', '24'),
+    getConfig('daily_streak_chance_bonus', '0.05'),
+    getConfig('daily_streak_amount_bonus', '0'),
+    getConfig('daily_streak_max_days', '7'),
+  ]);
+
+  return {
+    graceHours: parseNonNegative(graceHours, 24),
+    chanceBonus: parseNonNegative(chanceBonus, 0.05),
+    amountBonus: Math.floor(parseNonNegative(amountBonus, 0)),
+    maxDays: Math.floor(parseNonNegative(maxDays, 7)),
+  };
+}
+
+/**
+ * Last moment a claim still continues the streak started by `lastDailyAt`.
+ */
+export function getStreakDeadline(lastDailyAt, graceHours) {
+  return new Date(new Date(lastDailyAt).getTime() + DAILY_COOLDOWN_MS + graceHours * HOUR_MS);
+}
+
+/**
+ * The user's streak as of `now`: their stored streak while it can still be
+ * continued, 0 once the deadline has passed.
+ */
+export function getActiveStreak(user, graceHours, now = new Date()) {
+  if (!user.lastDailyAt || !user.streakDays) {
+    return 0;
+  }
+
+  return now <= getStreakDeadline(user.lastDailyAt, graceHours) ? user.streakDays : 0;
+}
+
+/**
+ * Work out the streak after a claim at `now`. `bonusDays` counts the consecutive
+ * days before this one (capped at `maxDays`) and drives the chance and VP bonuses.
+ */
+export function resolveDailyStreak(user, config, now = new Date()) {
+  const previousStreak = user.streakDays ?? 0;
+  const continued = getActiveStreak(user, config.graceHours, now) > 0;
+  const streakDays = continued ? previousStreak + 1 : 1;
+  const bonusDays = Math.min(streakDays - 1, config.maxDays);
+
+  return {
+    streakDays,
+    previousStreak,
+    broken: !continued && previousStreak > 0,
+    bonusDays,
+    chanceBonus: bonusDays * config.chanceBonus,
+    amountBonus: bonusDays * config.amountBonus,
+  };
+}
@@ -0,0 +1,114 @@
+import prisma from '../db/index.js';
+import { HOUSE_ACCOUNT_ID } from '../db/ledger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ECONOMY_STATS_PERIODS = {
+  '7d': { label: 'Last 7 days', days: 7 },
+  '30d': { label: 'Last 30 days', days: 30 },
+  all: { label: 'All time', days: null },
+};
+
+/** How each ledger source reads when it adds VP to or removes VP from players. */
+export const LEDGER_SOURCE_LABELS = {
+  vouch: 'Vouches',
+  daily: 'Daily claims',
+  giveaway: 'Giveaways',
+  transfer: 'Transfer fees',
+  redemption: 'Redemptions',
+  battle: 'Battle rake',
+  tournament: 'Tournaments',
+  blackjack: 'Blackjack house edge',
+  roulette: 'Roulette house edge',
+  admin: 'Admin adjustments',
+  system: 'System',
+};
+
+const PLAYER_ACCOUNTS = { discordId: { not: HOUSE_ACCOUNT_ID } };
+
+export function getEconomyPeriodStart(period, now = new Date()) {
+  const days = ECONOMY_STATS_PERIODS[period]?.days;
+  return days ? new Date(now.getTime() - days * DAY_MS) : null;
+}
+
+/**
+ * Gini coefficient of the balances: 0 when everyone holds the same, approaching 1
+ * when one account holds everything.
+ */
+export function computeGini(balances) {
+  const sorted = balances.filter((value) => value > 0).sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  if (sorted.length === 0 || total === 0) {
+    return 0;
+  }
+
+  const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+  return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+}
+
+/**
+ * Share of all VP held by the richest `fraction` of holders (at least one holder).
+ */
+export function computeTopShare(balances, fraction = 0.1) {
+  const sorted = balances.filter((value) => value > 0).sort((a, b) => b - a);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return 0;
+  }
+
+  const top = sorted.slice(0, Math.max(1, Math.ceil(sorted.length * fraction)));
+  return top.reduce((sum, value) => sum + value, 0) / total;
+}
+
+/**
+ * Turn net player deltas per ledger source into sources (VP minted into player
+ * balances) and sinks (VP burned from them), largest first. Transfers net out to
+ * their fees and games to the house edge, since both sides are player entries.
+ */
+export function summarizeFlows(groups) {
+  const flows = groups
+    .map((group) => ({
+      source: group.source,
+      label: LEDGER_SOURCE_LABELS[group.source] ?? group.source,
+      amount: group._sum.delta ?? 0,
+    }))
+    .filter((flow) => flow.amount !== 0);
+
+  const sources = flows.filter((flow) => flow.amount > 0).sort((a, b) => b.amount - a.amount);
+  const sinks = flows
+    .filter((flow) => flow.amount < 0)
+    .map((flow) => ({ ...flow, amount: -flow.amount }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const minted = sources.reduce((sum, flow) => sum + flow.amount, 0);
+  const burned = sinks.reduce((sum, flow) => sum + flow.amount, 0);
+
+  return { sources, sinks, minted, burned, net: minted - burned };
+}
+
+/**
+ * Circulation and concentration as of now, plus VP flows for the period
+ * (`since` = null for all time). The house account is left out throughout.
+ */
+export async function getEconomyStats(since) {
+  const [balances, house, flowGroups] = await Promise.all([
+    prisma.user.findMany({ where: { ...PLAYER_ACCOUNTS, vp: { gt: 0 } }, select: { vp: true } }),
+    prisma.user.findUnique({ where: { discordId: HOUSE_ACCOUNT_ID }, select: { vp: true } }),
+    prisma.ledgerEntry.groupBy({
+      by: ['source'],
+      where: { user: PLAYER_ACCOUNTS, ...(since ? { createdAt: { gte: since } } : {}) },
+      _sum: { delta: true },
+    }),
+  ]);
+
+  const values = balances.map((row) => row.vp);
+
+  return {
+    circulation: values.reduce((sum, value) => sum + value, 0),
+    holders: values.length,
+    houseBalance: house?.vp ?? 0,
+    gini: computeGini(values),
+    topShare: computeTopShare(values),
+    flows: summarizeFlows(flowGroups),
+  };
+}
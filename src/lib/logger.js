@@ -1,4 +1,4 @@
-import { EmbedBuilder } from 'discord.js';
+import { AttachmentBuilder, EmbedBuilder } from 'discord.js';
 
 let logChannel = null;
 
@@ -16,6 +16,7 @@ export async function logTransaction(type, data) {
   if (!logChannel) return;
 
   const embed = new EmbedBuilder().setTitle('💰 VP Transaction').setColor(0x00ff00).setTimestamp();
+  const files = [];
 
   switch (type) {
     case 'vouch':
@@ -28,6 +29,42 @@ export async function logTransaction(type, data) {
       );
       break;
 
+    case 'vouch_flag':
+      embed.setTitle('🔍 Vouch Flagged for Review').setColor(0xffc107);
+      embed.addFields(
+        { name: 'User', value: `<@${data.userId}>`, inline: true },
+        { name: 'Vouch', value: `#${data.vouchId}`, inline: true },
+        { name: 'Reason', value: data.reason, inline: false },
+        { name: 'Message', value: data.messageLink || 'N/A', inline: false }
+      );
+      break;
+
+    case 'vouch_void':
+      embed.setTitle('🗑️ Vouch Voided').setColor(0xff9800);
+      embed.addFields(
+        { name: 'User', value: `<@${data.userId}>`, inline: true },
+        { name: 'Vouch', value: `#${data.vouchId}`, inline: true },
+        { name: 'Previous Status', value: data.previousStatus, inline: true },
+        { name: 'Reason', value: data.reason, inline: false },
+        { name: 'VP Reversed', value: `-${data.clawback} VP`, inline: true },
+        { name: 'Message', value: data.messageLink || 'N/A', inline: false }
+      );
+      break;
+
+    case 'vouch_review':
+      embed.setTitle(`📋 Vouch ${data.action}`).setColor(data.action === 'Appealed' ? 0x5865f2 : 0xff0000);
+      embed.addFields(
+        { name: 'User', value: `<@${data.userId}>`, inline: true },
+        { name: 'Vouch', value: `#${data.vouchId}`, inline: true },
+        { name: 'Provider', value: data.providerId ? `<@${data.providerId}>` : 'N/A', inline: true },
+        { name: 'Reason', value: data.reason || 'N/A', inline: false }
+      );
+      if (data.clawback !== undefined) {
+        embed.addFields({ name: 'Clawback', value: `-${data.clawback} VP`, inline: true });
+      }
+      embed.addFields({ name: 'Message', value: data.messageLink || 'N/A', inline: false });
+      break;
+
     case 'transfer':
       embed.addFields(
         { name: 'Type', value: 'Transfer', inline: true },
@@ -46,6 +83,28 @@ export async function logTransaction(type, data) {
         { name: 'Cost', value: `${data.cost} VP`, inline: true },
         { name: 'Status', value: data.status, inline: true }
       );
+      if (data.redemptionId) {
+        embed.addFields({ name: 'Redemption', value: `#${data.redemptionId}`, inline: true });
+      }
+      if (data.claimedById) {
+        embed.addFields({ name: 'Claimed By', value: `<@${data.claimedById}>`, inline: true });
+      }
+      if (data.closedById) {
+        embed.addFields({ name: 'Closed By', value: `<@${data.closedById}>`, inline: true });
+      }
+      if (data.status === 'canceled') {
+        embed.setColor(0xff0000).addFields({ name: 'Refund', value: `+${data.cost} VP`, inline: true });
+      }
+      if (data.reason) {
+        embed.addFields({ name: 'Reason', value: data.reason, inline: false });
+      }
+      if (data.transcript) {
+        files.push(
+          new AttachmentBuilder(Buffer.from(data.transcript, 'utf8'), {
+            name: `redemption-${data.redemptionId}-transcript.txt`,
+          })
+        );
+      }
       break;
 
     case 'battle':
@@ -57,6 +116,44 @@ export async function logTransaction(type, data) {
         { name: 'Amount', value: `${data.amount} VP`, inline: true },
         { name: 'Winner', value: data.winnerId ? `<@${data.winnerId}>` : 'N/A', inline: true }
       );
+      if (data.payout !== undefined && data.payout !== null) {
+        embed.addFields(
+          { name: 'Payout', value: `${data.payout} VP`, inline: true },
+          {
+            name: 'Rake',
+            value: data.rake ? `${data.rake} VP → ${data.rakeDestination ?? 'house'}` : '0 VP',
+            inline: true,
+          }
+        );
+      }
+      if (data.betPool) {
+        embed.addFields({
+          name: 'Spectator Pool',
+          value: `${data.betPool.pool} VP from ${data.betPool.bettors} backer(s) — ${
+            data.betPool.refunded ? 'refunded' : `split by ${data.betPool.winners} winner(s)`
+          }`,
+          inline: false,
+        });
+      }
+      break;
+
+    case 'tournament':
+      embed.setTitle(`🏟️ Tournament ${data.action}`).setColor(data.action === 'Canceled' ? 0xff9800 : 0x00ff00);
+      embed.addFields(
+        { name: 'Tournament', value: `#${data.tournamentId}`, inline: true },
+        { name: 'Game', value: data.game, inline: true },
+        { name: 'Entry', value: `${data.entryFee} VP × ${data.size}`, inline: true }
+      );
+      if (data.prizes?.length) {
+        embed.addFields({
+          name: 'Prizes',
+          value: data.prizes.map((entry) => `#${entry.placement} <@${entry.userId}> — ${entry.prize} VP`).join('\n'),
+          inline: false,
+        });
+      }
+      if (data.reason) {
+        embed.addFields({ name: 'Reason', value: data.reason, inline: false });
+      }
       break;
 
     case 'blackjack':
@@ -76,6 +173,20 @@ export async function logTransaction(type, data) {
         { name: 'Amount', value: `+${data.amount} VP`, inline: true },
         { name: 'Success', value: data.success ? 'Yes' : 'No', inline: true }
       );
+      if (data.streakDays) {
+        embed.addFields({ name: 'Streak', value: `${data.streakDays} day(s)`, inline: true });
+      }
+      break;
+
+    case 'reward_catalog':
+      embed.setTitle('🛒 Reward Catalog Change').setColor(0xff9900);
+      embed.addFields(
+        { name: 'Admin', value: `<@${data.adminId}>`, inline: true },
+        { name: 'Action', value: data.action, inline: true },
+        { name: 'Reward', value: `${data.item.name} (\`${data.item.key}\`)`, inline: true },
+        { name: 'Cost', value: `${data.item.cost} VP`, inline: true },
+        { name: 'Enabled', value: data.item.enabled ? 'Yes' : 'No', inline: true }
+      );
       break;
 
     case 'admin':
@@ -91,7 +202,7 @@ export async function logTransaction(type, data) {
   }
 
   try {
-    await logChannel.send({ embeds: [embed] });
+    await logChannel.send({ embeds: [embed], files });
   } catch (error) {
     console.error('Failed to send log:', error);
   }
@@ -0,0 +1,136 @@
+import prisma from '../db/index.js';
+import { logger } from '../logger.js';
+import { logError } from './logger.js';
+
+const DRIFT_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+let driftCheckTimer = null;
+
+async function sumLedgerDeltas(client, userIds) {
+  const where = userIds ? { userId: { in: userIds } } : {};
+  const sums = await client.ledgerEntry.groupBy({
+    by: ['userId'],
+    where,
+    _sum: { delta: true },
+  });
+
+  return new Map(sums.map((row) => [row.userId, row._sum.delta ?? 0]));
+}
+
+/**
+ * Compare every user's stored balance with the sum of their ledger entries.
+ * Returns one record per mismatched user, largest drift first. Balances and ledger
+ * sums are read in one transaction so a VP change landing in between is not
+ * reported as drift.
+ */
+export async function findBalanceDrift({ discordId = null } = {}) {
+  const { users, expectedByUser } = await prisma.$transaction(async (tx) => {
+    const users = await tx.user.findMany({
+      where: discordId ? { discordId } : {},
+      select: { id: true, discordId: true, vp: true },
+    });
+
+    if (users.length === 0) {
+      return { users, expectedByUser: new Map() };
+    }
+
+    const expectedByUser = await sumLedgerDeltas(tx, discordId ? users.map((user) => user.id) : null);
+    return { users, expectedByUser };
+  });
+
+  return users
+    .map((user) => {
+      const expected = expectedByUser.get(user.id) ?? 0;
+      return {
+        userId: user.id,
+        discordId: user.discordId,
+        balance: user.vp,
+        expected,
+        drift: user.vp - expected,
+      };
+    })
+    .filter((record) => record.drift !== 0)
+    .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+}
+
+/**
+ * Reset drifted balances to the ledger total and record a BalanceCorrection row for each.
+ * The expected balance is recomputed inside the transaction so a concurrent VP change
+ * between detection and correction is not overwritten.
+ */
+export async function applyBalanceCorrections(mismatches, { actorId }) {
+  const applied = [];
+
+  for (const mismatch of mismatches) {
+    try {
+      const correction = await prisma.$transaction(async (tx) => {
+        const user = await tx.user.findUnique({ where: { id: mismatch.userId } });
+        const expectedByUser = await sumLedgerDeltas(tx, [mismatch.userId]);
+        const expected = expectedByUser.get(mismatch.userId) ?? 0;
+
+        if (!user || user.vp === expected) {
+          return null;
+        }
+
+        await tx.user.update({
+          where: { id: user.id },
+          data: { vp: expected },
+        });
+
+        return tx.balanceCorrection.create({
+          data: {
+            userId: user.id,
+            previousBalance: user.vp,
+            correctedBalance: expected,
+            appliedBy: actorId,
+          },
+        });
+      });
+
+      if (correction) {
+        applied.push({ ...mismatch, balance: correction.previousBalance, expected: correction.correctedBalance });
+      }
+    } catch (error) {
+      logger.error('Failed to apply balance correction', { userId: mismatch.userId, err: error });
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Periodically scan for drift and report it to the log channel (never corrects automatically).
+ */
+export function startDriftCheck(intervalMs = DRIFT_CHECK_INTERVAL_MS) {
+  if (driftCheckTimer) {
+    return;
+  }
+
+  driftCheckTimer = setInterval(async () => {
+    try {
+      const mismatches = await findBalanceDrift();
+      if (mismatches.length === 0) {
+        return;
+      }
+
+      logger.warn('VP balance drift detected', {
+        users: mismatches.length,
+        sample: mismatches.slice(0, 5),
+      });
+      await logError(
+        new Error(`${mismatches.length} user balance(s) differ from the ledger`),
+        'Balance reconciliation — run /admin reconcile to review'
+      );
+    } catch (error) {
+      logger.error('Balance drift check failed', { err: error });
+    }
+  }, intervalMs);
+  driftCheckTimer.unref?.();
+}
+
+export function stopDriftCheck() {
+  if (driftCheckTimer) {
+    clearInterval(driftCheckTimer);
+    driftCheckTimer = null;
+  }
+}
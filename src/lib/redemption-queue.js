@@ -0,0 +1,148 @@
+import prisma, { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+import { getProviderRoleIds } from './utils.js';
+
+export const REDEMPTION_QUEUE_PREFIX = 'redeemqueue:';
+// Each redemption gets its own row of buttons, leaving one row for paging
+export const REDEMPTION_QUEUE_PAGE_SIZE = 4;
+
+const MINUTE_MS = 60 * 1000;
+const SLA_CHECK_INTERVAL_MS = 5 * MINUTE_MS;
+
+let slaCheckTimer = null;
+
+/**
+ * Queue buttons carry the page they were rendered on so the view survives restarts:
+ * `redeemqueue:<action>:<page>:<redemptionId>` (redemption ID empty for paging buttons).
+ */
+export function encodeRedemptionQueueCustomId(action, { page = 1, redemptionId = null } = {}) {
+  return `${REDEMPTION_QUEUE_PREFIX}${[action, page, redemptionId ?? ''].join(':')}`;
+}
+
+export function decodeRedemptionQueueCustomId(customId) {
+  if (!customId?.startsWith(REDEMPTION_QUEUE_PREFIX)) {
+    return null;
+  }
+
+  const [action, page, redemptionId] = customId.slice(REDEMPTION_QUEUE_PREFIX.length).split(':');
+  const parsedPage = Number.parseInt(page, 10);
+  const parsedId = Number.parseInt(redemptionId, 10);
+
+  return {
+    action,
+    page: Number.isInteger(parsedPage) && parsedPage > 0 ? parsedPage : 1,
+    redemptionId: Number.isInteger(parsedId) ? parsedId : null,
+  };
+}
+
+/**
+ * Fetch one page of open redemptions, oldest first, clamped to the last page.
+ */
+export async function fetchOpenRedemptionPage(page = 1, pageSize = REDEMPTION_QUEUE_PAGE_SIZE) {
+  const where = { status: 'opened' };
+  const total = await prisma.redemption.count({ where });
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(page, 1), pageCount);
+
+  const redemptions = total
+    ? await prisma.redemption.findMany({
+        where,
+        include: { user: true },
+        orderBy: { createdAt: 'asc' },
+        skip: (currentPage - 1) * pageSize,
+        take: pageSize,
+      })
+    : [];
+
+  return { redemptions, total, page: currentPage, pageCount };
+}
+
+/**
+ * Minutes a ticket may stay open before providers are pinged (0 = never).
+ */
+export async function getRedemptionSlaMinutes() {
+  const minutes = Number.parseFloat(await getConfig('redemption_sla_minutes', '60'));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+export function isPastSla(redemption, slaMinutes, now = new Date()) {
+  return slaMinutes > 0 && now.getTime() - redemption.createdAt.getTime() >= slaMinutes * MINUTE_MS;
+}
+
+/**
+ * Ping the provider role (and the claiming provider, if any) in every ticket that
+ * has been open longer than the SLA. Each ticket is only reminded once.
+ * Returns the number of reminders sent.
+ */
+export async function sendRedemptionSlaReminders(client, now = new Date()) {
+  const slaMinutes = await getRedemptionSlaMinutes();
+  if (!slaMinutes) {
+    return 0;
+  }
+
+  const overdue = await prisma.redemption.findMany({
+    where: {
+      status: 'opened',
+      slaRemindedAt: null,
+      createdAt: { lte: new Date(now.getTime() - slaMinutes * MINUTE_MS) },
+    },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  const roleMentions = getProviderRoleIds().map((roleId) => `<@&${roleId}>`);
+  let sent = 0;
+
+  for (const redemption of overdue) {
+    // Mark first so a slow send or a second process never pings twice
+    const { count } = await prisma.redemption.updateMany({
+      where: { id: redemption.id, status: 'opened', slaRemindedAt: null },
+      data: { slaRemindedAt: now },
+    });
+    if (count === 0 || !redemption.ticketChannelId) {
+      continue;
+    }
+
+    try {
+      const channel = await client.channels.fetch(redemption.ticketChannelId);
+      const mentions = [...roleMentions, redemption.claimedById ? `<@${redemption.claimedById}>` : null].filter(Boolean);
+
+      await channel.send({
+        content: [
+          mentions.join(' '),
+          `⏰ Redemption #${redemption.id} (${redemption.type}) has been open for over ${slaMinutes} minute(s)` +
+            (redemption.claimedById ? '.' : ' and nobody has claimed it yet.'),
+        ]
+          .filter(Boolean)
+          .join('\n'),
+        allowedMentions: { roles: getProviderRoleIds(), users: redemption.claimedById ? [redemption.claimedById] : [] },
+      });
+      sent += 1;
+    } catch (error) {
+      logger.warn('Could not send redemption SLA reminder', { redemptionId: redemption.id, err: error });
+    }
+  }
+
+  return sent;
+}
+
+export function startRedemptionSlaCheck(client, intervalMs = SLA_CHECK_INTERVAL_MS) {
+  if (slaCheckTimer) {
+    return;
+  }
+
+  slaCheckTimer = setInterval(async () => {
+    try {
+      await sendRedemptionSlaReminders(client);
+    } catch (error) {
+      logger.error('Redemption SLA check failed', { err: error });
+    }
+  }, intervalMs);
+  slaCheckTimer.unref?.();
+}
+
+export function stopRedemptionSlaCheck() {
+  if (slaCheckTimer) {
+    clearInterval(slaCheckTimer);
+    slaCheckTimer = null;
+  }
+}
@@ -0,0 +1,174 @@
+import { ChannelType, PermissionFlagsBits } from 'discord.js';
+import { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+import { getProviderRoleIds } from './utils.js';
+import { findStaleReservations, releaseRedemption } from './redemptions.js';
+
+const TRANSCRIPT_BATCH_SIZE = 100;
+const MAX_TRANSCRIPT_MESSAGES = 1000;
+// A claim takes seconds; anything reserved for longer was interrupted
+const STALE_RESERVATION_MS = 2 * 60 * 1000;
+
+const TICKET_ACCESS = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages];
+
+/**
+ * Ticket channels start with the redemption ID so an orphaned one can be found
+ * again from its reservation.
+ */
+function ticketChannelPrefix(redemptionId) {
+  return `redemption-${redemptionId}-`;
+}
+
+/**
+ * Create the private ticket channel for a reserved redemption, visible to the user,
+ * the provider roles and the bot.
+ */
+export async function createTicketChannel(guild, redemption, { userDiscordId, username }) {
+  return guild.channels.create({
+    name: `${ticketChannelPrefix(redemption.id)}${username}`.slice(0, 100),
+    type: ChannelType.GuildText,
+    permissionOverwrites: [
+      { id: guild.id, deny: [PermissionFlagsBits.ViewChannel] },
+      { id: userDiscordId, allow: TICKET_ACCESS },
+      ...getProviderRoleIds().map((roleId) => ({ id: roleId, allow: TICKET_ACCESS })),
+      { id: guild.client.user.id, allow: TICKET_ACCESS },
+    ],
+  });
+}
+
+/**
+ * Delete any ticket channels created for the given redemptions. Returns how many were deleted.
+ */
+export async function deleteTicketChannelsFor(client, redemptionIds) {
+  if (redemptionIds.length === 0) {
+    return 0;
+  }
+
+  const prefixes = redemptionIds.map(ticketChannelPrefix);
+  let deleted = 0;
+
+  for (const guild of client.guilds.cache.values()) {
+    const channels = await guild.channels.fetch();
+
+    for (const channel of channels.values()) {
+      if (channel && prefixes.some((prefix) => channel.name.startsWith(prefix))) {
+        await channel.delete('Redemption was never opened').catch((error) => {
+          logger.warn('Could not delete orphaned ticket channel', { channelId: channel.id, err: error });
+        });
+        deleted += 1;
+      }
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Refund reservations left behind by an interrupted claim and delete any ticket
+ * channel that was created for them. Run on startup.
+ */
+export async function releaseStaleReservations(client) {
+  const stale = await findStaleReservations(STALE_RESERVATION_MS);
+  const released = [];
+
+  for (const redemption of stale) {
+    if (await releaseRedemption(redemption, 'Claim was interrupted before the ticket opened')) {
+      released.push(redemption.id);
+    }
+  }
+
+  if (released.length > 0) {
+    const channels = await deleteTicketChannelsFor(client, released);
+    logger.warn('Released interrupted redemption reservations', { redemptions: released, channels });
+  }
+
+  return released;
+}
+
+/**
+ * Render messages (oldest first) as a plain-text transcript.
+ */
+export function formatTranscript(messages, header) {
+  const lines = [header, ''];
+
+  for (const message of messages) {
+    const author = message.author ? `${message.author.username} (${message.author.id})` : 'Unknown';
+    const parts = [message.content];
+
+    for (const embed of message.embeds ?? []) {
+      parts.push([embed.title, embed.description].filter(Boolean).join(' — '));
+    }
+
+    for (const attachment of message.attachments?.values?.() ?? []) {
+      parts.push(`[attachment] ${attachment.url}`);
+    }
+
+    lines.push(`[${message.createdAt.toISOString()}] ${author}: ${parts.filter(Boolean).join(' | ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+async function fetchChannelHistory(channel) {
+  const messages = [];
+  let before;
+
+  while (messages.length < MAX_TRANSCRIPT_MESSAGES) {
+    const batch = await channel.messages.fetch({ limit: TRANSCRIPT_BATCH_SIZE, ...(before ? { before } : {}) });
+    if (batch.size === 0) break;
+
+    messages.push(...batch.values());
+    before = batch.last().id;
+
+    if (batch.size < TRANSCRIPT_BATCH_SIZE) break;
+  }
+
+  return messages.reverse();
+}
+
+/**
+ * Save a transcript of the ticket channel, then archive it (lock it for the user,
+ * rename it and optionally move it to `redemption_archive_category_id`) or delete it,
+ * depending on `redemption_ticket_close`. Returns the transcript text, or null if
+ * the channel no longer exists.
+ */
+export async function closeTicketChannel(guild, redemption, { outcome, userDiscordId }) {
+  if (!redemption.ticketChannelId) {
+    return null;
+  }
+
+  let channel;
+  try {
+    channel = await guild.channels.fetch(redemption.ticketChannelId);
+  } catch {
+    return null;
+  }
+
+  if (!channel) {
+    return null;
+  }
+
+  const transcript = formatTranscript(
+    await fetchChannelHistory(channel),
+    `Redemption #${redemption.id} (${redemption.type}) — ${outcome} at ${new Date().toISOString()}`
+  );
+
+  const mode = await getConfig('redemption_ticket_close', 'archive');
+
+  if (mode === 'delete') {
+    await channel.delete(`Redemption #${redemption.id} ${outcome}`);
+    return transcript;
+  }
+
+  await channel.permissionOverwrites.edit(userDiscordId, { SendMessages: false });
+  if (!channel.name.startsWith('closed-')) {
+    await channel.setName(`closed-${channel.name}`.slice(0, 100));
+  }
+
+  const archiveCategoryId = await getConfig('redemption_archive_category_id', '');
+  if (archiveCategoryId) {
+    await channel.setParent(archiveCategoryId, { lockPermissions: false });
+  }
+
+  return transcript;
+}
@@ -0,0 +1,166 @@
+import prisma, { getConfig } from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
+import { checkRewardAvailability } from './reward-catalog.js';
+
+const RESERVATION_REJECTED = 'REDEMPTION_RESERVATION_REJECTED';
+
+/**
+ * How long after opening a ticket the user may cancel it themselves (0 = never).
+ */
+export async function getCancelWindowMinutes() {
+  const minutes = Number.parseFloat(await getConfig('redemption_cancel_window_minutes', '15'));
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+export function isWithinCancelWindow(redemption, windowMinutes, now = new Date()) {
+  return windowMinutes > 0 && now.getTime() - redemption.createdAt.getTime() <= windowMinutes * 60 * 1000;
+}
+
+/**
+ * Cancel an open redemption and refund its cost in one transaction.
+ * Returns the updated user, or null if the redemption was no longer open.
+ */
+export async function cancelRedemption(redemption, { closedById, reason = null }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.redemption.updateMany({
+      where: { id: redemption.id, status: 'opened' },
+      data: { status: 'canceled', closedAt: new Date(), closedById, cancelReason: reason },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return applyVPDelta(tx, {
+      userId: redemption.userId,
+      delta: redemption.cost,
+      reason: LEDGER_REASONS.REDEMPTION_REFUND,
+      source: LEDGER_SOURCES.REDEMPTION,
+      referenceId: redemption.id,
+    });
+  });
+}
+
+/**
+ * Mark an open redemption fulfilled. Returns false if it was no longer open.
+ */
+export async function fulfillRedemption(redemption, closedById) {
+  const { count } = await prisma.redemption.updateMany({
+    where: { id: redemption.id, status: 'opened' },
+    data: { status: 'fulfilled', closedAt: new Date(), closedById },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Assign an open, unclaimed redemption to a provider. Returns false if it was
+ * closed or someone else claimed it first.
+ */
+export async function claimRedemption(redemption, providerId) {
+  const { count } = await prisma.redemption.updateMany({
+    where: { id: redemption.id, status: 'opened', claimedById: null },
+    data: { claimedById: providerId, claimedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+/**
+ * First step of a claim: debit the cost and hold it on a 'reserved' redemption in one
+ * transaction. The writes come first so SQLite's write lock serializes concurrent claims
+ * before the balance and stock are checked. Resolves `{ ok: true, redemption, user }`
+ * or `{ ok: false, reason }` with reason 'insufficient_funds' or an availability reason
+ * from `checkRewardAvailability` (nothing is debited in that case).
+ */
+export async function reserveRedemption(user, item) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const redemption = await tx.redemption.create({
+        data: {
+          userId: user.id,
+          type: item.name,
+          rewardItemId: item.id,
+          cost: item.cost,
+          status: 'reserved',
+        },
+      });
+
+      const updatedUser = await applyVPDelta(tx, {
+        userId: user.id,
+        delta: -item.cost,
+        reason: LEDGER_REASONS.REDEMPTION,
+        source: LEDGER_SOURCES.REDEMPTION,
+        referenceId: redemption.id,
+      });
+
+      if (updatedUser.vp < 0) {
+        throw Object.assign(new Error('Insufficient VP balance'), {
+          code: RESERVATION_REJECTED,
+          reason: 'insufficient_funds',
+        });
+      }
+
+      const availability = await checkRewardAvailability(item, user.id, tx, { excludeRedemptionId: redemption.id });
+      if (!availability.ok) {
+        throw Object.assign(new Error('Reward unavailable'), { code: RESERVATION_REJECTED, reason: availability.reason });
+      }
+
+      return { ok: true, redemption, user: updatedUser };
+    });
+  } catch (error) {
+    if (error.code === RESERVATION_REJECTED) {
+      return { ok: false, reason: error.reason };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Second step of a claim: open the reserved redemption with its ticket channel.
+ * Returns false if the reservation was already released.
+ */
+export async function commitRedemption(redemption, ticketChannelId) {
+  const { count } = await prisma.redemption.updateMany({
+    where: { id: redemption.id, status: 'reserved' },
+    data: { status: 'opened', ticketChannelId },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Roll back a reservation whose ticket could not be created: cancel it and refund
+ * the cost. Returns the updated user, or null if it was no longer reserved.
+ */
+export async function releaseRedemption(redemption, reason) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.redemption.updateMany({
+      where: { id: redemption.id, status: 'reserved' },
+      data: { status: 'canceled', closedAt: new Date(), cancelReason: reason },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return applyVPDelta(tx, {
+      userId: redemption.userId,
+      delta: redemption.cost,
+      reason: LEDGER_REASONS.REDEMPTION_REFUND,
+      source: LEDGER_SOURCES.REDEMPTION,
+      referenceId: redemption.id,
+    });
+  });
+}
+
+/**
+ * Reservations older than `olderThanMs` whose claim never finished (e.g. the bot
+ * restarted between reserving and opening the ticket).
+ */
+export async function findStaleReservations(olderThanMs, now = new Date()) {
+  return prisma.redemption.findMany({
+    where: { status: 'reserved', createdAt: { lte: new Date(now.getTime() - olderThanMs) } },
+    orderBy: { createdAt: 'asc' },
+  });
+}
@@ -0,0 +1,168 @@
+import prisma from '../db/index.js';
+
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Canceled redemptions give their stock back
+const ACTIVE_REDEMPTION = { status: { not: 'canceled' } };
+
+export function slugifyRewardKey(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 32);
+}
+
+/**
+ * Treat 0 as "no limit" so admins can clear a limit from a slash command option.
+ */
+export function normalizeLimit(value) {
+  return value === null || value === undefined || value <= 0 ? null : value;
+}
+
+export async function listRewardItems({ includeDisabled = false } = {}) {
+  return prisma.rewardItem.findMany({
+    where: includeDisabled ? {} : { enabled: true },
+    orderBy: [{ cost: 'asc' }, { name: 'asc' }],
+  });
+}
+
+export async function findRewardItem(key) {
+  if (!key) {
+    return null;
+  }
+
+  return prisma.rewardItem.findUnique({ where: { key } });
+}
+
+/**
+ * Autocomplete choices matching the typed text by key or name.
+ */
+export async function searchRewardChoices(query, { includeDisabled = false } = {}) {
+  const items = await listRewardItems({ includeDisabled });
+  const needle = (query ?? '').toLowerCase();
+
+  return items
+    .filter((item) => !needle || item.key.includes(needle) || item.name.toLowerCase().includes(needle))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+    .map((item) => ({
+      name: `${item.name} — ${item.cost} VP${item.enabled ? '' : ' (disabled)'}`.slice(0, 100),
+      value: item.key,
+    }));
+}
+
+/**
+ * Check whether `userId` (internal user id) may claim `item` right now.
+ * Returns `{ ok: true, remaining }` or `{ ok: false, reason }` where reason is
+ * 'disabled', 'out_of_stock' or 'user_limit'. `excludeRedemptionId` leaves out a
+ * redemption that is being checked for itself (a fresh reservation).
+ */
+export async function checkRewardAvailability(item, userId, client = prisma, { excludeRedemptionId = null } = {}) {
+  if (!item.enabled) {
+    return { ok: false, reason: 'disabled' };
+  }
+
+  const active = {
+    rewardItemId: item.id,
+    ...ACTIVE_REDEMPTION,
+    ...(excludeRedemptionId ? { id: { not: excludeRedemptionId } } : {}),
+  };
+  const [claimed, claimedByUser] = await Promise.all([
+    item.stockLimit !== null ? client.redemption.count({ where: active }) : 0,
+    item.perUserLimit !== null ? client.redemption.count({ where: { ...active, userId } }) : 0,
+  ]);
+
+  if (item.stockLimit !== null && claimed >= item.stockLimit) {
+    return { ok: false, reason: 'out_of_stock' };
+  }
+
+  if (item.perUserLimit !== null && claimedByUser >= item.perUserLimit) {
+    return { ok: false, reason: 'user_limit' };
+  }
+
+  return { ok: true, remaining: item.stockLimit !== null ? item.stockLimit - claimed : null };
+}
+
+/**
+ * Remaining stock for each limited item, keyed by item id.
+ */
+export async function getRemainingStock(items) {
+  const limited = items.filter((item) => item.stockLimit !== null);
+  if (limited.length === 0) {
+    return new Map();
+  }
+
+  const counts = await prisma.redemption.groupBy({
+    by: ['rewardItemId'],
+    where: { rewardItemId: { in: limited.map((item) => item.id) }, ...ACTIVE_REDEMPTION },
+    _count: { _all: true },
+  });
+  const claimed = new Map(counts.map((row) => [row.rewardItemId, row._count._all]));
+
+  return new Map(limited.map((item) => [item.id, Math.max(item.stockLimit - (claimed.get(item.id) ?? 0), 0)]));
+}
+
+export async function createRewardItem({ key, name, description, cost, stockLimit, perUserLimit, enabled }) {
+  return prisma.rewardItem.create({
+    data: {
+      key: key || slugifyRewardKey(name),
+      name,
+      description: description ?? null,
+      cost,
+      stockLimit: normalizeLimit(stockLimit),
+      perUserLimit: normalizeLimit(perUserLimit),
+      enabled: enabled ?? true,
+    },
+  });
+}
+
+/**
+ * Apply only the fields that were provided; limits of 0 clear the limit.
+ */
+export async function updateRewardItem(key, changes) {
+  const data = {};
+
+  for (const field of ['name', 'description', 'cost', 'enabled']) {
+    if (changes[field] !== null && changes[field] !== undefined) {
+      data[field] = changes[field];
+    }
+  }
+
+  for (const field of ['stockLimit', 'perUserLimit']) {
+    if (changes[field] !== null && changes[field] !== undefined) {
+      data[field] = normalizeLimit(changes[field]);
+    }
+  }
+
+  return prisma.rewardItem.update({ where: { key }, data });
+}
+
+/**
+ * Delete an item nobody has redeemed yet. Items with redemption history are
+ * disabled instead so old tickets keep their link. Returns 'deleted' or 'disabled'.
+ */
+export async function removeRewardItem(item) {
+  const used = await prisma.redemption.count({ where: { rewardItemId: item.id } });
+
+  if (used > 0) {
+    await prisma.rewardItem.update({ where: { id: item.id }, data: { enabled: false } });
+    return 'disabled';
+  }
+
+  await prisma.rewardItem.delete({ where: { id: item.id } });
+  return 'deleted';
+}
+
+export function describeUnavailableReward(item, reason) {
+  switch (reason) {
+    case 'disabled':
+      return `**${item.name}** is not available right now.`;
+    case 'out_of_stock':
+      return `**${item.name}** is out of stock.`;
+    case 'user_limit':
+      return `You have already claimed **${item.name}** the maximum of ${item.perUserLimit} time(s).`;
+    default:
+      return `**${item.name}** cannot be claimed.`;
+  }
+}
@@ -110,6 +110,16 @@ export function mentionsRole(message, roleId) {
   return message.mentions.roles.has(roleId);
 }
 
+/**
+ * Check if a channel is the configured vouch channel (falls back to the channel name)
+ */
+export function isVouchChannel(channel) {
+  const vouchChannelId = process.env.VOUCH_CHANNEL_ID;
+  return vouchChannelId
+    ? channel?.id === vouchChannelId
+    : Boolean(channel?.name?.toLowerCase().includes('vouch'));
+}
+
 function parseRoleIds(raw) {
   if (!raw) {
     return [];
@@ -0,0 +1,224 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import prisma, { getConfig } from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
+import { calculateVouchReward } from './vouch-rewards.js';
+
+export const VOUCH_APPEAL_PREFIX = 'vouchappeal:';
+
+export const VOUCH_APPROVAL_MODES = ['provider_mention', 'provider_confirm', 'manual'];
+
+/**
+ * Read the auto-approval policy from config:
+ * - `vouch_approval_mode`: 'provider_mention' credits immediately when a provider is mentioned,
+ *   'provider_confirm' waits for a mentioned provider to react ✅, 'manual' always queues.
+ * - `vouch_allow_role_mention`: whether mentioning the provider role counts as mentioning a provider.
+ * - `vouch_confirm_minutes`: how long a provider has to confirm in 'provider_confirm' mode.
+ */
+export async function getVouchApprovalPolicy() {
+  const [mode, allowRoleMention, confirmMinutes] = await Promise.all([
+    getConfig('vouch_approval_mode', 'provider_mention'),
+    getConfig('vouch_allow_role_mention', 'true'),
+    getConfig('vouch_confirm_minutes', '10'),
+  ]);
+
+  const minutes = Number.parseFloat(confirmMinutes);
+
+  return {
+    mode: VOUCH_APPROVAL_MODES.includes(mode) ? mode : 'provider_mention',
+    allowRoleMention: allowRoleMention !== 'false',
+    confirmMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 10,
+  };
+}
+
+/**
+ * Approve a pending vouch and credit its configured reward in one transaction.
+ * Returns `{ updatedUser, reward }`, or null if the vouch was no longer pending (already handled).
+ */
+export async function approvePendingVouch(vouch, providerId) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.vouch.updateMany({
+      where: { id: vouch.id, status: 'pending' },
+      data: {
+        status: 'approved',
+        approvedByProviderId: providerId,
+        reviewedByProviderId: providerId,
+        reviewedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const reward = await calculateVouchReward(tx, {
+      userId: vouch.userId,
+      postedAt: vouch.createdAt ?? new Date(),
+      excludeVouchId: vouch.id,
+    });
+
+    const updatedUser = await applyVPDelta(tx, {
+      userId: vouch.userId,
+      delta: reward.amount,
+      reason: LEDGER_REASONS.VOUCH_APPROVED,
+      source: LEDGER_SOURCES.VOUCH,
+      referenceId: vouch.id,
+    });
+
+    return { updatedUser, reward };
+  });
+}
+
+/**
+ * Reject a pending vouch. Returns false if it was no longer pending.
+ */
+export async function rejectPendingVouch(vouch, providerId, reason) {
+  const { count } = await prisma.vouch.updateMany({
+    where: { id: vouch.id, status: 'pending' },
+    data: {
+      status: 'rejected',
+      rejectionReason: reason,
+      reviewedByProviderId: providerId,
+      reviewedAt: new Date(),
+    },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Revoke a credited vouch and claw back the VP it earned (net of earlier reversals),
+ * never taking the balance below zero. Returns `{ updatedUser, clawback }`, or null
+ * if the vouch was not in a credited state.
+ */
+export async function revokeCreditedVouch(vouch, providerId, reason) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.vouch.updateMany({
+      where: { id: vouch.id, status: { in: ['auto', 'approved'] } },
+      data: {
+        status: 'revoked',
+        rejectionReason: reason,
+        reviewedByProviderId: providerId,
+        reviewedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return clawBackVouchVP(tx, vouch, LEDGER_REASONS.VOUCH_REVOKED);
+  });
+}
+
+/**
+ * Reverse whatever VP a vouch earned (net of earlier reversals), clamped so the
+ * balance never goes negative. Must run inside a transaction.
+ */
+async function clawBackVouchVP(tx, vouch, reason) {
+  const [credited, user] = await Promise.all([
+    tx.ledgerEntry.aggregate({
+      where: { source: LEDGER_SOURCES.VOUCH, referenceId: String(vouch.id) },
+      _sum: { delta: true },
+    }),
+    tx.user.findUnique({ where: { id: vouch.userId } }),
+  ]);
+
+  const clawback = Math.min(Math.max(credited._sum.delta ?? 0, 0), Math.max(user?.vp ?? 0, 0));
+  if (clawback === 0) {
+    return { updatedUser: user, clawback };
+  }
+
+  const updatedUser = await applyVPDelta(tx, {
+    userId: vouch.userId,
+    delta: -clawback,
+    reason,
+    source: LEDGER_SOURCES.VOUCH,
+    referenceId: vouch.id,
+  });
+
+  return { updatedUser, clawback };
+}
+
+/**
+ * Void a vouch whose message was deleted or lost its image. Credited VP is reversed
+ * when `vouch_void_reverse_vp` is enabled. Returns `{ updatedUser, clawback }`, or
+ * null if the vouch was already rejected, revoked or voided.
+ */
+export async function voidVouch(vouch, reason) {
+  const reverseVP = (await getConfig('vouch_void_reverse_vp', 'true')) !== 'false';
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.vouch.updateMany({
+      where: { id: vouch.id, status: { in: ['pending', 'auto', 'approved'] } },
+      data: { status: 'voided', voidReason: reason, voidedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    if (!reverseVP) {
+      return { updatedUser: null, clawback: 0 };
+    }
+
+    // The caller's copy of the status may be stale (a pending vouch can be approved
+    // meanwhile), so let the ledger decide: an uncredited vouch nets to no clawback.
+    return clawBackVouchVP(tx, vouch, LEDGER_REASONS.VOUCH_VOIDED);
+  });
+}
+
+/**
+ * Put a rejected or revoked vouch back in the pending queue. Each vouch can be
+ * appealed once; returns false if it is not appealable.
+ */
+export async function appealVouch(vouch) {
+  const { count } = await prisma.vouch.updateMany({
+    where: { id: vouch.id, status: { in: ['rejected', 'revoked'] }, appealedAt: null },
+    data: { status: 'pending', appealedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+export function buildAppealRow(vouchId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${VOUCH_APPEAL_PREFIX}${vouchId}`)
+      .setLabel('Appeal')
+      .setEmoji('📨')
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * DM the vouch owner. Returns false when their DMs are closed.
+ */
+export async function notifyVouchOwner(client, discordId, payload) {
+  try {
+    const user = await client.users.fetch(discordId);
+    await user.send(payload);
+    return true;
+  } catch (error) {
+    console.log('Could not DM vouch owner:', error.message);
+    return false;
+  }
+}
+
+/**
+ * React on the original vouch message, if it still exists.
+ */
+export async function reactToVouchMessage(client, vouch, emoji) {
+  if (!vouch.channelId) {
+    return;
+  }
+
+  try {
+    const channel = await client.channels.fetch(vouch.channelId);
+    if (channel?.isTextBased()) {
+      const message = await channel.messages.fetch(vouch.messageId);
+      await message.react(emoji);
+    }
+  } catch (error) {
+    console.warn('Could not react to vouch message:', error.message);
+  }
+}
@@ -0,0 +1,93 @@
+import prisma from '../db/index.js';
+
+export const VOUCH_QUEUE_PREFIX = 'vouchqueue:';
+export const VOUCH_QUEUE_PAGE_SIZE = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Queue view state is carried in component custom IDs so the /approvevouch
+ * message keeps working across restarts:
+ * `vouchqueue:<action>:<page>:<userId>:<olderThanHours>:<channelId>` (empty = no filter).
+ */
+export function encodeQueueCustomId(action, { page = 1, userId = null, olderThanHours = null, channelId = null } = {}) {
+  return `${VOUCH_QUEUE_PREFIX}${[action, page, userId ?? '', olderThanHours ?? '', channelId ?? ''].join(':')}`;
+}
+
+export function decodeQueueCustomId(customId) {
+  if (!customId?.startsWith(VOUCH_QUEUE_PREFIX)) {
+    return null;
+  }
+
+  const [action, page, userId, olderThanHours, channelId] = customId.slice(VOUCH_QUEUE_PREFIX.length).split(':');
+  const parsedPage = Number.parseInt(page, 10);
+  const parsedHours = Number.parseInt(olderThanHours, 10);
+
+  return {
+    action,
+    state: {
+      page: Number.isInteger(parsedPage) && parsedPage > 0 ? parsedPage : 1,
+      userId: userId || null,
+      olderThanHours: Number.isInteger(parsedHours) && parsedHours > 0 ? parsedHours : null,
+      channelId: channelId || null,
+    },
+  };
+}
+
+/**
+ * Recover the queue state from any queue component on an existing message
+ * (used by modals, whose own custom ID has no room for it).
+ */
+export function readQueueStateFromMessage(message) {
+  for (const row of message?.components ?? []) {
+    for (const component of row.components ?? []) {
+      const decoded = decodeQueueCustomId(component.customId);
+      if (decoded) {
+        return decoded.state;
+      }
+    }
+  }
+
+  return { page: 1, userId: null, olderThanHours: null, channelId: null };
+}
+
+export function buildPendingVouchWhere({ userId, olderThanHours, channelId }, now = new Date()) {
+  const where = { status: 'pending' };
+
+  if (userId) {
+    where.user = { discordId: userId };
+  }
+
+  if (olderThanHours) {
+    where.createdAt = { lte: new Date(now.getTime() - olderThanHours * HOUR_MS) };
+  }
+
+  if (channelId) {
+    where.channelId = channelId;
+  }
+
+  return where;
+}
+
+/**
+ * Fetch one page of pending vouches, oldest first. The page is clamped to the last
+ * page so a view does not go blank after its final vouches are handled.
+ */
+export async function fetchPendingVouchPage(state, pageSize = VOUCH_QUEUE_PAGE_SIZE) {
+  const where = buildPendingVouchWhere(state);
+  const total = await prisma.vouch.count({ where });
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(Math.max(state.page ?? 1, 1), pageCount);
+
+  const vouches = total
+    ? await prisma.vouch.findMany({
+        where,
+        include: { user: true },
+        orderBy: { createdAt: 'asc' },
+        skip: (page - 1) * pageSize,
+        take: pageSize,
+      })
+    : [];
+
+  return { vouches, total, page, pageCount, state: { ...state, page } };
+}
@@ -0,0 +1,115 @@
+import { getConfig } from '../db/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CREDITED_STATUSES = ['auto', 'approved'];
+
+function parseNonNegative(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function dayKey(date) {
+  return Math.floor(date.getTime() / DAY_MS);
+}
+
+/**
+ * Read the vouch reward settings. The event multiplier only applies until
+ * `vouch_event_ends_at` (ISO timestamp) when one is set.
+ */
+export async function getVouchRewardConfig(now = new Date()) {
+  const [base, firstDailyBonus, streakBonus, streakMaxDays, multiplier, eventEndsAt] = await Promise.all([
+    getConfig('vouch_reward_base', '1'),
+    getConfig('vouch_first_daily_bonus', '0'),
+    getConfig('vouch_streak_bonus', '0'),
+    getConfig('vouch_streak_max_days', '7'),
+    getConfig('vouch_event_multiplier', '1'),
+    getConfig('vouch_event_ends_at', ''),
+  ]);
+
+  const endsAt = eventEndsAt ? new Date(eventEndsAt) : null;
+  const eventActive = !endsAt || (!Number.isNaN(endsAt.getTime()) && endsAt > now);
+
+  return {
+    base: Math.floor(parseNonNegative(base, 1)),
+    firstDailyBonus: Math.floor(parseNonNegative(firstDailyBonus, 0)),
+    streakBonus: Math.floor(parseNonNegative(streakBonus, 0)),
+    streakMaxDays: Math.floor(parseNonNegative(streakMaxDays, 7)),
+    multiplier: eventActive ? parseNonNegative(multiplier, 1) : 1,
+  };
+}
+
+/**
+ * Count consecutive UTC days before `day` with at least one credited vouch.
+ */
+export function countVouchStreak(dates, day, maxDays) {
+  const days = new Set(dates.map(dayKey));
+  let streak = 0;
+
+  while (streak < maxDays && days.has(day - streak - 1)) {
+    streak += 1;
+  }
+
+  return streak;
+}
+
+/**
+ * Work out the VP a vouch earns. Bonuses look at the owner's other credited vouches
+ * (by UTC day of posting), so pass the transaction client when crediting.
+ */
+export async function calculateVouchReward(client, { userId, postedAt = new Date(), excludeVouchId = null }) {
+  const config = await getVouchRewardConfig();
+  const day = dayKey(postedAt);
+
+  let firstOfDay = false;
+  let streakDays = 0;
+
+  // Skip the lookups entirely when no bonus is configured
+  if (config.firstDailyBonus > 0 || (config.streakBonus > 0 && config.streakMaxDays > 0)) {
+    const earlier = await client.vouch.findMany({
+      where: {
+        userId,
+        status: { in: CREDITED_STATUSES },
+        createdAt: { gte: new Date((day - config.streakMaxDays) * DAY_MS), lt: postedAt },
+        ...(excludeVouchId ? { id: { not: excludeVouchId } } : {}),
+      },
+      select: { createdAt: true },
+    });
+
+    const dates = earlier.map((vouch) => vouch.createdAt);
+    firstOfDay = !dates.some((date) => dayKey(date) === day);
+    streakDays = countVouchStreak(dates, day, config.streakMaxDays);
+  }
+
+  const firstOfDayBonus = firstOfDay ? config.firstDailyBonus : 0;
+  const streakBonus = streakDays * config.streakBonus;
+  const subtotal = config.base + firstOfDayBonus + streakBonus;
+
+  return {
+    amount: Math.floor(subtotal * config.multiplier),
+    base: config.base,
+    firstOfDayBonus,
+    streakBonus,
+    streakDays,
+    multiplier: config.multiplier,
+  };
+}
+
+/**
+ * Short breakdown for acknowledgements, e.g. "+6 VP (1 base + 1 first vouch today + 1 for a 1-day streak, ×2 event)".
+ */
+export function describeVouchReward(reward) {
+  const parts = [`${reward.base} base`];
+
+  if (reward.firstOfDayBonus > 0) {
+    parts.push(`${reward.firstOfDayBonus} first vouch today`);
+  }
+
+  if (reward.streakBonus > 0) {
+    parts.push(`${reward.streakBonus} for a ${reward.streakDays}-day streak`);
+  }
+
+  const bonuses = parts.length > 1 || reward.multiplier !== 1;
+  const breakdown = parts.join(' + ') + (reward.multiplier !== 1 ? `, ×${reward.multiplier} event` : '');
+
+  return bonuses ? `+${reward.amount} VP (${breakdown})` : `+${reward.amount} VP`;
+}
@@ -0,0 +1,173 @@
+import sharp from 'sharp';
+import prisma, { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const FETCH_TIMEOUT_MS = 10_000;
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image as 16 hex characters.
+ * Re-encodes, resizes and light edits keep the hash within a few bits.
+ */
+export async function computeImageHash(buffer) {
+  const pixels = await sharp(buffer)
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < HASH_HEIGHT; row += 1) {
+    for (let col = 0; col < HASH_WIDTH - 1; col += 1) {
+      const left = pixels[row * HASH_WIDTH + col];
+      const right = pixels[row * HASH_WIDTH + col + 1];
+      hash = (hash << 1n) | (left < right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * Download an attachment and hash it. Returns null if the image cannot be fetched
+ * or decoded; screening then falls back to the rate caps only.
+ */
+export async function fetchImageHash(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const length = Number.parseInt(response.headers.get('content-length') ?? '0', 10);
+    if (length > MAX_IMAGE_BYTES) {
+      throw new Error(`image too large (${length} bytes)`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    return await computeImageHash(buffer);
+  } catch (error) {
+    logger.warn('failed to hash vouch image', { url, err: error });
+    return null;
+  }
+}
+
+// Rejected, revoked and voided vouches are not evidence against a new image
+const MATCHABLE_STATUSES = ['pending', 'auto', 'approved'];
+
+/**
+ * Find the closest earlier vouch whose image hash is within `threshold` bits. Only
+ * vouches from the last `windowDays` days are compared (0 = all of them), which keeps
+ * the scan bounded as the table grows.
+ */
+export async function findSimilarVouch(imageHash, threshold, { windowDays = 0 } = {}) {
+  const where = {
+    status: { in: MATCHABLE_STATUSES },
+    ...(windowDays > 0 ? { createdAt: { gte: new Date(Date.now() - windowDays * DAY_MS) } } : {}),
+  };
+
+  const exact = await prisma.vouch.findFirst({
+    where: { ...where, imageHash },
+    orderBy: { createdAt: 'asc' },
+  });
+  if (exact) {
+    return exact;
+  }
+
+  const candidates = await prisma.vouch.findMany({
+    where: { ...where, imageHash: { not: null } },
+    select: { id: true, userId: true, imageHash: true, status: true, createdAt: true },
+  });
+
+  let best = null;
+  let bestDistance = threshold + 1;
+  for (const candidate of candidates) {
+    const distance = hammingDistance(imageHash, candidate.imageHash);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+async function countVouchesSince(userId, since) {
+  return prisma.vouch.count({
+    where: {
+      userId,
+      createdAt: { gte: since },
+      status: { not: 'rejected' },
+    },
+  });
+}
+
+async function getIntConfig(key, fallback) {
+  const parsed = Number.parseInt(await getConfig(key, String(fallback)), 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Screen a new vouch before it is credited. Returns the image hash to store and, when
+ * the vouch should go to provider review instead, a `flag` describing why:
+ * `{ reason: 'duplicate', duplicateOf }`, `{ reason: 'hourly_cap', limit }` or
+ * `{ reason: 'daily_cap', limit }`. Caps of 0 are disabled.
+ */
+export async function screenVouch({ userId, imageUrl }) {
+  const [threshold, windowDays, hourlyCap, dailyCap] = await Promise.all([
+    getIntConfig('vouch_hash_threshold', 6),
+    getIntConfig('vouch_hash_window_days', 90),
+    getIntConfig('vouch_hourly_cap', 5),
+    getIntConfig('vouch_daily_cap', 20),
+  ]);
+
+  const imageHash = imageUrl ? await fetchImageHash(imageUrl) : null;
+
+  if (imageHash) {
+    const duplicateOf = await findSimilarVouch(imageHash, threshold, { windowDays });
+    if (duplicateOf) {
+      return { imageHash, flag: { reason: 'duplicate', duplicateOf } };
+    }
+  }
+
+  const now = Date.now();
+  if (hourlyCap > 0 && (await countVouchesSince(userId, new Date(now - HOUR_MS))) >= hourlyCap) {
+    return { imageHash, flag: { reason: 'hourly_cap', limit: hourlyCap } };
+  }
+
+  if (dailyCap > 0 && (await countVouchesSince(userId, new Date(now - DAY_MS))) >= dailyCap) {
+    return { imageHash, flag: { reason: 'daily_cap', limit: dailyCap } };
+  }
+
+  return { imageHash, flag: null };
+}
+
+/**
+ * Short human-readable explanation of a screening flag for replies and review lists.
+ */
+export function describeVouchFlag(flagReason, { duplicateOfId = null, limit = null } = {}) {
+  switch (flagReason) {
+    case 'duplicate':
+      return duplicateOfId ? `Image matches vouch #${duplicateOfId}` : 'Image matches an earlier vouch';
+    case 'hourly_cap':
+      return limit ? `Over the hourly limit of ${limit} vouches` : 'Over the hourly vouch limit';
+    case 'daily_cap':
+      return limit ? `Over the daily limit of ${limit} vouches` : 'Over the daily vouch limit';
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,134 @@
+import prisma from '../db/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const VOUCH_STATS_PERIODS = {
+  '7d': { label: 'Last 7 days', days: 7 },
+  '30d': { label: 'Last 30 days', days: 30 },
+  '90d': { label: 'Last 90 days', days: 90 },
+  all: { label: 'All time', days: null },
+};
+
+const CREDITED_STATUSES = ['auto', 'approved'];
+const REJECTED_STATUSES = ['rejected', 'revoked'];
+
+export function getPeriodStart(period, now = new Date()) {
+  const days = VOUCH_STATS_PERIODS[period]?.days;
+  return days ? new Date(now.getTime() - days * DAY_MS) : null;
+}
+
+/**
+ * Fold `{ status, _count }` group rows into credited/rejected/pending/voided totals.
+ * The rejection rate only counts vouches that have been decided either way.
+ */
+export function tallyVouchStatuses(groups) {
+  const tally = { total: 0, credited: 0, rejected: 0, pending: 0, voided: 0 };
+
+  for (const group of groups) {
+    const count = group._count._all;
+    tally.total += count;
+
+    if (CREDITED_STATUSES.includes(group.status)) tally.credited += count;
+    else if (REJECTED_STATUSES.includes(group.status)) tally.rejected += count;
+    else if (group.status === 'pending') tally.pending += count;
+    else if (group.status === 'voided') tally.voided += count;
+  }
+
+  const decided = tally.credited + tally.rejected;
+  tally.rejectionRate = decided > 0 ? tally.rejected / decided : null;
+
+  return tally;
+}
+
+/**
+ * Average and median time from a vouch being posted to a provider approving it.
+ */
+export function summarizeApprovalLatency(rows) {
+  const durations = rows
+    .filter((row) => row.reviewedAt && row.createdAt)
+    .map((row) => row.reviewedAt.getTime() - row.createdAt.getTime())
+    .sort((a, b) => a - b);
+
+  if (durations.length === 0) {
+    return { count: 0, averageMs: null, medianMs: null };
+  }
+
+  const middle = Math.floor(durations.length / 2);
+  const medianMs =
+    durations.length % 2 === 0 ? (durations[middle - 1] + durations[middle]) / 2 : durations[middle];
+
+  return {
+    count: durations.length,
+    averageMs: durations.reduce((sum, ms) => sum + ms, 0) / durations.length,
+    medianMs,
+  };
+}
+
+/**
+ * Stats for one provider: vouches that mentioned them, plus the reviews they performed.
+ */
+export async function getProviderVouchStats(providerId, since = null) {
+  const createdWindow = since ? { createdAt: { gte: since } } : {};
+  const reviewedWindow = since ? { reviewedAt: { gte: since } } : {};
+
+  const [mentionGroups, reviewGroups, approvals] = await Promise.all([
+    prisma.vouch.groupBy({
+      by: ['status'],
+      where: { mentionedProviderId: providerId, ...createdWindow },
+      _count: { _all: true },
+    }),
+    prisma.vouch.groupBy({
+      by: ['status'],
+      where: { reviewedByProviderId: providerId, ...reviewedWindow },
+      _count: { _all: true },
+    }),
+    prisma.vouch.findMany({
+      where: { approvedByProviderId: providerId, status: 'approved', ...reviewedWindow },
+      select: { createdAt: true, reviewedAt: true },
+    }),
+  ]);
+
+  return {
+    mentions: tallyVouchStatuses(mentionGroups),
+    reviews: tallyVouchStatuses(reviewGroups),
+    latency: summarizeApprovalLatency(approvals),
+  };
+}
+
+/**
+ * Providers ranked by how many vouches mentioned them, with overall approval latency.
+ */
+export async function getVouchStatsOverview(since = null, limit = 10) {
+  const createdWindow = since ? { createdAt: { gte: since } } : {};
+  const reviewedWindow = since ? { reviewedAt: { gte: since } } : {};
+
+  const [groups, approvals] = await Promise.all([
+    prisma.vouch.groupBy({
+      by: ['mentionedProviderId', 'status'],
+      where: { mentionedProviderId: { not: null }, ...createdWindow },
+      _count: { _all: true },
+    }),
+    prisma.vouch.findMany({
+      where: { status: 'approved', approvedByProviderId: { not: null }, ...reviewedWindow },
+      select: { createdAt: true, reviewedAt: true },
+    }),
+  ]);
+
+  const groupsByProvider = new Map();
+  for (const group of groups) {
+    const list = groupsByProvider.get(group.mentionedProviderId) ?? [];
+    list.push(group);
+    groupsByProvider.set(group.mentionedProviderId, list);
+  }
+
+  const providers = [...groupsByProvider.entries()]
+    .map(([providerId, providerGroups]) => ({ providerId, ...tallyVouchStatuses(providerGroups) }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+
+  return {
+    providers,
+    totals: tallyVouchStatuses(groups),
+    latency: summarizeApprovalLatency(approvals),
+  };
+}
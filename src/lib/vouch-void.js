@@ -0,0 +1,40 @@
+import prisma from '../db/index.js';
+import { buildMessageLink } from './utils.js';
+import { logTransaction } from './logger.js';
+import { voidVouch } from './vouch-approval.js';
+
+const VOID_REASON_LABELS = {
+  deleted: 'Vouch message was deleted',
+  image_removed: 'Image was removed from the vouch message',
+};
+
+/**
+ * Void the vouch recorded for `messageId`, if any, and post it to the audit channel.
+ * Shared by the messageDelete and messageUpdate handlers.
+ */
+export async function voidVouchForMessage(messageId, reason) {
+  const vouch = await prisma.vouch.findUnique({
+    where: { messageId },
+    include: { user: true },
+  });
+
+  if (!vouch) {
+    return null;
+  }
+
+  const result = await voidVouch(vouch, reason);
+  if (!result) {
+    return null;
+  }
+
+  await logTransaction('vouch_void', {
+    userId: vouch.user.discordId,
+    vouchId: vouch.id,
+    previousStatus: vouch.status,
+    reason: VOID_REASON_LABELS[reason] ?? reason,
+    clawback: result.clawback,
+    messageLink: buildMessageLink(vouch.guildId, vouch.channelId, vouch.messageId),
+  });
+
+  return result;
+}
@@ -1,5 +1,6 @@
 import { MessageFlags } from 'discord.js';
 import { getOrCreateUser, removeVP, addVP } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { 
   createRoulettePromptEmbed, 
   createSpinEmbed, 
@@ -163,7 +164,7 @@ async function placeBet(interaction, state, betType) {
   state.totalBet += state.selectedChip;
 
   // Deduct VP from user
-  await removeVP(state.userId, state.selectedChip);
+  await removeVP(state.userId, state.selectedChip, LEDGER_REASONS.ROULETTE_BET, { source: LEDGER_SOURCES.ROULETTE });
 
   await updateRouletteUI(interaction, state);
 }
@@ -359,7 +360,7 @@ async function processResults(interaction, state, pocket) {
   const net = totalWinnings - state.totalBet;
 
   if (totalWinnings > 0) {
-    await addVP(state.userId, totalWinnings);
+    await addVP(state.userId, totalWinnings, LEDGER_REASONS.ROULETTE_PAYOUT, { source: LEDGER_SOURCES.ROULETTE });
   }
 
   recordRouletteOutcome(state.userId, didWin);
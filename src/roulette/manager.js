@@ -1,5 +1,6 @@
 import { MessageFlags } from 'discord.js';
 import { getOrCreateUser, removeVP, addVP } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { buildPromptEmbed, buildColorButtons, buildSpinEmbed, buildResultEmbed } from './ui.js';
 import { animateRoulette } from './animation.js';
 import { safeReply } from '../utils/interaction.js';
@@ -94,7 +95,7 @@ export async function handleRouletteButton(interaction) {
   await interaction.deferUpdate();
 
   try {
-    await removeVP(state.userId, state.amount);
+    await removeVP(state.userId, state.amount, LEDGER_REASONS.ROULETTE_BET, { source: LEDGER_SOURCES.ROULETTE });
   } catch (error) {
     await interaction.editReply({
       content: '❌ Could not place your bet. Do you still have enough points?',
@@ -126,7 +127,7 @@ export async function handleRouletteButton(interaction) {
   const payout = didWin ? state.amount * multiplier : 0;
 
   if (didWin) {
-    await addVP(state.userId, payout);
+    await addVP(state.userId, payout, LEDGER_REASONS.ROULETTE_PAYOUT, { source: LEDGER_SOURCES.ROULETTE });
   }
 
   recordRouletteOutcome(state.userId, didWin);
@@ -1,5 +1,6 @@
 import { MessageFlags } from 'discord.js';
 import { getOrCreateUser, removeVP, addVP } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { 
   createRoulettePromptEmbed, 
   createSpinEmbed,
@@ -175,7 +176,7 @@ export async function handleRouletteButton(interaction) {
 
       case 'clear': {
         if (state.totalBet > 0) {
-          await addVP(state.userId, state.totalBet);
+          await addVP(state.userId, state.totalBet, LEDGER_REASONS.ROULETTE_REFUND, { source: LEDGER_SOURCES.ROULETTE });
         }
         state.bets = {};
         state.totalBet = 0;
@@ -231,7 +232,7 @@ async function placeBet(interaction, state, betType, commandId) {
     console.log(`💰 Bet placed: ${betType} for ${state.selectedChip} VP (Total: ${state.totalBet} VP)`);
 
     // Deduct VP from user immediately
-    await removeVP(state.userId, state.selectedChip);
+    await removeVP(state.userId, state.selectedChip, LEDGER_REASONS.ROULETTE_BET, { source: LEDGER_SOURCES.ROULETTE });
 
     // Fetch updated balance
     const updatedUser = await getOrCreateUser(state.userId);
@@ -379,7 +380,7 @@ async function spinWheel(interaction, state, commandId) {
         
         // Last resort: Refund and show error
         if (state.totalBet > 0) {
-          await addVP(state.userId, state.totalBet);
+          await addVP(state.userId, state.totalBet, LEDGER_REASONS.ROULETTE_REFUND, { source: LEDGER_SOURCES.ROULETTE });
           console.log(`💰 Refunded ${state.totalBet} VP to user ${state.userId}`);
         }
         
@@ -421,7 +422,7 @@ async function spinWheel(interaction, state, commandId) {
   console.log(`💰 Final payout: ${didWin ? '+' : ''}${net} VP (Total winnings: ${totalWinnings} VP)`);
 
   if (totalWinnings > 0) {
-    await addVP(state.userId, totalWinnings);
+    await addVP(state.userId, totalWinnings, LEDGER_REASONS.ROULETTE_PAYOUT, { source: LEDGER_SOURCES.ROULETTE });
   }
 
   recordRouletteOutcome(state.userId, didWin);
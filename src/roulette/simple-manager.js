@@ -1,5 +1,6 @@
 import { MessageFlags } from 'discord.js';
 import { getOrCreateUser, removeVP, addVP } from '../db/index.js';
+import { LEDGER_REASONS, LEDGER_SOURCES } from '../db/ledger.js';
 import { 
   createRoulettePromptEmbed, 
   createSpinEmbed, 
@@ -161,7 +162,7 @@ async function placeBet(interaction, state, betType) {
   state.totalBet += state.selectedChip;
 
   // Deduct VP from user immediately
-  await removeVP(state.userId, state.selectedChip);
+  await removeVP(state.userId, state.selectedChip, LEDGER_REASONS.ROULETTE_BET, { source: LEDGER_SOURCES.ROULETTE });
 
   await updateRouletteUI(interaction, state);
 }
@@ -220,7 +221,7 @@ async function spinWheel(interaction, state) {
   const net = totalWinnings - state.totalBet;
 
   if (totalWinnings > 0) {
-    await addVP(state.userId, totalWinnings);
+    await addVP(state.userId, totalWinnings, LEDGER_REASONS.ROULETTE_PAYOUT, { source: LEDGER_SOURCES.ROULETTE });
   }
 
   recordRouletteOutcome(state.userId, didWin);
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+
+/**
+ * Single-elimination brackets. A bracket is plain JSON (`{ rounds: [[match, …], …] }`,
+ * each match `{ p1, p2, winner }` holding Discord IDs) so it can be stored on the
+ * Tournament row as-is.
+ */
+
+export const TOURNAMENT_SIZES = [4, 8, 16];
+
+export const DEFAULT_PRIZE_SPLIT = [70, 30];
+
+export function shuffleSeeds(playerIds) {
+  const seeds = [...playerIds];
+  for (let i = seeds.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [seeds[i], seeds[j]] = [seeds[j], seeds[i]];
+  }
+  return seeds;
+}
+
+/**
+ * Pair the seeds in order for the first round; later rounds start empty and fill
+ * as winners advance.
+ */
+export function createBracket(seeds) {
+  if (!TOURNAMENT_SIZES.includes(seeds.length)) {
+    throw new Error(`Unsupported bracket size ${seeds.length}`);
+  }
+
+  const rounds = [];
+  let matchCount = seeds.length / 2;
+  rounds.push(
+    Array.from({ length: matchCount }, (_, index) => ({
+      p1: seeds[index * 2],
+      p2: seeds[index * 2 + 1],
+      winner: null,
+    }))
+  );
+
+  while (matchCount > 1) {
+    matchCount /= 2;
+    rounds.push(Array.from({ length: matchCount }, () => ({ p1: null, p2: null, winner: null })));
+  }
+
+  return { rounds };
+}
+
+export function roundName(roundIndex, totalRounds) {
+  const remaining = totalRounds - roundIndex;
+  if (remaining === 1) return 'Final';
+  if (remaining === 2) return 'Semifinals';
+  if (remaining === 3) return 'Quarterfinals';
+  return `Round of ${2 ** remaining}`;
+}
+
+/** Matches whose players are both known and that have not been played yet. */
+export function pendingMatches(bracket) {
+  const pending = [];
+  bracket.rounds.forEach((matches, round) => {
+    matches.forEach((match, index) => {
+      if (match.p1 && match.p2 && !match.winner) {
+        pending.push({ round, index, p1: match.p1, p2: match.p2 });
+      }
+    });
+  });
+  return pending;
+}
+
+/**
+ * Record a match result and advance the winner into the next round. Returns false
+ * if the match was already decided.
+ */
+export function recordMatchWinner(bracket, round, index, winnerId) {
+  const match = bracket.rounds[round]?.[index];
+  if (!match) {
+    throw new Error(`No match ${round}:${index} in bracket`);
+  }
+  if (match.winner) {
+    return false;
+  }
+  if (winnerId !== match.p1 && winnerId !== match.p2) {
+    throw new Error(`${winnerId} is not playing match ${round}:${index}`);
+  }
+
+  match.winner = winnerId;
+
+  const nextRound = bracket.rounds[round + 1];
+  if (nextRound) {
+    const next = nextRound[Math.floor(index / 2)];
+    if (index % 2 === 0) {
+      next.p1 = winnerId;
+    } else {
+      next.p2 = winnerId;
+    }
+  }
+
+  return true;
+}
+
+export function getChampion(bracket) {
+  return bracket.rounds[bracket.rounds.length - 1][0].winner ?? null;
+}
+
+/**
+ * Final standings once the final is played: champion 1st, finalist 2nd and both
+ * losing semifinalists 3rd.
+ */
+export function getPlacements(bracket) {
+  const champion = getChampion(bracket);
+  if (!champion) {
+    return [];
+  }
+
+  const placements = [{ userId: champion, placement: 1 }];
+  const finalRound = bracket.rounds.length - 1;
+
+  for (let round = finalRound; round >= Math.max(0, finalRound - 1); round -= 1) {
+    for (const match of bracket.rounds[round]) {
+      const loser = match.winner === match.p1 ? match.p2 : match.p1;
+      placements.push({ userId: loser, placement: finalRound - round + 2 });
+    }
+  }
+
+  return placements;
+}
+
+/**
+ * Parse `tournament_prize_split`, a comma separated list of weights for 1st, 2nd
+ * and 3rd place (e.g. "70,30" or "60,25,15").
+ */
+export function parsePrizeSplit(value) {
+  const weights = String(value ?? '')
+    .split(',')
+    .map((part) => Number.parseFloat(part.trim()))
+    .slice(0, 3);
+
+  if (weights.length === 0 || weights.some((weight) => !Number.isFinite(weight) || weight < 0)) {
+    return DEFAULT_PRIZE_SPLIT;
+  }
+  if (!weights.some((weight) => weight > 0)) {
+    return DEFAULT_PRIZE_SPLIT;
+  }
+  return weights;
+}
+
+/**
+ * Split the pool across placements by weight. Players sharing a placement share its
+ * cut, and rounding leftovers go to the champion so the whole pool is always paid.
+ */
+export function distributePrizePool(pool, placements, split = DEFAULT_PRIZE_SPLIT) {
+  const places = split
+    .map((weight, index) => ({
+      weight,
+      players: placements.filter((entry) => entry.placement === index + 1),
+    }))
+    .filter((place) => place.players.length > 0);
+  const totalWeight = places.reduce((sum, place) => sum + place.weight, 0);
+
+  const prizes = new Map(placements.map((entry) => [entry.userId, 0]));
+  if (totalWeight <= 0) {
+    return placements.map((entry) => ({ ...entry, prize: 0 }));
+  }
+
+  let paid = 0;
+  for (const place of places) {
+    const each = Math.floor(Math.floor((pool * place.weight) / totalWeight) / place.players.length);
+    for (const entry of place.players) {
+      prizes.set(entry.userId, each);
+      paid += each;
+    }
+  }
+
+  const champion = placements.find((entry) => entry.placement === 1);
+  if (champion) {
+    prizes.set(champion.userId, prizes.get(champion.userId) + (pool - paid));
+  }
+
+  return placements.map((entry) => ({ ...entry, prize: prizes.get(entry.userId) }));
+}
@@ -0,0 +1,457 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { getConfig } from '../db/index.js';
+import { logger } from '../logger.js';
+import { logError, logTransaction } from '../lib/logger.js';
+import { formatTimestamp } from '../lib/utils.js';
+import { createTournamentMatch } from '../battle/manager.js';
+import { getGameByKey } from '../battle/registry.js';
+import {
+  createBracket,
+  getChampion,
+  getPlacements,
+  parsePrizeSplit,
+  pendingMatches,
+  recordMatchWinner,
+  roundName,
+  shuffleSeeds,
+} from './bracket.js';
+import {
+  cancelTournament,
+  createTournament,
+  getTournamentEntrants,
+  joinTournament,
+  leaveTournament,
+  markTournamentStarted,
+  recoverInterruptedTournaments as recoverTournamentRecords,
+  saveTournamentBracket,
+  settleTournament,
+  updateTournamentRecord,
+} from './store.js';
+
+export const TOURNAMENT_PREFIX = 'tourney:';
+
+const ACTIVE_TOURNAMENTS = new Map();
+const DEFAULT_LOBBY_MINUTES = 30;
+const PLACEMENT_LABELS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+const COLORS = {
+  lobby: 0x5865f2,
+  running: 0xfaa61a,
+  completed: 0x57f287,
+  canceled: 0xed4245,
+};
+
+const JOIN_REJECTIONS = {
+  closed: 'This lobby is no longer open.',
+  already_joined: 'You are already in this tournament.',
+  full: 'This tournament is already full.',
+  insufficient: "You don't have enough VP to cover the entry fee.",
+};
+
+export function encodeTournamentCustomId(action, tournamentId) {
+  return `${TOURNAMENT_PREFIX}${action}:${tournamentId}`;
+}
+
+export function decodeTournamentCustomId(customId) {
+  if (!customId?.startsWith(TOURNAMENT_PREFIX)) {
+    return null;
+  }
+  const [action, id] = customId.slice(TOURNAMENT_PREFIX.length).split(':');
+  const tournamentId = Number.parseInt(id, 10);
+  return Number.isInteger(tournamentId) ? { action, tournamentId } : null;
+}
+
+async function getLobbyMinutes() {
+  const minutes = Number.parseInt(await getConfig('tournament_lobby_minutes', String(DEFAULT_LOBBY_MINUTES)), 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_LOBBY_MINUTES;
+}
+
+function gameName(state) {
+  return getGameByKey(state.game)?.name ?? state.game;
+}
+
+function playerLabel(discordId) {
+  return discordId ? `<@${discordId}>` : '*TBD*';
+}
+
+function describeMatch(match) {
+  if (match.winner) {
+    const loser = match.winner === match.p1 ? match.p2 : match.p1;
+    return `🏆 ${playerLabel(match.winner)} def. ${playerLabel(loser)}`;
+  }
+  const live = match.p1 && match.p2 ? '⚔️' : '⏳';
+  return `${live} ${playerLabel(match.p1)} vs ${playerLabel(match.p2)}`;
+}
+
+function lobbyEmbed(state, entrants, { statusText, status = 'lobby' } = {}) {
+  return new EmbedBuilder()
+    .setTitle(`🏟️ Tournament #${state.id} — ${gameName(state)}`)
+    .setColor(COLORS[status])
+    .setDescription(
+      [
+        `Entry: **${state.entryFee} VP** • Players: **${entrants.length}/${state.size}** • Prize pool: **${state.entryFee * entrants.length} VP**`,
+        entrants.map((discordId, index) => `${index + 1}. <@${discordId}>`).join('\n') || 'No entrants yet.',
+        statusText ??
+          `Single elimination. The bracket starts as soon as the lobby is full; it closes ${formatTimestamp(state.expiresAt, 'R')}.`,
+      ].join('\n\n')
+    );
+}
+
+function lobbyButtons(state) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(encodeTournamentCustomId('join', state.id))
+        .setLabel(`Join (${state.entryFee} VP)`)
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(encodeTournamentCustomId('leave', state.id))
+        .setLabel('Leave')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(encodeTournamentCustomId('cancel', state.id))
+        .setLabel('Cancel Tournament')
+        .setStyle(ButtonStyle.Danger)
+    ),
+  ];
+}
+
+function bracketEmbed(state, { statusText, status = 'running' } = {}) {
+  const rounds = state.bracket.rounds;
+  return new EmbedBuilder()
+    .setTitle(`🏟️ Tournament #${state.id} — ${gameName(state)}`)
+    .setColor(COLORS[status])
+    .setDescription(
+      [`Prize pool: **${state.entryFee * state.size} VP** • ${state.size} players`, statusText].filter(Boolean).join('\n\n')
+    )
+    .addFields(
+      rounds.map((matches, index) => ({
+        name: roundName(index, rounds.length),
+        value: matches.map(describeMatch).join('\n'),
+        inline: false,
+      }))
+    )
+    .setTimestamp();
+}
+
+async function editTournamentMessage(state, payload) {
+  if (!state.message) return;
+  try {
+    state.message = await state.message.edit(payload);
+  } catch (error) {
+    logger.warn('failed to update tournament message', { tournamentId: state.id, err: error });
+  }
+}
+
+async function refreshLobby(state) {
+  const entrants = await getTournamentEntrants(state.id);
+  await editTournamentMessage(state, { embeds: [lobbyEmbed(state, entrants)], components: lobbyButtons(state) });
+  return entrants;
+}
+
+/**
+ * Cancel the tournament, refund every entry fee and close the lobby or bracket.
+ */
+async function abortTournament(state, reason) {
+  if (state.status === 'closed') return;
+  state.status = 'closed';
+  clearTimeout(state.lobbyTimer);
+  ACTIVE_TOURNAMENTS.delete(state.id);
+
+  let refunds = null;
+  try {
+    refunds = await cancelTournament(state.id);
+  } catch (error) {
+    logger.error('tournament refund failed', { tournamentId: state.id, err: error });
+    await logError(error, `Tournament ${state.id} refund failed`);
+  }
+
+  const statusText = `❌ ${reason} ${refunds === null ? 'Entry fees will be refunded on the next restart.' : 'Entry fees refunded.'}`;
+  if (state.bracket) {
+    await editTournamentMessage(state, { embeds: [bracketEmbed(state, { statusText, status: 'canceled' })], components: [] });
+  } else {
+    const entrants = await getTournamentEntrants(state.id).catch(() => []);
+    await editTournamentMessage(state, {
+      embeds: [lobbyEmbed(state, entrants, { statusText, status: 'canceled' })],
+      components: [],
+    });
+  }
+
+  await logTransaction('tournament', {
+    action: 'Canceled',
+    tournamentId: state.id,
+    game: gameName(state),
+    entryFee: state.entryFee,
+    size: state.size,
+    reason,
+  });
+}
+
+async function finishTournament(state) {
+  state.status = 'closed';
+  ACTIVE_TOURNAMENTS.delete(state.id);
+
+  const placements = getPlacements(state.bracket);
+  const split = parsePrizeSplit(await getConfig('tournament_prize_split', '70,30'));
+
+  let result = null;
+  try {
+    result = await settleTournament(state.id, placements, split);
+  } catch (error) {
+    logger.error('tournament payout failed', { tournamentId: state.id, err: error });
+    await logError(error, `Tournament ${state.id} payout failed`);
+  }
+
+  if (!result) {
+    state.status = 'running';
+    await abortTournament(state, 'The prize pool could not be paid out.');
+    return;
+  }
+
+  const standings = result.prizes
+    .filter((entry) => entry.prize > 0 || entry.placement === 1)
+    .map((entry) => `${PLACEMENT_LABELS[entry.placement]} <@${entry.userId}> — **${entry.prize} VP**`)
+    .join('\n');
+
+  await editTournamentMessage(state, {
+    embeds: [
+      bracketEmbed(state, {
+        statusText: `🏆 <@${getChampion(state.bracket)}> wins the tournament!\n\n${standings}`,
+        status: 'completed',
+      }),
+    ],
+    components: [],
+  });
+
+  await logTransaction('tournament', {
+    action: 'Completed',
+    tournamentId: state.id,
+    game: gameName(state),
+    entryFee: state.entryFee,
+    size: state.size,
+    prizes: result.prizes.filter((entry) => entry.prize > 0),
+  });
+}
+
+async function handleMatchResult(state, round, index, winnerId) {
+  if (state.status !== 'running') return;
+
+  try {
+    if (!recordMatchWinner(state.bracket, round, index, winnerId)) return;
+  } catch (error) {
+    logger.error('invalid tournament match result', { tournamentId: state.id, round, index, winnerId, err: error });
+    await abortTournament(state, 'A match ended without a valid winner.');
+    return;
+  }
+  await saveTournamentBracket(state.id, state.bracket);
+
+  if (getChampion(state.bracket)) {
+    await finishTournament(state);
+    return;
+  }
+
+  await editTournamentMessage(state, { embeds: [bracketEmbed(state)], components: [] });
+  await startPendingMatches(state);
+}
+
+/**
+ * Start every match whose players are both known. Matches in a round run side by side;
+ * the next round pairs up as soon as both feeder matches are decided.
+ */
+async function startPendingMatches(state) {
+  const game = getGameByKey(state.game);
+
+  for (const { round, index, p1, p2 } of pendingMatches(state.bracket)) {
+    const key = `${round}:${index}`;
+    if (state.startedMatches.has(key) || state.status !== 'running') continue;
+    state.startedMatches.add(key);
+
+    try {
+      await createTournamentMatch({
+        tournamentId: state.id,
+        channel: state.channel,
+        client: state.client,
+        guild: state.guild,
+        challengerId: p1,
+        opponentId: p2,
+        game,
+        label: `Tournament #${state.id} • ${roundName(round, state.bracket.rounds.length)}`,
+        onResult: (winnerId) => handleMatchResult(state, round, index, winnerId),
+        onError: () => abortTournament(state, 'A match failed to start.'),
+      });
+    } catch (error) {
+      logger.error('failed to start tournament match', { tournamentId: state.id, match: key, err: error });
+      await abortTournament(state, 'A match failed to start.');
+      return;
+    }
+  }
+}
+
+async function startTournament(state) {
+  if (state.status !== 'open') return;
+  state.status = 'starting';
+  clearTimeout(state.lobbyTimer);
+
+  const entrants = await getTournamentEntrants(state.id);
+  const bracket = createBracket(shuffleSeeds(entrants));
+  if (!(await markTournamentStarted(state.id, bracket))) {
+    state.status = 'closed';
+    ACTIVE_TOURNAMENTS.delete(state.id);
+    return;
+  }
+
+  state.bracket = bracket;
+  state.status = 'running';
+  await editTournamentMessage(state, {
+    embeds: [bracketEmbed(state, { statusText: '🔔 The lobby is full — first round matches are starting below!' })],
+    components: [],
+  });
+  await startPendingMatches(state);
+}
+
+/**
+ * `/tournament create`: open a lobby with the creator as the first entrant.
+ */
+export async function createTournamentLobby(interaction, { game, entryFee, size }) {
+  const result = await createTournament({
+    creatorId: interaction.user.id,
+    game: game.key,
+    entryFee,
+    size,
+    guildId: interaction.guildId ?? null,
+    channelId: interaction.channelId ?? null,
+  });
+
+  if (!result.ok) {
+    await interaction.reply({
+      ephemeral: true,
+      content:
+        result.reason === 'insufficient'
+          ? `❌ You need ${entryFee} VP to enter your own tournament.`
+          : '❌ Could not create the tournament. Please try again.',
+    });
+    return null;
+  }
+
+  const lobbyMinutes = await getLobbyMinutes();
+  const state = {
+    id: result.tournament.id,
+    game: game.key,
+    entryFee,
+    size,
+    creatorId: interaction.user.id,
+    status: 'open',
+    bracket: null,
+    startedMatches: new Set(),
+    expiresAt: new Date(Date.now() + lobbyMinutes * 60 * 1000),
+    channel: interaction.channel,
+    client: interaction.client,
+    guild: interaction.guild ?? null,
+    message: null,
+    lobbyTimer: null,
+  };
+  ACTIVE_TOURNAMENTS.set(state.id, state);
+
+  await interaction.deferReply();
+  state.message = await interaction.editReply({
+    embeds: [lobbyEmbed(state, [interaction.user.id])],
+    components: lobbyButtons(state),
+  });
+  await updateTournamentRecord(state.id, { messageId: state.message?.id ?? null });
+
+  state.lobbyTimer = setTimeout(() => {
+    if (state.status !== 'open') return;
+    abortTournament(state, `The lobby did not fill within ${lobbyMinutes} minutes.`).catch((error) =>
+      logger.error('failed to close expired tournament lobby', { tournamentId: state.id, err: error })
+    );
+  }, lobbyMinutes * 60 * 1000);
+  state.lobbyTimer.unref?.();
+
+  return state;
+}
+
+async function handleJoin(interaction, state) {
+  if (interaction.user.bot) {
+    await interaction.reply({ ephemeral: true, content: 'Bots cannot enter tournaments.' });
+    return;
+  }
+
+  const result = await joinTournament(state.id, interaction.user.id);
+  if (!result.ok) {
+    await interaction.reply({ ephemeral: true, content: `❌ ${JOIN_REJECTIONS[result.reason]}` });
+    return;
+  }
+
+  await interaction.reply({
+    ephemeral: true,
+    content: `✅ You're in! ${state.entryFee} VP entry fee paid. Leave before the bracket starts for a refund.`,
+  });
+
+  if (result.full) {
+    await startTournament(state);
+  } else {
+    await refreshLobby(state);
+  }
+}
+
+async function handleLeave(interaction, state) {
+  if (interaction.user.id === state.creatorId) {
+    await interaction.reply({ ephemeral: true, content: 'You created this tournament — cancel it instead.' });
+    return;
+  }
+
+  if (!(await leaveTournament(state.id, interaction.user.id))) {
+    await interaction.reply({ ephemeral: true, content: 'You are not in this lobby.' });
+    return;
+  }
+
+  await interaction.reply({ ephemeral: true, content: `↩️ You left the lobby. ${state.entryFee} VP refunded.` });
+  await refreshLobby(state);
+}
+
+async function handleCancel(interaction, state) {
+  if (interaction.user.id !== state.creatorId) {
+    await interaction.reply({ ephemeral: true, content: 'Only the tournament creator can cancel it.' });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  await abortTournament(state, 'Canceled by the creator.');
+}
+
+export async function handleTournamentButton(interaction) {
+  const decoded = decodeTournamentCustomId(interaction.customId);
+  const state = decoded ? ACTIVE_TOURNAMENTS.get(decoded.tournamentId) : null;
+
+  if (!state || state.status !== 'open') {
+    await interaction.reply({ ephemeral: true, content: 'This tournament lobby is no longer open.' });
+    return;
+  }
+
+  try {
+    if (decoded.action === 'join') {
+      await handleJoin(interaction, state);
+    } else if (decoded.action === 'leave') {
+      await handleLeave(interaction, state);
+    } else if (decoded.action === 'cancel') {
+      await handleCancel(interaction, state);
+    }
+  } catch (error) {
+    logger.error('tournament button failed', { tournamentId: state.id, action: decoded.action, err: error });
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ ephemeral: true, content: 'Something went wrong handling that action.' });
+    }
+  }
+}
+
+/**
+ * Cancel and refund tournaments interrupted by a restart. Call once on startup.
+ */
+export async function recoverInterruptedTournaments() {
+  try {
+    return await recoverTournamentRecords(new Set(ACTIVE_TOURNAMENTS.keys()));
+  } catch (error) {
+    logger.error('tournament recovery failed', { err: error });
+    return null;
+  }
+}
@@ -0,0 +1,287 @@
+import prisma from '../db/index.js';
+import { applyVPDelta, LEDGER_REASONS, LEDGER_SOURCES, upsertUser } from '../db/ledger.js';
+import { logger } from '../logger.js';
+import { distributePrizePool } from './bracket.js';
+
+export const ACTIVE_TOURNAMENT_STATUSES = ['open', 'running'];
+
+const JOIN_REJECTED = 'TOURNAMENT_JOIN_REJECTED';
+
+function rejectJoin(reason) {
+  const error = new Error(`Tournament join rejected: ${reason}`);
+  error.code = JOIN_REJECTED;
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Take the entry fee and add the player in one transaction. The entry is written
+ * before the capacity check so two players racing for the last seat cannot both get in.
+ */
+async function addEntry(tx, tournament, discordId) {
+  const user = await upsertUser(tx, discordId);
+
+  const existing = await tx.tournamentEntry.findUnique({
+    where: { tournamentId_userId: { tournamentId: tournament.id, userId: user.id } },
+  });
+  if (existing?.status === 'held') {
+    throw rejectJoin('already_joined');
+  }
+
+  if (existing) {
+    await tx.tournamentEntry.update({
+      where: { id: existing.id },
+      data: { status: 'held', fee: tournament.entryFee },
+    });
+  } else {
+    await tx.tournamentEntry.create({
+      data: { tournamentId: tournament.id, userId: user.id, fee: tournament.entryFee, status: 'held' },
+    });
+  }
+
+  const entries = await tx.tournamentEntry.count({ where: { tournamentId: tournament.id, status: 'held' } });
+  if (entries > tournament.size) {
+    throw rejectJoin('full');
+  }
+
+  if (tournament.entryFee > 0) {
+    const updated = await applyVPDelta(tx, {
+      userId: user.id,
+      delta: -tournament.entryFee,
+      reason: LEDGER_REASONS.TOURNAMENT_ENTRY,
+      source: LEDGER_SOURCES.TOURNAMENT,
+      referenceId: tournament.id,
+    });
+    if (updated.vp < 0) {
+      throw rejectJoin('insufficient');
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Create a tournament lobby with the creator as its first entrant.
+ * Resolves `{ ok: true, tournament }` or `{ ok: false, reason }`.
+ */
+export async function createTournament({ creatorId, game, entryFee, size, guildId = null, channelId = null }) {
+  try {
+    const tournament = await prisma.$transaction(async (tx) => {
+      const creator = await upsertUser(tx, creatorId);
+      const created = await tx.tournament.create({
+        data: {
+          creatorId: creator.id,
+          game,
+          entryFee,
+          size,
+          status: 'open',
+          guildId,
+          channelId,
+        },
+      });
+      await addEntry(tx, created, creatorId);
+      return created;
+    });
+    return { ok: true, tournament };
+  } catch (error) {
+    if (error.code === JOIN_REJECTED) {
+      return { ok: false, reason: error.reason };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Join an open lobby. Resolves `{ ok: true, entries, full }` or `{ ok: false, reason }`
+ * with reason 'closed', 'already_joined', 'full' or 'insufficient'.
+ */
+export async function joinTournament(tournamentId, discordId) {
+  try {
+    const { entries, size } = await prisma.$transaction(async (tx) => {
+      const tournament = await tx.tournament.findUnique({ where: { id: tournamentId } });
+      if (!tournament || tournament.status !== 'open') {
+        throw rejectJoin('closed');
+      }
+      return { entries: await addEntry(tx, tournament, discordId), size: tournament.size };
+    });
+
+    return { ok: true, entries, full: entries >= size };
+  } catch (error) {
+    if (error.code === JOIN_REJECTED) {
+      return { ok: false, reason: error.reason };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Leave an open lobby and get the entry fee back. Resolves true if an entry was refunded.
+ */
+export async function leaveTournament(tournamentId, discordId) {
+  return prisma.$transaction(async (tx) => {
+    const tournament = await tx.tournament.findUnique({ where: { id: tournamentId } });
+    if (!tournament || tournament.status !== 'open') {
+      return false;
+    }
+
+    const user = await upsertUser(tx, discordId);
+    const { count } = await tx.tournamentEntry.updateMany({
+      where: { tournamentId, userId: user.id, status: 'held' },
+      data: { status: 'refunded' },
+    });
+    if (count === 0) {
+      return false;
+    }
+
+    if (tournament.entryFee > 0) {
+      await applyVPDelta(tx, {
+        userId: user.id,
+        delta: tournament.entryFee,
+        reason: LEDGER_REASONS.TOURNAMENT_REFUND,
+        source: LEDGER_SOURCES.TOURNAMENT,
+        referenceId: tournamentId,
+      });
+    }
+    return true;
+  });
+}
+
+export async function getTournamentEntrants(tournamentId) {
+  const entries = await prisma.tournamentEntry.findMany({
+    where: { tournamentId, status: 'held' },
+    include: { user: true },
+    orderBy: { createdAt: 'asc' },
+  });
+  return entries.map((entry) => entry.user.discordId);
+}
+
+/**
+ * Move a full lobby to 'running'. Resolves false if it already started or was canceled.
+ */
+export async function markTournamentStarted(tournamentId, bracket) {
+  const { count } = await prisma.tournament.updateMany({
+    where: { id: tournamentId, status: 'open' },
+    data: { status: 'running', startedAt: new Date(), bracket: JSON.stringify(bracket) },
+  });
+  return count > 0;
+}
+
+/**
+ * Best-effort bracket save after each match; the bracket is informational once the
+ * tournament is running, since an interrupted tournament is refunded rather than resumed.
+ */
+export async function saveTournamentBracket(tournamentId, bracket) {
+  try {
+    await prisma.tournament.update({ where: { id: tournamentId }, data: { bracket: JSON.stringify(bracket) } });
+  } catch (error) {
+    logger.error('failed to persist tournament bracket', { tournamentId, err: error });
+  }
+}
+
+export async function updateTournamentRecord(tournamentId, data) {
+  try {
+    await prisma.tournament.update({ where: { id: tournamentId }, data });
+  } catch (error) {
+    logger.error('failed to persist tournament update', { tournamentId, err: error });
+  }
+}
+
+/**
+ * Cancel an open or running tournament and refund every held entry fee.
+ * Resolves the number of refunds, or null if the tournament was already closed.
+ */
+export async function cancelTournament(tournamentId) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.tournament.updateMany({
+      where: { id: tournamentId, status: { in: ACTIVE_TOURNAMENT_STATUSES } },
+      data: { status: 'canceled', completedAt: new Date() },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const held = await tx.tournamentEntry.findMany({ where: { tournamentId, status: 'held' } });
+    for (const entry of held) {
+      await tx.tournamentEntry.update({ where: { id: entry.id }, data: { status: 'refunded' } });
+      if (entry.fee > 0) {
+        await applyVPDelta(tx, {
+          userId: entry.userId,
+          delta: entry.fee,
+          reason: LEDGER_REASONS.TOURNAMENT_REFUND,
+          source: LEDGER_SOURCES.TOURNAMENT,
+          referenceId: tournamentId,
+        });
+      }
+    }
+
+    return held.length;
+  });
+}
+
+/**
+ * Close a finished tournament and pay the pool of held entry fees out across the
+ * placements (see `distributePrizePool`). Resolves `{ pool, prizes }`, or null if the
+ * tournament was not running.
+ */
+export async function settleTournament(tournamentId, placements, split) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.tournament.updateMany({
+      where: { id: tournamentId, status: 'running' },
+      data: { status: 'completed', completedAt: new Date() },
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const held = await tx.tournamentEntry.findMany({ where: { tournamentId, status: 'held' } });
+    const pool = held.reduce((sum, entry) => sum + entry.fee, 0);
+    const prizes = distributePrizePool(pool, placements, split);
+    await tx.tournamentEntry.updateMany({ where: { tournamentId, status: 'held' }, data: { status: 'settled' } });
+
+    for (const { userId: discordId, placement, prize } of prizes) {
+      const user = await upsertUser(tx, discordId);
+      await tx.tournamentEntry.updateMany({
+        where: { tournamentId, userId: user.id },
+        data: { placement, prize },
+      });
+
+      if (prize > 0) {
+        await applyVPDelta(tx, {
+          userId: user.id,
+          delta: prize,
+          reason: LEDGER_REASONS.TOURNAMENT_PRIZE,
+          source: LEDGER_SOURCES.TOURNAMENT,
+          referenceId: tournamentId,
+        });
+      }
+    }
+
+    return { pool, prizes };
+  });
+}
+
+/**
+ * Lobbies and brackets live in memory, so tournaments still open or running when the
+ * bot stopped are canceled and refunded on startup.
+ */
+export async function recoverInterruptedTournaments(activeTournamentIds = new Set()) {
+  const interrupted = await prisma.tournament.findMany({
+    where: { status: { in: ACTIVE_TOURNAMENT_STATUSES }, id: { notIn: [...activeTournamentIds] } },
+    select: { id: true },
+  });
+
+  let refunded = 0;
+  for (const { id } of interrupted) {
+    try {
+      refunded += (await cancelTournament(id)) ?? 0;
+    } catch (error) {
+      logger.error('failed to refund interrupted tournament', { tournamentId: id, err: error });
+    }
+  }
+
+  if (interrupted.length > 0) {
+    logger.warn('canceled tournaments interrupted by restart', { tournaments: interrupted.length, refunds: refunded });
+  }
+
+  return { tournaments: interrupted.length, refunds: refunded };
+}
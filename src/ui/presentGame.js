@@ -52,13 +52,22 @@ export async function presentGame(ctx, options = {}) {
     lines.push(...extraLines);
   }
 
+  const poolLine = ctx.spectatorPool?.();
+  if (poolLine) {
+    lines.push(poolLine);
+  }
+
   embed.setDescription(lines.join('\n\n'));
 
   if (fields?.length) {
     embed.addFields(fields);
   }
 
-  embed.setFooter({ text: footer ?? `💰 Total Wager: ${ctx.amount} points` });
+  const wager = ctx.tournament ? `🏟️ ${ctx.tournament}` : `💰 Total Wager: ${ctx.amount} points`;
+  const seriesText = ctx.series
+    ? `🏆 Best of ${ctx.series.bestOf} • Round ${ctx.series.round} • ${ctx.series.wins.p1}–${ctx.series.wins.p2} • `
+    : '';
+  embed.setFooter({ text: footer ?? `${seriesText}${wager}` });
 
   await ctx.render({ embeds: [embed], components });
 }
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const balances = new Map();
+let bets = [];
+let battleStatus = 'playing';
+
+const mockPrisma = {
+  user: {
+    upsert: vi.fn(async ({ where }) => ({ id: Number.parseInt(where.discordId, 10), discordId: where.discordId })),
+  },
+  battle: {
+    findUnique: vi.fn(async () => (battleStatus ? { status: battleStatus } : null)),
+  },
+  battleBet: {
+    findUnique: vi.fn(
+      async ({ where }) =>
+        bets.find(
+          (bet) => bet.battleId === where.battleId_userId.battleId && bet.userId === where.battleId_userId.userId
+        ) ?? null
+    ),
+    findMany: vi.fn(async ({ where }) =>
+      bets.filter((bet) => (!where.battleId || bet.battleId === where.battleId) && bet.status === where.status)
+    ),
+    create: vi.fn(async ({ data }) => {
+      const bet = { id: bets.length + 1, ...data };
+      bets.push(bet);
+      return bet;
+    }),
+    update: vi.fn(async ({ where, data }) => {
+      const bet = bets.find((row) => row.id === where.id);
+      const { amount, ...rest } = data;
+      Object.assign(bet, rest);
+      if (amount?.increment) bet.amount += amount.increment;
+      return bet;
+    }),
+  },
+  $transaction: vi.fn(async (callback) => callback(mockPrisma)),
+};
+
+const applyVPDelta = vi.fn(async (tx, { userId, delta }) => {
+  const vp = (balances.get(userId) ?? 0) + delta;
+  balances.set(userId, vp);
+  return { id: userId, vp };
+});
+
+vi.mock('../src/db/index.js', () => ({ default: mockPrisma }));
+vi.mock('../src/db/ledger.js', () => ({
+  applyVPDelta,
+  upsertUser: (tx, discordId) => tx.user.upsert({ where: { discordId }, update: {}, create: { discordId } }),
+  LEDGER_REASONS: {
+    BATTLE_BET: 'battle_bet',
+    BATTLE_BET_PAYOUT: 'battle_bet_payout',
+    BATTLE_BET_REFUND: 'battle_bet_refund',
+  },
+  LEDGER_SOURCES: { BATTLE: 'battle' },
+}));
+
+const { calculatePayouts, placeBet, refundBets, settleBets, summarizePool } = await import('../src/battle/bets.js');
+
+describe('spectator bet payouts', () => {
+  it('splits the whole pool across the winning side by stake', () => {
+    const payouts = calculatePayouts(
+      [
+        { id: 1, side: 'p1', amount: 30 },
+        { id: 2, side: 'p1', amount: 10 },
+        { id: 3, side: 'p2', amount: 60 },
+      ],
+      'p1'
+    );
+
+    expect(Object.fromEntries(payouts)).toEqual({ 1: 75, 2: 25, 3: 0 });
+  });
+
+  it('gives rounding leftovers to the largest winning bet', () => {
+    const payouts = calculatePayouts(
+      [
+        { id: 1, side: 'p2', amount: 10 },
+        { id: 2, side: 'p2', amount: 20 },
+        { id: 3, side: 'p1', amount: 7 },
+      ],
+      'p2'
+    );
+
+    expect(Object.fromEntries(payouts)).toEqual({ 1: 12, 2: 25, 3: 0 });
+  });
+
+  it('totals each side of the pool', () => {
+    expect(
+      summarizePool([
+        { side: 'p1', amount: 5 },
+        { side: 'p2', amount: 15 },
+      ])
+    ).toEqual({ p1: 5, p2: 15, bettors: 2, total: 20 });
+  });
+});
+
+describe('spectator bet store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    bets = [];
+    battleStatus = 'playing';
+    balances.clear();
+    for (const id of [1, 2, 3]) balances.set(id, 100);
+  });
+
+  it('takes the stake and lets a backer top up the same side', async () => {
+    await expect(placeBet('7', '1', 'p1', 20)).resolves.toEqual({
+      ok: true,
+      pool: { p1: 20, p2: 0, bettors: 1, total: 20 },
+    });
+    await placeBet('7', '1', 'p1', 15);
+
+    expect(bets).toHaveLength(1);
+    expect(bets[0].amount).toBe(35);
+    expect(balances.get(1)).toBe(65);
+  });
+
+  it('rejects hedging, stakes over the cap and bets the backer cannot cover', async () => {
+    await placeBet('7', '1', 'p1', 20);
+
+    await expect(placeBet('7', '1', 'p2', 5)).resolves.toEqual({ ok: false, reason: 'other_side' });
+    await expect(placeBet('7', '1', 'p1', 40, { max: 50 })).resolves.toEqual({ ok: false, reason: 'over_max' });
+
+    balances.set(2, 3);
+    await expect(placeBet('7', '2', 'p2', 5)).resolves.toEqual({ ok: false, reason: 'insufficient' });
+  });
+
+  it('rejects bets once the battle is no longer active', async () => {
+    battleStatus = 'resolved';
+    await expect(placeBet('7', '1', 'p1', 20)).resolves.toEqual({ ok: false, reason: 'closed' });
+
+    battleStatus = null;
+    await expect(placeBet('7', '1', 'p1', 20)).resolves.toEqual({ ok: false, reason: 'closed' });
+
+    expect(bets).toHaveLength(0);
+    expect(balances.get(1)).toBe(100);
+  });
+
+  it('pays winners from the losing side', async () => {
+    await placeBet('7', '1', 'p1', 30);
+    await placeBet('7', '2', 'p2', 10);
+    await placeBet('7', '3', 'p2', 30);
+
+    await expect(settleBets('7', 'p2')).resolves.toEqual({ pool: 70, bettors: 3, winners: 2, refunded: false });
+    expect(balances.get(1)).toBe(70);
+    expect(balances.get(2)).toBe(107);
+    expect(balances.get(3)).toBe(123);
+    expect(bets.map((bet) => bet.status)).toEqual(['lost', 'won', 'won']);
+    await expect(settleBets('7', 'p2')).resolves.toBeNull();
+  });
+
+  it('refunds a one-sided pool instead of settling it', async () => {
+    await placeBet('7', '1', 'p1', 30);
+    await placeBet('7', '2', 'p1', 10);
+
+    await expect(settleBets('7', 'p2')).resolves.toMatchObject({ refunded: true, bettors: 2 });
+    expect(balances.get(1)).toBe(100);
+    expect(balances.get(2)).toBe(100);
+  });
+
+  it('refunds every held bet when the battle is canceled', async () => {
+    await placeBet('7', '1', 'p1', 30);
+    await placeBet('7', '2', 'p2', 10);
+
+    await expect(refundBets('7')).resolves.toBe(2);
+    expect(bets.every((bet) => bet.status === 'refunded')).toBe(true);
+    expect(balances.get(1)).toBe(100);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const balances = new Map();
+let escrows = [];
+
+const mockPrisma = {
+  user: {
+    upsert: vi.fn(async ({ where }) => {
+      const id = where.discordId === 'house' ? 99 : Number.parseInt(where.discordId.replace('user-', ''), 10);
+      return { id, discordId: where.discordId, vp: balances.get(id) ?? 0 };
+    }),
+    update: vi.fn(async ({ where, data }) => {
+      const vp = (balances.get(where.id) ?? 0) + (data.vp.increment ?? 0) - (data.vp.decrement ?? 0);
+      balances.set(where.id, vp);
+      return { id: where.id, vp };
+    }),
+  },
+  ledgerEntry: {
+    create: vi.fn(async ({ data }) => data),
+  },
+  battleEscrow: {
+    create: vi.fn(async ({ data }) => {
+      const row = { id: escrows.length + 1, ...data };
+      escrows.push(row);
+      return row;
+    }),
+    findMany: vi.fn(async ({ where, distinct }) => {
+      const rows = escrows.filter(
+        (row) => (!where.battleId || row.battleId === where.battleId) && row.status === where.status
+      );
+      return distinct ? rows.filter((row, index) => rows.findIndex((r) => r.battleId === row.battleId) === index) : rows;
+    }),
+    update: vi.fn(async ({ where, data }) => Object.assign(escrows.find((row) => row.id === where.id), data)),
+    updateMany: vi.fn(async ({ where, data }) => {
+      for (const row of escrows.filter((r) => where.id.in.includes(r.id))) Object.assign(row, data);
+    }),
+  },
+  $transaction: vi.fn(async (callback) => {
+    // Roll back in-memory state when the callback throws, like a real transaction
+    const savedBalances = new Map(balances);
+    const savedEscrows = escrows.map((row) => ({ ...row }));
+    try {
+      return await callback(mockPrisma);
+    } catch (error) {
+      balances.clear();
+      for (const [key, value] of savedBalances) balances.set(key, value);
+      escrows = savedEscrows;
+      throw error;
+    }
+  }),
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+const { escrowStakes, releaseEscrow, refundEscrow, recoverOrphanedEscrows } = await import(
+  '../src/battle/escrow.js'
+);
+
+const battle = { id: 'abc123', challengerId: 'user-1', opponentId: 'user-2', amount: 40 };
+
+describe('battle escrow', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    balances.clear();
+    escrows = [];
+    balances.set(1, 100);
+    balances.set(2, 50);
+  });
+
+  it('debits both players when the battle is accepted', async () => {
+    await expect(escrowStakes(battle)).resolves.toEqual({ ok: true });
+
+    expect(balances.get(1)).toBe(60);
+    expect(balances.get(2)).toBe(10);
+    expect(escrows.map((row) => row.status)).toEqual(['held', 'held']);
+  });
+
+  it('debits nobody when one player cannot cover the stake', async () => {
+    balances.set(2, 30);
+
+    await expect(escrowStakes(battle)).resolves.toEqual({ ok: false, discordId: 'user-2' });
+
+    expect(balances.get(1)).toBe(100);
+    expect(balances.get(2)).toBe(30);
+    expect(escrows).toHaveLength(0);
+  });
+
+  it('pays the whole pot to the winner exactly once', async () => {
+    await escrowStakes(battle);
+
+    await expect(releaseEscrow(battle.id, 'user-2')).resolves.toEqual({ pot: 80, payout: 80, rake: 0 });
+    await expect(releaseEscrow(battle.id, 'user-2')).resolves.toBeNull();
+
+    expect(balances.get(1)).toBe(60);
+    expect(balances.get(2)).toBe(90);
+    expect(escrows.every((row) => row.status === 'released')).toBe(true);
+  });
+
+  it('credits the rake to the house account', async () => {
+    await escrowStakes(battle);
+
+    await expect(releaseEscrow(battle.id, 'user-1', { rake: 2, destination: 'house' })).resolves.toEqual({
+      pot: 80,
+      payout: 78,
+      rake: 2,
+    });
+
+    expect(balances.get(1)).toBe(138);
+    expect(balances.get(99)).toBe(2);
+  });
+
+  it('leaves a jackpot-bound rake out of circulation for the caller to route', async () => {
+    await escrowStakes(battle);
+
+    await releaseEscrow(battle.id, 'user-1', { rake: 2, destination: 'jackpot' });
+
+    expect(balances.get(1)).toBe(138);
+    expect(balances.has(99)).toBe(false);
+  });
+
+  it('refunds each stake on cancel', async () => {
+    await escrowStakes(battle);
+
+    await expect(refundEscrow(battle.id)).resolves.toBe(2);
+
+    expect(balances.get(1)).toBe(100);
+    expect(balances.get(2)).toBe(50);
+  });
+
+  it('refunds held escrows for battles that are no longer active', async () => {
+    await escrowStakes(battle);
+    await escrowStakes({ ...battle, id: 'live', challengerId: 'user-1', opponentId: 'user-2', amount: 5 });
+
+    const result = await recoverOrphanedEscrows(new Set(['live']));
+
+    expect(result).toEqual({ battles: 1, stakes: 2 });
+    expect(balances.get(1)).toBe(95);
+    expect(balances.get(2)).toBe(45);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const config = new Map();
+
+vi.mock('../src/db/index.js', () => ({
+  getConfig: vi.fn(async (key, defaultValue = null) => (config.has(key) ? config.get(key) : defaultValue)),
+}));
+
+const { getBattleRake } = await import('../src/battle/rake.js');
+
+describe('battle rake', () => {
+  beforeEach(() => {
+    config.clear();
+  });
+
+  it('applies the global percent to the whole pot', async () => {
+    config.set('battle_rake_percent', '2');
+
+    await expect(getBattleRake(100, 'coin_flip')).resolves.toEqual({
+      percent: 2,
+      rake: 4,
+      destination: 'house',
+    });
+  });
+
+  it('prefers a per-game override', async () => {
+    config.set('battle_rake_percent', '2');
+    config.set('battle_rake_percent_tic_tac_toe', '0');
+
+    await expect(getBattleRake(100, 'tic_tac_toe')).resolves.toMatchObject({ percent: 0, rake: 0 });
+  });
+
+  it('clamps bad percents and ignores unknown destinations', async () => {
+    config.set('battle_rake_percent', '90');
+    config.set('battle_rake_destination', 'charity');
+
+    await expect(getBattleRake(10, null)).resolves.toEqual({ percent: 50, rake: 10, destination: 'house' });
+  });
+});
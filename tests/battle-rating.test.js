@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let ratings;
+
+const mockPrisma = {
+  battleRating: {
+    findUnique: vi.fn(async ({ where }) => ratings.get(`${where.userId_game.userId}:${where.userId_game.game}`) ?? null),
+    upsert: vi.fn(async ({ where, update, create }) => {
+      const key = `${where.userId_game.userId}:${where.userId_game.game}`;
+      const existing = ratings.get(key);
+      const row = existing
+        ? {
+            ...existing,
+            rating: update.rating,
+            peak: update.peak,
+            wins: existing.wins + (update.wins?.increment ?? 0),
+            losses: existing.losses + (update.losses?.increment ?? 0),
+          }
+        : { ...create };
+      ratings.set(key, row);
+      return row;
+    }),
+  },
+  $transaction: vi.fn(async (callback) => callback(mockPrisma)),
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, fallback) => fallback),
+  getOrCreateUser: vi.fn(async (discordId) => ({ id: Number.parseInt(discordId, 10), discordId })),
+}));
+
+const {
+  DEFAULT_RATING,
+  calculateEloChange,
+  expectedScore,
+  formatRatingChange,
+  getRankedRange,
+  ratingTier,
+  recordBattleRatings,
+} = await import('../src/battle/rating.js');
+
+describe('battle ratings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ratings = new Map();
+  });
+
+  it('expects evenly rated players to split the result', () => {
+    expect(expectedScore(1000, 1000)).toBe(0.5);
+    expect(expectedScore(1400, 1000)).toBeCloseTo(0.909, 3);
+  });
+
+  it('moves new players faster than established ones', () => {
+    expect(calculateEloChange({ rating: 1000, games: 0 }, { rating: 1000, games: 0 })).toEqual({
+      winner: 24,
+      loser: -24,
+    });
+    expect(calculateEloChange({ rating: 1000, games: 0 }, { rating: 1000, games: 30 })).toEqual({
+      winner: 24,
+      loser: -16,
+    });
+  });
+
+  it('rewards upsets more than expected wins, but always at least a point', () => {
+    const upset = calculateEloChange({ rating: 900, games: 20 }, { rating: 1100, games: 20 });
+    const expected = calculateEloChange({ rating: 1100, games: 20 }, { rating: 900, games: 20 });
+
+    expect(upset.winner).toBeGreaterThan(expected.winner);
+    expect(calculateEloChange({ rating: 2400, games: 20 }, { rating: 800, games: 20 })).toEqual({
+      winner: 1,
+      loser: -1,
+    });
+  });
+
+  it('updates the overall and per-game ratings together', async () => {
+    const result = await recordBattleRatings({ winnerId: '1', loserId: '2', gameKey: 'dice_duel' });
+
+    expect(result.overall).toEqual({
+      winner: { rating: DEFAULT_RATING + 24, delta: 24 },
+      loser: { rating: DEFAULT_RATING - 24, delta: -24 },
+    });
+    expect(result.game).toEqual(result.overall);
+    expect(ratings.get('1:overall')).toMatchObject({ rating: 1024, peak: 1024, wins: 1, losses: 0 });
+    expect(ratings.get('2:dice_duel')).toMatchObject({ rating: 976, peak: 1000, wins: 0, losses: 1 });
+  });
+
+  it('only rates overall when no single game was played', async () => {
+    await recordBattleRatings({ winnerId: '1', loserId: '2' });
+    const rematch = await recordBattleRatings({ winnerId: '2', loserId: '1' });
+
+    expect(rematch.game).toBeNull();
+    expect([...ratings.keys()].sort()).toEqual(['1:overall', '2:overall']);
+    expect(ratings.get('1:overall')).toMatchObject({ wins: 1, losses: 1, peak: 1024 });
+    expect(rematch.overall.winner.delta).toBeGreaterThan(24);
+  });
+
+  it('formats tiers, changes and the ranked range', async () => {
+    expect(ratingTier(1000).name).toBe('Silver');
+    expect(ratingTier(1550).name).toBe('Diamond');
+    expect(ratingTier(700).name).toBe('Bronze');
+    expect(formatRatingChange(12)).toBe('+12');
+    expect(formatRatingChange(-7)).toBe('-7');
+    await expect(getRankedRange()).resolves.toBe(200);
+  });
+});
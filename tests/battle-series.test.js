@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSeries,
+  currentRound,
+  describeSeriesRounds,
+  formatSeriesScore,
+  isSeries,
+  pickSeriesGame,
+  recordSeriesRound,
+  winsNeeded,
+} from '../src/battle/series.js';
+
+describe('battle series', () => {
+  it('needs a majority of the rounds to clinch', () => {
+    expect(winsNeeded(1)).toBe(1);
+    expect(winsNeeded(3)).toBe(2);
+    expect(winsNeeded(5)).toBe(3);
+  });
+
+  it('treats unsupported lengths as a single game', () => {
+    expect(createSeries(4).bestOf).toBe(1);
+    expect(isSeries(createSeries())).toBe(false);
+    expect(isSeries(createSeries(3))).toBe(true);
+  });
+
+  it('only settles once a player has clinched the series', () => {
+    const series = createSeries(3);
+
+    expect(recordSeriesRound(series, { winnerSlot: 'p1', gameKey: 'dice_duel' })).toBeNull();
+    expect(recordSeriesRound(series, { winnerSlot: 'p2', gameKey: 'dice_duel' })).toBeNull();
+    expect(currentRound(series)).toBe(3);
+    expect(recordSeriesRound(series, { winnerSlot: 'p2', gameKey: 'dice_duel', summary: '9 vs 4.' })).toBe('p2');
+
+    expect(series.wins).toEqual({ p1: 1, p2: 2 });
+    expect(series.rounds[2]).toEqual({ winner: 'p2', game: 'dice_duel', summary: '9 vs 4.' });
+  });
+
+  it('can end a best of five early on a sweep', () => {
+    const series = createSeries(5);
+
+    recordSeriesRound(series, { winnerSlot: 'p1', gameKey: 'sprint' });
+    recordSeriesRound(series, { winnerSlot: 'p1', gameKey: 'sprint' });
+
+    expect(recordSeriesRound(series, { winnerSlot: 'p1', gameKey: 'sprint' })).toBe('p1');
+    expect(series.rounds).toHaveLength(3);
+  });
+
+  it('keeps the chosen game unless the series rotates', () => {
+    const chosen = { key: 'high_card' };
+    const games = [{ key: 'archery' }];
+    const series = createSeries(3);
+
+    expect(pickSeriesGame(series, games, chosen)).toBe(chosen);
+
+    series.rotation = true;
+    expect(pickSeriesGame(series, games, chosen)).toBe(games[0]);
+  });
+
+  it('formats the scoreboard and round results', () => {
+    const series = createSeries(3);
+    recordSeriesRound(series, { winnerSlot: 'p2', gameKey: 'odd_even' });
+    recordSeriesRound(series, { winnerSlot: 'p1', gameKey: 'archery' });
+
+    expect(formatSeriesScore(series, 'Alice', 'Bob')).toBe('Alice **1** – **1** Bob');
+    expect(
+      describeSeriesRounds(series, {
+        p1Label: 'Alice',
+        p2Label: 'Bob',
+        gameName: (key) => key.toUpperCase(),
+      })
+    ).toEqual(['Round 1 • ODD_EVEN • 🏆 Bob', 'Round 2 • ARCHERY • 🏆 Alice']);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  battle: {
+    create: vi.fn(async ({ data }) => ({ id: 12, ...data })),
+    update: vi.fn(),
+    updateMany: vi.fn(async () => ({ count: 2 })),
+    findMany: vi.fn(async () => []),
+  },
+};
+
+const getOrCreateUser = vi.fn(async (discordId) => ({ id: Number.parseInt(discordId, 10), discordId }));
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getOrCreateUser,
+}));
+
+const {
+  createBattleRecord,
+  updateBattleRecord,
+  markBattleAccepted,
+  markBattleResolved,
+  closeInterruptedBattles,
+  findResumableBattles,
+  parseBattleState,
+} = await import('../src/battle/store.js');
+
+describe('battle store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('creates open invites without an opponent', async () => {
+    const record = await createBattleRecord({ challengerId: '5', amount: 30, status: 'open', channelId: 'c1' });
+
+    expect(record.id).toBe(12);
+    expect(mockPrisma.battle.create).toHaveBeenCalledWith({
+      data: { challengerId: 5, opponentId: null, amount: 30, bestOf: 1, status: 'open', guildId: null, channelId: 'c1' },
+    });
+  });
+
+  it('stores the winner and final snapshot when a battle resolves', async () => {
+    const battle = { id: '12', snapshot: { gameKey: 'coin_flip', state: { flips: 3 } } };
+
+    await markBattleResolved(battle, '7', { summary: 'Heads!' });
+
+    const { where, data } = mockPrisma.battle.update.mock.calls[0][0];
+    expect(where).toEqual({ id: 12 });
+    expect(data.status).toBe('resolved');
+    expect(data.winnerId).toBe(7);
+    expect(JSON.parse(data.state)).toEqual({ gameKey: 'coin_flip', state: { flips: 3 }, summary: 'Heads!' });
+  });
+
+  it('does not throw when a best-effort update fails', async () => {
+    mockPrisma.battle.update.mockRejectedValueOnce(new Error('database is locked'));
+
+    await expect(updateBattleRecord('12', { status: 'playing' })).resolves.toBeUndefined();
+  });
+
+  it('does not throw when the player lookup for a best-effort update fails', async () => {
+    getOrCreateUser.mockRejectedValueOnce(new Error('database is locked'));
+    await expect(markBattleResolved({ id: '12', snapshot: {} }, '7')).resolves.toBeUndefined();
+
+    getOrCreateUser.mockRejectedValueOnce(new Error('database is locked'));
+    await expect(markBattleAccepted({ id: '12', opponentId: '8' })).resolves.toBeUndefined();
+
+    expect(mockPrisma.battle.update).not.toHaveBeenCalled();
+  });
+
+  it('cancels battles left active by a restart, except those still running', async () => {
+    await expect(closeInterruptedBattles(new Set(['3']))).resolves.toBe(2);
+
+    const { where, data } = mockPrisma.battle.updateMany.mock.calls[0][0];
+    expect(where.id).toEqual({ notIn: [3] });
+    expect(where.status.in).toEqual(['open', 'pending', 'accepted', 'playing']);
+    expect(data.status).toBe('canceled');
+  });
+
+  it('loads active non-tournament battles with their players for resuming', async () => {
+    await findResumableBattles();
+
+    const { where, include } = mockPrisma.battle.findMany.mock.calls[0][0];
+    expect(where).toEqual({ status: { in: ['open', 'pending', 'accepted', 'playing'] }, tournamentId: null });
+    expect(include).toEqual({ challenger: true, opponent: true });
+  });
+
+  it('reads the series score and game snapshot back from the state column', () => {
+    const series = { bestOf: 3, wins: { p1: 1, p2: 0 }, rounds: [{ game: 'coin_flip', winner: 'p1' }] };
+    const state = JSON.stringify({ gameKey: 'dice_duel', updatedAt: 1, state: { rolls: [4] }, series });
+
+    expect(parseBattleState(state)).toEqual({
+      series,
+      ranked: null,
+      snapshot: { gameKey: 'dice_duel', state: { rolls: [4] } },
+    });
+    expect(parseBattleState(JSON.stringify({ ranked: { range: 100 } }))).toEqual({
+      series: null,
+      ranked: { range: 100 },
+      snapshot: null,
+    });
+  });
+
+  it('treats a missing or unreadable state column as empty', () => {
+    const empty = { series: null, ranked: null, snapshot: null };
+
+    expect(parseBattleState(null)).toEqual(empty);
+    expect(parseBattleState('{not json')).toEqual(empty);
+  });
+});
@@ -11,6 +11,7 @@ const mockPrisma = {
     return callback({
       user: mockPrisma.user,
       blackjackRound: mockPrisma.blackjackRound,
+      ledgerEntry: mockPrisma.ledgerEntry,
     });
   }),
   blackjackRound: {
@@ -18,6 +19,9 @@ const mockPrisma = {
     findUnique: vi.fn(),
     update: vi.fn(),
   },
+  ledgerEntry: {
+    create: vi.fn(async ({ data }) => ({ id: 1, ...data })),
+  },
   user: {
     update: vi.fn(async ({ data }) => {
       const increment = data?.vp?.increment ?? 0;
@@ -52,6 +56,7 @@ describe('blackjack command execute', () => {
     mockPrisma.blackjackRound.create.mockClear();
     mockPrisma.blackjackRound.findUnique.mockReset();
     mockPrisma.blackjackRound.update.mockClear();
+    mockPrisma.ledgerEntry.create.mockClear();
     mockPrisma.user.update.mockClear();
     mockPrisma.user.findUnique.mockClear();
     mockGetOrCreateUser.mockClear();
@@ -168,6 +173,15 @@ describe('blackjack command execute', () => {
         data: expect.objectContaining({ amount: 25 }),
       })
     );
+    expect(mockPrisma.ledgerEntry.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        userId: 1,
+        delta: -25,
+        reason: 'blackjack_bet',
+        source: 'blackjack',
+        referenceId: '501',
+      }),
+    });
     expect(interaction.deferReply).toHaveBeenCalled();
     expect(interaction.editReply).toHaveBeenCalledWith(
       expect.objectContaining({
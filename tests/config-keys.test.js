@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+
+const { isKnownConfigKey, searchConfigKeyChoices } = await import('../src/lib/config-keys.js');
+
+describe('admin config keys', () => {
+  it('accepts listed keys and rejects unknown ones', () => {
+    expect(isKnownConfigKey('vouch_approval_mode')).toBe(true);
+    expect(isKnownConfigKey('vouch_confirm_minutes')).toBe(true);
+    expect(isKnownConfigKey('vouch_hash_threshold')).toBe(true);
+    expect(isKnownConfigKey('vouch_daily_cap')).toBe(true);
+    expect(isKnownConfigKey('battle_rake_destination')).toBe(true);
+    expect(isKnownConfigKey('vouch_void_reverse_vp')).toBe(true);
+    expect(isKnownConfigKey('not_a_key')).toBe(false);
+  });
+
+  it('filters autocomplete choices by key or label', () => {
+    expect(searchConfigKeyChoices('approval mode')).toEqual([
+      { name: 'Vouch Approval Mode (provider_mention/provider_confirm/manual)', value: 'vouch_approval_mode' },
+    ]);
+    expect(searchConfigKeyChoices('vouch_allow').map((choice) => choice.value)).toEqual(['vouch_allow_role_mention']);
+  });
+
+  it('offers a rake override for every battle game', () => {
+    expect(isKnownConfigKey('battle_rake_percent_tic_tac_toe')).toBe(true);
+    expect(isKnownConfigKey('battle_rake_percent_not_a_game')).toBe(false);
+    expect(searchConfigKeyChoices('coin flip')).toEqual([
+      { name: 'Battle Rake % — Coin Flip Clash', value: 'battle_rake_percent_coin_flip' },
+    ]);
+  });
+
+  it('caps suggestions at the Discord autocomplete limit', () => {
+    expect(searchConfigKeyChoices('').length).toBeLessThanOrEqual(25);
+  });
+});
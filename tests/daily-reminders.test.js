@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  user: {
+    findMany: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+  },
+};
+
+const config = new Map();
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, defaultValue = null) => config.get(key) ?? defaultValue),
+}));
+
+const { setDailyReminder, findDueDailyReminders, buildDailyReminderMessage, sendDueDailyReminders } = await import(
+  '../src/lib/daily-reminders.js'
+);
+
+const now = new Date('2025-01-02T13:00:00Z');
+
+function makeClient({ dmFails = false } = {}) {
+  const dm = vi.fn(dmFails ? () => Promise.reject(new Error('Cannot send messages to this user')) : () => Promise.resolve());
+  const channelSend = vi.fn().mockResolvedValue({});
+  return {
+    dm,
+    channelSend,
+    users: { fetch: vi.fn().mockResolvedValue({ send: dm }) },
+    channels: { fetch: vi.fn().mockResolvedValue({ send: channelSend }) },
+  };
+}
+
+describe('daily reminders', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    config.clear();
+  });
+
+  it('clears the last reminder when opting in', async () => {
+    await setDailyReminder(5, true);
+
+    expect(mockPrisma.user.update).toHaveBeenCalledWith({
+      where: { id: 5 },
+      data: { dailyReminder: true, dailyRemindedAt: null },
+    });
+  });
+
+  it('looks up opted-in users whose cooldown has ended', async () => {
+    mockPrisma.user.findMany.mockResolvedValue([]);
+
+    await findDueDailyReminders(now);
+
+    expect(mockPrisma.user.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: {
+          dailyReminder: true,
+          dailyRemindedAt: null,
+          blacklisted: false,
+          lastDailyAt: { lte: new Date('2025-01-01T13:00:00Z') },
+        },
+      })
+    );
+  });
+
+  it('mentions a streak that is still alive', () => {
+    const message = buildDailyReminderMessage(
+      { streakDays: 3, lastDailyAt: new Date('2025-01-01T12:00:00Z') },
+      24,
+      now
+    );
+
+    expect(message).toContain('ready to claim');
+    expect(message).toContain('3-day streak');
+    expect(buildDailyReminderMessage({ streakDays: 0, lastDailyAt: null }, 24, now)).not.toContain('streak');
+  });
+
+  it('DMs each due user once', async () => {
+    const client = makeClient();
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 1, discordId: 'a', streakDays: 0, lastDailyAt: new Date('2025-01-01T12:00:00Z') },
+      { id: 2, discordId: 'b', streakDays: 0, lastDailyAt: new Date('2025-01-01T12:00:00Z') },
+    ]);
+    // User 2 was already reminded by another check
+    mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    await expect(sendDueDailyReminders(client, now)).resolves.toBe(1);
+
+    expect(mockPrisma.user.updateMany).toHaveBeenCalledWith({
+      where: { id: 1, dailyReminder: true, dailyRemindedAt: null },
+      data: { dailyRemindedAt: now },
+    });
+    expect(client.users.fetch).toHaveBeenCalledTimes(1);
+    expect(client.dm).toHaveBeenCalledTimes(1);
+  });
+
+  it('pings in the fallback channel when DMs are closed', async () => {
+    config.set('daily_reminder_channel_id', 'reminders');
+    const client = makeClient({ dmFails: true });
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 1, discordId: 'a', streakDays: 0, lastDailyAt: new Date('2025-01-01T12:00:00Z') },
+    ]);
+    mockPrisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(sendDueDailyReminders(client, now)).resolves.toBe(1);
+
+    expect(client.channels.fetch).toHaveBeenCalledWith('reminders');
+    expect(client.channelSend.mock.calls[0][0].content).toMatch(/^<@a> /);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/db/index.js', () => ({
+  default: {},
+  getConfig: vi.fn(async (key, defaultValue = null) => defaultValue),
+}));
+
+const { getDailyStreakConfig, getActiveStreak, getStreakDeadline, resolveDailyStreak } = await import(
+  '../src/lib/daily-streak.js'
+);
+
+const config = { graceHours: 24, chanceBonus: 0.05, amountBonus: 1, maxDays: 3 };
+const lastDailyAt = new Date('2025-01-01T12:00:00Z');
+
+describe('daily streak', () => {
+  it('reads the defaults', async () => {
+    await expect(getDailyStreakConfig()).resolves.toEqual({
+      graceHours: 24,
+      chanceBonus: 0.05,
+      amountBonus: 0,
+      maxDays: 7,
+    });
+  });
+
+  it('keeps the streak alive until the cooldown plus grace window ends', () => {
+    expect(getStreakDeadline(lastDailyAt, 24)).toEqual(new Date('2025-01-03T12:00:00Z'));
+
+    const user = { streakDays: 4, lastDailyAt };
+    expect(getActiveStreak(user, 24, new Date('2025-01-03T11:59:00Z'))).toBe(4);
+    expect(getActiveStreak(user, 24, new Date('2025-01-03T12:01:00Z'))).toBe(0);
+    expect(getActiveStreak({ streakDays: 0, lastDailyAt: null }, 24)).toBe(0);
+  });
+
+  it('continues the streak and scales the bonus with earlier days', () => {
+    const streak = resolveDailyStreak({ streakDays: 2, lastDailyAt }, config, new Date('2025-01-02T13:00:00Z'));
+
+    expect(streak).toMatchObject({ streakDays: 3, previousStreak: 2, broken: false, bonusDays: 2, amountBonus: 2 });
+    expect(streak.chanceBonus).toBeCloseTo(0.1);
+  });
+
+  it('caps the bonus at the configured number of days', () => {
+    const streak = resolveDailyStreak({ streakDays: 10, lastDailyAt }, config, new Date('2025-01-02T13:00:00Z'));
+
+    expect(streak).toMatchObject({ streakDays: 11, bonusDays: 3, amountBonus: 3 });
+  });
+
+  it('restarts a missed streak at one day with no bonus', () => {
+    expect(resolveDailyStreak({ streakDays: 5, lastDailyAt }, config, new Date('2025-01-04T12:00:00Z'))).toEqual({
+      streakDays: 1,
+      previousStreak: 5,
+      broken: true,
+      bonusDays: 0,
+      chanceBonus: 0,
+      amountBonus: 0,
+    });
+    expect(resolveDailyStreak({ streakDays: 0, lastDailyAt: null }, config).broken).toBe(false);
+  });
+});
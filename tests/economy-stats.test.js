@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  user: {
+    findMany: vi.fn(),
+    findUnique: vi.fn(),
+  },
+  ledgerEntry: {
+    groupBy: vi.fn(),
+  },
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+const { computeGini, computeTopShare, summarizeFlows, getEconomyPeriodStart, getEconomyStats } = await import(
+  '../src/lib/economy-stats.js'
+);
+
+describe('economy stats', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('measures how concentrated balances are', () => {
+    expect(computeGini([10, 10, 10, 10])).toBe(0);
+    expect(computeGini([])).toBe(0);
+    expect(computeGini([0, 0, 0, 100])).toBe(0);
+    expect(computeGini([1, 1, 1, 97])).toBeCloseTo(0.72);
+
+    expect(computeTopShare([50, 25, 25])).toBeCloseTo(0.5);
+    expect(computeTopShare([])).toBe(0);
+  });
+
+  it('splits net ledger flows into sources and sinks', () => {
+    const flows = summarizeFlows([
+      { source: 'vouch', _sum: { delta: 120 } },
+      { source: 'daily', _sum: { delta: 30 } },
+      { source: 'transfer', _sum: { delta: -5 } },
+      { source: 'redemption', _sum: { delta: -50 } },
+      { source: 'battle', _sum: { delta: 0 } },
+      { source: 'mystery', _sum: { delta: null } },
+    ]);
+
+    expect(flows.sources.map((flow) => [flow.label, flow.amount])).toEqual([
+      ['Vouches', 120],
+      ['Daily claims', 30],
+    ]);
+    expect(flows.sinks.map((flow) => [flow.label, flow.amount])).toEqual([
+      ['Redemptions', 50],
+      ['Transfer fees', 5],
+    ]);
+    expect(flows).toMatchObject({ minted: 150, burned: 55, net: 95 });
+  });
+
+  it('leaves the house account out and filters flows by period', async () => {
+    const now = new Date('2025-01-31T00:00:00Z');
+    const since = getEconomyPeriodStart('30d', now);
+    mockPrisma.user.findMany.mockResolvedValue([{ vp: 10 }, { vp: 30 }]);
+    mockPrisma.user.findUnique.mockResolvedValue({ vp: 7 });
+    mockPrisma.ledgerEntry.groupBy.mockResolvedValue([{ source: 'vouch', _sum: { delta: 40 } }]);
+
+    const stats = await getEconomyStats(since);
+
+    expect(since).toEqual(new Date('2025-01-01T00:00:00Z'));
+    expect(getEconomyPeriodStart('all', now)).toBeNull();
+    expect(stats).toMatchObject({ circulation: 40, holders: 2, houseBalance: 7, flows: { minted: 40 } });
+    expect(mockPrisma.user.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { discordId: { not: 'house' }, vp: { gt: 0 } } })
+    );
+    expect(mockPrisma.ledgerEntry.groupBy).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { user: { discordId: { not: 'house' } }, createdAt: { gte: since } } })
+    );
+  });
+});
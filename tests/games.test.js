@@ -1,4 +1,14 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../src/lib/utils.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    randomInt: vi.fn(actual.randomInt),
+    shuffle: vi.fn(actual.shuffle),
+  };
+});
+
 import {
   createRPSGame,
   resolveRPS,
@@ -11,6 +21,9 @@ import {
   getGameDisplayName,
 } from '../src/lib/games.js';
 
+const { randomInt, shuffle } = await import('../src/lib/utils.js');
+const { battleGames, getGameByKey } = await import('../src/battle/registry.js');
+
 describe('Game Engines', () => {
   describe('Rock Paper Scissors', () => {
     it('should create initial game state', () => {
@@ -147,3 +160,328 @@ describe('Game Engines', () => {
     });
   });
 });
+
+function createGameHarness() {
+  const actions = new Map();
+  const timers = new Map();
+  let clock = 0;
+
+  const ctx = {
+    p1: { id: 'u1', displayName: 'Alice' },
+    p2: { id: 'u2', displayName: 'Bob' },
+    challengerId: 'u1',
+    opponentId: 'u2',
+    amount: 100,
+    nowMs: () => clock,
+    render: vi.fn(async () => {}),
+    makeId: ({ player, action }) => `${player}:${action}`,
+    registerAction: ({ player, action }, handler) => {
+      const id = `${player}:${action}`;
+      actions.set(id, handler);
+      return id;
+    },
+    clearActions: () => actions.clear(),
+    setTimeout: (key, _ms, handler) => timers.set(key, handler),
+    clearTimeout: (key) => timers.delete(key),
+    end: vi.fn(async () => {}),
+  };
+
+  async function press(slot, action, userId = slot === 'p1' ? 'u1' : 'u2') {
+    const handler = actions.get(`${slot}:${action}`);
+    if (!handler) {
+      throw new Error(`No action registered for ${slot}:${action}`);
+    }
+    const interaction = {
+      user: { id: userId },
+      deferUpdate: vi.fn(async () => {}),
+      reply: vi.fn(async () => {}),
+    };
+    await handler(interaction);
+    return interaction;
+  }
+
+  async function fire(key) {
+    const handler = timers.get(key);
+    if (!handler) {
+      throw new Error(`No timer registered for ${key}`);
+    }
+    timers.delete(key);
+    await handler();
+  }
+
+  return {
+    ctx,
+    press,
+    fire,
+    advance: (ms) => {
+      clock += ms;
+    },
+    hasAction: (slot, action) => actions.has(`${slot}:${action}`),
+    hasTimer: (key) => timers.has(key),
+  };
+}
+
+function card(rank, value) {
+  return { rank, suit: '♠️', value };
+}
+
+describe('Registry ports of the legacy games', () => {
+  beforeEach(() => {
+    randomInt.mockClear();
+    shuffle.mockClear();
+  });
+
+  it('registers every ported game for the select menu', () => {
+    const keys = ['rock_paper_scissors', 'high_card', 'dice_duel', 'reaction_duel', 'odd_even', 'archery', 'sprint'];
+    for (const key of keys) {
+      expect(getGameByKey(key)?.start).toBeTypeOf('function');
+    }
+    // The select menu holds 25 options, one of them "Random Game"
+    expect(battleGames.length).toBeLessThanOrEqual(24);
+    expect(new Set(battleGames.map((game) => game.key)).size).toBe(battleGames.length);
+  });
+
+  describe('Rock Paper Scissors', () => {
+    const game = () => getGameByKey('rock_paper_scissors');
+
+    it('settles once both hidden throws are in', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p1', 'rock');
+      expect(harness.ctx.end).not.toHaveBeenCalled();
+      await harness.press('p2', 'scissors');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: 'Rock wins.' });
+    });
+
+    it('replays a tie and keeps other players off the buttons', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      const intruder = await harness.press('p1', 'paper', 'u2');
+      expect(intruder.reply).toHaveBeenCalledWith(expect.objectContaining({ ephemeral: true }));
+
+      await harness.press('p1', 'rock');
+      await harness.press('p2', 'rock');
+      expect(harness.ctx.end).not.toHaveBeenCalled();
+      expect(harness.hasTimer('rps-2')).toBe(true);
+
+      await harness.press('p1', 'rock');
+      await harness.press('p2', 'paper');
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Paper wins.' });
+    });
+
+    it('awards the round to the only player who threw before the timeout', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p2', 'scissors');
+      await harness.fire('rps-1');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Win by timeout.', timeout: true, random: false });
+    });
+  });
+
+  describe('High Card', () => {
+    const game = () => getGameByKey('high_card');
+
+    it('compares the dealt cards once both are flipped', async () => {
+      shuffle.mockReturnValueOnce([card('K', 11), card('A', 12)]);
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p1', 'flip');
+      await harness.press('p2', 'flip');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'A♠️ is the high card.' });
+    });
+
+    it('redeals on matching ranks', async () => {
+      shuffle.mockReturnValueOnce([card('7', 5), card('7', 5)]).mockReturnValueOnce([card('Q', 10), card('3', 1)]);
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p1', 'flip');
+      await harness.press('p2', 'flip');
+      expect(harness.ctx.end).not.toHaveBeenCalled();
+      expect(shuffle).toHaveBeenCalledTimes(2);
+
+      await harness.press('p2', 'flip');
+      await harness.press('p1', 'flip');
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: 'Q♠️ is the high card.' });
+    });
+  });
+
+  describe('Dice Duel', () => {
+    it('rolls two dice each and the higher total wins', async () => {
+      randomInt.mockReturnValueOnce(6).mockReturnValueOnce(5).mockReturnValueOnce(1).mockReturnValueOnce(2);
+      const harness = createGameHarness();
+      await getGameByKey('dice_duel').start(harness.ctx);
+
+      const intruder = await harness.press('p2', 'roll', 'u1');
+      expect(intruder.reply).toHaveBeenCalled();
+
+      await harness.press('p2', 'roll');
+      await harness.press('p1', 'roll');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: '11 vs 3.' });
+    });
+  });
+
+  describe('Reaction Duel', () => {
+    const game = () => getGameByKey('reaction_duel');
+
+    it('hands the win to the rival on a false start', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p1', 'react');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Won on a false start.' });
+      expect(harness.hasTimer('reaction-signal-1')).toBe(false);
+    });
+
+    it('compares reaction times measured from the signal', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.fire('reaction-signal-1');
+      harness.advance(250);
+      await harness.press('p2', 'react');
+      harness.advance(150);
+      await harness.press('p1', 'react');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Reacted in 250 ms.' });
+    });
+
+    it('gives the win to the only player who reacted in the window', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.fire('reaction-signal-1');
+      harness.advance(600);
+      await harness.press('p1', 'react');
+      await harness.fire('reaction-window-1');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: 'Reacted in 600 ms.' });
+    });
+  });
+
+  describe('Odd vs Even', () => {
+    const game = () => getGameByKey('odd_even');
+
+    it('gives the opponent the other side and settles on the drawn number', async () => {
+      randomInt.mockReturnValueOnce(4);
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      const early = await harness.press('p1', 'odd', 'u2');
+      expect(early.reply).toHaveBeenCalled();
+
+      await harness.press('p1', 'even');
+      expect(harness.hasAction('p2', 'draw')).toBe(true);
+      await harness.press('p2', 'draw');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: '4 is even.' });
+    });
+
+    it('awards the challenger when the opponent never draws', async () => {
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      await harness.press('p1', 'odd');
+      await harness.fire('odd-even-draw');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: 'Win by timeout.', timeout: true, random: false });
+    });
+  });
+
+  describe('Archery Shootout', () => {
+    const game = () => getGameByKey('archery');
+
+    function queueShots(...values) {
+      for (const value of values) {
+        randomInt.mockReturnValueOnce(value);
+      }
+    }
+
+    it('totals three arrows each', async () => {
+      queueShots(8, 9, 10, 10, 10, 6);
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      for (let i = 0; i < 3; i += 1) {
+        await harness.press('p1', 'shoot');
+        await harness.press('p2', 'shoot');
+      }
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: '27 vs 26.' });
+    });
+
+    it('goes to sudden death on a tied score', async () => {
+      queueShots(5, 5, 5, 5, 5, 5, 9, 1, 1, 2, 1, 1);
+      const harness = createGameHarness();
+      await game().start(harness.ctx);
+
+      for (let i = 0; i < 3; i += 1) {
+        await harness.press('p1', 'shoot');
+        await harness.press('p2', 'shoot');
+      }
+      expect(harness.ctx.end).not.toHaveBeenCalled();
+
+      await harness.press('p1', 'shoot');
+      await harness.press('p2', 'shoot');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u1', 'u2', { summary: '9 vs 2 in sudden death.' });
+    });
+  });
+
+  describe('Sprint Showdown', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('runs the race once both runners are ready', async () => {
+      randomInt.mockReturnValueOnce(1400).mockReturnValueOnce(1050);
+      const harness = createGameHarness();
+      await getGameByKey('sprint').start(harness.ctx);
+
+      await harness.press('p1', 'ready');
+      expect(harness.ctx.end).not.toHaveBeenCalled();
+
+      const race = harness.press('p2', 'ready');
+      await vi.runAllTimersAsync();
+      await race;
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Finished in 10.50s.' });
+    });
+
+    it('awards the ready runner when the rival never shows', async () => {
+      const harness = createGameHarness();
+      await getGameByKey('sprint').start(harness.ctx);
+
+      await harness.press('p2', 'ready');
+      await harness.fire('sprint-1');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith('u2', 'u1', { summary: 'Win by timeout.', timeout: true, random: false });
+    });
+
+    it('marks a timeout nobody acted in as a random result', async () => {
+      const harness = createGameHarness();
+      await getGameByKey('sprint').start(harness.ctx);
+
+      await harness.fire('sprint-1');
+
+      expect(harness.ctx.end).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(String),
+        { summary: 'Win by timeout.', timeout: true, random: true }
+      );
+    });
+  });
+});
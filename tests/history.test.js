@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  transfer: {
+    findMany: vi.fn(async () => []),
+  },
+};
+
+const mockGetOrCreateUser = vi.fn(async (discordId) => ({ id: discordId === 'admin-1' ? 1 : 2, discordId, vp: 42 }));
+const mockGetLedgerHistory = vi.fn();
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getOrCreateUser: mockGetOrCreateUser,
+  getLedgerHistory: mockGetLedgerHistory,
+}));
+
+const { execute } = await import('../src/commands/history.js');
+
+function createInteraction({ userId = 'user-2', target = null, type = null, page = null, roles = [] } = {}) {
+  return {
+    user: { id: userId, username: 'caller' },
+    inGuild: () => true,
+    member: { roles: { cache: new Map(roles.map((role) => [role, {}])) } },
+    options: {
+      getUser: vi.fn(() => target),
+      getString: vi.fn(() => type),
+      getInteger: vi.fn(() => page),
+    },
+    reply: vi.fn(),
+    deferReply: vi.fn(),
+    editReply: vi.fn(),
+  };
+}
+
+function entry(overrides) {
+  return {
+    id: 1,
+    reason: 'daily',
+    source: 'daily',
+    delta: 1,
+    balanceAfter: 42,
+    referenceId: null,
+    createdAt: new Date('2026-01-02T00:00:00Z'),
+    ...overrides,
+  };
+}
+
+function statement(interaction) {
+  return interaction.editReply.mock.calls[0][0].embeds[0].toJSON();
+}
+
+describe('/history', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.ADMIN_ROLE_ID = 'admin-role';
+    process.env.PROVIDER_ROLE_ID = 'provider-role';
+    mockGetLedgerHistory.mockResolvedValue({ entries: [entry()], page: 1, perPage: 10, totalPages: 1, totalEntries: 1 });
+  });
+
+  it('passes the page and type filter through and shows them in the footer', async () => {
+    mockGetLedgerHistory.mockResolvedValueOnce({
+      entries: [entry({ reason: 'battle_win', source: 'battle', delta: 20, referenceId: '9' })],
+      page: 2,
+      perPage: 10,
+      totalPages: 3,
+      totalEntries: 25,
+    });
+    const interaction = createInteraction({ type: 'battle', page: 2 });
+
+    await execute(interaction);
+
+    expect(mockGetLedgerHistory).toHaveBeenCalledWith(2, { source: 'battle', page: 2, perPage: 10 });
+    const embed = statement(interaction);
+    expect(embed.footer.text).toBe('Page 2/3 • 25 entries • battle');
+    expect(embed.description).toContain('⚔️ Battle win (#9)');
+    expect(embed.description).toContain('**+20 VP** → 42 VP');
+  });
+
+  it('explains when the page is past the end of the statement', async () => {
+    mockGetLedgerHistory.mockResolvedValueOnce({ entries: [], page: 5, perPage: 10, totalPages: 2, totalEntries: 14 });
+    const interaction = createInteraction({ page: 5 });
+
+    await execute(interaction);
+
+    expect(interaction.editReply).toHaveBeenCalledWith({
+      content: '📜 No entries on page 5. There are only 2 page(s).',
+    });
+  });
+
+  it('names the other side of a transfer and the fee paid', async () => {
+    mockGetLedgerHistory.mockResolvedValueOnce({
+      entries: [
+        entry({ id: 2, reason: 'transfer_out', source: 'transfer', delta: -21, referenceId: '7' }),
+        entry({ id: 3, reason: 'transfer_in', source: 'transfer', delta: 5, referenceId: '8' }),
+      ],
+      page: 1,
+      perPage: 10,
+      totalPages: 1,
+      totalEntries: 2,
+    });
+    mockPrisma.transfer.findMany.mockResolvedValueOnce([
+      { id: 7, fee: 1, fromUser: { discordId: 'user-2' }, toUser: { discordId: 'friend' } },
+      { id: 8, fee: 0, fromUser: { discordId: 'pal' }, toUser: { discordId: 'user-2' } },
+    ]);
+    const interaction = createInteraction();
+
+    await execute(interaction);
+
+    expect(mockPrisma.transfer.findMany).toHaveBeenCalledWith({
+      where: { id: { in: [7, 8] } },
+      include: { fromUser: true, toUser: true },
+    });
+    const { description } = statement(interaction);
+    expect(description).toContain('📤 Transfer out (to <@friend>, incl. 1 VP fee)');
+    expect(description).toContain('📥 Transfer in (from <@pal>)');
+  });
+
+  it("only lets admins read someone else's statement", async () => {
+    const target = { id: 'user-3', username: 'someone' };
+
+    const provider = createInteraction({ target, roles: ['provider-role'] });
+    await execute(provider);
+    expect(provider.reply).toHaveBeenCalledWith(
+      expect.objectContaining({ content: "❌ Only admins can view another user's history." })
+    );
+    expect(mockGetLedgerHistory).not.toHaveBeenCalled();
+
+    const admin = createInteraction({ userId: 'admin-1', target, roles: ['admin-role'] });
+    await execute(admin);
+    expect(admin.reply).not.toHaveBeenCalled();
+    expect(mockGetOrCreateUser).toHaveBeenCalledWith('user-3');
+    expect(statement(admin).title).toBe('📜 VP Statement — someone');
+  });
+
+  it('checks roles from the interaction member without fetching', async () => {
+    const interaction = createInteraction({ userId: 'admin-1', target: { id: 'user-3', username: 'someone' } });
+    interaction.member = { roles: ['admin-role'] };
+
+    await execute(interaction);
+
+    expect(interaction.reply).not.toHaveBeenCalled();
+    expect(statement(interaction).title).toBe('📜 VP Statement — someone');
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest';
+import { applyVPDelta, setVPBalance, upsertUser, LEDGER_REASONS, LEDGER_SOURCES } from '../src/db/ledger.js';
+
+function createTx(startingVp = 10) {
+  let vp = startingVp;
+  return {
+    user: {
+      findUnique: vi.fn(async ({ where }) => ({ id: where.id, vp })),
+      update: vi.fn(async ({ where, data }) => {
+        vp += data.vp.increment ?? 0;
+        vp -= data.vp.decrement ?? 0;
+        return { id: where.id, vp };
+      }),
+    },
+    ledgerEntry: {
+      create: vi.fn(async ({ data }) => ({ id: 1, ...data })),
+    },
+  };
+}
+
+describe('VP ledger', () => {
+  it('increments the balance and records the resulting entry', async () => {
+    const tx = createTx(10);
+
+    const updated = await applyVPDelta(tx, {
+      userId: 3,
+      delta: 5,
+      reason: LEDGER_REASONS.DAILY,
+      source: LEDGER_SOURCES.DAILY,
+    });
+
+    expect(updated.vp).toBe(15);
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 3 },
+      data: { vp: { increment: 5 } },
+    });
+    expect(tx.ledgerEntry.create).toHaveBeenCalledWith({
+      data: {
+        userId: 3,
+        delta: 5,
+        balanceAfter: 15,
+        reason: 'daily',
+        source: 'daily',
+        referenceId: null,
+      },
+    });
+  });
+
+  it('decrements for negative deltas and stringifies reference ids', async () => {
+    const tx = createTx(20);
+
+    await applyVPDelta(tx, {
+      userId: 4,
+      delta: -8,
+      reason: LEDGER_REASONS.REDEMPTION,
+      source: LEDGER_SOURCES.REDEMPTION,
+      referenceId: 42,
+    });
+
+    expect(tx.user.update).toHaveBeenCalledWith({
+      where: { id: 4 },
+      data: { vp: { decrement: 8 } },
+    });
+    expect(tx.ledgerEntry.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ delta: -8, balanceAfter: 12, referenceId: '42' }),
+    });
+  });
+
+  it('rejects fractional deltas before touching the database', async () => {
+    const tx = createTx();
+
+    await expect(
+      applyVPDelta(tx, { userId: 1, delta: 1.5, reason: 'test', source: 'system' })
+    ).rejects.toThrow('integer');
+    expect(tx.user.update).not.toHaveBeenCalled();
+    expect(tx.ledgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('records the difference when a balance is overwritten', async () => {
+    const tx = createTx(30);
+
+    const { previous, updated } = await setVPBalance(tx, {
+      userId: 5,
+      amount: 12,
+      reason: LEDGER_REASONS.ADMIN_SET,
+      source: LEDGER_SOURCES.ADMIN,
+    });
+
+    expect(previous.vp).toBe(30);
+    expect(updated.vp).toBe(12);
+    expect(tx.ledgerEntry.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ delta: -18, balanceAfter: 12, reason: 'admin_set' }),
+    });
+  });
+
+  it('finds or creates a user inside the transaction', async () => {
+    const tx = { user: { upsert: vi.fn(async ({ create }) => ({ id: 9, ...create })) } };
+
+    await expect(upsertUser(tx, '123')).resolves.toEqual({ id: 9, discordId: '123' });
+    expect(tx.user.upsert).toHaveBeenCalledWith({
+      where: { discordId: '123' },
+      update: {},
+      create: { discordId: '123' },
+    });
+  });
+});
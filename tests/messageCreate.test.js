@@ -5,16 +5,20 @@ const dbMocks = vi.hoisted(() => {
   const mockVouchCreate = vi.fn();
   const mockTxUserUpdate = vi.fn();
   const mockTxVouchCreate = vi.fn();
+  const mockTxLedgerCreate = vi.fn();
   const mockTransaction = vi.fn();
   const mockGetOrCreateUser = vi.fn();
+  const mockGetConfig = vi.fn();
 
   return {
     mockFindUnique,
     mockVouchCreate,
     mockTxUserUpdate,
     mockTxVouchCreate,
+    mockTxLedgerCreate,
     mockTransaction,
-    mockGetOrCreateUser
+    mockGetOrCreateUser,
+    mockGetConfig
   };
 });
 
@@ -22,6 +26,10 @@ const loggerMocks = vi.hoisted(() => ({
   mockLogTransaction: vi.fn()
 }));
 
+const screeningMocks = vi.hoisted(() => ({
+  mockScreenVouch: vi.fn()
+}));
+
 vi.mock('../src/db/index.js', () => ({
   __esModule: true,
   default: {
@@ -31,7 +39,8 @@ vi.mock('../src/db/index.js', () => ({
     },
     $transaction: dbMocks.mockTransaction
   },
-  getOrCreateUser: dbMocks.mockGetOrCreateUser
+  getOrCreateUser: dbMocks.mockGetOrCreateUser,
+  getConfig: dbMocks.mockGetConfig
 }));
 
 vi.mock('../src/lib/logger.js', () => ({
@@ -39,6 +48,11 @@ vi.mock('../src/lib/logger.js', () => ({
   logTransaction: loggerMocks.mockLogTransaction
 }));
 
+vi.mock('../src/lib/vouch-screening.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  screenVouch: screeningMocks.mockScreenVouch
+}));
+
 import { execute } from '../src/events/messageCreate.js';
 
 const VOUCH_CHANNEL_ID = '333333333';
@@ -49,11 +63,14 @@ const {
   mockVouchCreate,
   mockTxUserUpdate,
   mockTxVouchCreate,
+  mockTxLedgerCreate,
   mockTransaction,
-  mockGetOrCreateUser
+  mockGetOrCreateUser,
+  mockGetConfig
 } = dbMocks;
 
 const { mockLogTransaction } = loggerMocks;
+const { mockScreenVouch } = screeningMocks;
 
 describe('messageCreate event', () => {
   beforeEach(() => {
@@ -64,14 +81,20 @@ describe('messageCreate event', () => {
     mockVouchCreate.mockReset();
     mockTxUserUpdate.mockReset();
     mockTxVouchCreate.mockReset();
+    mockTxLedgerCreate.mockReset();
     mockTransaction.mockReset();
     mockGetOrCreateUser.mockReset();
     mockLogTransaction.mockReset();
+    mockScreenVouch.mockReset();
+    mockGetConfig.mockReset();
+    mockGetConfig.mockImplementation(async (key, defaultValue = null) => defaultValue);
+    mockScreenVouch.mockResolvedValue({ imageHash: 'aaaaaaaaaaaaaaaa', flag: null });
 
     mockTransaction.mockImplementation(async (callback) => {
       return callback({
         user: { update: mockTxUserUpdate },
-        vouch: { create: mockTxVouchCreate }
+        vouch: { create: mockTxVouchCreate },
+        ledgerEntry: { create: mockTxLedgerCreate }
       });
     });
   });
@@ -104,14 +127,14 @@ describe('messageCreate event', () => {
     const message = createBaseMessage();
 
     message.mentions.roles.has.mockReturnValue(false);
-    message.mentions.members.some.mockImplementation((predicate) =>
-      predicate({ roles: { cache: { has: (id) => id === PROVIDER_ROLE_ID } } })
-    );
+    const provider = { id: 'provider-9', roles: { cache: { has: (id) => id === PROVIDER_ROLE_ID } } };
+    message.mentions.members.some.mockImplementation((predicate) => predicate(provider));
+    message.mentions.members.find = vi.fn((predicate) => (predicate(provider) ? provider : undefined));
 
     mockGetOrCreateUser.mockResolvedValue({ id: 1, blacklisted: false, vp: 10 });
     mockFindUnique.mockResolvedValue(null);
     mockTxUserUpdate.mockResolvedValue({ id: 1, vp: 11 });
-    mockTxVouchCreate.mockResolvedValue({});
+    mockTxVouchCreate.mockResolvedValue({ id: 7 });
 
     await execute(message);
 
@@ -126,9 +149,20 @@ describe('messageCreate event', () => {
         userId: 1,
         imageUrl: 'https://cdn.example.com/order.png',
         providerMentioned: true,
+        mentionedProviderId: 'provider-9',
         status: 'auto'
       })
     });
+    expect(mockTxLedgerCreate).toHaveBeenCalledWith({
+      data: {
+        userId: 1,
+        delta: 1,
+        balanceAfter: 11,
+        reason: 'vouch_auto',
+        source: 'vouch',
+        referenceId: '7'
+      }
+    });
     expect(mockVouchCreate).not.toHaveBeenCalled();
     expect(message.react).toHaveBeenCalledWith('✅');
     expect(message.reply).not.toHaveBeenCalled();
@@ -166,4 +200,91 @@ describe('messageCreate event', () => {
     }));
     expect(mockLogTransaction).not.toHaveBeenCalled();
   });
+
+  it('sends duplicate images to provider review without crediting VP', async () => {
+    const message = createBaseMessage();
+
+    message.mentions.roles.has.mockReturnValue(true);
+    message.mentions.members.some.mockReturnValue(false);
+
+    mockGetOrCreateUser.mockResolvedValue({ id: 3, blacklisted: false, vp: 4 });
+    mockFindUnique.mockResolvedValue(null);
+    mockVouchCreate.mockResolvedValue({ id: 9 });
+    mockScreenVouch.mockResolvedValue({
+      imageHash: 'aaaaaaaaaaaaaaaa',
+      flag: { reason: 'duplicate', duplicateOf: { id: 4 } }
+    });
+
+    await execute(message);
+
+    expect(mockTransaction).not.toHaveBeenCalled();
+    expect(mockVouchCreate).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        status: 'pending',
+        providerMentioned: true,
+        imageHash: 'aaaaaaaaaaaaaaaa',
+        flagReason: 'duplicate',
+        duplicateOfId: 4
+      })
+    });
+    expect(message.react).toHaveBeenCalledWith('🔍');
+    expect(mockLogTransaction).toHaveBeenCalledWith('vouch_flag', expect.objectContaining({
+      vouchId: 9,
+      reason: 'Image matches vouch #4'
+    }));
+  });
+
+  it('does not auto-approve when only a non-provider user is mentioned', async () => {
+    const message = createBaseMessage();
+
+    message.mentions.users = new Map([['friend-1', { id: 'friend-1' }]]);
+    message.mentions.roles.has.mockReturnValue(false);
+    message.mentions.members.some.mockImplementation((predicate) =>
+      predicate({ roles: { cache: { has: () => false } } })
+    );
+
+    mockGetOrCreateUser.mockResolvedValue({ id: 4, blacklisted: false, vp: 0 });
+    mockFindUnique.mockResolvedValue(null);
+    mockVouchCreate.mockResolvedValue({ id: 10 });
+
+    await execute(message);
+
+    expect(mockTransaction).not.toHaveBeenCalled();
+    expect(mockVouchCreate).toHaveBeenCalledWith({
+      data: expect.objectContaining({ status: 'pending', providerMentioned: false })
+    });
+  });
+
+  it('waits for the mentioned provider to confirm in provider_confirm mode', async () => {
+    const message = createBaseMessage();
+    const collector = { on: vi.fn() };
+
+    message.createReactionCollector = vi.fn().mockReturnValue(collector);
+    message.mentions.users = new Map([['provider-1', { id: 'provider-1' }]]);
+    message.mentions.roles.has.mockReturnValue(false);
+    message.mentions.members.some.mockImplementation((predicate) =>
+      predicate({ roles: { cache: { has: (id) => id === PROVIDER_ROLE_ID } } })
+    );
+
+    mockGetConfig.mockImplementation(async (key, defaultValue = null) =>
+      key === 'vouch_approval_mode' ? 'provider_confirm' : defaultValue
+    );
+    mockGetOrCreateUser.mockResolvedValue({ id: 5, blacklisted: false, vp: 0 });
+    mockFindUnique.mockResolvedValue(null);
+    mockVouchCreate.mockResolvedValue({ id: 11, userId: 5 });
+
+    await execute(message);
+
+    expect(mockTransaction).not.toHaveBeenCalled();
+    expect(mockVouchCreate).toHaveBeenCalledWith({
+      data: expect.objectContaining({ status: 'pending', providerMentioned: true })
+    });
+    expect(message.createReactionCollector).toHaveBeenCalledWith(
+      expect.objectContaining({ time: 10 * 60 * 1000, max: 1 })
+    );
+    expect(collector.on).toHaveBeenCalledWith('collect', expect.any(Function));
+    expect(message.reply).toHaveBeenCalledWith(expect.objectContaining({
+      content: expect.stringContaining('confirm')
+    }));
+  });
 });
@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  user: {
+    findMany: vi.fn(),
+    findUnique: vi.fn(),
+    update: vi.fn(),
+  },
+  ledgerEntry: {
+    groupBy: vi.fn(),
+  },
+  balanceCorrection: {
+    create: vi.fn(),
+  },
+  $transaction: vi.fn(async (callback) => callback(mockPrisma)),
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+vi.mock('../src/lib/logger.js', () => ({
+  logError: vi.fn(),
+}));
+
+const { findBalanceDrift, applyBalanceCorrections } = await import('../src/lib/reconciliation.js');
+
+describe('balance reconciliation', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('reports only users whose balance differs from the ledger sum', async () => {
+    mockPrisma.user.findMany.mockResolvedValue([
+      { id: 1, discordId: 'a', vp: 50 },
+      { id: 2, discordId: 'b', vp: 20 },
+      { id: 3, discordId: 'c', vp: 5 },
+    ]);
+    mockPrisma.ledgerEntry.groupBy.mockResolvedValue([
+      { userId: 1, _sum: { delta: 50 } },
+      { userId: 2, _sum: { delta: 30 } },
+    ]);
+
+    const mismatches = await findBalanceDrift();
+
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(mismatches).toEqual([
+      { userId: 2, discordId: 'b', balance: 20, expected: 30, drift: -10 },
+      { userId: 3, discordId: 'c', balance: 5, expected: 0, drift: 5 },
+    ]);
+  });
+
+  it('reads balances and ledger sums in the same transaction', async () => {
+    const tx = {
+      user: { findMany: vi.fn(async () => [{ id: 1, discordId: 'a', vp: 40 }]) },
+      ledgerEntry: { groupBy: vi.fn(async () => [{ userId: 1, _sum: { delta: 40 } }]) },
+    };
+    mockPrisma.$transaction.mockImplementationOnce(async (callback) => callback(tx));
+
+    await expect(findBalanceDrift()).resolves.toEqual([]);
+    expect(tx.user.findMany).toHaveBeenCalled();
+    expect(tx.ledgerEntry.groupBy).toHaveBeenCalled();
+    expect(mockPrisma.user.findMany).not.toHaveBeenCalled();
+  });
+
+  it('resets balances to the ledger total and records a correction', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 2, discordId: 'b', vp: 20 });
+    mockPrisma.ledgerEntry.groupBy.mockResolvedValue([{ userId: 2, _sum: { delta: 30 } }]);
+    mockPrisma.balanceCorrection.create.mockImplementation(async ({ data }) => ({ id: 1, ...data }));
+
+    const applied = await applyBalanceCorrections(
+      [{ userId: 2, discordId: 'b', balance: 20, expected: 30, drift: -10 }],
+      { actorId: 'admin-1' }
+    );
+
+    expect(mockPrisma.user.update).toHaveBeenCalledWith({
+      where: { id: 2 },
+      data: { vp: 30 },
+    });
+    expect(mockPrisma.balanceCorrection.create).toHaveBeenCalledWith({
+      data: { userId: 2, previousBalance: 20, correctedBalance: 30, appliedBy: 'admin-1' },
+    });
+    expect(applied).toHaveLength(1);
+  });
+
+  it('skips users that were already reconciled by the time the fix runs', async () => {
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 2, discordId: 'b', vp: 30 });
+    mockPrisma.ledgerEntry.groupBy.mockResolvedValue([{ userId: 2, _sum: { delta: 30 } }]);
+
+    const applied = await applyBalanceCorrections(
+      [{ userId: 2, discordId: 'b', balance: 20, expected: 30, drift: -10 }],
+      { actorId: 'admin-1' }
+    );
+
+    expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    expect(applied).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  redemption: {
+    count: vi.fn(),
+    findMany: vi.fn(),
+    updateMany: vi.fn(),
+  },
+};
+
+const config = new Map();
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, defaultValue = null) => config.get(key) ?? defaultValue),
+}));
+
+const {
+  encodeRedemptionQueueCustomId,
+  decodeRedemptionQueueCustomId,
+  fetchOpenRedemptionPage,
+  isPastSla,
+  sendRedemptionSlaReminders,
+} = await import('../src/lib/redemption-queue.js');
+
+describe('redemption queue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    config.clear();
+    process.env.PROVIDER_ROLE_ID = '111';
+  });
+
+  it('round-trips actions through a custom ID', () => {
+    const customId = encodeRedemptionQueueCustomId('fulfill', { page: 3, redemptionId: 42 });
+
+    expect(decodeRedemptionQueueCustomId(customId)).toEqual({ action: 'fulfill', page: 3, redemptionId: 42 });
+    expect(decodeRedemptionQueueCustomId(encodeRedemptionQueueCustomId('refresh'))).toEqual({
+      action: 'refresh',
+      page: 1,
+      redemptionId: null,
+    });
+    expect(decodeRedemptionQueueCustomId('vouchqueue:refresh:1')).toBeNull();
+  });
+
+  it('clamps the page to the last page of open redemptions', async () => {
+    mockPrisma.redemption.count.mockResolvedValue(5);
+    mockPrisma.redemption.findMany.mockResolvedValue([{ id: 5 }]);
+
+    const view = await fetchOpenRedemptionPage(9, 4);
+
+    expect(view).toMatchObject({ total: 5, page: 2, pageCount: 2 });
+    expect(mockPrisma.redemption.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { status: 'opened' }, orderBy: { createdAt: 'asc' }, skip: 4, take: 4 })
+    );
+  });
+
+  it('flags tickets open past the SLA', () => {
+    const redemption = { createdAt: new Date('2025-01-01T12:00:00Z') };
+
+    expect(isPastSla(redemption, 60, new Date('2025-01-01T13:00:00Z'))).toBe(true);
+    expect(isPastSla(redemption, 60, new Date('2025-01-01T12:59:00Z'))).toBe(false);
+    expect(isPastSla(redemption, 0, new Date('2025-01-02T12:00:00Z'))).toBe(false);
+  });
+
+  it('pings providers once per overdue ticket', async () => {
+    const now = new Date('2025-01-01T14:00:00Z');
+    const send = vi.fn().mockResolvedValue({});
+    const client = { channels: { fetch: vi.fn().mockResolvedValue({ send }) } };
+
+    mockPrisma.redemption.findMany.mockResolvedValue([
+      { id: 1, type: '$5 Order', ticketChannelId: 'c1', claimedById: null, createdAt: new Date('2025-01-01T12:00:00Z') },
+      { id: 2, type: '$5 Order', ticketChannelId: 'c2', claimedById: '222', createdAt: new Date('2025-01-01T12:30:00Z') },
+    ]);
+    // Ticket #2 was reminded by another process in the meantime
+    mockPrisma.redemption.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+
+    await expect(sendRedemptionSlaReminders(client, now)).resolves.toBe(1);
+
+    expect(mockPrisma.redemption.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { status: 'opened', slaRemindedAt: null, createdAt: { lte: new Date('2025-01-01T13:00:00Z') } },
+      })
+    );
+    expect(client.channels.fetch).toHaveBeenCalledWith('c1');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].content).toContain('<@&111>');
+    expect(send.mock.calls[0][0].content).toContain('nobody has claimed it yet');
+  });
+
+  it('does nothing when the SLA is turned off', async () => {
+    config.set('redemption_sla_minutes', '0');
+
+    await expect(sendRedemptionSlaReminders({})).resolves.toBe(0);
+    expect(mockPrisma.redemption.findMany).not.toHaveBeenCalled();
+  });
+});
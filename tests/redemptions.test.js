@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let redemptions = [];
+let ledger = [];
+const balances = new Map();
+
+const mockPrisma = {
+  redemption: {
+    create: vi.fn(async ({ data }) => {
+      const row = { id: redemptions.length + 100, createdAt: new Date(), ...data };
+      redemptions.push(row);
+      return row;
+    }),
+    count: vi.fn(async ({ where }) =>
+      redemptions.filter(
+        (row) =>
+          row.rewardItemId === where.rewardItemId &&
+          row.status !== where.status.not &&
+          (where.id === undefined || row.id !== where.id.not) &&
+          (where.userId === undefined || row.userId === where.userId)
+      ).length
+    ),
+    updateMany: vi.fn(async ({ where, data }) => {
+      const rows = redemptions.filter(
+        (row) =>
+          row.id === where.id &&
+          row.status === where.status &&
+          (where.claimedById === undefined || (row.claimedById ?? null) === where.claimedById)
+      );
+      for (const row of rows) Object.assign(row, data);
+      return { count: rows.length };
+    }),
+  },
+  user: {
+    update: vi.fn(async ({ where, data }) => {
+      const vp = (balances.get(where.id) ?? 0) + (data.vp.increment ?? 0) - (data.vp.decrement ?? 0);
+      balances.set(where.id, vp);
+      return { id: where.id, vp };
+    }),
+  },
+  ledgerEntry: {
+    create: vi.fn(async ({ data }) => {
+      ledger.push(data);
+      return data;
+    }),
+  },
+  // Roll the in-memory state back when the callback throws, like a real transaction
+  $transaction: vi.fn(async (callback) => {
+    const snapshot = { redemptions: structuredClone(redemptions), ledger: [...ledger], balances: new Map(balances) };
+    try {
+      return await callback(mockPrisma);
+    } catch (error) {
+      redemptions = snapshot.redemptions;
+      ledger = snapshot.ledger;
+      balances.clear();
+      for (const [id, vp] of snapshot.balances) balances.set(id, vp);
+      throw error;
+    }
+  }),
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, defaultValue = null) => defaultValue),
+}));
+
+const {
+  cancelRedemption,
+  claimRedemption,
+  commitRedemption,
+  fulfillRedemption,
+  isWithinCancelWindow,
+  getCancelWindowMinutes,
+  releaseRedemption,
+  reserveRedemption,
+} = await import('../src/lib/redemptions.js');
+const { formatTranscript } = await import('../src/lib/redemption-tickets.js');
+
+describe('redemptions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ledger = [];
+    balances.clear();
+    balances.set(1, 5);
+    redemptions = [{ id: 42, userId: 1, cost: 25, status: 'opened', createdAt: new Date('2025-01-01T12:00:00Z') }];
+  });
+
+  it('refunds the cost exactly once when canceled', async () => {
+    const updatedUser = await cancelRedemption(redemptions[0], { closedById: 'provider-1', reason: 'Out of stock' });
+
+    expect(updatedUser.vp).toBe(30);
+    expect(redemptions[0]).toMatchObject({ status: 'canceled', closedById: 'provider-1', cancelReason: 'Out of stock' });
+    expect(ledger).toEqual([
+      expect.objectContaining({ delta: 25, reason: 'redemption_refund', source: 'redemption', referenceId: '42' }),
+    ]);
+
+    await expect(cancelRedemption(redemptions[0], { closedById: 'provider-1' })).resolves.toBeNull();
+    expect(balances.get(1)).toBe(30);
+  });
+
+  it('cannot cancel a fulfilled redemption', async () => {
+    await expect(fulfillRedemption(redemptions[0], 'provider-1')).resolves.toBe(true);
+    await expect(fulfillRedemption(redemptions[0], 'provider-1')).resolves.toBe(false);
+
+    await expect(cancelRedemption(redemptions[0], { closedById: 'provider-1' })).resolves.toBeNull();
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('lets only one provider claim a redemption', async () => {
+    await expect(claimRedemption(redemptions[0], 'provider-1')).resolves.toBe(true);
+    await expect(claimRedemption(redemptions[0], 'provider-2')).resolves.toBe(false);
+
+    expect(redemptions[0].claimedById).toBe('provider-1');
+  });
+
+  it('reserves the cost before the ticket opens and commits it afterwards', async () => {
+    balances.set(1, 30);
+    const item = { id: 7, name: '$5 Order', cost: 25, enabled: true, stockLimit: 1, perUserLimit: null };
+
+    const reservation = await reserveRedemption({ id: 1 }, item);
+
+    expect(reservation).toMatchObject({ ok: true, user: { vp: 5 }, redemption: { status: 'reserved', cost: 25 } });
+    await expect(commitRedemption(reservation.redemption, 'ticket-1')).resolves.toBe(true);
+    expect(redemptions.at(-1)).toMatchObject({ status: 'opened', ticketChannelId: 'ticket-1' });
+
+    // The single unit of stock is now taken
+    balances.set(1, 100);
+    await expect(reserveRedemption({ id: 1 }, item)).resolves.toEqual({ ok: false, reason: 'out_of_stock' });
+    expect(balances.get(1)).toBe(100);
+  });
+
+  it('rejects a reservation the balance cannot cover without debiting', async () => {
+    balances.set(1, 10);
+
+    await expect(
+      reserveRedemption({ id: 1 }, { id: 7, name: '$5 Order', cost: 25, enabled: true, stockLimit: null, perUserLimit: null })
+    ).resolves.toEqual({ ok: false, reason: 'insufficient_funds' });
+
+    expect(balances.get(1)).toBe(10);
+    expect(ledger).toHaveLength(0);
+    expect(redemptions).toHaveLength(1);
+  });
+
+  it('refunds a released reservation once and never commits it', async () => {
+    balances.set(1, 30);
+    const item = { id: 7, name: '$5 Order', cost: 25, enabled: true, stockLimit: null, perUserLimit: null };
+    const { redemption } = await reserveRedemption({ id: 1 }, item);
+
+    const refunded = await releaseRedemption(redemption, 'Ticket could not be created');
+
+    expect(refunded.vp).toBe(30);
+    expect(redemptions.at(-1)).toMatchObject({ status: 'canceled', cancelReason: 'Ticket could not be created' });
+    await expect(releaseRedemption(redemption, 'again')).resolves.toBeNull();
+    await expect(commitRedemption(redemption, 'ticket-1')).resolves.toBe(false);
+    expect(balances.get(1)).toBe(30);
+  });
+
+  it('only lets users cancel inside the window', async () => {
+    const [redemption] = redemptions;
+
+    await expect(getCancelWindowMinutes()).resolves.toBe(15);
+    expect(isWithinCancelWindow(redemption, 15, new Date('2025-01-01T12:10:00Z'))).toBe(true);
+    expect(isWithinCancelWindow(redemption, 15, new Date('2025-01-01T12:20:00Z'))).toBe(false);
+    expect(isWithinCancelWindow(redemption, 0, new Date('2025-01-01T12:00:01Z'))).toBe(false);
+  });
+
+  it('formats a ticket transcript oldest first', () => {
+    const transcript = formatTranscript(
+      [
+        {
+          author: { username: 'alice', id: '1' },
+          content: 'hi',
+          embeds: [],
+          attachments: new Map([['a', { url: 'https://cdn.example.com/receipt.png' }]]),
+          createdAt: new Date('2025-01-01T12:00:00Z'),
+        },
+        {
+          author: { username: 'bot', id: '2' },
+          content: '',
+          embeds: [{ title: 'Redemption Fulfilled', description: 'Done' }],
+          createdAt: new Date('2025-01-01T12:05:00Z'),
+        },
+      ],
+      'Redemption #42'
+    );
+
+    expect(transcript.split('\n')).toEqual([
+      'Redemption #42',
+      '',
+      '[2025-01-01T12:00:00.000Z] alice (1): hi | [attachment] https://cdn.example.com/receipt.png',
+      '[2025-01-01T12:05:00.000Z] bot (2): Redemption Fulfilled — Done',
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  redemption: {
+    count: vi.fn(),
+  },
+  rewardItem: {
+    update: vi.fn(async ({ data }) => data),
+    delete: vi.fn(),
+  },
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+const { slugifyRewardKey, checkRewardAvailability, updateRewardItem, removeRewardItem } = await import(
+  '../src/lib/reward-catalog.js'
+);
+
+const item = { id: 3, key: 'five', name: '$5 Order', cost: 25, stockLimit: 10, perUserLimit: 2, enabled: true };
+
+describe('reward catalog', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('derives a key from the reward name', () => {
+    expect(slugifyRewardKey('Free $20 Order!')).toBe('free-20-order');
+    expect(slugifyRewardKey('  Café  Voucher ')).toBe('cafe-voucher');
+  });
+
+  it('reports remaining stock when the reward can be claimed', async () => {
+    mockPrisma.redemption.count.mockResolvedValueOnce(7).mockResolvedValueOnce(1);
+
+    await expect(checkRewardAvailability(item, 1)).resolves.toEqual({ ok: true, remaining: 3 });
+    expect(mockPrisma.redemption.count).toHaveBeenCalledWith({
+      where: { rewardItemId: 3, status: { not: 'canceled' } },
+    });
+  });
+
+  it('refuses sold-out, over-limit and disabled rewards', async () => {
+    mockPrisma.redemption.count.mockResolvedValueOnce(10).mockResolvedValueOnce(0);
+    await expect(checkRewardAvailability(item, 1)).resolves.toEqual({ ok: false, reason: 'out_of_stock' });
+
+    mockPrisma.redemption.count.mockResolvedValueOnce(4).mockResolvedValueOnce(2);
+    await expect(checkRewardAvailability(item, 1)).resolves.toEqual({ ok: false, reason: 'user_limit' });
+
+    await expect(checkRewardAvailability({ ...item, enabled: false }, 1)).resolves.toEqual({
+      ok: false,
+      reason: 'disabled',
+    });
+  });
+
+  it('skips counting when the reward has no limits', async () => {
+    await expect(
+      checkRewardAvailability({ ...item, stockLimit: null, perUserLimit: null }, 1)
+    ).resolves.toEqual({ ok: true, remaining: null });
+    expect(mockPrisma.redemption.count).not.toHaveBeenCalled();
+  });
+
+  it('only updates the provided fields and clears limits set to 0', async () => {
+    await updateRewardItem('five', { cost: 30, stockLimit: 0, name: null, perUserLimit: undefined });
+
+    expect(mockPrisma.rewardItem.update).toHaveBeenCalledWith({
+      where: { key: 'five' },
+      data: { cost: 30, stockLimit: null },
+    });
+  });
+
+  it('disables instead of deleting rewards with redemption history', async () => {
+    mockPrisma.redemption.count.mockResolvedValueOnce(4);
+    await expect(removeRewardItem(item)).resolves.toBe('disabled');
+    expect(mockPrisma.rewardItem.delete).not.toHaveBeenCalled();
+
+    mockPrisma.redemption.count.mockResolvedValueOnce(0);
+    await expect(removeRewardItem(item)).resolves.toBe('deleted');
+    expect(mockPrisma.rewardItem.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+  });
+});
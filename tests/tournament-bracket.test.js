@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createBracket,
+  distributePrizePool,
+  getChampion,
+  getPlacements,
+  parsePrizeSplit,
+  pendingMatches,
+  recordMatchWinner,
+  roundName,
+  shuffleSeeds,
+} from '../src/tournament/bracket.js';
+
+function playOut(bracket, pickWinner = (match) => match.p1) {
+  let pending = pendingMatches(bracket);
+  while (pending.length > 0) {
+    for (const match of pending) {
+      recordMatchWinner(bracket, match.round, match.index, pickWinner(match));
+    }
+    pending = pendingMatches(bracket);
+  }
+}
+
+describe('tournament brackets', () => {
+  it('pairs seeds in order and leaves later rounds empty', () => {
+    const bracket = createBracket(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+
+    expect(bracket.rounds.map((round) => round.length)).toEqual([4, 2, 1]);
+    expect(bracket.rounds[0][1]).toEqual({ p1: 'c', p2: 'd', winner: null });
+    expect(bracket.rounds[1][0]).toEqual({ p1: null, p2: null, winner: null });
+    expect(pendingMatches(bracket)).toHaveLength(4);
+  });
+
+  it('rejects unsupported sizes', () => {
+    expect(() => createBracket(['a', 'b', 'c'])).toThrow('Unsupported bracket size 3');
+  });
+
+  it('shuffles without losing players', () => {
+    expect(shuffleSeeds(['a', 'b', 'c', 'd']).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('names rounds from the final backwards', () => {
+    expect([0, 1, 2, 3].map((round) => roundName(round, 4))).toEqual([
+      'Round of 16',
+      'Quarterfinals',
+      'Semifinals',
+      'Final',
+    ]);
+  });
+
+  it('advances winners into the next round once both feeder matches finish', () => {
+    const bracket = createBracket(['a', 'b', 'c', 'd']);
+
+    expect(recordMatchWinner(bracket, 0, 0, 'b')).toBe(true);
+    expect(pendingMatches(bracket)).toEqual([{ round: 0, index: 1, p1: 'c', p2: 'd' }]);
+
+    recordMatchWinner(bracket, 0, 1, 'c');
+    expect(pendingMatches(bracket)).toEqual([{ round: 1, index: 0, p1: 'b', p2: 'c' }]);
+  });
+
+  it('ignores a second result for a decided match and rejects outsiders', () => {
+    const bracket = createBracket(['a', 'b', 'c', 'd']);
+    recordMatchWinner(bracket, 0, 0, 'a');
+
+    expect(recordMatchWinner(bracket, 0, 0, 'b')).toBe(false);
+    expect(bracket.rounds[1][0].p1).toBe('a');
+    expect(() => recordMatchWinner(bracket, 0, 1, 'a')).toThrow('a is not playing match 0:1');
+  });
+
+  it('ranks the champion, finalist and both semifinal losers', () => {
+    const bracket = createBracket(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+    playOut(bracket);
+
+    expect(getChampion(bracket)).toBe('a');
+    expect(getPlacements(bracket)).toEqual([
+      { userId: 'a', placement: 1 },
+      { userId: 'e', placement: 2 },
+      { userId: 'c', placement: 3 },
+      { userId: 'g', placement: 3 },
+    ]);
+  });
+
+  it('has no placements before the final is played', () => {
+    expect(getPlacements(createBracket(['a', 'b', 'c', 'd']))).toEqual([]);
+  });
+});
+
+describe('tournament prize pools', () => {
+  const placements = [
+    { userId: 'a', placement: 1 },
+    { userId: 'b', placement: 2 },
+    { userId: 'c', placement: 3 },
+    { userId: 'd', placement: 3 },
+  ];
+
+  it('falls back to the default split for invalid settings', () => {
+    expect(parsePrizeSplit('60, 25, 15')).toEqual([60, 25, 15]);
+    expect(parsePrizeSplit('50,30,15,5')).toEqual([50, 30, 15]);
+    expect(parsePrizeSplit('abc')).toEqual([70, 30]);
+    expect(parsePrizeSplit('0,0')).toEqual([70, 30]);
+    expect(parsePrizeSplit('-10,110')).toEqual([70, 30]);
+  });
+
+  it('pays the top two with the default split', () => {
+    expect(distributePrizePool(400, placements, [70, 30]).map((entry) => entry.prize)).toEqual([280, 120, 0, 0]);
+  });
+
+  it('splits shared placements and gives the rounding leftover to the champion', () => {
+    const prizes = distributePrizePool(101, placements, [60, 25, 15]).map((entry) => entry.prize);
+
+    expect(prizes).toEqual([62, 25, 7, 7]);
+    expect(prizes.reduce((sum, prize) => sum + prize, 0)).toBe(101);
+  });
+});
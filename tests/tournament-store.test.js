@@ -0,0 +1,149 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let tournament;
+let entries;
+
+const mockPrisma = {
+  user: {
+    upsert: vi.fn(async ({ where }) => ({ id: Number.parseInt(where.discordId, 10), discordId: where.discordId })),
+  },
+  tournament: {
+    create: vi.fn(async ({ data }) => {
+      tournament = { id: 4, ...data };
+      return tournament;
+    }),
+    findUnique: vi.fn(async () => tournament),
+    updateMany: vi.fn(async ({ where, data }) => {
+      const statuses = where.status.in ?? [where.status];
+      if (!tournament || !statuses.includes(tournament.status)) return { count: 0 };
+      Object.assign(tournament, data);
+      return { count: 1 };
+    }),
+  },
+  tournamentEntry: {
+    findUnique: vi.fn(async ({ where }) =>
+      entries.find((entry) => entry.userId === where.tournamentId_userId.userId) ?? null
+    ),
+    create: vi.fn(async ({ data }) => {
+      const entry = { id: entries.length + 1, ...data };
+      entries.push(entry);
+      return entry;
+    }),
+    update: vi.fn(async ({ where, data }) => Object.assign(entries.find((entry) => entry.id === where.id), data)),
+    updateMany: vi.fn(async ({ where, data }) => {
+      const matched = entries.filter(
+        (entry) => (!where.status || entry.status === where.status) && (!where.userId || entry.userId === where.userId)
+      );
+      matched.forEach((entry) => Object.assign(entry, data));
+      return { count: matched.length };
+    }),
+    count: vi.fn(async ({ where }) => entries.filter((entry) => entry.status === where.status).length),
+    findMany: vi.fn(async ({ where }) => entries.filter((entry) => entry.status === where.status)),
+  },
+  $transaction: vi.fn(async (callback) => callback(mockPrisma)),
+};
+
+const balances = new Map();
+const applyVPDelta = vi.fn(async (tx, { userId, delta }) => {
+  const vp = (balances.get(userId) ?? 0) + delta;
+  balances.set(userId, vp);
+  return { id: userId, vp };
+});
+
+vi.mock('../src/db/index.js', () => ({ default: mockPrisma }));
+vi.mock('../src/db/ledger.js', () => ({
+  applyVPDelta,
+  upsertUser: (tx, discordId) => tx.user.upsert({ where: { discordId }, update: {}, create: { discordId } }),
+  LEDGER_REASONS: {
+    TOURNAMENT_ENTRY: 'tournament_entry',
+    TOURNAMENT_REFUND: 'tournament_refund',
+    TOURNAMENT_PRIZE: 'tournament_prize',
+  },
+  LEDGER_SOURCES: { TOURNAMENT: 'tournament' },
+}));
+
+const { createTournament, joinTournament, leaveTournament, cancelTournament, settleTournament } = await import(
+  '../src/tournament/store.js'
+);
+
+describe('tournament store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tournament = null;
+    entries = [];
+    balances.clear();
+    for (const id of [1, 2, 3, 4, 5]) balances.set(id, 100);
+  });
+
+  it('charges the creator as the first entrant', async () => {
+    const result = await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+
+    expect(result.ok).toBe(true);
+    expect(result.tournament.status).toBe('open');
+    expect(entries).toEqual([{ id: 1, tournamentId: 4, userId: 1, fee: 25, status: 'held' }]);
+    expect(balances.get(1)).toBe(75);
+    expect(applyVPDelta).toHaveBeenCalledWith(mockPrisma, expect.objectContaining({ delta: -25, referenceId: 4 }));
+  });
+
+  it('reports when the lobby fills and rejects duplicate or late entrants', async () => {
+    await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+
+    await expect(joinTournament(4, '1')).resolves.toEqual({ ok: false, reason: 'already_joined' });
+    await expect(joinTournament(4, '2')).resolves.toEqual({ ok: true, entries: 2, full: false });
+    await joinTournament(4, '3');
+    await expect(joinTournament(4, '4')).resolves.toEqual({ ok: true, entries: 4, full: true });
+    await expect(joinTournament(4, '5')).resolves.toEqual({ ok: false, reason: 'full' });
+  });
+
+  it('rejects players who cannot cover the entry fee', async () => {
+    await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+    balances.set(2, 10);
+
+    await expect(joinTournament(4, '2')).resolves.toEqual({ ok: false, reason: 'insufficient' });
+  });
+
+  it('refunds players who leave an open lobby', async () => {
+    await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+    await joinTournament(4, '2');
+
+    await expect(leaveTournament(4, '2')).resolves.toBe(true);
+    expect(balances.get(2)).toBe(100);
+    await expect(leaveTournament(4, '2')).resolves.toBe(false);
+  });
+
+  it('refunds every held entry when canceled, only once', async () => {
+    await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+    await joinTournament(4, '2');
+
+    await expect(cancelTournament(4)).resolves.toBe(2);
+    expect(tournament.status).toBe('canceled');
+    expect(balances.get(1)).toBe(100);
+    expect(balances.get(2)).toBe(100);
+    await expect(cancelTournament(4)).resolves.toBeNull();
+  });
+
+  it('pays the prize pool out to the placements', async () => {
+    await createTournament({ creatorId: '1', game: 'dice_duel', entryFee: 25, size: 4 });
+    for (const id of ['2', '3', '4']) await joinTournament(4, id);
+    tournament.status = 'running';
+
+    const result = await settleTournament(
+      4,
+      [
+        { userId: '3', placement: 1 },
+        { userId: '1', placement: 2 },
+        { userId: '2', placement: 3 },
+        { userId: '4', placement: 3 },
+      ],
+      [70, 30]
+    );
+
+    expect(result.pool).toBe(100);
+    expect(balances.get(3)).toBe(145);
+    expect(balances.get(1)).toBe(105);
+    expect(balances.get(2)).toBe(75);
+    expect(entries.every((entry) => entry.status === 'settled')).toBe(true);
+    expect(entries.find((entry) => entry.userId === 3)).toMatchObject({ placement: 1, prize: 70 });
+    await expect(settleTournament(4, [], [70, 30])).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockPrisma = {
+  vouch: {
+    count: vi.fn(),
+    findMany: vi.fn(),
+  },
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+const {
+  encodeQueueCustomId,
+  decodeQueueCustomId,
+  readQueueStateFromMessage,
+  buildPendingVouchWhere,
+  fetchPendingVouchPage,
+} = await import('../src/lib/vouch-queue.js');
+
+describe('vouch queue', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('round-trips the view state through a custom ID', () => {
+    const state = { page: 3, userId: '123456789012345678', olderThanHours: 48, channelId: '876543210987654321' };
+    const customId = encodeQueueCustomId('approve', state);
+
+    expect(customId.length).toBeLessThanOrEqual(100);
+    expect(decodeQueueCustomId(customId)).toEqual({ action: 'approve', state });
+    expect(decodeQueueCustomId(encodeQueueCustomId('refresh'))).toEqual({
+      action: 'refresh',
+      state: { page: 1, userId: null, olderThanHours: null, channelId: null },
+    });
+    expect(decodeQueueCustomId('approvevouch:5')).toBeNull();
+  });
+
+  it('reads the state back from an existing queue message', () => {
+    const message = {
+      components: [
+        { components: [{ customId: encodeQueueCustomId('approve', { page: 2, channelId: '42' }) }] },
+      ],
+    };
+
+    expect(readQueueStateFromMessage(message)).toMatchObject({ page: 2, channelId: '42' });
+    expect(readQueueStateFromMessage(null).page).toBe(1);
+  });
+
+  it('builds filters for user, age and channel', () => {
+    const now = new Date('2025-03-10T12:00:00Z');
+
+    expect(buildPendingVouchWhere({ userId: '1', olderThanHours: 24, channelId: '2' }, now)).toEqual({
+      status: 'pending',
+      user: { discordId: '1' },
+      createdAt: { lte: new Date('2025-03-09T12:00:00Z') },
+      channelId: '2',
+    });
+    expect(buildPendingVouchWhere({})).toEqual({ status: 'pending' });
+  });
+
+  it('clamps the page to the last one after vouches are cleared', async () => {
+    mockPrisma.vouch.count.mockResolvedValue(12);
+    mockPrisma.vouch.findMany.mockResolvedValue([{ id: 11 }, { id: 12 }]);
+
+    const result = await fetchPendingVouchPage({ page: 5 });
+
+    expect(result.page).toBe(2);
+    expect(result.pageCount).toBe(2);
+    expect(mockPrisma.vouch.findMany).toHaveBeenCalledWith(expect.objectContaining({ skip: 10, take: 10 }));
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let vouches = [];
+let ledger = [];
+let users = [];
+let config = {};
+
+function matches(row, where) {
+  return Object.entries(where).every(([key, value]) =>
+    value && typeof value === 'object' && 'in' in value ? value.in.includes(row[key]) : row[key] === value
+  );
+}
+
+const mockPrisma = {
+  vouch: {
+    updateMany: vi.fn(async ({ where, data }) => {
+      const rows = vouches.filter((row) => matches(row, where));
+      for (const row of rows) Object.assign(row, data);
+      return { count: rows.length };
+    }),
+  },
+  user: {
+    findUnique: vi.fn(async ({ where }) => users.find((u) => u.id === where.id) ?? null),
+    update: vi.fn(async ({ where, data }) => {
+      const user = users.find((u) => u.id === where.id);
+      user.vp += (data.vp.increment ?? 0) - (data.vp.decrement ?? 0);
+      return { ...user };
+    }),
+  },
+  ledgerEntry: {
+    create: vi.fn(async ({ data }) => {
+      ledger.push(data);
+      return data;
+    }),
+    aggregate: vi.fn(async ({ where }) => {
+      const rows = ledger.filter((row) => matches(row, where));
+      return { _sum: { delta: rows.length ? rows.reduce((sum, row) => sum + row.delta, 0) : null } };
+    }),
+  },
+  $transaction: vi.fn(async (callback) => callback(mockPrisma)),
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, defaultValue = null) => config[key] ?? defaultValue),
+}));
+
+const { rejectPendingVouch, revokeCreditedVouch, appealVouch, voidVouch } = await import(
+  '../src/lib/vouch-approval.js'
+);
+
+describe('vouch review', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    config = {};
+    users = [{ id: 1, vp: 5 }];
+    ledger = [{ userId: 1, delta: 1, source: 'vouch', referenceId: '10' }];
+    vouches = [
+      { id: 10, userId: 1, status: 'approved', appealedAt: null },
+      { id: 11, userId: 1, status: 'pending', appealedAt: null },
+    ];
+  });
+
+  it('rejects a pending vouch only once', async () => {
+    await expect(rejectPendingVouch(vouches[1], 'provider-1', 'Blurry screenshot')).resolves.toBe(true);
+    expect(vouches[1]).toMatchObject({
+      status: 'rejected',
+      rejectionReason: 'Blurry screenshot',
+      reviewedByProviderId: 'provider-1',
+    });
+
+    await expect(rejectPendingVouch(vouches[1], 'provider-2', 'Again')).resolves.toBe(false);
+    expect(vouches[1].reviewedByProviderId).toBe('provider-1');
+  });
+
+  it('claws back the credited VP when revoking', async () => {
+    const result = await revokeCreditedVouch(vouches[0], 'provider-1', 'Fake order');
+
+    expect(result.clawback).toBe(1);
+    expect(users[0].vp).toBe(4);
+    expect(vouches[0].status).toBe('revoked');
+    expect(ledger.at(-1)).toMatchObject({ delta: -1, reason: 'vouch_revoked', referenceId: '10' });
+  });
+
+  it('never takes the balance below zero when revoking', async () => {
+    users[0].vp = 0;
+
+    const result = await revokeCreditedVouch(vouches[0], 'provider-1', 'Fake order');
+
+    expect(result.clawback).toBe(0);
+    expect(users[0].vp).toBe(0);
+    expect(ledger).toHaveLength(1);
+  });
+
+  it('refuses to revoke a vouch that was never credited', async () => {
+    await expect(revokeCreditedVouch(vouches[1], 'provider-1', 'Nope')).resolves.toBeNull();
+    expect(vouches[1].status).toBe('pending');
+  });
+
+  it('lets the owner appeal a rejection exactly once', async () => {
+    await rejectPendingVouch(vouches[1], 'provider-1', 'Blurry screenshot');
+
+    await expect(appealVouch(vouches[1])).resolves.toBe(true);
+    expect(vouches[1].status).toBe('pending');
+    expect(vouches[1].appealedAt).toBeInstanceOf(Date);
+
+    await rejectPendingVouch(vouches[1], 'provider-1', 'Still blurry');
+    await expect(appealVouch(vouches[1])).resolves.toBe(false);
+    expect(vouches[1].status).toBe('rejected');
+  });
+
+  it('voids a deleted credited vouch and reverses its VP', async () => {
+    const result = await voidVouch({ ...vouches[0] }, 'deleted');
+
+    expect(result.clawback).toBe(1);
+    expect(users[0].vp).toBe(4);
+    expect(vouches[0]).toMatchObject({ status: 'voided', voidReason: 'deleted' });
+    expect(ledger.at(-1)).toMatchObject({ delta: -1, reason: 'vouch_voided' });
+  });
+
+  it('reverses VP for a vouch approved after the caller read it as pending', async () => {
+    const result = await voidVouch({ ...vouches[0], status: 'pending' }, 'deleted');
+
+    expect(result.clawback).toBe(1);
+    expect(users[0].vp).toBe(4);
+  });
+
+  it('keeps the VP when reversal on void is disabled', async () => {
+    config.vouch_void_reverse_vp = 'false';
+
+    const result = await voidVouch({ ...vouches[0] }, 'image_removed');
+
+    expect(result.clawback).toBe(0);
+    expect(users[0].vp).toBe(5);
+    expect(vouches[0].status).toBe('voided');
+  });
+
+  it('does not void a vouch twice', async () => {
+    await voidVouch({ ...vouches[0] }, 'deleted');
+
+    await expect(voidVouch({ ...vouches[0] }, 'deleted')).resolves.toBeNull();
+    expect(users[0].vp).toBe(4);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+let config = {};
+
+const mockClient = {
+  vouch: {
+    findMany: vi.fn(),
+  },
+};
+
+vi.mock('../src/db/index.js', () => ({
+  getConfig: vi.fn(async (key, defaultValue = null) => config[key] ?? defaultValue),
+}));
+
+const { calculateVouchReward, countVouchStreak, describeVouchReward } = await import(
+  '../src/lib/vouch-rewards.js'
+);
+
+const postedAt = new Date('2025-05-10T15:00:00Z');
+
+describe('vouch rewards', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    config = {};
+    mockClient.vouch.findMany.mockResolvedValue([]);
+  });
+
+  it('credits the base reward without querying when no bonus is set', async () => {
+    const reward = await calculateVouchReward(mockClient, { userId: 1, postedAt });
+
+    expect(reward.amount).toBe(1);
+    expect(mockClient.vouch.findMany).not.toHaveBeenCalled();
+    expect(describeVouchReward(reward)).toBe('+1 VP');
+  });
+
+  it('adds first-of-day and streak bonuses and applies the event multiplier', async () => {
+    config = {
+      vouch_first_daily_bonus: '2',
+      vouch_streak_bonus: '1',
+      vouch_event_multiplier: '2',
+    };
+    mockClient.vouch.findMany.mockResolvedValue([
+      { createdAt: new Date('2025-05-09T10:00:00Z') },
+      { createdAt: new Date('2025-05-08T23:00:00Z') },
+      { createdAt: new Date('2025-05-06T12:00:00Z') },
+    ]);
+
+    const reward = await calculateVouchReward(mockClient, { userId: 1, postedAt });
+
+    expect(reward).toMatchObject({ firstOfDayBonus: 2, streakDays: 2, streakBonus: 2, multiplier: 2, amount: 10 });
+    expect(describeVouchReward(reward)).toBe('+10 VP (1 base + 2 first vouch today + 2 for a 2-day streak, ×2 event)');
+  });
+
+  it('skips the first-of-day bonus after an earlier credited vouch that day', async () => {
+    config = { vouch_first_daily_bonus: '2' };
+    mockClient.vouch.findMany.mockResolvedValue([{ createdAt: new Date('2025-05-10T08:00:00Z') }]);
+
+    const reward = await calculateVouchReward(mockClient, { userId: 1, postedAt });
+
+    expect(reward.amount).toBe(1);
+  });
+
+  it('ignores the multiplier once the event has ended', async () => {
+    config = { vouch_event_multiplier: '3', vouch_event_ends_at: '2000-01-01T00:00:00Z' };
+
+    const reward = await calculateVouchReward(mockClient, { userId: 1, postedAt });
+
+    expect(reward.amount).toBe(1);
+  });
+
+  it('caps the streak at the configured number of days', () => {
+    const dates = [1, 2, 3, 4].map((daysAgo) => new Date(postedAt.getTime() - daysAgo * 86_400_000));
+    const day = Math.floor(postedAt.getTime() / 86_400_000);
+
+    expect(countVouchStreak(dates, day, 3)).toBe(3);
+    expect(countVouchStreak(dates.slice(1), day, 7)).toBe(0);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import sharp from 'sharp';
+
+const mockPrisma = {
+  vouch: {
+    findFirst: vi.fn(),
+    findMany: vi.fn(),
+    count: vi.fn(),
+  },
+};
+const config = new Map();
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+  getConfig: vi.fn(async (key, defaultValue = null) => (config.has(key) ? config.get(key) : defaultValue)),
+}));
+
+const { computeImageHash, hammingDistance, screenVouch } = await import('../src/lib/vouch-screening.js');
+
+function gradientImage(width, height, { invert = false } = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const value = Math.round(((x + y) / (width + height)) * 255);
+      pixels.fill(invert ? 255 - value : value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+describe('vouch image screening', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllGlobals();
+    config.clear();
+    mockPrisma.vouch.findFirst.mockResolvedValue(null);
+    mockPrisma.vouch.findMany.mockResolvedValue([]);
+    mockPrisma.vouch.count.mockResolvedValue(0);
+  });
+
+  it('hashes a re-encoded, resized copy to nearly the same value', async () => {
+    const original = await gradientImage(320, 240).png().toBuffer();
+    const repost = await gradientImage(320, 240).resize(160, 120).jpeg({ quality: 60 }).toBuffer();
+    const different = await gradientImage(320, 240, { invert: true }).png().toBuffer();
+
+    const [a, b, c] = await Promise.all([original, repost, different].map(computeImageHash));
+
+    expect(a).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(a, b)).toBeLessThanOrEqual(6);
+    expect(hammingDistance(a, c)).toBeGreaterThan(6);
+  });
+
+  it('flags a near-duplicate of an earlier vouch', async () => {
+    const image = await gradientImage(64, 64).png().toBuffer();
+    const hash = await computeImageHash(image);
+    const nearHash = (BigInt(`0x${hash}`) ^ 1n).toString(16).padStart(16, '0');
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(image)));
+    mockPrisma.vouch.findMany.mockResolvedValue([{ id: 4, userId: 8, imageHash: nearHash }]);
+
+    const result = await screenVouch({ userId: 1, imageUrl: 'https://cdn.example.com/a.png' });
+
+    expect(result.imageHash).toBe(hash);
+    expect(result.flag).toEqual({ reason: 'duplicate', duplicateOf: expect.objectContaining({ id: 4 }) });
+  });
+
+  it('ignores rejected near-duplicates and only looks back over the configured window', async () => {
+    const image = await gradientImage(64, 64).png().toBuffer();
+    const hash = await computeImageHash(image);
+    const nearHash = (BigInt(`0x${hash}`) ^ 1n).toString(16).padStart(16, '0');
+    const rows = [{ id: 5, userId: 8, imageHash: nearHash, status: 'rejected' }];
+
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(image)));
+    config.set('vouch_hash_window_days', '30');
+    mockPrisma.vouch.findMany.mockImplementation(async ({ where }) =>
+      rows.filter((row) => where.status.in.includes(row.status))
+    );
+
+    const result = await screenVouch({ userId: 1, imageUrl: 'https://cdn.example.com/a.png' });
+
+    expect(result.flag).toBeNull();
+    const { where } = mockPrisma.vouch.findMany.mock.calls[0][0];
+    expect(where.status).toEqual({ in: ['pending', 'auto', 'approved'] });
+    expect(Date.now() - where.createdAt.gte.getTime()).toBeCloseTo(30 * 24 * 60 * 60 * 1000, -4);
+  });
+
+  it('flags users over the hourly cap and skips disabled caps', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('not found', { status: 404 })));
+    config.set('vouch_hourly_cap', '3');
+    mockPrisma.vouch.count.mockResolvedValue(3);
+
+    await expect(screenVouch({ userId: 1, imageUrl: 'https://cdn.example.com/a.png' })).resolves.toEqual({
+      imageHash: null,
+      flag: { reason: 'hourly_cap', limit: 3 },
+    });
+
+    config.set('vouch_hourly_cap', '0');
+    config.set('vouch_daily_cap', '0');
+
+    await expect(screenVouch({ userId: 1, imageUrl: null })).resolves.toEqual({ imageHash: null, flag: null });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+
+const mockPrisma = {
+  vouch: {
+    groupBy: vi.fn(),
+    findMany: vi.fn(),
+  },
+};
+
+vi.mock('../src/db/index.js', () => ({
+  default: mockPrisma,
+}));
+
+const { tallyVouchStatuses, summarizeApprovalLatency, getPeriodStart, getVouchStatsOverview } = await import(
+  '../src/lib/vouch-stats.js'
+);
+
+const minutesAfter = (start, minutes) => new Date(start.getTime() + minutes * 60_000);
+
+describe('vouch stats', () => {
+  it('computes the rejection rate over decided vouches only', () => {
+    const tally = tallyVouchStatuses([
+      { status: 'auto', _count: { _all: 5 } },
+      { status: 'approved', _count: { _all: 1 } },
+      { status: 'rejected', _count: { _all: 1 } },
+      { status: 'revoked', _count: { _all: 1 } },
+      { status: 'pending', _count: { _all: 4 } },
+    ]);
+
+    expect(tally).toMatchObject({ total: 12, credited: 6, rejected: 2, pending: 4, voided: 0 });
+    expect(tally.rejectionRate).toBeCloseTo(0.25);
+    expect(tallyVouchStatuses([]).rejectionRate).toBeNull();
+  });
+
+  it('summarizes approval latency with average and median', () => {
+    const start = new Date('2025-01-01T00:00:00Z');
+    const latency = summarizeApprovalLatency([
+      { createdAt: start, reviewedAt: minutesAfter(start, 10) },
+      { createdAt: start, reviewedAt: minutesAfter(start, 20) },
+      { createdAt: start, reviewedAt: minutesAfter(start, 90) },
+      { createdAt: start, reviewedAt: null },
+    ]);
+
+    expect(latency.count).toBe(3);
+    expect(latency.averageMs).toBe(40 * 60_000);
+    expect(latency.medianMs).toBe(20 * 60_000);
+  });
+
+  it('returns no start date for the all-time period', () => {
+    const now = new Date('2025-02-01T00:00:00Z');
+
+    expect(getPeriodStart('all', now)).toBeNull();
+    expect(getPeriodStart('7d', now)).toEqual(new Date('2025-01-25T00:00:00Z'));
+  });
+
+  it('ranks providers by the number of vouches that mentioned them', async () => {
+    mockPrisma.vouch.groupBy.mockResolvedValue([
+      { mentionedProviderId: 'p1', status: 'auto', _count: { _all: 2 } },
+      { mentionedProviderId: 'p2', status: 'auto', _count: { _all: 4 } },
+      { mentionedProviderId: 'p2', status: 'rejected', _count: { _all: 1 } },
+    ]);
+    mockPrisma.vouch.findMany.mockResolvedValue([]);
+
+    const overview = await getVouchStatsOverview(null);
+
+    expect(overview.providers.map((row) => [row.providerId, row.total])).toEqual([
+      ['p2', 5],
+      ['p1', 2],
+    ]);
+    expect(overview.providers[0].rejectionRate).toBeCloseTo(0.2);
+    expect(overview.totals.total).toBe(7);
+    expect(overview.latency.count).toBe(0);
+  });
+});